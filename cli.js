@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+// Command-line entry point.  Generates one or more plugins from a JSON
+// or YAML manifest without starting Electron, so scaffolding can run
+// from scripts and CI.  With --release it packages an existing plugin
+// instead.
+//
+// Exit codes: 0 on success, 1 when generation of any plugin or the release failed,
+// 2 for usage errors or an invalid manifest (nothing is written).
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { buildPluginFiles, generatePlugin } = require('./lib/generator');
+const { loadManifest, validatePluginOptions } = require('./lib/manifest');
+const { loadLibraryRegistry } = require('./lib/libraries');
+const { BUMP_TYPES, releasePlugin } = require('./lib/release');
+const { lintPlugin } = require('./lib/lint');
+
+const EXIT_OK = 0;
+const EXIT_GENERATION_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: electron-plugin-generator --manifest <file> [--out <dir>] [--templates <dir>] [--libraries <dir>] [--dry-run]
+       electron-plugin-generator --release <plugin-dir> [--bump <type>] [--changelog <text>] [--out <dir>]
+       electron-plugin-generator --validate <plugin-dir>
+
+Options:
+  -m, --manifest <file>  JSON or YAML manifest describing one plugin, a list
+                         of plugins, or { defaults, plugins } for a suite
+  -o, --out <dir>        Output directory (overrides outputDir in the manifest)
+  -t, --templates <dir>  Template directory overriding built-in templates
+  -l, --libraries <dir>  Directory of library definition folders, added to
+                         the built-in libraries (may be repeated)
+  -n, --dry-run          List the files that would be generated, write nothing
+  -r, --release <dir>    Build {slug}-{version}.zip from a generated plugin,
+                         into --out or the directory containing the plugin
+  -b, --bump <type>      With --release, first bump the version: ${BUMP_TYPES.join(', ')}
+  -c, --changelog <text> Changelog entry for the bumped version (one item per line)
+      --validate <dir>   Check a plugin's header, readme.txt, composer.json and,
+                         with php on the PATH, PHP syntax; fails on errors
+  -h, --help             Show this help
+`;
+
+/**
+ * Run the CLI with the given arguments and return the exit code.
+ *
+ * @param {string[]} argv Arguments without the node/script prefix
+ * @returns {Promise<number>} Process exit code
+ */
+async function run(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        manifest: { type: 'string', short: 'm' },
+        out: { type: 'string', short: 'o' },
+        templates: { type: 'string', short: 't' },
+        libraries: { type: 'string', short: 'l', multiple: true },
+        'dry-run': { type: 'boolean', short: 'n' },
+        release: { type: 'string', short: 'r' },
+        bump: { type: 'string', short: 'b' },
+        changelog: { type: 'string', short: 'c' },
+        validate: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    }));
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  if (values.release) {
+    return release(values);
+  }
+
+  if (values.validate) {
+    return validate(values);
+  }
+
+  const manifestPath = values.manifest || positionals[0];
+  if (!manifestPath) {
+    console.error('A manifest file is required.');
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  let plugins;
+  try {
+    plugins = await loadManifest(manifestPath);
+  } catch (err) {
+    console.error(err.message);
+    return EXIT_USAGE;
+  }
+  if (plugins.length === 0) {
+    console.error(`Manifest '${manifestPath}' does not list any plugins.`);
+    return EXIT_USAGE;
+  }
+
+  // Command-line options apply to every entry.
+  plugins = plugins.map((entry) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return entry;
+    }
+    const opts = { ...entry };
+    if (values.out) {
+      opts.outputDir = path.resolve(values.out);
+    }
+    if (values.templates) {
+      opts.templateDir = path.resolve(values.templates);
+    }
+    if (values.libraries) {
+      opts.libraryDirs = [
+        ...(Array.isArray(opts.libraryDirs) ? opts.libraryDirs : []),
+        ...values.libraries.map((dir) => path.resolve(dir))
+      ];
+    }
+    return opts;
+  });
+
+  // Validate every entry up front so a broken suite writes nothing.
+  let invalid = false;
+  const skippedLibraries = new Map();
+  for (const [index, opts] of plugins.entries()) {
+    let errors;
+    try {
+      const libraryDirs = opts && Array.isArray(opts.libraryDirs) ? opts.libraryDirs : [];
+      const problems = [];
+      errors = validatePluginOptions(opts, await loadLibraryRegistry(libraryDirs, problems));
+      problems.forEach(({ dir, message }) => skippedLibraries.set(dir, message));
+    } catch (err) {
+      errors = [err.message];
+    }
+    if (errors.length) {
+      invalid = true;
+      const label = opts && opts.name ? `'${opts.name}'` : `#${index + 1}`;
+      console.error(`Plugin ${label} is invalid:`);
+      errors.forEach((message) => console.error(`  - ${message}`));
+    }
+  }
+  skippedLibraries.forEach((message) => console.error(`Skipped a library folder: ${message}`));
+  if (invalid) {
+    return EXIT_USAGE;
+  }
+
+  let failed = false;
+  for (const opts of plugins) {
+    try {
+      if (values['dry-run']) {
+        const { pluginDir, files } = await buildPluginFiles(opts);
+        console.log(`Would generate '${opts.name}' in ${pluginDir}:`);
+        files.forEach((file) => console.log(`  ${file.path}`));
+      } else {
+        const pluginPath = await generatePlugin(opts);
+        console.log(`Generated '${opts.name}' in ${pluginPath}`);
+      }
+    } catch (err) {
+      failed = true;
+      console.error(`Failed to generate '${opts.name}': ${err.message || String(err)}`);
+    }
+  }
+  return failed ? EXIT_GENERATION_FAILED : EXIT_OK;
+}
+
+/**
+ * Release an existing plugin directory: optionally bump its version,
+ * then build the zip.
+ *
+ * @param {object} values Parsed CLI options
+ * @returns {Promise<number>} Process exit code
+ */
+async function release(values) {
+  if (values.bump && !BUMP_TYPES.includes(values.bump)) {
+    console.error(`Unknown version bump '${values.bump}'; use ${BUMP_TYPES.join(', ')}.`);
+    return EXIT_USAGE;
+  }
+  try {
+    const result = await releasePlugin(path.resolve(values.release), {
+      bump: values.bump,
+      changelog: values.changelog,
+      outDir: values.out ? path.resolve(values.out) : undefined
+    });
+    if (result.version !== result.previousVersion) {
+      console.log(`Bumped ${result.slug} from ${result.previousVersion} to ${result.version} in ${result.changedFiles.join(', ')}`);
+    }
+    console.log(`Packaged ${result.files.length} files into ${result.zipPath}`);
+    return EXIT_OK;
+  } catch (err) {
+    console.error(`Failed to release '${values.release}': ${err.message || String(err)}`);
+    return EXIT_GENERATION_FAILED;
+  }
+}
+
+/**
+ * Check a plugin directory and print the problems found.  Errors fail
+ * the run; warnings do not.
+ *
+ * @param {object} values Parsed CLI options
+ * @returns {Promise<number>} Process exit code
+ */
+async function validate(values) {
+  try {
+    const { issues, errors, warnings, php } = await lintPlugin(path.resolve(values.validate));
+    issues.forEach(({ severity, file, message }) => {
+      console.log(`${severity}: ${file ? `${file}: ` : ''}${message}`);
+    });
+    console.log(php.version
+      ? `Checked the PHP syntax of ${php.checked} files with PHP ${php.version}.`
+      : 'Skipped the PHP syntax check: no php found on the PATH.');
+    console.log(`${errors} errors, ${warnings} warnings.`);
+    return errors ? EXIT_GENERATION_FAILED : EXIT_OK;
+  } catch (err) {
+    console.error(`Failed to validate '${values.validate}': ${err.message || String(err)}`);
+    return EXIT_GENERATION_FAILED;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { run };
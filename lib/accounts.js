@@ -0,0 +1,195 @@
+// Accounts on the git hosts: personal access tokens for publishing,
+// one per host and API URL, so GitHub.com and a company's GitHub
+// Enterprise server can both be used.  Tokens are only stored
+// encrypted; the main process passes in Electron's safeStorage, which
+// encrypts with the operating system's keychain, and keeps the file in
+// the userData directory.  The renderer only ever sees the username and
+// scopes of an account, never the token.
+
+const path = require('path');
+const fs = require('fs').promises;
+const { GIT_HOSTS, getGitHost } = require('./git-hosts');
+
+/**
+ * The API URL an account is stored under: the host's default when none
+ * is given, without trailing slashes.
+ *
+ * @param {string} hostId Host id, e.g. 'github'
+ * @param {string} [apiUrl]
+ * @returns {string}
+ */
+function accountApiUrl(hostId, apiUrl) {
+  return (String(apiUrl || '').trim() || getGitHost(hostId).defaultApiUrl).replace(/\/+$/, '');
+}
+
+async function readStore(file) {
+  try {
+    const stored = JSON.parse(await fs.readFile(file, 'utf8'));
+    return { accounts: Array.isArray(stored.accounts) ? stored.accounts : [] };
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { accounts: [] };
+    }
+    throw new Error(`Could not read accounts from ${file}: ${err.message}`);
+  }
+}
+
+async function writeStore(file, store) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  // Readable by the user only, although the tokens are encrypted.
+  await fs.writeFile(file, `${JSON.stringify(store, null, 2)}\n`, { encoding: 'utf8', mode: 0o600 });
+  return store;
+}
+
+const findIndex = (store, hostId, apiUrl) => {
+  const url = accountApiUrl(hostId, apiUrl);
+  return store.accounts.findIndex((account) => account.host === hostId && account.apiUrl === url);
+};
+
+// An account as the renderer sees it.
+const describeAccount = ({ host, apiUrl, username, scopes, checkedAt }) => ({
+  host,
+  label: getGitHost(host).label,
+  apiUrl,
+  username,
+  scopes,
+  checkedAt
+});
+
+/**
+ * The stored accounts, without their tokens.
+ *
+ * @param {string} file Path of the accounts file
+ * @returns {Promise<object[]>} `{ host, label, apiUrl, username, scopes, checkedAt }`
+ */
+async function loadAccounts(file) {
+  const { accounts } = await readStore(file);
+  // Accounts of hosts this version does not know are kept but not shown.
+  return accounts.filter((account) => GIT_HOSTS[account.host]).map(describeAccount);
+}
+
+/**
+ * Ask the host who a token belongs to and what it may do.
+ *
+ * @param {string} hostId Host id
+ * @param {string} apiUrl API URL of the server
+ * @param {string} token Access token
+ * @returns {Promise<{ username: string, scopes: string[]|null }>}
+ */
+async function checkToken(hostId, apiUrl, token) {
+  const host = getGitHost(hostId);
+  try {
+    return await host.checkToken(host.createClient(token, accountApiUrl(hostId, apiUrl)));
+  } catch (err) {
+    throw new Error(`${host.label} did not accept the token: ${err.message}`);
+  }
+}
+
+/**
+ * Check a token and store it, encrypted, replacing the account for the
+ * same host and API URL.
+ *
+ * @param {string} file Path of the accounts file
+ * @param {{ host: string, apiUrl?: string, token: string }} account
+ * @param {(text: string) => Buffer} encrypt
+ * @returns {Promise<object[]>} The stored accounts
+ */
+async function saveAccount(file, { host, apiUrl, token }, encrypt) {
+  const trimmed = String(token || '').trim();
+  if (!trimmed) {
+    throw new Error('Please enter an access token.');
+  }
+  const url = accountApiUrl(host, apiUrl);
+  const { username, scopes } = await checkToken(host, url, trimmed);
+  const store = await readStore(file);
+  const entry = {
+    host,
+    apiUrl: url,
+    username,
+    scopes,
+    checkedAt: new Date().toISOString(),
+    token: encrypt(trimmed).toString('base64')
+  };
+  const index = findIndex(store, host, url);
+  if (index === -1) {
+    store.accounts.push(entry);
+  } else {
+    store.accounts[index] = entry;
+  }
+  await writeStore(file, store);
+  return loadAccounts(file);
+}
+
+/**
+ * The decrypted token of an account, or null when none is stored.
+ *
+ * @param {string} file Path of the accounts file
+ * @param {string} hostId Host id
+ * @param {string} [apiUrl] API URL; the host's default when empty
+ * @param {(data: Buffer) => string} decrypt
+ * @returns {Promise<string|null>}
+ */
+async function findAccountToken(file, hostId, apiUrl, decrypt) {
+  const store = await readStore(file);
+  const index = findIndex(store, hostId, apiUrl);
+  if (index === -1) {
+    return null;
+  }
+  try {
+    return decrypt(Buffer.from(store.accounts[index].token, 'base64'));
+  } catch (err) {
+    const { label } = getGitHost(hostId);
+    throw new Error(`The stored ${label} token could not be decrypted (${err.message}); please remove the account and add it again.`);
+  }
+}
+
+/**
+ * Check a stored token again and update its username and scopes.
+ *
+ * @param {string} file Path of the accounts file
+ * @param {string} hostId Host id
+ * @param {string} apiUrl API URL of the account
+ * @param {(data: Buffer) => string} decrypt
+ * @returns {Promise<object[]>} The stored accounts
+ */
+async function recheckAccount(file, hostId, apiUrl, decrypt) {
+  const token = await findAccountToken(file, hostId, apiUrl, decrypt);
+  if (token === null) {
+    throw new Error(`There is no ${getGitHost(hostId).label} account for ${accountApiUrl(hostId, apiUrl)}.`);
+  }
+  const { username, scopes } = await checkToken(hostId, apiUrl, token);
+  const store = await readStore(file);
+  const index = findIndex(store, hostId, apiUrl);
+  Object.assign(store.accounts[index], { username, scopes, checkedAt: new Date().toISOString() });
+  await writeStore(file, store);
+  return loadAccounts(file);
+}
+
+/**
+ * Remove an account and its token.
+ *
+ * @param {string} file Path of the accounts file
+ * @param {string} hostId Host id
+ * @param {string} apiUrl API URL of the account
+ * @returns {Promise<object[]>} The stored accounts
+ */
+async function removeAccount(file, hostId, apiUrl) {
+  const store = await readStore(file);
+  const index = findIndex(store, hostId, apiUrl);
+  if (index === -1) {
+    throw new Error(`There is no ${getGitHost(hostId).label} account for ${accountApiUrl(hostId, apiUrl)}.`);
+  }
+  store.accounts.splice(index, 1);
+  await writeStore(file, store);
+  return loadAccounts(file);
+}
+
+module.exports = {
+  accountApiUrl,
+  loadAccounts,
+  checkToken,
+  saveAccount,
+  findAccountToken,
+  recheckAccount,
+  removeAccount
+};
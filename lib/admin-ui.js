@@ -0,0 +1,216 @@
+// Admin screens.  Validates the `listTables`, `adminNotices` and
+// `adminActions` options and prepares the template context for the
+// WP_List_Table screens, the notices helper and the admin-ajax and
+// admin-post handlers.  The admin class adds the screens to the menu,
+// shows the notices and handles the requests; the core class hooks its
+// methods through the Loader, and the admin script sends the AJAX
+// requests with the nonces the admin class passes to it.
+
+const { escapePhpString, humanize } = require('./php');
+const { escapePhpComment } = require('./escape');
+
+const ACTION_TYPES = ['ajax', 'post'];
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const BULK_ACTION_PATTERN = /^[a-z][a-z0-9_-]*$/;
+// The handler behind the notices' dismiss buttons.
+const DISMISS_NOTICE = 'dismiss_notice';
+const DEFAULT_CAPABILITY = 'manage_options';
+const DEFAULT_PER_PAGE = 20;
+
+const listOf = (value) => (Array.isArray(value) ? value : []);
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const trimmed = (value) => String(value === undefined || value === null ? '' : value).trim();
+const isBlank = (value) => trimmed(value) === '';
+const pascalCase = (name) => humanize(name).replace(/ /g, '');
+
+const perPageOf = (table) => (isBlank(table.perPage) ? DEFAULT_PER_PAGE : Number(trimmed(table.perPage)));
+
+/**
+ * Check the admin screen definitions.
+ *
+ * @param {object} opts Plugin options
+ * @returns {string[]} Validation errors
+ */
+function validateAdminUi(opts) {
+  const errors = [];
+  const tableNames = new Set();
+  listOf(opts.listTables).forEach((table, index) => {
+    const label = `List table ${index + 1}`;
+    if (!isObject(table)) {
+      errors.push(`${label} must be an object.`);
+      return;
+    }
+    const name = trimmed(table.name);
+    if (!name) {
+      errors.push(`${label} needs a name.`);
+    } else if (!NAME_PATTERN.test(name)) {
+      errors.push(`${label}: '${name}' must start with a letter and use only lowercase letters, numbers and underscores.`);
+    } else if (tableNames.has(name)) {
+      errors.push(`${label}: '${name}' is defined more than once.`);
+    }
+    tableNames.add(name);
+    const perPage = perPageOf(table);
+    if (!Number.isInteger(perPage) || perPage < 1) {
+      errors.push(`${label}: items per page must be a whole number of at least 1.`);
+    }
+
+    const columns = listOf(table.columns);
+    if (columns.length === 0) {
+      errors.push(`${label} needs at least one column.`);
+    }
+    const columnNames = new Set(['cb']);
+    columns.forEach((column, columnIndex) => {
+      const columnLabel = `${label}, column ${columnIndex + 1}`;
+      if (!isObject(column)) {
+        errors.push(`${columnLabel} must be an object.`);
+        return;
+      }
+      const columnName = trimmed(column.name);
+      if (!columnName) {
+        errors.push(`${columnLabel} needs a name.`);
+      } else if (!NAME_PATTERN.test(columnName)) {
+        errors.push(`${columnLabel}: '${columnName}' must start with a letter and use only lowercase letters, numbers and underscores.`);
+      } else if (columnNames.has(columnName)) {
+        errors.push(`${columnLabel}: '${columnName}' is ${columnName === 'cb' ? 'reserved for the checkboxes' : 'defined more than once'}.`);
+      }
+      columnNames.add(columnName);
+    });
+
+    const actionNames = new Set();
+    listOf(table.bulkActions).forEach((action, actionIndex) => {
+      const actionLabel = `${label}, bulk action ${actionIndex + 1}`;
+      if (!isObject(action)) {
+        errors.push(`${actionLabel} must be an object.`);
+        return;
+      }
+      const actionName = trimmed(action.name);
+      if (!actionName) {
+        errors.push(`${actionLabel} needs a name.`);
+      } else if (!BULK_ACTION_PATTERN.test(actionName)) {
+        errors.push(`${actionLabel}: '${actionName}' must start with a letter and use only lowercase letters, numbers, dashes and underscores.`);
+      } else if (actionNames.has(actionName)) {
+        errors.push(`${actionLabel}: '${actionName}' is defined more than once.`);
+      }
+      actionNames.add(actionName);
+    });
+  });
+
+  const handlerNames = new Set(opts.adminNotices ? [DISMISS_NOTICE] : []);
+  listOf(opts.adminActions).forEach((action, index) => {
+    const label = `Handler ${index + 1}`;
+    if (!isObject(action)) {
+      errors.push(`${label} must be an object.`);
+      return;
+    }
+    const name = trimmed(action.name);
+    if (!name) {
+      errors.push(`${label} needs a name.`);
+    } else if (!NAME_PATTERN.test(name)) {
+      errors.push(`${label}: '${name}' must start with a letter and use only lowercase letters, numbers and underscores.`);
+    } else if (handlerNames.has(name)) {
+      errors.push(`${label}: '${name}' is ${name === DISMISS_NOTICE ? 'used by the notices helper' : 'defined more than once'}.`);
+    }
+    handlerNames.add(name);
+    if (!isBlank(action.type) && !ACTION_TYPES.includes(action.type)) {
+      errors.push(`${label}: type must be ajax or post.`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Build the template context for the admin screens.  The list tables'
+ * classes are described by the generator, which adds them to the
+ * components; `classSuffix` names them.
+ *
+ * @param {object} opts Plugin options
+ * @param {{ slug: string, functionPrefix: string, namespace: string }} plugin
+ * @returns {{ listTables: object[], notices: object|false, actions: object[], scriptActions: object[], confirmBulkActions: boolean, script: boolean, jsObject: string }}
+ */
+function buildAdminUiContext(opts, { slug, functionPrefix, namespace }) {
+  const listTables = listOf(opts.listTables)
+    .filter((table) => trimmed(table.name))
+    .map((table) => {
+      const name = trimmed(table.name);
+      const title = trimmed(table.title) || humanize(name);
+      const columns = listOf(table.columns)
+        .filter((column) => trimmed(column.name))
+        .map((column) => ({
+          name: trimmed(column.name),
+          label: escapePhpString(trimmed(column.label) || humanize(column.name)),
+          sortable: Boolean(column.sortable)
+        }));
+      const bulkActions = listOf(table.bulkActions)
+        .filter((action) => trimmed(action.name))
+        .map((action) => ({
+          name: trimmed(action.name),
+          label: escapePhpString(trimmed(action.label) || humanize(action.name)),
+          confirm: Boolean(action.confirm)
+        }));
+      const sortable = columns.filter((column) => column.sortable);
+      return {
+        name,
+        classSuffix: `${pascalCase(name)}ListTable`,
+        title: escapePhpString(title),
+        titleComment: escapePhpComment(title),
+        pageSlug: `${slug}-${name.replace(/_/g, '-')}`,
+        parentMenu: escapePhpString(trimmed(table.parentMenu)),
+        capability: escapePhpString(trimmed(table.capability) || DEFAULT_CAPABILITY),
+        perPage: perPageOf(table),
+        // WP_List_Table's `singular` names the checkboxes, `plural` the
+        // bulk action nonce.
+        singular: `${name}_item`,
+        plural: name,
+        columns,
+        sortable,
+        defaultOrderby: sortable.length ? sortable[0].name : '',
+        bulkActions,
+        confirmActions: bulkActions.filter((action) => action.confirm).map((action) => action.name).join(' ')
+      };
+    });
+
+  const actions = listOf(opts.adminActions)
+    .filter((action) => trimmed(action.name))
+    .map((action) => {
+      const name = trimmed(action.name);
+      const type = action.type === 'post' ? 'post' : 'ajax';
+      return {
+        name,
+        action: `${functionPrefix}_${name}`,
+        hook: `${type === 'post' ? 'admin_post' : 'wp_ajax'}_${functionPrefix}_${name}`,
+        method: `handle_${name}`,
+        ajax: type === 'ajax',
+        capability: escapePhpString(trimmed(action.capability) || DEFAULT_CAPABILITY),
+        description: escapePhpComment(action.description)
+      };
+    });
+
+  const notices = opts.adminNotices
+    ? { dismissAction: `${functionPrefix}_${DISMISS_NOTICE}`, metaKey: `${functionPrefix}_dismissed_notices` }
+    : false;
+
+  // The handlers the admin script sends requests to.
+  const scriptActions = [
+    ...(notices ? [{ name: DISMISS_NOTICE, action: notices.dismissAction }] : []),
+    ...actions.filter((action) => action.ajax)
+  ];
+  const confirmBulkActions = listTables.some((table) => table.confirmActions);
+
+  return {
+    listTables,
+    notices,
+    actions,
+    scriptActions,
+    confirmBulkActions,
+    // Whether the admin script needs the admin screens' code.
+    script: scriptActions.length > 0 || confirmBulkActions,
+    jsObject: `${namespace}Admin`
+  };
+}
+
+module.exports = {
+  ACTION_TYPES,
+  validateAdminUi,
+  buildAdminUiContext
+};
@@ -0,0 +1,82 @@
+// Small JSON client for the REST APIs of the git hosts (see
+// lib/git-hosts.js), on top of the global fetch().
+
+/**
+ * Create a client for a REST API.  Paths are relative to `baseUrl`;
+ * absolute URLs, such as upload endpoints, are used as they are.  Failed
+ * requests reject with the method, URL, status and the message the
+ * server sent.
+ *
+ * @param {{ baseUrl: string, headers?: object }} params
+ * @returns {{ request: Function, requestWithHeaders: Function, upload: Function }}
+ */
+function createApiClient({ baseUrl, headers = {} }) {
+  const base = baseUrl.replace(/\/+$/, '');
+
+  const send = async (method, url, body, contentType) => {
+    const requestHeaders = { 'User-Agent': 'electron-plugin-generator', ...headers };
+    let payload = body;
+    if (body !== undefined && contentType) {
+      requestHeaders['Content-Type'] = contentType;
+    } else if (body !== undefined && !(body instanceof FormData)) {
+      // fetch() sets the multipart boundary of FormData bodies itself.
+      requestHeaders['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+    const response = await fetch(/^https?:\/\//.test(url) ? url : `${base}${url}`, {
+      method,
+      headers: requestHeaders,
+      body: payload
+    });
+    const text = await response.text();
+    if (!response.ok) {
+      let message = text;
+      try {
+        const parsed = JSON.parse(text);
+        const detail = parsed.message || parsed.error || text;
+        message = typeof detail === 'string' ? detail : JSON.stringify(detail);
+      } catch (err) {
+        // Not JSON; keep the text as it is.
+      }
+      throw new Error(`${method} ${url} returned ${response.status}${message ? `: ${message}` : ''}`);
+    }
+    return { data: text ? JSON.parse(text) : {}, headers: response.headers };
+  };
+
+  return {
+    /**
+     * Send a JSON request.
+     *
+     * @param {string} method HTTP method
+     * @param {string} url Path below the base URL, or an absolute URL
+     * @param {object} [body] JSON body
+     * @returns {Promise<object>} The parsed response
+     */
+    request: async (method, url, body) => (await send(method, url, body)).data,
+
+    /**
+     * Send a JSON request and keep the response headers, for APIs that
+     * report details such as token scopes in headers.
+     *
+     * @param {string} method HTTP method
+     * @param {string} url Path below the base URL, or an absolute URL
+     * @param {object} [body] JSON body
+     * @returns {Promise<{ data: object, headers: Headers }>}
+     */
+    requestWithHeaders: (method, url, body) => send(method, url, body),
+
+    /**
+     * POST a file: raw bytes with their content type, or FormData.
+     *
+     * @param {string} url Path below the base URL, or an absolute URL
+     * @param {Buffer|FormData} data Request body
+     * @param {string} [contentType] Content type of raw bytes
+     * @returns {Promise<object>} The parsed response
+     */
+    upload: async (url, data, contentType) => (await send('POST', url, data, contentType)).data
+  };
+}
+
+module.exports = {
+  createApiClient
+};
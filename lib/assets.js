@@ -0,0 +1,74 @@
+// Admin and public scripts and styles.  Validates the `assetPipeline`,
+// `adminAssetScope` and `publicAssetScope` options and prepares the
+// template context for the asset files and the admin and public classes
+// that enqueue them.  Without the pipeline the assets are plain files in
+// admin/ and public/; with it their sources are written to `src/admin/`
+// and `src/public/` and built into `build/` by @wordpress/scripts, next
+// to the blocks, and the classes enqueue them with the dependencies and
+// version of the `*.asset.php` manifests the build writes.
+
+const { phpStringArray } = require('./php');
+
+// Where each context's assets are enqueued: on every screen or page, or
+// only on the plugin's own.
+const ASSET_SCOPES = ['all', 'plugin'];
+
+const listOf = (value) => (Array.isArray(value) ? value : []);
+const slugsOf = (items) => listOf(items).map((item) => String(item.slug || '').trim()).filter(Boolean);
+const literalOf = (values) => (values.length ? phpStringArray(values) : '');
+
+/**
+ * Check the asset options.
+ *
+ * @param {object} opts Plugin options
+ * @returns {string[]} Validation errors
+ */
+function validateAssets(opts) {
+  const errors = [];
+  [['adminAssetScope', 'Admin'], ['publicAssetScope', 'Public']].forEach(([key, label]) => {
+    const scope = opts[key];
+    if (scope !== undefined && scope !== '' && !ASSET_SCOPES.includes(scope)) {
+      errors.push(`${label} asset scope must be '${ASSET_SCOPES.join("' or '")}', not '${scope}'.`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Build the template context for the assets.  The plugin's own admin
+ * screens are its menu pages and the screens of its post types and
+ * taxonomies; its own public pages are those of its post types and
+ * taxonomies and the posts using its blocks or shortcodes.  The lists
+ * are PHP array literals, or empty strings when the plugin has none.
+ *
+ * @param {object} opts Plugin options
+ * @param {{ menuPages: string[], blocks: { fullName: string }[], shortcodes: { tag: string }[] }} plugin
+ *   Slugs of the plugin's admin menu pages, its blocks and its shortcodes
+ * @returns {object} Assets context
+ */
+function buildAssetsContext(opts, { menuPages, blocks, shortcodes }) {
+  const postTypes = literalOf(slugsOf(opts.postTypes));
+  const taxonomies = literalOf(slugsOf(opts.taxonomies));
+  return {
+    pipeline: Boolean(opts.assetPipeline),
+    admin: {
+      pluginOnly: opts.adminAssetScope === 'plugin',
+      pages: literalOf(menuPages),
+      postTypes,
+      taxonomies
+    },
+    public: {
+      pluginOnly: opts.publicAssetScope === 'plugin',
+      postTypes,
+      taxonomies,
+      blocks: literalOf(blocks.map((block) => block.fullName)),
+      shortcodes: literalOf(shortcodes.map((shortcode) => shortcode.tag))
+    }
+  };
+}
+
+module.exports = {
+  ASSET_SCOPES,
+  validateAssets,
+  buildAssetsContext
+};
@@ -0,0 +1,205 @@
+// Gutenberg blocks.  Validates the `blocks` option and prepares the
+// template context for each block's block.json and editor sources.
+// Sources are written to `blocks/<name>/` and built into
+// `build/<name>/` by @wordpress/scripts.
+
+const { escapePhpString, humanize } = require('./php');
+
+const BLOCK_CATEGORIES = ['text', 'media', 'design', 'widgets', 'theme', 'embed'];
+const ATTRIBUTE_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const ICON_PATTERN = /^[a-z0-9-]+$/;
+const ATTRIBUTE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const listOf = (value) => (Array.isArray(value) ? value : []);
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// JSON string contents without the surrounding quotes.
+const escapeJsonString = (value) => JSON.stringify(String(value)).slice(1, -1);
+
+/**
+ * Convert an attribute default to its declared type.  The form sends
+ * every default as text, manifests may use real values.
+ *
+ * @param {string} type Attribute type
+ * @param {*} value Default as entered
+ * @returns {{ value?: *, error?: string }} `value` is omitted when there is no default
+ */
+function parseAttributeDefault(type, value) {
+  if (isBlank(value)) {
+    return {};
+  }
+  if (type === 'string') {
+    return { value: String(value) };
+  }
+  if (type === 'number' || type === 'integer') {
+    const number = Number(value);
+    if (!Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+      return { error: `must be ${type === 'integer' ? 'an integer' : 'a number'}` };
+    }
+    return { value: number };
+  }
+  if (type === 'boolean') {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { error: "must be 'true' or 'false'" };
+  }
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (err) {
+      return { error: `must be a JSON ${type}` };
+    }
+  }
+  const matches = type === 'array'
+    ? Array.isArray(parsed)
+    : parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+  return matches ? { value: parsed } : { error: `must be a JSON ${type}` };
+}
+
+/**
+ * Check the block definitions.
+ *
+ * @param {object} opts Plugin options
+ * @returns {string[]} Validation errors
+ */
+function validateBlocks(opts) {
+  const errors = [];
+  const seen = new Set();
+  listOf(opts.blocks).forEach((block, index) => {
+    const label = `Block ${index + 1}`;
+    if (!isObject(block)) {
+      errors.push(`${label} must be an object.`);
+      return;
+    }
+    const name = String(block.name || '').trim();
+    if (!name) {
+      errors.push(`${label} needs a name.`);
+    } else if (!NAME_PATTERN.test(name)) {
+      errors.push(`${label}: '${name}' must start with a letter and use only lowercase letters, numbers and dashes.`);
+    } else if (seen.has(name)) {
+      errors.push(`${label}: '${name}' is defined more than once.`);
+    }
+    seen.add(name);
+    if (isBlank(block.title)) {
+      errors.push(`${label} needs a title.`);
+    }
+    if (!isBlank(block.category) && !BLOCK_CATEGORIES.includes(block.category)) {
+      errors.push(`${label}: unknown category '${block.category}'.`);
+    }
+    if (!isBlank(block.icon) && !ICON_PATTERN.test(String(block.icon).trim())) {
+      errors.push(`${label}: icon must be a Dashicon name such as 'smiley'.`);
+    }
+    const attributeNames = new Set();
+    listOf(block.attributes).forEach((attribute, attrIndex) => {
+      const attrLabel = `${label}, attribute ${attrIndex + 1}`;
+      if (!isObject(attribute)) {
+        errors.push(`${attrLabel} must be an object.`);
+        return;
+      }
+      const attrName = String(attribute.name || '').trim();
+      if (!attrName) {
+        errors.push(`${attrLabel} needs a name.`);
+      } else if (!ATTRIBUTE_PATTERN.test(attrName)) {
+        errors.push(`${attrLabel}: '${attrName}' must be a valid JavaScript identifier.`);
+      } else if (attributeNames.has(attrName)) {
+        errors.push(`${attrLabel}: '${attrName}' is defined more than once.`);
+      }
+      attributeNames.add(attrName);
+      const type = attribute.type || 'string';
+      if (!ATTRIBUTE_TYPES.includes(type)) {
+        errors.push(`${attrLabel}: unknown type '${type}'.`);
+      } else {
+        const { error } = parseAttributeDefault(type, attribute.default);
+        if (error) {
+          errors.push(`${attrLabel}: default ${error}.`);
+        }
+      }
+    });
+  });
+  return errors;
+}
+
+// Editor controls for the attribute types that have an obvious one,
+// and how numeric controls turn their text into the attribute value.
+const CONTROLS = {
+  string: 'TextControl',
+  number: 'TextControl',
+  integer: 'TextControl',
+  boolean: 'ToggleControl'
+};
+const PARSERS = {
+  number: 'Number( value )',
+  integer: 'parseInt( value, 10 )'
+};
+
+/**
+ * Build the template context for every block.  Entries without a name
+ * are skipped.  `titleJson` and `descriptionJson` are escaped for JSON
+ * strings, `title` and control labels for single-quoted PHP and
+ * JavaScript strings, and `attributesJson` is the ready-made
+ * `attributes` object of block.json.  Shortcode wrappers carry
+ * `shortcode`, `{ tag, enclosing }`; other blocks have `false`.
+ * `innerBlocks` is true for the wrappers of enclosing shortcodes,
+ * whose inner blocks are the enclosed content.
+ *
+ * @param {object} opts Plugin options
+ * @param {string} slug Plugin slug, used as the block namespace
+ * @returns {object[]} Block contexts
+ */
+function buildBlocksContext(opts, slug) {
+  return listOf(opts.blocks)
+    .filter((block) => String(block.name || '').trim())
+    .map((block) => {
+      const name = block.name.trim();
+      const title = String(block.title || '').trim() || humanize(name);
+      const attributes = listOf(block.attributes)
+        .filter((attribute) => String(attribute.name || '').trim())
+        .map((attribute) => {
+          const type = attribute.type || 'string';
+          return { name: attribute.name.trim(), type, ...parseAttributeDefault(type, attribute.default) };
+        });
+      const definitions = Object.fromEntries(attributes.map((attribute) => [
+        attribute.name,
+        attribute.value === undefined
+          ? { type: attribute.type }
+          : { type: attribute.type, default: attribute.value }
+      ]));
+      const controls = attributes
+        .filter(({ type }) => CONTROLS[type])
+        .map((attribute) => ({
+          name: attribute.name,
+          label: escapePhpString(humanize(attribute.name)),
+          toggle: attribute.type === 'boolean',
+          numeric: Boolean(PARSERS[attribute.type]),
+          parse: PARSERS[attribute.type] || 'value'
+        }));
+      const componentImports = ['PanelBody', ...new Set(attributes.map(({ type }) => CONTROLS[type]).filter(Boolean))];
+      return {
+        name,
+        fullName: `${slug}/${name}`,
+        title: escapePhpString(title),
+        titleJson: escapeJsonString(title),
+        descriptionJson: escapeJsonString(String(block.description || '').trim()),
+        category: block.category || 'widgets',
+        icon: String(block.icon || '').trim() || 'smiley',
+        dynamic: Boolean(block.dynamic),
+        attributesJson: JSON.stringify(definitions, null, '\t').replace(/\n/g, '\n\t'),
+        controls,
+        componentImports: componentImports.sort().join(', '),
+        // The shortcode a wrapper block renders (see lib/shortcodes.js).
+        shortcode: block.shortcode || false,
+        innerBlocks: Boolean(block.shortcode && block.shortcode.enclosing)
+      };
+    });
+}
+
+module.exports = {
+  BLOCK_CATEGORIES,
+  ATTRIBUTE_TYPES,
+  validateBlocks,
+  buildBlocksContext
+};
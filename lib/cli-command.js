@@ -0,0 +1,181 @@
+// WP-CLI command scaffolding.  Validates the `cliCommand` option and
+// prepares the template context for the command class: the PHPDoc
+// synopsis WP-CLI parses for every subcommand and the PHP that reads
+// each argument.
+
+const { escapePhpString, humanize } = require('./php');
+const { escapePhpComment } = require('./escape');
+
+const ARG_KINDS = ['positional', 'assoc', 'flag'];
+
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+// Reserved for the `$args` and `$assoc_args` method parameters.
+const RESERVED_VARIABLES = ['args', 'assoc_args'];
+
+const listOf = (value) => (Array.isArray(value) ? value : []);
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const trimmed = (value) => String(value === undefined || value === null ? '' : value).trim();
+const isBlank = (value) => trimmed(value) === '';
+
+const variableFor = (name) => name.replace(/-/g, '_');
+
+/**
+ * Check the WP-CLI command definition.
+ *
+ * @param {object} opts Plugin options
+ * @returns {string[]} Validation errors
+ */
+function validateCliCommand(opts) {
+  const command = opts.cliCommand;
+  if (!command) {
+    return [];
+  }
+  if (typeof command !== 'object' || Array.isArray(command)) {
+    return ["'cliCommand' must be an object."];
+  }
+  const errors = [];
+  if (!isBlank(command.name) && !NAME_PATTERN.test(trimmed(command.name))) {
+    errors.push(`WP-CLI command '${trimmed(command.name)}' must start with a letter and use only lowercase letters, numbers and dashes.`);
+  }
+  const subcommands = listOf(command.subcommands);
+  if (subcommands.length === 0) {
+    errors.push('Please add at least one subcommand to the WP-CLI command.');
+  }
+  const seen = new Set();
+  subcommands.forEach((subcommand, index) => {
+    const label = `Subcommand ${index + 1}`;
+    if (!isObject(subcommand)) {
+      errors.push(`${label} must be an object.`);
+      return;
+    }
+    const name = trimmed(subcommand.name);
+    if (!name) {
+      errors.push(`${label} needs a name.`);
+    } else if (!NAME_PATTERN.test(name)) {
+      errors.push(`${label}: '${name}' must start with a letter and use only lowercase letters, numbers and dashes.`);
+    } else if (seen.has(variableFor(name))) {
+      errors.push(`${label}: '${name}' is defined more than once.`);
+    }
+    seen.add(variableFor(name));
+
+    const variables = new Set(RESERVED_VARIABLES);
+    let optionalPositional = false;
+    listOf(subcommand.args).forEach((arg, argIndex) => {
+      const argLabel = `${label}, argument ${argIndex + 1}`;
+      if (!isObject(arg)) {
+        errors.push(`${argLabel} must be an object.`);
+        return;
+      }
+      const argName = trimmed(arg.name);
+      const kind = arg.kind || 'positional';
+      if (!ARG_KINDS.includes(kind)) {
+        errors.push(`${argLabel}: kind must be positional, assoc or flag.`);
+      }
+      if (!argName) {
+        errors.push(`${argLabel} needs a name.`);
+      } else if (!NAME_PATTERN.test(argName)) {
+        errors.push(`${argLabel}: '${argName}' must start with a letter and use only lowercase letters, numbers and dashes.`);
+      } else if (variables.has(variableFor(argName))) {
+        errors.push(`${argLabel}: '${argName}' is already used.`);
+      }
+      variables.add(variableFor(argName));
+      if (kind === 'positional') {
+        if (arg.optional) {
+          optionalPositional = true;
+        } else if (optionalPositional) {
+          errors.push(`${argLabel}: required positional arguments must come before optional ones.`);
+        }
+      }
+      if (!isBlank(arg.default) && kind !== 'assoc') {
+        errors.push(`${argLabel}: only assoc arguments can have a default.`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Describe one argument: its synopsis token and the PHP statement that
+ * reads it into a variable.
+ */
+const describeArg = (arg, position) => {
+  const name = trimmed(arg.name);
+  const variable = `$${variableFor(name)}`;
+  const kind = arg.kind || 'positional';
+  const optional = Boolean(arg.optional);
+  const defaultValue = kind === 'assoc' && !isBlank(arg.default) ? escapePhpComment(arg.default) : '';
+  let token;
+  let assignment;
+  if (kind === 'flag') {
+    token = `[--${name}]`;
+    assignment = `${variable} = \\WP_CLI\\Utils\\get_flag_value( $assoc_args, '${name}', false );`;
+  } else if (kind === 'assoc') {
+    token = optional ? `[--${name}=<${name}>]` : `--${name}=<${name}>`;
+    // WP-CLI fills in defaults declared in the synopsis.
+    assignment = optional && !defaultValue
+      ? `${variable} = isset( $assoc_args['${name}'] ) ? $assoc_args['${name}'] : null;`
+      : `${variable} = $assoc_args['${name}'];`;
+  } else {
+    token = optional ? `[<${name}>]` : `<${name}>`;
+    assignment = optional
+      ? `${variable} = isset( $args[${position}] ) ? $args[${position}] : null;`
+      : `${variable} = $args[${position}];`;
+  }
+  return {
+    token,
+    description: escapePhpComment(arg.description) || humanize(name),
+    defaultValue,
+    assignment,
+    example: kind === 'positional' ? `<${name}>` : token.replace(/^\[|\]$/g, '')
+  };
+};
+
+/**
+ * Build the template context for the WP-CLI command class, or null when
+ * no command is configured.
+ *
+ * @param {object} opts Plugin options
+ * @param {string} slug Plugin slug, the default command name
+ * @returns {{ name: string, description: string, subcommands: object[] } | null}
+ */
+function buildCliCommandContext(opts, slug) {
+  const command = opts.cliCommand;
+  if (!command || typeof command !== 'object') {
+    return null;
+  }
+  const name = trimmed(command.name) || slug;
+  const subcommands = listOf(command.subcommands)
+    .filter((subcommand) => trimmed(subcommand.name))
+    .map((subcommand) => {
+      const subcommandName = trimmed(subcommand.name);
+      let position = 0;
+      const args = listOf(subcommand.args)
+        .filter((arg) => trimmed(arg.name))
+        .map((arg) => {
+          const described = describeArg(arg, position);
+          if ((arg.kind || 'positional') === 'positional') {
+            position += 1;
+          }
+          return described;
+        });
+      return {
+        name: subcommandName,
+        method: variableFor(subcommandName),
+        description: escapePhpComment(subcommand.description) || `Run the ${subcommandName} task.`,
+        args,
+        example: [`wp ${name} ${subcommandName}`, ...args.filter((arg) => !arg.token.startsWith('[')).map((arg) => arg.example)].join(' '),
+        successMessage: escapePhpString(`Finished ${subcommandName}.`)
+      };
+    });
+  return {
+    name,
+    description: escapePhpComment(command.description) || escapePhpComment(`Manage ${trimmed(opts.name) || slug}.`),
+    subcommands
+  };
+}
+
+module.exports = {
+  ARG_KINDS,
+  validateCliCommand,
+  buildCliCommandContext
+};
@@ -0,0 +1,178 @@
+// Custom post types and taxonomies.  Validates the `postTypes` and
+// `taxonomies` options and prepares the template context for the
+// generated content types class.
+
+const { escapePhpString, phpString, phpBool, phpStringArray, humanize } = require('./php');
+
+const POST_TYPE_SUPPORTS = [
+  'title',
+  'editor',
+  'author',
+  'thumbnail',
+  'excerpt',
+  'comments',
+  'revisions',
+  'custom-fields',
+  'page-attributes'
+];
+
+// WordPress limits post type keys to 20 and taxonomy keys to 32
+// characters.
+const POST_TYPE_SLUG_MAX = 20;
+const TAXONOMY_SLUG_MAX = 32;
+const KEY_PATTERN = /^[a-z0-9_-]+$/;
+
+const listOf = (value) => (Array.isArray(value) ? value : []);
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check the post type and taxonomy definitions.
+ *
+ * @param {object} opts Plugin options
+ * @returns {string[]} Validation errors
+ */
+function validateContentTypes(opts) {
+  const errors = [];
+  const postTypes = listOf(opts.postTypes);
+  const taxonomies = listOf(opts.taxonomies);
+  const seen = new Set();
+
+  postTypes.forEach((postType, index) => {
+    const label = `Post type ${index + 1}`;
+    if (!isObject(postType)) {
+      errors.push(`${label} must be an object.`);
+      return;
+    }
+    const slug = String(postType.slug || '').trim();
+    if (!slug) {
+      errors.push(`${label} needs a slug.`);
+    } else if (!KEY_PATTERN.test(slug) || slug.length > POST_TYPE_SLUG_MAX) {
+      errors.push(`${label}: '${slug}' must be at most ${POST_TYPE_SLUG_MAX} lowercase letters, numbers, dashes or underscores.`);
+    } else if (seen.has(slug)) {
+      errors.push(`${label}: '${slug}' is defined more than once.`);
+    }
+    seen.add(slug);
+    listOf(postType.supports).forEach((feature) => {
+      if (!POST_TYPE_SUPPORTS.includes(feature)) {
+        errors.push(`${label}: unknown supports feature '${feature}'.`);
+      }
+    });
+  });
+
+  taxonomies.forEach((taxonomy, index) => {
+    const label = `Taxonomy ${index + 1}`;
+    if (!isObject(taxonomy)) {
+      errors.push(`${label} must be an object.`);
+      return;
+    }
+    const slug = String(taxonomy.slug || '').trim();
+    if (!slug) {
+      errors.push(`${label} needs a slug.`);
+    } else if (!KEY_PATTERN.test(slug) || slug.length > TAXONOMY_SLUG_MAX) {
+      errors.push(`${label}: '${slug}' must be at most ${TAXONOMY_SLUG_MAX} lowercase letters, numbers, dashes or underscores.`);
+    } else if (seen.has(slug)) {
+      errors.push(`${label}: '${slug}' is already used by another post type or taxonomy.`);
+    }
+    seen.add(slug);
+    if (listOf(taxonomy.postTypes).length === 0) {
+      errors.push(`${label}: choose at least one post type to attach it to.`);
+    }
+  });
+  return errors;
+}
+
+const postTypeLabels = (singular, plural) => [
+  ['name', plural],
+  ['singular_name', singular],
+  ['menu_name', plural],
+  ['add_new_item', `Add New ${singular}`],
+  ['edit_item', `Edit ${singular}`],
+  ['new_item', `New ${singular}`],
+  ['view_item', `View ${singular}`],
+  ['all_items', `All ${plural}`],
+  ['search_items', `Search ${plural}`],
+  ['not_found', `No ${plural.toLowerCase()} found.`]
+];
+
+const taxonomyLabels = (singular, plural) => [
+  ['name', plural],
+  ['singular_name', singular],
+  ['menu_name', plural],
+  ['all_items', `All ${plural}`],
+  ['edit_item', `Edit ${singular}`],
+  ['add_new_item', `Add New ${singular}`],
+  ['new_item_name', `New ${singular} Name`],
+  ['search_items', `Search ${plural}`],
+  ['not_found', `No ${plural.toLowerCase()} found.`]
+];
+
+const rewriteArg = (item) => (item.rewrite === false
+  ? 'false'
+  : `array( 'slug' => ${phpString(String(item.rewriteSlug || '').trim() || item.slug)} )`);
+
+const labelsFor = (pairs) => pairs.map(([key, text]) => ({ key, text: escapePhpString(text) }));
+
+/**
+ * Build the template context for the content types class, or null when
+ * no post types or taxonomies are defined.  Entries without a slug are
+ * skipped.  Label texts are escaped for single-quoted PHP strings and
+ * argument values are ready-made PHP literals.
+ *
+ * @param {object} opts Plugin options
+ * @returns {{ postTypes: object[], taxonomies: object[] } | null}
+ */
+function buildContentTypesContext(opts) {
+  const postTypes = listOf(opts.postTypes)
+    .filter((item) => String(item.slug || '').trim())
+    .map((item) => {
+      const slug = item.slug.trim();
+      const singular = String(item.singular || '').trim() || humanize(slug);
+      const plural = String(item.plural || '').trim() || `${singular}s`;
+      const isPublic = item.public !== false;
+      return {
+        slug,
+        labels: labelsFor(postTypeLabels(singular, plural)),
+        args: [
+          { key: 'public', value: phpBool(isPublic) },
+          { key: 'show_ui', value: 'true' },
+          { key: 'has_archive', value: phpBool(isPublic && item.hasArchive !== false) },
+          { key: 'hierarchical', value: phpBool(item.hierarchical) },
+          { key: 'show_in_rest', value: phpBool(item.showInRest !== false) },
+          { key: 'supports', value: phpStringArray(listOf(item.supports).length ? item.supports : ['title', 'editor']) },
+          { key: 'rewrite', value: rewriteArg({ ...item, slug }) },
+          { key: 'menu_icon', value: phpString(String(item.menuIcon || '').trim() || 'dashicons-admin-post') }
+        ]
+      };
+    });
+
+  const taxonomies = listOf(opts.taxonomies)
+    .filter((item) => String(item.slug || '').trim())
+    .map((item) => {
+      const slug = item.slug.trim();
+      const singular = String(item.singular || '').trim() || humanize(slug);
+      const plural = String(item.plural || '').trim() || `${singular}s`;
+      return {
+        slug,
+        objectTypes: phpStringArray(listOf(item.postTypes)),
+        labels: labelsFor(taxonomyLabels(singular, plural)),
+        args: [
+          { key: 'public', value: 'true' },
+          { key: 'hierarchical', value: phpBool(item.hierarchical) },
+          { key: 'show_admin_column', value: 'true' },
+          { key: 'show_in_rest', value: phpBool(item.showInRest !== false) },
+          { key: 'rewrite', value: rewriteArg({ ...item, slug }) }
+        ]
+      };
+    });
+
+  if (postTypes.length === 0 && taxonomies.length === 0) {
+    return null;
+  }
+  return { postTypes, taxonomies };
+}
+
+module.exports = {
+  POST_TYPE_SUPPORTS,
+  validateContentTypes,
+  buildContentTypesContext
+};
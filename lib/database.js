@@ -0,0 +1,249 @@
+// Custom database tables.  Validates the `tables` option and prepares
+// the template context for the Activator's dbDelta() schema, the
+// schema version upgrade check and uninstall.php.
+
+const { phpString } = require('./php');
+
+// Column types and what each accepts.  `length` is 'required',
+// 'optional' (with `defaultLength`) or absent when the type takes none.
+const COLUMN_TYPES = {
+  bigint: { numeric: true, integer: true },
+  int: { numeric: true, integer: true },
+  smallint: { numeric: true, integer: true },
+  tinyint: { numeric: true, integer: true },
+  decimal: { numeric: true, length: 'optional', defaultLength: '10,2', lengthPattern: /^\d+(,\d+)?$/ },
+  float: { numeric: true },
+  double: { numeric: true },
+  varchar: { length: 'optional', defaultLength: '255', lengthPattern: /^\d+$/ },
+  char: { length: 'required', lengthPattern: /^\d+$/ },
+  text: { noDefault: true },
+  mediumtext: { noDefault: true },
+  longtext: { noDefault: true },
+  datetime: { timestamp: true },
+  date: {},
+  time: {},
+  timestamp: { timestamp: true }
+};
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+// MySQL allows 64 characters; leave room for the table prefix.
+const TABLE_NAME_MAX = 48;
+
+const listOf = (value) => (Array.isArray(value) ? value : []);
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const trimmed = (value) => String(value === undefined || value === null ? '' : value).trim();
+const isBlank = (value) => trimmed(value) === '';
+
+// Column lists may be given as a list or as comma separated text.
+const namesOf = (value) => (Array.isArray(value) ? value : trimmed(value).split(','))
+  .map(trimmed)
+  .filter(Boolean);
+
+const primaryKeyOf = (table) => {
+  const declared = namesOf(table.primaryKey);
+  if (declared.length) return declared;
+  const autoIncrement = listOf(table.columns).find((column) => isObject(column) && column.autoIncrement);
+  return autoIncrement ? [trimmed(autoIncrement.name)] : [];
+};
+
+/**
+ * Check the table definitions.
+ *
+ * @param {object} opts Plugin options
+ * @returns {string[]} Validation errors
+ */
+function validateTables(opts) {
+  const errors = [];
+  const tables = listOf(opts.tables);
+  if (!isBlank(opts.schemaVersion) && !/^[0-9A-Za-z.-]+$/.test(trimmed(opts.schemaVersion))) {
+    errors.push(`Schema version '${trimmed(opts.schemaVersion)}' may only contain letters, numbers, dots and dashes.`);
+  }
+  const seen = new Set();
+  tables.forEach((table, index) => {
+    const label = `Table ${index + 1}`;
+    if (!isObject(table)) {
+      errors.push(`${label} must be an object.`);
+      return;
+    }
+    const name = trimmed(table.name);
+    if (!name) {
+      errors.push(`${label} needs a name.`);
+    } else if (!NAME_PATTERN.test(name) || name.length > TABLE_NAME_MAX) {
+      errors.push(`${label}: '${name}' must start with a letter and use at most ${TABLE_NAME_MAX} lowercase letters, numbers and underscores.`);
+    } else if (seen.has(name)) {
+      errors.push(`${label}: '${name}' is defined more than once.`);
+    }
+    seen.add(name);
+
+    const columns = listOf(table.columns);
+    if (columns.length === 0) {
+      errors.push(`${label} needs at least one column.`);
+    }
+    const columnTypes = new Map();
+    let autoIncrementColumn = '';
+    columns.forEach((column, columnIndex) => {
+      const columnLabel = `${label}, column ${columnIndex + 1}`;
+      if (!isObject(column)) {
+        errors.push(`${columnLabel} must be an object.`);
+        return;
+      }
+      const columnName = trimmed(column.name);
+      if (!columnName) {
+        errors.push(`${columnLabel} needs a name.`);
+      } else if (!NAME_PATTERN.test(columnName)) {
+        errors.push(`${columnLabel}: '${columnName}' must start with a letter and use only lowercase letters, numbers and underscores.`);
+      } else if (columnTypes.has(columnName)) {
+        errors.push(`${columnLabel}: '${columnName}' is defined more than once.`);
+      }
+      const type = trimmed(column.type).toLowerCase() || 'varchar';
+      const info = COLUMN_TYPES[type];
+      columnTypes.set(columnName, type);
+      if (!info) {
+        errors.push(`${columnLabel}: unknown type '${type}'.`);
+        return;
+      }
+      const length = trimmed(column.length);
+      if (info.length === 'required' && !length) {
+        errors.push(`${columnLabel}: ${type} columns need a length.`);
+      } else if (length && !info.length) {
+        errors.push(`${columnLabel}: ${type} columns do not take a length.`);
+      } else if (length && !info.lengthPattern.test(length)) {
+        errors.push(`${columnLabel}: length '${length}' must be a number${type === 'decimal' ? ' or precision,scale such as 10,2' : ''}.`);
+      }
+      if (column.unsigned && !info.numeric) {
+        errors.push(`${columnLabel}: only numeric columns can be unsigned.`);
+      }
+      if (column.autoIncrement) {
+        if (!info.integer) {
+          errors.push(`${columnLabel}: only integer columns can auto-increment.`);
+        }
+        if (autoIncrementColumn) {
+          errors.push(`${columnLabel}: a table can only have one auto-increment column.`);
+        }
+        autoIncrementColumn = columnName;
+      }
+      const defaultValue = trimmed(column.default);
+      if (defaultValue) {
+        if (info.noDefault) {
+          errors.push(`${columnLabel}: ${type} columns cannot have a default.`);
+        } else if (info.numeric && !Number.isFinite(Number(defaultValue))) {
+          errors.push(`${columnLabel}: default must be a number.`);
+        } else if (column.autoIncrement) {
+          errors.push(`${columnLabel}: auto-increment columns cannot have a default.`);
+        }
+      }
+    });
+
+    const primaryKey = primaryKeyOf(table);
+    if (columns.length && primaryKey.length === 0) {
+      errors.push(`${label} needs a primary key; dbDelta() relies on it to update the table.`);
+    }
+    primaryKey.filter((column) => !columnTypes.has(column)).forEach((column) => {
+      errors.push(`${label}: primary key column '${column}' is not defined.`);
+    });
+    if (autoIncrementColumn && !primaryKey.includes(autoIncrementColumn)) {
+      errors.push(`${label}: the auto-increment column '${autoIncrementColumn}' must be part of the primary key.`);
+    }
+
+    const indexNames = new Set();
+    listOf(table.indexes).forEach((index, indexIndex) => {
+      const indexLabel = `${label}, index ${indexIndex + 1}`;
+      if (!isObject(index)) {
+        errors.push(`${indexLabel} must be an object.`);
+        return;
+      }
+      const indexName = trimmed(index.name);
+      if (!indexName) {
+        errors.push(`${indexLabel} needs a name.`);
+      } else if (!NAME_PATTERN.test(indexName)) {
+        errors.push(`${indexLabel}: '${indexName}' must start with a letter and use only lowercase letters, numbers and underscores.`);
+      } else if (indexNames.has(indexName)) {
+        errors.push(`${indexLabel}: '${indexName}' is defined more than once.`);
+      }
+      indexNames.add(indexName);
+      const indexColumns = namesOf(index.columns);
+      if (indexColumns.length === 0) {
+        errors.push(`${indexLabel} needs at least one column.`);
+      }
+      indexColumns.forEach((column) => {
+        if (!columnTypes.has(column)) {
+          errors.push(`${indexLabel}: column '${column}' is not defined.`);
+        } else if (COLUMN_TYPES[columnTypes.get(column)] && COLUMN_TYPES[columnTypes.get(column)].noDefault) {
+          errors.push(`${indexLabel}: '${column}' is a ${columnTypes.get(column)} column; index a varchar column instead.`);
+        }
+      });
+    });
+  });
+  return errors;
+}
+
+// Escape text for a double-quoted PHP string.
+const escapePhpDoubleQuoted = (value) => String(value).replace(/[\\"$]/g, (char) => `\\${char}`);
+
+/**
+ * SQL definition of one column in the format dbDelta() expects, e.g.
+ * `id bigint unsigned NOT NULL AUTO_INCREMENT`.
+ */
+const columnDefinition = (column) => {
+  const type = trimmed(column.type).toLowerCase() || 'varchar';
+  const info = COLUMN_TYPES[type];
+  const length = trimmed(column.length) || info.defaultLength;
+  const parts = [trimmed(column.name), length ? `${type}(${length})` : type];
+  if (column.unsigned) parts.push('unsigned');
+  parts.push(column.nullable ? 'NULL' : 'NOT NULL');
+  const defaultValue = trimmed(column.default);
+  if (defaultValue) {
+    if (info.numeric) {
+      parts.push(`DEFAULT ${Number(defaultValue)}`);
+    } else if (info.timestamp && defaultValue.toUpperCase() === 'CURRENT_TIMESTAMP') {
+      parts.push('DEFAULT CURRENT_TIMESTAMP');
+    } else {
+      parts.push(`DEFAULT '${defaultValue.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`);
+    }
+  }
+  if (column.autoIncrement) parts.push('AUTO_INCREMENT');
+  return parts.join(' ');
+};
+
+/**
+ * Build the template context for the plugin's tables, or false when it
+ * has none.  Each table's `lines` are the column and key definitions of
+ * its CREATE TABLE statement, escaped for a double-quoted PHP string
+ * and with the separating commas in place.  dbDelta() needs two spaces
+ * after PRIMARY KEY and KEY rather than INDEX.
+ *
+ * @param {object} opts Plugin options
+ * @param {string} functionPrefix Prefix for option names
+ * @returns {{ version: string, versionOption: string, tables: object[] } | false}
+ */
+function buildDatabaseContext(opts, functionPrefix) {
+  const tables = listOf(opts.tables)
+    .filter((table) => trimmed(table.name))
+    .map((table) => {
+      const definitions = [
+        ...listOf(table.columns).filter((column) => trimmed(column.name)).map(columnDefinition),
+        `PRIMARY KEY  (${primaryKeyOf(table).join(',')})`,
+        ...listOf(table.indexes)
+          .filter((index) => trimmed(index.name))
+          .map((index) => `${index.unique ? 'UNIQUE KEY' : 'KEY'} ${trimmed(index.name)} (${namesOf(index.columns).join(',')})`)
+      ];
+      return {
+        name: trimmed(table.name),
+        lines: definitions.map((line, index) => escapePhpDoubleQuoted(index < definitions.length - 1 ? `${line},` : line))
+      };
+    });
+  if (tables.length === 0) {
+    return false;
+  }
+  return {
+    version: phpString(trimmed(opts.schemaVersion) || trimmed(opts.version) || '1.0.0'),
+    versionOption: `${functionPrefix}_db_version`,
+    tables
+  };
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  validateTables,
+  buildDatabaseContext
+};
@@ -0,0 +1,91 @@
+// Line-based unified diffs, used to show edits to existing plugin files
+// for approval before they are written.  Plugin files are small, so a
+// plain longest-common-subsequence table is fast enough.
+
+/**
+ * Edit script turning `before` into `after`: `[' ', line]` for kept
+ * lines, `['-', line]` and `['+', line]` for removed and added ones.
+ */
+function diffLines(before, after) {
+  const rows = before.length;
+  const cols = after.length;
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = cols - 1; j >= 0; j -= 1) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && before[i] === after[j]) {
+      ops.push([' ', before[i]]);
+      i += 1;
+      j += 1;
+    } else if (i < rows && (j === cols || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      ops.push(['-', before[i]]);
+      i += 1;
+    } else {
+      ops.push(['+', after[j]]);
+      j += 1;
+    }
+  }
+  return ops;
+}
+
+const splitLines = (text) => (text === '' ? [] : text.replace(/\n$/, '').split('\n'));
+
+/**
+ * Unified diff of two versions of a file, as `git diff` prints it.  A
+ * new file is diffed against an empty one.
+ *
+ * @param {string|null} before Current contents, or null for a new file
+ * @param {string} after New contents
+ * @param {string} filePath Path shown in the diff header
+ * @param {number} [context] Unchanged lines shown around each change
+ * @returns {string} The diff, or '' when nothing changed
+ */
+function unifiedDiff(before, after, filePath, context = 3) {
+  const ops = diffLines(splitLines(before || ''), splitLines(after));
+  const changed = ops.map((op, index) => (op[0] !== ' ' ? index : -1)).filter((index) => index >= 0);
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context overlaps into hunks.
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const lines = [before === null ? '--- /dev/null' : `--- a/${filePath}`, `+++ b/${filePath}`];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length, hunk.end + context + 1);
+    // Line numbers where the hunk starts in the old and new file.
+    let oldLine = 1;
+    let newLine = 1;
+    ops.slice(0, from).forEach(([type]) => {
+      if (type !== '+') oldLine += 1;
+      if (type !== '-') newLine += 1;
+    });
+    const slice = ops.slice(from, to);
+    const oldCount = slice.filter(([type]) => type !== '+').length;
+    const newCount = slice.filter(([type]) => type !== '-').length;
+    lines.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+    slice.forEach(([type, line]) => lines.push(`${type}${line}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  unifiedDiff
+};
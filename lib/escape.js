@@ -0,0 +1,57 @@
+// Escaping of free text for the places the generator writes it to.
+// Templates insert context values verbatim, so every user-supplied
+// string is escaped here for its destination before it reaches them:
+// a single-quoted PHP string, a PHP comment (the plugin header), a JSON
+// document or readme.txt.
+
+const { escapePhpString } = require('./php');
+
+/**
+ * Make text safe inside a PHP block comment, such as the plugin header:
+ * one line, with no sequence that would close the comment.  WordPress
+ * shows header fields as they are written, so `*` followed by `/` is
+ * split with a space, which still reads correctly.
+ *
+ * @param {*} value Text
+ * @returns {string}
+ */
+function escapePhpComment(value) {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/\*\//g, '* /');
+}
+
+/**
+ * Serialize a value as a JSON literal, quotes included.
+ *
+ * @param {*} value Value
+ * @returns {string}
+ */
+function jsonValue(value) {
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Make text safe for a single-line readme.txt field, such as the plugin
+ * name in the `=== Name ===` title or the short description: one line,
+ * with no leading `=` or `#` that would turn it into a heading.
+ *
+ * @param {*} value Text
+ * @returns {string}
+ */
+function escapeReadmeText(value) {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^[=#]+\s*/, '');
+}
+
+module.exports = {
+  escapePhpString,
+  escapePhpComment,
+  jsonValue,
+  escapeReadmeText
+};
@@ -0,0 +1,340 @@
+// Adding libraries and snippets to a plugin generated earlier.  The
+// plugin's main file and core class tell its slug, structure and the
+// components it already has.  New component classes are rendered from
+// the same templates as a fresh plugin; existing files (the core class
+// and composer.json) are edited in place and every change is returned
+// as a diff, so it can be approved before anything is written.  The
+// translation template is extracted again, so it has the strings of the
+// new components.
+
+const path = require('path');
+const fs = require('fs').promises;
+const { AVAILABLE_SNIPPETS, buildPluginFiles } = require('./generator');
+const { loadTemplates, renderTemplate } = require('./templates');
+const { buildPotContext } = require('./pot');
+const { loadLibraryRegistry } = require('./libraries');
+const { FORM_DEFAULTS, validatePluginOptions } = require('./manifest');
+const { normalizePluginFields } = require('./validation');
+const { readPluginInfo } = require('./release');
+const { unifiedDiff } = require('./diff');
+
+const HEADER_OPTIONS = {
+  name: 'Plugin Name',
+  pluginUri: 'Plugin URI',
+  description: 'Description',
+  version: 'Version',
+  requiresAtLeast: 'Requires at least',
+  requiresPhp: 'Requires PHP',
+  author: 'Author',
+  authorUri: 'Author URI'
+};
+
+const readHeader = (contents, field) => {
+  const match = new RegExp(`^[ \\t*#@]*${field}:[ \\t]*(.*)$`, 'mi').exec(contents);
+  return match ? match[1].trim() : '';
+};
+
+const readOptional = (filePath) => fs.readFile(filePath, 'utf8').catch((err) => {
+  if (err.code === 'ENOENT') return null;
+  throw err;
+});
+
+// Directories that hold no plugin sources.  Strings are extracted from
+// blocks/ and assets/, not from what `npm run build` makes of them.
+const NON_SOURCE_DIRECTORIES = new Set(['.git', 'node_modules', 'vendor', 'build']);
+
+// Files the translation template is extracted from.
+const isSourceFile = (filePath) => /\.(php|js)$/.test(filePath) || path.posix.basename(filePath) === 'block.json';
+
+// The POT-Creation-Date changes every time a template is extracted.
+const withoutCreationDate = (pot) => pot.replace(/^"POT-Creation-Date: .*$/m, '');
+
+/**
+ * Absolute path of a file in the plugin.  Paths leaving the plugin
+ * directory are refused.
+ *
+ * @param {string} pluginDir Plugin directory
+ * @param {string} filePath Path relative to it, with forward slashes
+ * @returns {string}
+ */
+function pluginFilePath(pluginDir, filePath) {
+  const root = path.resolve(pluginDir);
+  const target = path.resolve(root, String(filePath));
+  const relative = path.relative(root, target);
+  if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new Error(`${filePath} is not a file inside the plugin directory.`);
+  }
+  return target;
+}
+
+/**
+ * Read the plugin's PHP and JavaScript sources and block.json files, in
+ * path order.
+ *
+ * @param {string} pluginDir Plugin directory
+ * @param {string} [prefix] Subdirectory being read
+ * @returns {Promise<{ path: string, contents: string }[]>}
+ */
+async function collectSourceFiles(pluginDir, prefix = '') {
+  const files = [];
+  const entries = await fs.readdir(path.join(pluginDir, prefix), { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (!NON_SOURCE_DIRECTORIES.has(entry.name)) {
+        files.push(...(await collectSourceFiles(pluginDir, relative)));
+      }
+    } else if (entry.isFile() && isSourceFile(relative)) {
+      files.push({ path: relative, contents: await fs.readFile(path.join(pluginDir, relative), 'utf8') });
+    }
+  }
+  return files;
+}
+
+// Where the generator writes a component class (see describeComponent()
+// in lib/generator.js).
+const componentPath = (slug, modern, id, info, group) => (modern
+  ? `src/${group}/${info.classSuffix}.php`
+  : `includes/class-${slug}-${id}.php`);
+
+/**
+ * Read what the generator needs to know about an existing plugin: its
+ * header, structure, namespace and installed libraries and snippets.
+ *
+ * @param {string} pluginDir Plugin directory
+ * @param {{ libraryDirs?: string[] }} [options] Directories of
+ *   installed library definitions, besides the built-in ones
+ * @returns {Promise<{ pluginDir: string, slug: string, mainFile: string, coreFile: string, modern: boolean, options: object, libraries: string[], snippets: string[] }>}
+ *   `options` are generator options reproducing the plugin
+ */
+async function inspectPlugin(pluginDir, { libraryDirs } = {}) {
+  const { slug, file: mainFile } = await readPluginInfo(pluginDir);
+  const main = await fs.readFile(path.join(pluginDir, mainFile), 'utf8');
+  const modern = (await readOptional(path.join(pluginDir, 'src', 'Plugin.php'))) !== null;
+  const coreFile = modern ? 'src/Plugin.php' : `includes/class-${slug}.php`;
+  const core = await readOptional(path.join(pluginDir, ...coreFile.split('/')));
+  if (core === null) {
+    throw new Error(`${coreFile} not found; only plugins created by this generator can be extended.`);
+  }
+  if (!/function\s+define_component_hooks\s*\(/.test(core)) {
+    throw new Error(`${coreFile} has no define_component_hooks() method to register new components in.`);
+  }
+
+  const options = { ...FORM_DEFAULTS, slug, modernStructure: modern };
+  Object.entries(HEADER_OPTIONS).forEach(([key, field]) => {
+    options[key] = readHeader(main, field) || options[key] || '';
+  });
+  const readme = await readOptional(path.join(pluginDir, 'readme.txt'));
+  if (readme !== null) {
+    options.testedUpTo = readHeader(readme, 'Tested up to') || options.testedUpTo;
+    options.contributors = readHeader(readme, 'Contributors');
+  }
+  if (modern) {
+    const namespace = /^namespace\s+([^;\s]+)\s*;/m.exec(core);
+    if (!namespace || !namespace[1].includes('\\')) {
+      throw new Error(`${coreFile} does not declare a Vendor\\Plugin namespace.`);
+    }
+    options.vendor = namespace[1].split('\\')[0];
+  }
+  // The update checker tells the repository and its host: Gitea plugins
+  // read update-info.json from a branch, self-hosted GitLab ones name
+  // their server to the checker (see buildUpdateCheckerContext()).
+  const repo = /buildUpdateChecker\(\s*'([^']+)'/.exec(main);
+  if (repo) {
+    const updateInfo = /^(.*)\/raw\/branch\/(.+)\/update-info\.json$/.exec(repo[1]);
+    const branch = /->setBranch\(\s*'([^']+)'/.exec(main);
+    options.repo = updateInfo ? updateInfo[1] : repo[1];
+    options.branch = updateInfo ? updateInfo[2] : (branch ? branch[1] : 'main');
+    if (updateInfo) {
+      options.repoHost = 'gitea';
+    } else if (/'GitLab'\s*:\s*\$service/.test(main) || /^https?:\/\/gitlab\.com\//.test(repo[1])) {
+      options.repoHost = 'gitlab';
+    }
+  }
+  options.withComposer = (await readOptional(path.join(pluginDir, 'composer.json'))) !== null;
+  if (libraryDirs) {
+    options.libraryDirs = libraryDirs;
+  }
+
+  const installed = async (components, group) => {
+    const ids = [];
+    for (const [id, info] of Object.entries(components)) {
+      const file = componentPath(slug, modern, id, info, group);
+      if ((await readOptional(path.join(pluginDir, ...file.split('/')))) !== null) {
+        ids.push(id);
+      }
+    }
+    return ids;
+  };
+  return {
+    pluginDir,
+    slug,
+    mainFile,
+    coreFile,
+    modern,
+    options,
+    libraries: await installed(await loadLibraryRegistry(libraryDirs), 'Libraries'),
+    snippets: await installed(AVAILABLE_SNIPPETS, 'Snippets')
+  };
+}
+
+/**
+ * Line range of a method's body: from the line after its declaration to
+ * the line with its closing brace, which is indented like the
+ * declaration.
+ */
+function methodBody(lines, name) {
+  const declaration = lines.findIndex((line) => new RegExp(`function\\s+${name}\\s*\\(`).test(line));
+  if (declaration === -1) {
+    return null;
+  }
+  const indent = /^\s*/.exec(lines[declaration])[0];
+  const end = lines.findIndex((line, index) => index > declaration && line === `${indent}}`);
+  return end === -1 ? null : { start: declaration + 1, end };
+}
+
+/**
+ * Work out the changes that add libraries and snippets to an existing
+ * plugin without writing anything.  Components it already has are
+ * skipped.  New component classes become new files; their `require_once`
+ * lines (classic structure) and hook registrations are inserted into the
+ * core class, and their Composer packages merged into composer.json.
+ * `languages/{slug}.pot` is extracted again from the plugin's sources
+ * with these changes applied, and included when its strings change.
+ *
+ * @param {string} pluginDir Plugin directory
+ * @param {{ libraries?: string[], libraryConfig?: object, libraryDirs?: string[], snippets?: string[], settingsConfig?: object, restConfig?: object, templateDir?: string }} request
+ * @returns {Promise<{ slug: string, pluginDir: string, added: string[], files: { path: string, before: string|null, after: string, diff: string }[] }>}
+ *   `before` is null for new files
+ */
+async function planComponentChanges(pluginDir, request) {
+  const plugin = await inspectPlugin(pluginDir, { libraryDirs: request.libraryDirs });
+  const registry = await loadLibraryRegistry(request.libraryDirs);
+  const libraries = (request.libraries || []).filter((id) => !plugin.libraries.includes(id));
+  const snippets = (request.snippets || []).filter((id) => !plugin.snippets.includes(id));
+  if (libraries.length === 0 && snippets.length === 0) {
+    throw new Error('Nothing to add: choose at least one library or snippet the plugin does not have yet.');
+  }
+
+  // Generate a plugin with only the new components; its component files
+  // and core class hold exactly what has to be added.
+  const opts = normalizePluginFields({
+    ...plugin.options,
+    libraries,
+    libraryConfig: request.libraryConfig,
+    snippets,
+    settingsConfig: request.settingsConfig,
+    restConfig: request.restConfig,
+    templateDir: request.templateDir,
+    outputDir: path.dirname(path.resolve(pluginDir))
+  });
+  const errors = validatePluginOptions(opts, registry);
+  if (errors.length) {
+    throw new Error(errors.join(' '));
+  }
+  const fileSet = await buildPluginFiles(opts);
+  const generated = new Map(fileSet.files.map((file) => [file.path, file.contents]));
+  const files = [];
+
+  for (const component of fileSet.components) {
+    const target = path.join(pluginDir, ...component.path.split('/'));
+    if ((await readOptional(target)) !== null) {
+      throw new Error(`${component.path} already exists.`);
+    }
+    files.push({ path: component.path, before: null, after: generated.get(component.path) });
+  }
+
+  const core = await fs.readFile(path.join(pluginDir, ...plugin.coreFile.split('/')), 'utf8');
+  const coreLines = core.split('\n');
+  const generatedLines = generated.get(plugin.coreFile).split('\n');
+  const hooks = methodBody(generatedLines, 'define_component_hooks');
+  const existingHooks = methodBody(coreLines, 'define_component_hooks');
+  if (!existingHooks) {
+    throw new Error(`Could not find the end of define_component_hooks() in ${plugin.coreFile}.`);
+  }
+  // Insert from the bottom up so earlier line numbers stay valid.
+  coreLines.splice(existingHooks.end, 0, ...generatedLines.slice(hooks.start, hooks.end));
+  if (!plugin.modern) {
+    const requires = generatedLines.filter((line) => fileSet.components.some((component) => line.includes(`'${component.path}'`)));
+    const loaderLine = coreLines.findIndex((line) => /\$this->loader\s*=\s*new\b/.test(line));
+    if (loaderLine === -1) {
+      throw new Error(`Could not find where ${plugin.coreFile} loads its dependencies.`);
+    }
+    coreLines.splice(loaderLine, 0, ...requires);
+  }
+  files.push({ path: plugin.coreFile, before: core, after: coreLines.join('\n') });
+
+  const composer = await readOptional(path.join(pluginDir, 'composer.json'));
+  if (composer !== null && libraries.length) {
+    const data = JSON.parse(composer);
+    data.require = data.require || {};
+    libraries.forEach((id) => {
+      Object.assign(data.require, registry[id].composer);
+    });
+    const after = JSON.stringify(data, null, 4) + (composer.endsWith('\n') ? '\n' : '');
+    files.push({ path: 'composer.json', before: composer, after });
+  }
+
+  // The plugin's sources as they will be, the main plugin file first
+  // for its header fields.
+  const planned = new Set(files.map((file) => file.path));
+  const sources = (await collectSourceFiles(pluginDir))
+    .filter((file) => !planned.has(file.path))
+    .concat(files.filter((file) => isSourceFile(file.path)).map((file) => ({ path: file.path, contents: file.after })))
+    .sort((a, b) => (b.path === plugin.mainFile) - (a.path === plugin.mainFile) || a.path.localeCompare(b.path));
+  const potPath = `languages/${plugin.slug}.pot`;
+  const potBefore = await readOptional(path.join(pluginDir, 'languages', `${plugin.slug}.pot`));
+  const potAfter = renderTemplate('languages/plugin.pot', await loadTemplates(request.templateDir), {
+    textDomain: plugin.slug,
+    pot: buildPotContext(sources, {
+      textDomain: plugin.slug,
+      name: plugin.options.name,
+      version: plugin.options.version,
+      bugsUrl: plugin.options.pluginUri,
+      author: plugin.options.author
+    })
+  });
+  if (potBefore === null || withoutCreationDate(potBefore) !== withoutCreationDate(potAfter)) {
+    files.push({ path: potPath, before: potBefore, after: potAfter });
+  }
+
+  return {
+    slug: plugin.slug,
+    pluginDir,
+    added: [...libraries, ...snippets],
+    files: files
+      .map((file) => ({ ...file, diff: unifiedDiff(file.before, file.after, file.path) }))
+      .filter((file) => file.diff)
+  };
+}
+
+/**
+ * Write the changes returned by planComponentChanges().  Nothing is
+ * written if any file changed since the plan was made, or if a path
+ * leaves the plugin directory.
+ *
+ * @param {string} pluginDir Plugin directory
+ * @param {{ path: string, before: string|null, after: string }[]} files Approved changes
+ * @returns {Promise<string[]>} Paths of the written files
+ */
+async function applyComponentChanges(pluginDir, files) {
+  const targets = files.map((file) => pluginFilePath(pluginDir, file.path));
+  for (const [index, file] of files.entries()) {
+    const current = await readOptional(targets[index]);
+    if (current !== file.before) {
+      throw new Error(`${file.path} changed after the changes were reviewed; review them again.`);
+    }
+  }
+  for (const [index, file] of files.entries()) {
+    await fs.mkdir(path.dirname(targets[index]), { recursive: true });
+    await fs.writeFile(targets[index], file.after, 'utf8');
+  }
+  return files.map((file) => file.path);
+}
+
+module.exports = {
+  inspectPlugin,
+  planComponentChanges,
+  applyComponentChanges
+};
@@ -0,0 +1,168 @@
+// Plugin generation as a tracked job: a list of steps that report their
+// progress, can be canceled between steps and roll back on failure.
+// The files are staged next to the output directory and only moved into
+// place once every step, including publishing, has succeeded; steps
+// that create something outside the staging directory, such as the
+// remote repository, register how to undo it.  The staged plugin is
+// checked (see lib/lint.js) before it is published; the report does not
+// stop the job.
+
+const { buildPluginFiles, stagePluginFiles } = require('./generator');
+const { publishRepository } = require('./git-hosts');
+const { lintPlugin } = require('./lint');
+
+const lowerFirst = (text) => text.charAt(0).toLowerCase() + text.slice(1);
+
+/**
+ * Create a job.  `step()` runs one step and reports it; `onRollback()`
+ * registers how to undo a finished step, and `rollback()` runs those in
+ * reverse order.  Every change of the step list is passed to
+ * `onProgress` as a list of `{ label, status, error?, rollback? }`,
+ * where `status` is 'running', 'done', 'failed' or 'canceled'.
+ *
+ * @param {{ signal?: AbortSignal, onProgress?: (steps: object[]) => void }} [params]
+ * @returns {object} The job
+ */
+function createJob({ signal, onProgress = () => {} } = {}) {
+  const steps = [];
+  const undoActions = [];
+  const snapshot = () => steps.map((entry) => ({ ...entry }));
+  const update = (entry, changes) => {
+    Object.assign(entry, changes);
+    onProgress(snapshot());
+  };
+  const canceled = () => Boolean(signal && signal.aborted);
+
+  const track = async (entry, action) => {
+    steps.push(entry);
+    update(entry, { status: 'running' });
+    try {
+      const result = await action();
+      update(entry, { status: 'done' });
+      return result;
+    } catch (err) {
+      if (!entry.rollback && canceled()) {
+        update(entry, { status: 'canceled' });
+        err.canceled = true;
+      } else {
+        update(entry, { status: 'failed', error: err.message });
+      }
+      err.step = entry.label;
+      throw err;
+    }
+  };
+
+  return {
+    signal,
+
+    /** The steps so far. */
+    steps: snapshot,
+
+    /**
+     * Run a step, unless the job was canceled.
+     *
+     * @param {string} label What the step does, e.g. "Push the 'main' branch"
+     * @param {() => Promise<*>} action
+     * @returns {Promise<*>} The result of `action`
+     */
+    step(label, action) {
+      if (canceled()) {
+        const error = new Error('Canceled.');
+        error.canceled = true;
+        return Promise.reject(error);
+      }
+      return track({ label }, action);
+    },
+
+    /**
+     * Register how to undo a finished step.
+     *
+     * @param {string} label What undoing does, e.g. 'Delete the repository'
+     * @param {() => Promise<*>} action
+     */
+    onRollback(label, action) {
+      undoActions.push({ label, action });
+    },
+
+    /**
+     * Undo the finished steps, newest first.  A failed undo does not stop
+     * the others.
+     *
+     * @returns {Promise<{ undone: string[], notUndone: { label: string, error: string }[] }>}
+     */
+    async rollback() {
+      const undone = [];
+      const notUndone = [];
+      for (const { label, action } of undoActions.splice(0).reverse()) {
+        try {
+          await track({ label, rollback: true }, action);
+          undone.push(label);
+        } catch (err) {
+          notUndone.push({ label, error: err.message });
+        }
+      }
+      return { undone, notUndone };
+    }
+  };
+}
+
+/**
+ * Generate a plugin, and publish it when `createGithubRepo` is set, as a
+ * job: build the files, write them to a staging directory, check them,
+ * publish from there and move the plugin into place last.  On failure or
+ * cancellation everything that was done is undone where possible, and
+ * the error says what was undone and what has to be cleaned up by hand.
+ *
+ * @param {object} opts Plugin options, as for generatePlugin() and
+ *   publishRepository() in lib/git-hosts.js
+ * @param {object} [params]
+ * @param {string} [params.token] Access token of the repository host
+ * @param {AbortSignal} [params.signal] Cancels the job
+ * @param {(steps: object[]) => void} [params.onProgress] See createJob()
+ * @returns {Promise<{ pluginPath: string, repoUrl?: string, releaseUrl?: string, lint: object, steps: object[] }>}
+ *   `lint` is the report of lintPlugin().  Failures reject with an error carrying `steps` and `canceled`
+ */
+async function runGenerationJob(opts, { token, signal, onProgress } = {}) {
+  const job = createJob({ signal, onProgress });
+  try {
+    const fileSet = await job.step('Build the plugin files', () => buildPluginFiles(opts));
+    const staged = await job.step(`Write ${fileSet.files.length} files to a staging folder`, () => stagePluginFiles(fileSet));
+    job.onRollback('Remove the staged plugin files', () => staged.discard());
+    const lint = await job.step('Check the plugin files', () => lintPlugin(staged.dir));
+
+    let published = {};
+    if (opts.createGithubRepo) {
+      published = await publishRepository({
+        slug: fileSet.slug,
+        pluginDir: staged.dir,
+        options: opts,
+        token,
+        job
+      });
+    }
+
+    const pluginPath = await job.step(`Move the plugin to ${fileSet.pluginDir}`, () => staged.commit());
+    return { pluginPath, ...published, lint, steps: job.steps() };
+  } catch (err) {
+    const { undone, notUndone } = await job.rollback();
+    const reason = err.canceled
+      ? 'Generation was canceled.'
+      : `Could not ${lowerFirst(err.step || 'generate the plugin')}: ${err.message.trim().replace(/\.$/, '')}.`;
+    const messages = [reason];
+    if (undone.length) {
+      messages.push(`Undone: ${undone.map(lowerFirst).join('; ')}.`);
+    }
+    if (notUndone.length) {
+      messages.push(`Could not undo, please clean up by hand: ${notUndone.map(({ label, error }) => `${lowerFirst(label)} (${error.trim().replace(/\.$/, '')})`).join('; ')}.`);
+    }
+    const error = new Error(messages.join(' '));
+    error.canceled = Boolean(err.canceled);
+    error.steps = job.steps();
+    throw error;
+  }
+}
+
+module.exports = {
+  createJob,
+  runGenerationJob
+};
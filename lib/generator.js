@@ -0,0 +1,610 @@
+// Plugin generator.  Builds the WordPress plugin skeleton from the
+// options collected by the renderer form (or a CLI manifest).  This
+// module deliberately has no Electron dependency so it can be used from
+// plain Node scripts as well as from the main process.
+
+const path = require('path');
+const fs = require('fs').promises;
+const { loadTemplates, renderTemplate } = require('./templates');
+const { buildContentTypesContext } = require('./content-types');
+const { buildBlocksContext } = require('./blocks');
+const { buildRestContext } = require('./rest');
+const { buildSettingsContext } = require('./settings');
+const { buildCliCommandContext } = require('./cli-command');
+const { buildDatabaseContext } = require('./database');
+const { buildQualityContext } = require('./quality');
+const { buildAssetsContext } = require('./assets');
+const { buildAdminUiContext } = require('./admin-ui');
+const { buildShortcodesContext, shortcodeBlocks } = require('./shortcodes');
+const { buildPotContext } = require('./pot');
+const { escapePhpString, escapePhpComment, jsonValue, escapeReadmeText } = require('./escape');
+const { loadLibraryRegistry, buildLibraryContext, composerRequirements } = require('./libraries');
+const { buildUpdateCheckerContext } = require('./git-hosts');
+const { SHORT_DESCRIPTION_MAX } = require('./lint');
+const { normalizePluginFields } = require('./validation');
+
+// Optional libraries come from the library registry (lib/libraries.js).
+// Each definition specifies its Composer dependencies, the template that
+// renders its stub class, the suffix of that class name and the hooks
+// the core class registers for it through the Loader.
+
+// Define optional snippets that can be included. These add ready‑made
+// classes or functions for common tasks. Snippets do not add
+// external dependencies.  `context` adds snippet-specific values to
+// the template context.
+const AVAILABLE_SNIPPETS = {
+  settings: {
+    template: 'snippets/settings.php',
+    classSuffix: 'Settings',
+    hooks: [
+      { type: 'action', hook: 'admin_menu', callback: 'add_admin_menus' },
+      { type: 'action', hook: 'admin_init', callback: 'register_settings' },
+      { type: 'action', hook: 'admin_init', callback: 'handle_import_export' }
+    ],
+    context: buildSettingsContext,
+  },
+  rest: {
+    template: 'snippets/rest.php',
+    classSuffix: 'RestApi',
+    hooks: [{ type: 'action', hook: 'rest_api_init', callback: 'register_routes' }],
+    context: (slug, opts) => ({ rest: buildRestContext(slug, opts.restConfig) }),
+  },
+};
+
+/**
+ * Convert an arbitrary name into a slug suitable for WordPress plugin
+ * directories and file names.  The function lowercases the string,
+ * replaces runs of non‑alphanumeric characters with single dashes,
+ * and trims leading/trailing dashes.
+ *
+ * @param {string} name Human readable plugin name
+ * @returns {string} Slugified name
+ */
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^\-+|\-+$/g, '');
+}
+
+/**
+ * Shorten readme text to the length WordPress.org shows as the short
+ * description, cutting at a word and ending with an ellipsis.
+ *
+ * @param {string} text Text on one line
+ * @returns {string}
+ */
+function shortDescription(text) {
+  if (text.length <= SHORT_DESCRIPTION_MAX) {
+    return text;
+  }
+  const cut = text.slice(0, SHORT_DESCRIPTION_MAX - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > 0 ? cut.slice(0, space) : cut).replace(/[\s,;:.]+$/, '')}…`;
+}
+
+/**
+ * Create a directory if it doesn't already exist.  The `recursive`
+ * option ensures all intermediate directories are created.
+ *
+ * @param {string} dirPath Directory path
+ */
+async function ensureDir(dirPath) {
+  await fs.mkdir(dirPath, { recursive: true });
+}
+
+/**
+ * Write text content to a file, creating parent directories as
+ * necessary.  The file is always encoded as UTF‑8.
+ *
+ * @param {string} filePath Full file system path
+ * @param {string} contents String content to write
+ */
+async function writeFile(filePath, contents) {
+  await ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, contents, 'utf8');
+}
+
+/**
+ * Build the complete set of plugin files in memory without touching
+ * the file system.  It constructs a namespaced class structure, the
+ * main plugin entry file with proper headers and optional update
+ * checker code, stub classes for activation, deactivation, admin and
+ * public functionality, a minimal readme, and optionally a
+ * composer.json.  CSS/JS stubs are also included.
+ *
+ * Every file is rendered from the template pack (see lib/templates.js);
+ * `opts.templateDir` may point at a directory overriding any of them.
+ *
+ * Both the dry-run preview and generatePlugin() use this function, so
+ * the preview shows exactly what would be written.
+ *
+ * @param {object} options Options from the renderer form, normalized
+ *   by normalizePluginFields() in lib/validation.js
+ * @returns {Promise<{ slug: string, pluginDir: string, directories: string[], files: { path: string, contents: string }[], components: object[] }>}
+ *   Paths are relative to the plugin directory and use forward slashes.
+ *   `components` describes the library, snippet and builder classes
+ *   (see `components` in templates/README.md).
+ */
+async function buildPluginFiles(options) {
+  // Callers validate the normalized options they pass in; normalizing
+  // again keeps direct calls from Node scripts consistent with them.
+  const opts = normalizePluginFields(options);
+  const slug = opts.slug || slugify(opts.name);
+  const outputDir = opts.outputDir || process.cwd();
+  const pluginDir = path.join(outputDir, slug);
+
+  // Ownership fields come from the form, which the user's preferences
+  // pre-fill (see lib/preferences.js).  A blank plugin URI is derived
+  // from the preferred base URI, when there is one.
+  const trimmedOption = (value) => (typeof value === 'string' ? value.trim() : '');
+  const pluginBaseUri = trimmedOption(opts.pluginBaseUri);
+  const normalizedPluginUri = trimmedOption(opts.pluginUri)
+    || (pluginBaseUri ? `${pluginBaseUri.replace(/\/*$/, '/')}${slug}/` : '');
+  const normalizedOpts = {
+    ...opts,
+    author: trimmedOption(opts.author),
+    authorUri: trimmedOption(opts.authorUri),
+    pluginUri: normalizedPluginUri
+  };
+
+  // The modern structure uses real PHP namespaces and a PSR-4 `src/`
+  // layout; the classic one uses prefixed class names under includes/.
+  const modern = Boolean(opts.modernStructure);
+  // Built assets replace the plain files in admin/ and public/, which
+  // the modern structure keeps nothing else in.
+  const assetPipeline = Boolean(opts.assetPipeline);
+
+  // Base directories, including ones that may stay empty.
+  const directories = [
+    modern ? 'src' : 'includes',
+    ...(modern && assetPipeline ? [] : ['admin', 'public']),
+    ...(assetPipeline ? [] : ['admin/css', 'admin/js', 'public/css', 'public/js']),
+    'languages'
+  ];
+
+  // Build namespace and class names.  Both namespace segments are
+  // StudlyCased the same way: `acme` gives `Acme`, `Ac'me` gives `AcMe`
+  // and `AcmeCorp` stays as it is.
+  const studlyCase = (value) => value.split(/[^A-Za-z0-9]+/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+  const namespace = studlyCase(slug);
+  const vendorInput = (opts.vendor || '').trim();
+  const vendorNamespace = studlyCase(vendorInput) || 'Custom';
+  const phpNamespace = modern ? `${vendorNamespace}\\${namespace}` : '';
+  const classes = modern
+    ? {
+      plugin: 'Plugin',
+      loader: 'Loader',
+      admin: 'Admin',
+      public: 'Frontend',
+      activator: 'Activator',
+      deactivator: 'Deactivator'
+    }
+    : {
+      plugin: `${namespace}`,
+      loader: `${namespace}_Loader`,
+      admin: `${namespace}_Admin`,
+      public: `${namespace}_Public`,
+      activator: `${namespace}_Activator`,
+      deactivator: `${namespace}_Deactivator`
+    };
+  const qualify = (fileNamespace, className) => (fileNamespace ? `\\${fileNamespace}\\${className}` : className);
+  const fqcn = Object.fromEntries(
+    Object.entries(classes).map(([key, className]) => [key, qualify(phpNamespace, className)])
+  );
+  const libraryRegistry = await loadLibraryRegistry(opts.libraryDirs);
+  const libraryConfig = opts.libraryConfig && typeof opts.libraryConfig === 'object' ? opts.libraryConfig : {};
+  const libraries = (Array.isArray(opts.libraries) ? opts.libraries : []).filter((lib) => libraryRegistry[lib]);
+  const snippets = (Array.isArray(opts.snippets) ? opts.snippets : []).filter((snippet) => AVAILABLE_SNIPPETS[snippet]);
+
+  // Additional classes: libraries, snippets and the builders.  In the
+  // modern structure they live under src/ (libraries and snippets in a
+  // sub-namespace); either way their hooks are registered through the
+  // Loader by the core class.
+  const describeComponent = (id, info, group = '') => {
+    const fileNamespace = modern ? [phpNamespace, group].filter(Boolean).join('\\') : '';
+    const className = modern ? info.classSuffix : `${namespace}_${info.classSuffix}`;
+    return {
+      id,
+      template: info.template,
+      path: modern
+        ? `src/${group ? `${group}/` : ''}${info.classSuffix}.php`
+        : `includes/class-${slug}-${id}.php`,
+      className,
+      fileNamespace,
+      fqcn: qualify(fileNamespace, className),
+      varName: id.replace(/[^A-Za-z0-9_]/g, '_'),
+      hooks: info.hooks || [],
+      extraContext: info.context ? info.context(slug, normalizedOpts) : {}
+    };
+  };
+  const components = [
+    ...libraries.map((lib) => describeComponent(lib, {
+      ...libraryRegistry[lib],
+      context: () => buildLibraryContext(libraryRegistry[lib], libraryConfig[lib])
+    }, 'Libraries')),
+    ...snippets.map((snippet) => describeComponent(snippet, AVAILABLE_SNIPPETS[snippet], 'Snippets'))
+  ];
+
+  // Custom post types and taxonomies share one class registered on init.
+  const contentTypesContext = buildContentTypesContext(opts);
+  const contentTypes = contentTypesContext
+    ? describeComponent('content-types', {
+      template: 'components/content-types.php',
+      classSuffix: 'ContentTypes',
+      hooks: [{ type: 'action', hook: 'init', callback: 'register' }],
+      context: () => contentTypesContext
+    })
+    : null;
+  if (contentTypes) {
+    components.push(contentTypes);
+  }
+
+  // The WP-CLI command is registered from the main plugin file, so the
+  // core class does not load or hook it.
+  const cliCommandContext = buildCliCommandContext(opts, slug);
+  const cliCommand = cliCommandContext
+    ? describeComponent('cli', { template: 'components/cli.php', classSuffix: 'CLI' })
+    : null;
+
+  // Blocks are registered by the core class from their build/ output.
+  // Shortcodes are handled by the public class; the wrappers of those
+  // that have one are built and registered with the other blocks.
+  const blocks = buildBlocksContext({ ...opts, blocks: [...(Array.isArray(opts.blocks) ? opts.blocks : []), ...shortcodeBlocks(opts)] }, slug);
+  const shortcodes = buildShortcodesContext(opts);
+
+  // Custom tables are created by the Activator and upgraded on
+  // plugins_loaded when the stored schema version is out of date.
+  const functionPrefix = slug.replace(/-/g, '_');
+  const database = buildDatabaseContext(opts, functionPrefix);
+
+  // Admin screens: a WP_List_Table class per list table and the notices
+  // helper, used by the admin class, which the core class hooks for the
+  // menu pages, the notices and the request handlers.
+  const adminUiContext = buildAdminUiContext(opts, { slug, functionPrefix, namespace });
+  const listTables = adminUiContext.listTables.map((table) => {
+    const component = describeComponent(`${table.name.replace(/_/g, '-')}-list-table`, {
+      template: 'components/list-table.php',
+      classSuffix: table.classSuffix,
+      context: () => ({ table })
+    });
+    components.push(component);
+    return { ...table, fqcn: component.fqcn };
+  });
+  const noticesComponent = adminUiContext.notices
+    ? describeComponent('notices', { template: 'components/notices.php', classSuffix: 'Notices' })
+    : null;
+  if (noticesComponent) {
+    components.push(noticesComponent);
+  }
+  const adminUi = {
+    ...adminUiContext,
+    listTables,
+    notices: noticesComponent ? { fqcn: noticesComponent.fqcn, ...adminUiContext.notices } : false
+  };
+
+  // uninstall.php is only written when the plugin should remove its
+  // data, and there is data to remove.
+  const settingsComponent = components.find((component) => component.id === 'settings');
+  const uninstallOptions = [
+    ...(database ? [database.versionOption] : []),
+    ...(settingsComponent ? [settingsComponent.extraContext.settings.optionName] : [])
+  ];
+  const uninstallUserMeta = adminUi.notices ? [adminUi.notices.metaKey] : [];
+  const uninstall = opts.deleteDataOnUninstall && (uninstallOptions.length || uninstallUserMeta.length)
+    ? {
+      tables: database ? database.tables.map((table) => table.name) : [],
+      options: uninstallOptions,
+      userMeta: uninstallUserMeta
+    }
+    : false;
+
+  // PHPUnit, PHPCS and CI scaffolding; their dev dependencies go into
+  // composer.json, which is written whenever one of them needs it.
+  const quality = buildQualityContext(normalizedOpts);
+
+  // Scripts and styles of the admin and public classes, enqueued on
+  // every screen or only the plugin's own.
+  const assets = buildAssetsContext(normalizedOpts, {
+    menuPages: [
+      ...(settingsComponent ? [String((opts.settingsConfig || {}).menuSlug || '').trim() || `${slug}-settings`] : []),
+      ...listTables.map((table) => table.pageSlug)
+    ],
+    blocks,
+    shortcodes
+  });
+
+  // The context shared by every template.  Documented in templates/README.md.
+  const repoUrl = normalizedOpts.repo || '';
+  const pluginUri = normalizedOpts.pluginUri || repoUrl;
+  const updateUri = repoUrl || normalizedOpts.pluginUri || '';
+  // readme.txt needs a description even when none was entered.
+  const readmeDescription = escapeReadmeText(normalizedOpts.description)
+    || escapeReadmeText(`${normalizedOpts.name} for WordPress.`);
+  const context = {
+    slug,
+    textDomain: slug,
+    namespace,
+    functionPrefix,
+    opts: normalizedOpts,
+    modern,
+    vendorNamespace,
+    phpNamespace,
+    fileNamespace: phpNamespace,
+    classes,
+    fqcn,
+    repoUrl,
+    pluginUri,
+    // WordPress.org usernames for readme.txt, from a list or comma separated text.
+    contributors: escapeReadmeText((Array.isArray(opts.contributors) ? opts.contributors : trimmedOption(opts.contributors).split(','))
+      .map((name) => String(name).trim())
+      .filter(Boolean)
+      .join(', ')),
+    updateUri,
+    updateChecker: buildUpdateCheckerContext(normalizedOpts, { slug, repoUrl }),
+    // Free text from the form, escaped for each place it is written to.
+    header: {
+      name: escapePhpComment(normalizedOpts.name),
+      description: escapePhpComment(normalizedOpts.description),
+      author: escapePhpComment(normalizedOpts.author),
+      authorUri: escapePhpComment(normalizedOpts.authorUri),
+      pluginUri: escapePhpComment(pluginUri),
+      updateUri: escapePhpComment(updateUri)
+    },
+    php: {
+      repoUrl: escapePhpString(repoUrl),
+      branch: escapePhpString(normalizedOpts.branch || 'main'),
+      version: escapePhpString(normalizedOpts.version)
+    },
+    json: {
+      description: jsonValue(normalizedOpts.description || ''),
+      author: jsonValue(normalizedOpts.author),
+      authorUri: jsonValue(normalizedOpts.authorUri),
+      version: jsonValue(normalizedOpts.version)
+    },
+    readme: {
+      name: escapeReadmeText(normalizedOpts.name),
+      shortDescription: shortDescription(readmeDescription),
+      description: readmeDescription
+    },
+    libraries,
+    snippets,
+    components: components.map(({ extraContext, template, ...component }) => component),
+    hookedComponents: components.filter((component) => component.hooks.length > 0),
+    contentTypes: contentTypes ? { fqcn: contentTypes.fqcn, ...contentTypesContext } : false,
+    blocks,
+    shortcodes,
+    cliCommand: cliCommand ? { path: cliCommand.path, fqcn: cliCommand.fqcn, ...cliCommandContext } : false,
+    database,
+    adminUi,
+    uninstall,
+    quality,
+    assets,
+    extraRequires: modern ? [] : components.map((component) => component.path),
+    composerName: `${slugify(vendorInput) || 'custom'}/${slug}`,
+    composerAutoloadPrefix: `${phpNamespace}\\`.replace(/\\/g, '\\\\'),
+    composerRequire: [
+      ...(repoUrl ? ['"yahnis-elsts/plugin-update-checker": "^5.6"'] : []),
+      ...libraries.flatMap((lib) => composerRequirements(libraryRegistry[lib]))
+    ]
+  };
+
+  const templates = await loadTemplates(opts.templateDir, libraries.map((lib) => ({
+    name: libraryRegistry[lib].template,
+    file: libraryRegistry[lib].templateFile,
+    origin: libraryRegistry[lib].builtIn ? 'built-in' : libraryRegistry[lib].templateFile
+  })));
+  const files = [];
+  const addFile = (filePath, templateName, extraContext = {}) => {
+    files.push({
+      path: filePath,
+      contents: renderTemplate(templateName, templates, { ...context, ...extraContext })
+    });
+  };
+
+  addFile(`${slug}.php`, 'main.php');
+  if (modern) {
+    addFile('src/Activator.php', 'includes/class-activator.php');
+    addFile('src/Deactivator.php', 'includes/class-deactivator.php');
+    addFile('src/Plugin.php', 'includes/class-plugin.php');
+    addFile('src/Loader.php', 'includes/class-loader.php');
+    addFile('src/Admin.php', 'admin/class-admin.php');
+    addFile('src/Frontend.php', 'public/class-public.php');
+  } else {
+    addFile(`includes/class-${slug}-activator.php`, 'includes/class-activator.php');
+    addFile(`includes/class-${slug}-deactivator.php`, 'includes/class-deactivator.php');
+    addFile(`includes/class-${slug}.php`, 'includes/class-plugin.php');
+    addFile(`includes/class-${slug}-loader.php`, 'includes/class-loader.php');
+    addFile(`admin/class-${slug}-admin.php`, 'admin/class-admin.php');
+    addFile(`public/class-${slug}-public.php`, 'public/class-public.php');
+  }
+  addFile('readme.txt', 'readme.txt');
+  if (context.updateChecker && context.updateChecker.info) {
+    addFile('update-info.json', 'update-info.json');
+  }
+  addFile('.distignore', 'distignore');
+  if (uninstall) {
+    addFile('uninstall.php', 'uninstall.php');
+  }
+  if (normalizedOpts.withComposer || quality.composerRequireDev.length) {
+    addFile('composer.json', 'composer.json');
+  }
+
+  // Stub CSS/JS files, or their sources for the build
+  if (assetPipeline) {
+    addFile('src/admin/index.js', 'assets/admin/index.js');
+    addFile('src/admin/index.scss', 'assets/admin/index.scss');
+    addFile('src/public/index.js', 'assets/public/index.js');
+    addFile('src/public/index.scss', 'assets/public/index.scss');
+  } else {
+    addFile(`admin/css/${slug}-admin.css`, 'admin/css/admin.css');
+    addFile(`admin/js/${slug}-admin.js`, 'admin/js/admin.js');
+    addFile(`public/css/${slug}-public.css`, 'public/css/public.css');
+    addFile(`public/js/${slug}-public.js`, 'public/js/public.js');
+  }
+
+  // Shortcode templates, which themes can override
+  for (const shortcode of shortcodes) {
+    addFile(`public/partials/${shortcode.template}`, 'public/partials/shortcode.php', { shortcode });
+  }
+
+  // Library and snippet stubs
+  for (const component of components) {
+    addFile(component.path, component.template, {
+      className: component.className,
+      fileNamespace: component.fileNamespace,
+      ...component.extraContext
+    });
+  }
+
+  if (cliCommand) {
+    addFile(cliCommand.path, cliCommand.template, {
+      className: cliCommand.className,
+      fileNamespace: cliCommand.fileNamespace
+    });
+  }
+
+  // Block sources and the @wordpress/scripts build setup, shared with
+  // the assets
+  for (const block of blocks) {
+    const blockDir = `blocks/${block.name}`;
+    addFile(`${blockDir}/block.json`, 'blocks/block.json', { block });
+    addFile(`${blockDir}/index.js`, 'blocks/index.js', { block });
+    addFile(`${blockDir}/edit.js`, block.shortcode ? 'blocks/shortcode-edit.js' : 'blocks/edit.js', { block });
+    if (block.dynamic) {
+      addFile(`${blockDir}/render.php`, block.shortcode ? 'blocks/shortcode-render.php' : 'blocks/render.php', { block });
+    } else {
+      addFile(`${blockDir}/save.js`, 'blocks/save.js', { block });
+    }
+  }
+  if (blocks.length || assetPipeline) {
+    addFile('package.json', 'package.json');
+  }
+  if (assetPipeline) {
+    addFile('webpack.config.js', 'webpack.config.js');
+  }
+
+  if (quality.phpunit) {
+    addFile('phpunit.xml.dist', 'quality/phpunit.xml.dist');
+    addFile('tests/bootstrap.php', 'quality/bootstrap.php');
+    addFile('tests/test-activator.php', 'quality/test-activator.php');
+    addFile('tests/test-plugin.php', 'quality/test-plugin.php');
+    addFile('bin/install-wp-tests.sh', 'quality/install-wp-tests.sh');
+  }
+  if (quality.phpcs) {
+    addFile('phpcs.xml.dist', 'quality/phpcs.xml.dist');
+  }
+  if (quality.ci) {
+    addFile('.github/workflows/ci.yml', 'quality/ci.yml');
+  }
+
+  // The translation template is extracted from everything above, so it
+  // is always written last.
+  addFile(`languages/${slug}.pot`, 'languages/plugin.pot', {
+    pot: buildPotContext(files, {
+      textDomain: slug,
+      name: normalizedOpts.name,
+      version: normalizedOpts.version,
+      bugsUrl: normalizedOpts.pluginUri,
+      author: normalizedOpts.author
+    })
+  });
+
+  return { slug, pluginDir, directories, files, components: context.components };
+}
+
+/**
+ * Write a file set produced by buildPluginFiles() into a directory.
+ *
+ * @param {string} pluginDir Target plugin directory
+ * @param {{ directories: string[], files: { path: string, contents: string }[] }} fileSet
+ */
+async function writePluginFiles(pluginDir, { directories, files }) {
+  await ensureDir(pluginDir);
+  for (const dir of directories) {
+    await ensureDir(path.join(pluginDir, ...dir.split('/')));
+  }
+  for (const file of files) {
+    await writeFile(path.join(pluginDir, ...file.path.split('/')), file.contents);
+  }
+}
+
+// Refuse to write into an existing non-empty directory.
+async function checkTargetIsFree(pluginDir) {
+  try {
+    const existing = await fs.readdir(pluginDir);
+    if (existing.length > 0) {
+      throw new Error(`Directory '${pluginDir}' already exists and is not empty.`);
+    }
+  } catch (err) {
+    // If directory doesn't exist, that's fine; otherwise rethrow
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+/**
+ * Write a file set into a staging directory next to its target, so a
+ * failure part way leaves nothing in the output directory.  `commit()`
+ * moves the finished plugin into place with a single rename; `discard()`
+ * removes the staging directory.  The staged plugin keeps the name of
+ * its target, e.g. for building a release zip from it.
+ *
+ * @param {{ slug: string, pluginDir: string, directories: string[], files: object[] }} fileSet
+ *   Output of buildPluginFiles()
+ * @returns {Promise<{ dir: string, commit: () => Promise<string>, discard: () => Promise<void> }>}
+ */
+async function stagePluginFiles(fileSet) {
+  const { slug, pluginDir } = fileSet;
+  await checkTargetIsFree(pluginDir);
+  await ensureDir(path.dirname(pluginDir));
+  const stagingRoot = await fs.mkdtemp(path.join(path.dirname(pluginDir), `.${slug}-`));
+  const dir = path.join(stagingRoot, path.basename(pluginDir));
+  const discard = () => fs.rm(stagingRoot, { recursive: true, force: true });
+  try {
+    await writePluginFiles(dir, fileSet);
+  } catch (err) {
+    await discard();
+    throw err;
+  }
+  return {
+    dir,
+    discard,
+    async commit() {
+      await checkTargetIsFree(pluginDir);
+      // rename() cannot replace an empty directory on every platform.
+      await fs.rmdir(pluginDir).catch((err) => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+      await fs.rename(dir, pluginDir);
+      await discard();
+      return pluginDir;
+    }
+  };
+}
+
+/**
+ * Generate and write all plugin files based on user options.  Refuses
+ * to write into an existing non-empty directory; the files are staged
+ * first (see stagePluginFiles()), so a failed write leaves nothing behind.
+ *
+ * @param {object} opts Options from the renderer form
+ * @returns {Promise<string>} Path of the generated plugin directory
+ */
+async function generatePlugin(opts) {
+  const staged = await stagePluginFiles(await buildPluginFiles(opts));
+  try {
+    return await staged.commit();
+  } catch (err) {
+    await staged.discard();
+    throw err;
+  }
+}
+
+module.exports = {
+  AVAILABLE_SNIPPETS,
+  slugify,
+  buildPluginFiles,
+  writePluginFiles,
+  stagePluginFiles,
+  generatePlugin
+};
@@ -0,0 +1,270 @@
+// Publishing a generated plugin to a git host: create the repository
+// (for the user or an organization/group, public or private), set its
+// topics, push the first commit to the plugin's branch and make it the
+// default, then tag the version and create a release with the plugin
+// zip attached, so the update checker in the main plugin file finds an
+// update source straight away.  Publishing runs as part of a generation
+// job (lib/generation-job.js).
+//
+// Each host is a module implementing the same interface:
+//
+//   id, label              e.g. 'gitlab', 'GitLab'
+//   defaultApiUrl          API base URL used when none is configured
+//   tokenVariable          environment variable holding the access token
+//   pucService             the update checker's name for the host, or null
+//                          when it cannot read the host (update-info.json
+//                          is generated instead)
+//   pucSelfHosted          whether self-hosted servers need to be named
+//                          to the update checker
+//   releaseAssetsMethod    VCS API method that makes the update checker
+//                          install release attachments, or null
+//   webUrl(apiUrl)         web address of the server
+//   createClient(token, apiUrl)
+//   resolveUser(client)    username of the token
+//   checkToken(client)     -> { username, scopes }, the token's scopes or
+//                          null when the host does not report them
+//   createRepository(client, { name, organization, description, homepage, private })
+//                          -> { fullName, webUrl, cloneUrl, ... }
+//   deleteRepository(client, repository)
+//                          undoes createRepository() when publishing fails
+//   remoteUrl(repository)  git remote to push to
+//   setTopics(client, repository, topics)
+//   setDefaultBranch(client, repository, branch)
+//   createRelease(client, repository, { tag, branch, name, body }) -> { url, ... }
+//   uploadReleaseAsset(client, repository, release, { name, data, contentType })
+//   updateCheckerUrl(repoUrl, { branch })
+//                          URL the generated update checker is built with
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { buildReleaseZip } = require('./release');
+const { escapePhpString, jsonValue } = require('./escape');
+
+const GIT_HOSTS = {
+  github: require('./github'),
+  gitlab: require('./gitlab'),
+  gitea: require('./gitea')
+};
+
+const DEFAULT_GIT_HOST = 'github';
+
+/**
+ * The host for a `repoHost` option; GitHub when none is set.
+ *
+ * @param {string} [id] Host id
+ * @returns {object} The host module
+ */
+function getGitHost(id) {
+  const host = GIT_HOSTS[id || DEFAULT_GIT_HOST];
+  if (!host) {
+    throw new Error(`Unknown repository host '${id}'; use ${Object.keys(GIT_HOSTS).join(', ')}.`);
+  }
+  return host;
+}
+
+/**
+ * Run a git command in the given working directory.
+ *
+ * @param {string} cwd Working directory
+ * @param {string[]} args Git arguments
+ * @param {{ signal?: AbortSignal }} [options] `signal` stops the command
+ * @returns {Promise<{ stdout: string, stderr: string }>}
+ */
+function runGit(cwd, args, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, signal }, (error, stdout, stderr) => {
+      if (error) {
+        const details = (stderr || stdout || error.message || '').toString();
+        reject(new Error(`git ${args.join(' ')} failed: ${details}`));
+      } else {
+        resolve({ stdout: stdout.toString(), stderr: stderr.toString() });
+      }
+    });
+  });
+}
+
+/**
+ * Topics as the hosts store them: lowercase, from a list or comma
+ * separated text, without duplicates.
+ *
+ * @param {string|string[]} [topics]
+ * @returns {string[]}
+ */
+function normalizeTopics(topics) {
+  const list = Array.isArray(topics) ? topics : String(topics || '').split(',');
+  return [...new Set(list.map((topic) => String(topic).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * The repository URL of a plugin on a host, for pre-filling `repo`
+ * before the repository exists.
+ *
+ * @param {object} options Plugin options: `repoHost`, `repoApiUrl`
+ * @param {string} owner User or organization
+ * @param {string} slug Plugin slug
+ * @returns {string}
+ */
+function repositoryUrl(options, owner, slug) {
+  return `${getGitHost(options.repoHost).webUrl(options.repoApiUrl)}/${owner}/${slug}`;
+}
+
+/**
+ * Build the `updateChecker` template context: how the generated plugin
+ * finds its updates on the repository's host.  Hosts the update checker
+ * supports are read through its VCS API; for the others the plugin
+ * ships an update-info.json, described by `info`, that the checker reads
+ * from the repository.
+ *
+ * @param {object} opts Plugin options: `repoHost`, `branch`, `version`,
+ *   `createGithubRepo` and `repoRelease`, plus the fields of update-info.json
+ * @param {{ slug: string, repoUrl: string }} plugin
+ * @returns {object|false} False when the plugin has no repository
+ */
+function buildUpdateCheckerContext(opts, { slug, repoUrl }) {
+  if (!repoUrl) {
+    return false;
+  }
+  const host = getGitHost(opts.repoHost);
+  const branch = (opts.branch || 'main').trim();
+  const version = String(opts.version || '').trim();
+  // Releases with the plugin zip attached are only created on publishing.
+  const release = Boolean(opts.createGithubRepo && opts.repoRelease);
+  let hostname = '';
+  try {
+    hostname = new URL(repoUrl).hostname;
+  } catch (err) {
+    // Not a URL; validation reports it.
+  }
+  const repo = repoUrl.replace(/\/+$/, '');
+  return {
+    label: host.label,
+    url: escapePhpString(host.updateCheckerUrl(repo, { branch })),
+    vcs: Boolean(host.pucService),
+    service: host.pucService || '',
+    serviceHost: host.pucSelfHosted && hostname !== new URL(host.webUrl()).hostname ? escapePhpString(hostname) : '',
+    releaseMethod: release && host.releaseAssetsMethod ? host.releaseAssetsMethod : '',
+    info: host.pucService ? false : {
+      name: jsonValue(opts.name),
+      slug: jsonValue(slug),
+      version: jsonValue(version),
+      downloadUrl: jsonValue(release
+        ? `${repo}/releases/download/${version}/${slug}-${version}.zip`
+        : `${repo}/archive/${branch}.zip`),
+      homepage: jsonValue(opts.pluginUri || repo),
+      requires: jsonValue(opts.requiresAtLeast),
+      tested: jsonValue(opts.testedUpTo),
+      requiresPhp: jsonValue(opts.requiresPhp),
+      description: jsonValue(opts.description || '')
+    }
+  };
+}
+
+/**
+ * Publish a generated plugin to its git host.  Each step runs as a step
+ * of `job` (see createJob() in lib/generation-job.js), which reports
+ * progress, stops when the job is canceled and, once the repository
+ * exists, knows to delete it again on rollback; that also removes the
+ * pushed branch, the tag and the release.
+ *
+ * @param {object} params
+ * @param {string} params.slug Plugin slug, used as the repository name
+ * @param {string} params.pluginDir Absolute path to the generated plugin
+ * @param {object} params.options Plugin options: `name`, `version`,
+ *   `description`, `pluginUri`, `branch`, `repoHost`, `repoApiUrl`,
+ *   `githubUsername` (the user on the host), `repoOwner` (an
+ *   organization or group), `repoPrivate`, `repoTopics` and `repoRelease`
+ * @param {string} params.token Access token for the host's API
+ * @param {object} params.job The generation job
+ * @returns {Promise<{ repoUrl: string, releaseUrl?: string }>}
+ */
+async function publishRepository({ slug, pluginDir, options, token, job }) {
+  const host = getGitHost(options.repoHost);
+  const client = host.createClient(token, options.repoApiUrl || host.defaultApiUrl);
+  const branch = (options.branch || 'main').trim();
+  const version = String(options.version || '').trim();
+  const topics = normalizeTopics(options.repoTopics);
+  const git = (args) => runGit(pluginDir, args, { signal: job.signal });
+
+  // The owner: an organization when one is given, otherwise the user,
+  // from the form or the token.
+  const login = (options.githubUsername || '').trim()
+    || await job.step(`Look up the ${host.label} user of the token`, () => host.resolveUser(client));
+  const organization = (options.repoOwner || '').trim();
+  const forOrganization = Boolean(organization) && organization.toLowerCase() !== login.toLowerCase();
+  const owner = forOrganization ? organization : login;
+
+  const visibility = options.repoPrivate ? 'private' : 'public';
+  const repository = await job.step(`Create the ${visibility} ${host.label} repository ${owner}/${slug}`, () => host.createRepository(client, {
+    name: slug,
+    organization: forOrganization ? organization : '',
+    description: options.description || '',
+    homepage: options.pluginUri || '',
+    private: Boolean(options.repoPrivate)
+  }));
+  repository.webUrl = repository.webUrl || repositoryUrl(options, owner, slug);
+  repository.fullName = repository.fullName || `${owner}/${slug}`;
+  job.onRollback(`Delete the repository ${repository.webUrl}`, () => host.deleteRepository(client, repository));
+
+  if (topics.length) {
+    await job.step(`Set the topics ${topics.join(', ')}`, () => host.setTopics(client, repository, topics));
+  }
+
+  await job.step('Commit the plugin to a new git repository', async () => {
+    await git(['init']);
+    await git(['symbolic-ref', 'HEAD', `refs/heads/${branch}`]);
+    await git(['add', '.']);
+    await git(['commit', '-m', `Initial commit: ${options.name} ${version}`]);
+  });
+
+  await job.step(`Push the '${branch}' branch`, async () => {
+    await git(['remote', 'add', 'origin', host.remoteUrl(repository)]);
+    await git(['push', '-u', 'origin', branch]);
+  });
+
+  await job.step(`Make '${branch}' the default branch`, () => host.setDefaultBranch(client, repository, branch));
+
+  if (!options.repoRelease) {
+    return { repoUrl: repository.webUrl };
+  }
+
+  await job.step(`Tag version ${version}`, async () => {
+    await git(['tag', '-a', version, '-m', `Version ${version}`]);
+    await git(['push', 'origin', `refs/tags/${version}`]);
+  });
+
+  const release = await job.step(`Create the release ${version}`, () => host.createRelease(client, repository, {
+    tag: version,
+    branch,
+    name: `${options.name} ${version}`,
+    body: 'Initial release.'
+  }));
+
+  await job.step('Attach the plugin zip to the release', async () => {
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), `${slug}-release-`));
+    try {
+      const { zipPath } = await buildReleaseZip(pluginDir, { outDir });
+      await host.uploadReleaseAsset(client, repository, release, {
+        name: path.basename(zipPath),
+        data: await fs.readFile(zipPath),
+        contentType: 'application/zip'
+      });
+    } finally {
+      await fs.rm(outDir, { recursive: true, force: true });
+    }
+  });
+
+  return { repoUrl: repository.webUrl, releaseUrl: release.url };
+}
+
+module.exports = {
+  GIT_HOSTS,
+  DEFAULT_GIT_HOST,
+  getGitHost,
+  runGit,
+  normalizeTopics,
+  repositoryUrl,
+  buildUpdateCheckerContext,
+  publishRepository
+};
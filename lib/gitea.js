@@ -0,0 +1,85 @@
+// Gitea (and Forgejo) as a git host (see lib/git-hosts.js for the
+// interface), for gitea.com and self-hosted servers
+// (`https://<host>/api/v1`).  The update checker has no Gitea support,
+// so generated plugins read an update-info.json file from the
+// repository instead.
+
+const { createApiClient } = require('./api-client');
+
+const DEFAULT_API_URL = 'https://gitea.com/api/v1';
+
+module.exports = {
+  id: 'gitea',
+  label: 'Gitea',
+  defaultApiUrl: DEFAULT_API_URL,
+  tokenVariable: 'GITEA_TOKEN',
+  pucService: null,
+  pucSelfHosted: false,
+  releaseAssetsMethod: null,
+
+  webUrl(apiUrl) {
+    return (apiUrl || DEFAULT_API_URL).replace(/\/+$/, '').replace(/\/api\/v1$/, '');
+  },
+
+  createClient(token, apiUrl) {
+    return createApiClient({
+      baseUrl: apiUrl || DEFAULT_API_URL,
+      headers: { 'Authorization': `token ${token}` }
+    });
+  },
+
+  async resolveUser(client) {
+    return (await client.request('GET', '/user')).login;
+  },
+
+  // Gitea does not tell a token its own scopes.
+  async checkToken(client) {
+    return { username: (await client.request('GET', '/user')).login, scopes: null };
+  },
+
+  async createRepository(client, { name, organization, description, private: isPrivate }) {
+    const repo = await client.request(
+      'POST',
+      organization ? `/orgs/${encodeURIComponent(organization)}/repos` : '/user/repos',
+      { name, description, private: isPrivate }
+    );
+    return { fullName: repo.full_name, webUrl: repo.html_url, cloneUrl: repo.clone_url };
+  },
+
+  deleteRepository(client, repository) {
+    return client.request('DELETE', `/repos/${repository.fullName}`);
+  },
+
+  remoteUrl(repository) {
+    return repository.cloneUrl || `${repository.webUrl}.git`;
+  },
+
+  setTopics(client, repository, topics) {
+    return client.request('PUT', `/repos/${repository.fullName}/topics`, { topics });
+  },
+
+  setDefaultBranch(client, repository, branch) {
+    return client.request('PATCH', `/repos/${repository.fullName}`, { default_branch: branch });
+  },
+
+  async createRelease(client, repository, { tag, branch, name, body }) {
+    const release = await client.request('POST', `/repos/${repository.fullName}/releases`, {
+      tag_name: tag,
+      target_commitish: branch,
+      name,
+      body
+    });
+    return { url: release.html_url || `${repository.webUrl}/releases/tag/${tag}`, id: release.id };
+  },
+
+  uploadReleaseAsset(client, repository, release, { name, data, contentType }) {
+    const form = new FormData();
+    form.append('attachment', new Blob([data], { type: contentType }), name);
+    return client.upload(`/repos/${repository.fullName}/releases/${release.id}/assets?name=${encodeURIComponent(name)}`, form);
+  },
+
+  // The raw update-info.json on the plugin's branch.
+  updateCheckerUrl(repoUrl, { branch }) {
+    return `${repoUrl.replace(/\/+$/, '')}/raw/branch/${branch}/update-info.json`;
+  }
+};
@@ -0,0 +1,96 @@
+// GitHub as a git host (see lib/git-hosts.js for the interface).  Works
+// against GitHub Enterprise or a mock server through the API URL.
+
+const { createApiClient } = require('./api-client');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+module.exports = {
+  id: 'github',
+  label: 'GitHub',
+  defaultApiUrl: DEFAULT_API_URL,
+  tokenVariable: 'GITHUB_TOKEN',
+  pucService: 'GitHub',
+  pucSelfHosted: false,
+  releaseAssetsMethod: 'enableReleaseAssets',
+
+  // github.com for the public API, the server itself for GitHub
+  // Enterprise (`/api/v3`).
+  webUrl(apiUrl) {
+    const base = (apiUrl || DEFAULT_API_URL).replace(/\/+$/, '');
+    return base === DEFAULT_API_URL ? 'https://github.com' : base.replace(/\/api\/v3$/, '');
+  },
+
+  createClient(token, apiUrl) {
+    return createApiClient({
+      baseUrl: apiUrl || DEFAULT_API_URL,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Accept': 'application/vnd.github+json'
+      }
+    });
+  },
+
+  async resolveUser(client) {
+    return (await client.request('GET', '/user')).login;
+  },
+
+  // Classic tokens list their scopes in a header; fine-grained tokens
+  // have per-repository permissions instead and send none.
+  async checkToken(client) {
+    const { data, headers } = await client.requestWithHeaders('GET', '/user');
+    const scopes = headers.get('x-oauth-scopes');
+    return {
+      username: data.login,
+      scopes: scopes === null ? null : scopes.split(',').map((scope) => scope.trim()).filter(Boolean)
+    };
+  },
+
+  async createRepository(client, { name, organization, description, homepage, private: isPrivate }) {
+    const repo = await client.request(
+      'POST',
+      organization ? `/orgs/${encodeURIComponent(organization)}/repos` : '/user/repos',
+      { name, description, homepage: homepage || undefined, private: isPrivate }
+    );
+    return { fullName: repo.full_name, webUrl: repo.html_url, cloneUrl: repo.clone_url };
+  },
+
+  // Needs the delete_repo scope, which publishing does not.
+  deleteRepository(client, repository) {
+    return client.request('DELETE', `/repos/${repository.fullName}`);
+  },
+
+  remoteUrl(repository) {
+    return repository.cloneUrl || `${repository.webUrl}.git`;
+  },
+
+  setTopics(client, repository, topics) {
+    return client.request('PUT', `/repos/${repository.fullName}/topics`, { names: topics });
+  },
+
+  setDefaultBranch(client, repository, branch) {
+    return client.request('PATCH', `/repos/${repository.fullName}`, { default_branch: branch });
+  },
+
+  async createRelease(client, repository, { tag, branch, name, body }) {
+    const release = await client.request('POST', `/repos/${repository.fullName}/releases`, {
+      tag_name: tag,
+      target_commitish: branch,
+      name,
+      body
+    });
+    return { url: release.html_url || `${repository.webUrl}/releases/tag/${tag}`, uploadUrl: release.upload_url };
+  },
+
+  uploadReleaseAsset(client, repository, release, { name, data, contentType }) {
+    // upload_url is a URI template such as .../assets{?name,label}.
+    const url = `${release.uploadUrl.replace(/\{[^}]*\}$/, '')}?name=${encodeURIComponent(name)}`;
+    return client.upload(url, data, contentType);
+  },
+
+  // The update checker reads releases, tags and branches from the
+  // repository page itself.
+  updateCheckerUrl(repoUrl) {
+    return repoUrl;
+  }
+};
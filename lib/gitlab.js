@@ -0,0 +1,113 @@
+// GitLab as a git host (see lib/git-hosts.js for the interface), for
+// gitlab.com and self-managed instances (`https://<host>/api/v4`).
+
+const { createApiClient } = require('./api-client');
+
+const DEFAULT_API_URL = 'https://gitlab.com/api/v4';
+
+// Projects are addressed by their numeric id.
+const projectPath = (repository) => `/projects/${encodeURIComponent(repository.id)}`;
+
+module.exports = {
+  id: 'gitlab',
+  label: 'GitLab',
+  defaultApiUrl: DEFAULT_API_URL,
+  tokenVariable: 'GITLAB_TOKEN',
+  pucService: 'GitLab',
+  // The update checker only recognizes gitlab.com by itself.
+  pucSelfHosted: true,
+  releaseAssetsMethod: 'enableReleasePackages',
+
+  webUrl(apiUrl) {
+    return (apiUrl || DEFAULT_API_URL).replace(/\/+$/, '').replace(/\/api\/v4$/, '');
+  },
+
+  createClient(token, apiUrl) {
+    return createApiClient({
+      baseUrl: apiUrl || DEFAULT_API_URL,
+      headers: { 'PRIVATE-TOKEN': token }
+    });
+  },
+
+  async resolveUser(client) {
+    return (await client.request('GET', '/user')).username;
+  },
+
+  async checkToken(client) {
+    const user = await client.request('GET', '/user');
+    let scopes = null;
+    try {
+      scopes = (await client.request('GET', '/personal_access_tokens/self')).scopes || null;
+    } catch (err) {
+      // Older servers, and OAuth or job tokens, do not describe themselves.
+    }
+    return { username: user.username, scopes };
+  },
+
+  async createRepository(client, { name, organization, description, private: isPrivate }) {
+    // A group (or subgroup) is given by its path; projects are created
+    // in the user's namespace otherwise.
+    const namespace = organization
+      ? await client.request('GET', `/namespaces/${encodeURIComponent(organization)}`)
+      : null;
+    const project = await client.request('POST', '/projects', {
+      name,
+      path: name,
+      namespace_id: namespace ? namespace.id : undefined,
+      description,
+      visibility: isPrivate ? 'private' : 'public'
+    });
+    return {
+      id: String(project.id),
+      fullName: project.path_with_namespace,
+      webUrl: project.web_url,
+      cloneUrl: project.http_url_to_repo
+    };
+  },
+
+  deleteRepository(client, repository) {
+    return client.request('DELETE', projectPath(repository));
+  },
+
+  remoteUrl(repository) {
+    return repository.cloneUrl || `${repository.webUrl}.git`;
+  },
+
+  setTopics(client, repository, topics) {
+    return client.request('PUT', projectPath(repository), { topics });
+  },
+
+  setDefaultBranch(client, repository, branch) {
+    return client.request('PUT', projectPath(repository), { default_branch: branch });
+  },
+
+  async createRelease(client, repository, { tag, branch, name, body }) {
+    await client.request('POST', `${projectPath(repository)}/releases`, {
+      tag_name: tag,
+      ref: branch,
+      name,
+      description: body
+    });
+    return { url: `${repository.webUrl}/-/releases/${encodeURIComponent(tag)}`, tag };
+  },
+
+  // Upload the file to the project, then link it from the release as a
+  // package, which is what the update checker installs.
+  async uploadReleaseAsset(client, repository, release, { name, data, contentType }) {
+    const form = new FormData();
+    form.append('file', new Blob([data], { type: contentType }), name);
+    const upload = await client.upload(`${projectPath(repository)}/uploads`, form);
+    const url = upload.full_path
+      ? new URL(upload.full_path, repository.webUrl).href
+      : `${repository.webUrl}${upload.url}`;
+    return client.request('POST', `${projectPath(repository)}/releases/${encodeURIComponent(release.tag)}/assets/links`, {
+      name,
+      url,
+      link_type: 'package'
+    });
+  },
+
+  updateCheckerUrl(repoUrl) {
+    return repoUrl;
+  }
+};
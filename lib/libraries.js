@@ -0,0 +1,341 @@
+// Library registry.  Every optional library is a definition folder
+// holding a `library.json` manifest and the stub class template it
+// renders.  The built-in ones live in `libraries/`; user-installed
+// folders (the app's userData `libraries/` directory, `--libraries` on
+// the command line or `libraryDirs` in a manifest) are read after them,
+// so a folder can replace a built-in library by using its id.
+//
+// library.json:
+//
+//   id           lowercase letters, digits and hyphens, e.g. "action-scheduler"
+//   label        name shown in the app
+//   description  one line shown next to the label (optional)
+//   composer     Composer requirements, { "vendor/package": "^1.0" } (optional)
+//   template     stub template file inside the folder (default "stub.php.tpl")
+//   classSuffix  class name suffix, e.g. "ActionScheduler" (default from the id)
+//   hooks        Loader registrations, [{ type, hook, callback }] (optional)
+//   fields       config fields shown when the library is selected (optional):
+//                [{ key, label, type, default, required, options, description }]
+//                with type text, textarea, number, checkbox or select
+
+const path = require('path');
+const fs = require('fs').promises;
+const { escapePhpString } = require('./php');
+const { validateConfigValues } = require('./validation');
+
+const BUILTIN_LIBRARY_DIR = path.join(__dirname, '..', 'libraries');
+const DEFINITION_FILE = 'library.json';
+const DEFAULT_TEMPLATE_FILE = 'stub.php.tpl';
+
+const FIELD_TYPES = ['text', 'textarea', 'number', 'checkbox', 'select'];
+const HOOK_TYPES = ['action', 'filter'];
+
+const ID_PATTERN = /^[a-z][a-z0-9]*(?:-[a-z0-9]+)*$/;
+const PHP_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const FIELD_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+// Hook names are written into single-quoted PHP strings in the core class.
+const HOOK_NAME_PATTERN = /^[A-Za-z0-9_\-\/.]+$/;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const pascalCase = (id) => id.split('-').map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+
+/**
+ * Check and normalize the config fields of a definition.
+ *
+ * @param {*} fields `fields` from library.json
+ * @param {string[]} problems Collects what is wrong
+ * @returns {object[]} Fields with `options` as `{ value, label }` pairs
+ */
+function normalizeFields(fields, problems) {
+  if (fields === undefined) {
+    return [];
+  }
+  if (!Array.isArray(fields)) {
+    problems.push("'fields' must be a list.");
+    return [];
+  }
+  const keys = new Set();
+  return fields.map((field, index) => {
+    const where = `Field ${index + 1}`;
+    if (!isPlainObject(field)) {
+      problems.push(`${where} must be an object.`);
+      return null;
+    }
+    if (typeof field.key !== 'string' || !FIELD_KEY_PATTERN.test(field.key)) {
+      problems.push(`${where} needs a 'key' made of letters, digits and underscores.`);
+    } else if (keys.has(field.key)) {
+      problems.push(`${where}: the key '${field.key}' is used twice.`);
+    }
+    keys.add(field.key);
+    const type = field.type || 'text';
+    if (!FIELD_TYPES.includes(type)) {
+      problems.push(`${where}: unknown type '${type}'; use ${FIELD_TYPES.join(', ')}.`);
+    }
+    const options = (Array.isArray(field.options) ? field.options : []).map((option) => (isPlainObject(option)
+      ? { value: String(option.value), label: String(option.label !== undefined ? option.label : option.value) }
+      : { value: String(option), label: String(option) }));
+    if (type === 'select' && options.length === 0) {
+      problems.push(`${where}: select fields need 'options'.`);
+    }
+    let fallback = '';
+    if (type === 'checkbox') fallback = false;
+    if (type === 'select' && options.length) fallback = options[0].value;
+    return {
+      key: field.key,
+      label: typeof field.label === 'string' && field.label.trim() ? field.label.trim() : String(field.key),
+      type,
+      description: typeof field.description === 'string' ? field.description : '',
+      required: Boolean(field.required),
+      options,
+      default: field.default !== undefined ? field.default : fallback
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Read and check one definition folder.
+ *
+ * @param {string} dir Definition folder
+ * @param {{ builtIn?: boolean }} [options]
+ * @returns {Promise<object>} The definition: `id`, `label`, `description`,
+ *   `composer`, `template` (its template name, `libraries/{id}.php`),
+ *   `templateFile`, `classSuffix`, `hooks`, `fields`, `dir` and `builtIn`
+ */
+async function readLibraryDefinition(dir, options = {}) {
+  const file = path.join(dir, DEFINITION_FILE);
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read library definition ${file}: ${err.message}`);
+  }
+  if (!isPlainObject(data)) {
+    throw new Error(`Library definition ${file} must hold a JSON object.`);
+  }
+
+  const problems = [];
+  const id = typeof data.id === 'string' ? data.id.trim() : '';
+  if (!ID_PATTERN.test(id)) {
+    problems.push("'id' must be lowercase letters, digits and hyphens, starting with a letter.");
+  }
+  if (typeof data.label !== 'string' || !data.label.trim()) {
+    problems.push("'label' is required.");
+  }
+  const composer = data.composer === undefined ? {} : data.composer;
+  if (!isPlainObject(composer) || Object.values(composer).some((constraint) => typeof constraint !== 'string')) {
+    problems.push("'composer' must map package names to version constraints.");
+  }
+  const classSuffix = data.classSuffix === undefined ? pascalCase(id) : data.classSuffix;
+  if (typeof classSuffix !== 'string' || !PHP_IDENTIFIER.test(classSuffix)) {
+    problems.push("'classSuffix' must be a PHP class name.");
+  }
+  const hooks = data.hooks === undefined ? [] : data.hooks;
+  if (!Array.isArray(hooks)) {
+    problems.push("'hooks' must be a list.");
+  } else {
+    hooks.forEach((hook, index) => {
+      if (!isPlainObject(hook) || !HOOK_TYPES.includes(hook.type)
+        || typeof hook.hook !== 'string' || !HOOK_NAME_PATTERN.test(hook.hook.trim())
+        || typeof hook.callback !== 'string' || !PHP_IDENTIFIER.test(hook.callback)) {
+        problems.push(`Hook ${index + 1} needs a 'type' (action or filter), a 'hook' name of letters, digits, '_', '-', '/' and '.', and a 'callback' method name.`);
+      }
+    });
+  }
+  const fields = normalizeFields(data.fields, problems);
+  const templateFile = path.join(dir, typeof data.template === 'string' ? data.template : DEFAULT_TEMPLATE_FILE);
+  const templatePath = path.relative(dir, templateFile);
+  if (!templatePath || templatePath === '..' || templatePath.startsWith(`..${path.sep}`) || path.isAbsolute(templatePath)) {
+    problems.push("'template' must name a file inside the definition folder.");
+  } else {
+    try {
+      await fs.access(templateFile);
+    } catch (err) {
+      problems.push(`The template ${templateFile} does not exist.`);
+    }
+  }
+  if (problems.length) {
+    throw new Error(`Library definition ${file} is invalid: ${problems.join(' ')}`);
+  }
+
+  return {
+    id,
+    label: data.label.trim(),
+    description: typeof data.description === 'string' ? data.description.trim() : '',
+    composer,
+    template: `libraries/${id}.php`,
+    templateFile,
+    classSuffix,
+    hooks: hooks.map(({ type, hook, callback }) => ({ type, hook: hook.trim(), callback })),
+    fields,
+    dir,
+    builtIn: Boolean(options.builtIn)
+  };
+}
+
+/**
+ * Load the built-in libraries, then the definition folders found in
+ * each of `dirs`.  Directories that do not exist are skipped.  So are
+ * invalid user-installed definitions, so that one broken folder does not
+ * take every library down; they are added to `problems` instead.
+ *
+ * @param {string[]} [dirs] Directories holding definition folders
+ * @param {{ dir: string, message: string }[]} [problems] Collects the
+ *   skipped definition folders and what is wrong with them
+ * @returns {Promise<Object<string, object>>} Definitions by id
+ */
+async function loadLibraryRegistry(dirs = [], problems = []) {
+  const registry = {};
+  const roots = [
+    { root: BUILTIN_LIBRARY_DIR, builtIn: true },
+    ...(Array.isArray(dirs) ? dirs : []).filter(Boolean).map((root) => ({ root, builtIn: false }))
+  ];
+  for (const { root, builtIn } of roots) {
+    let entries;
+    try {
+      entries = await fs.readdir(root, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries.filter((item) => item.isDirectory())) {
+      const dir = path.join(root, entry.name);
+      let definition;
+      try {
+        definition = await readLibraryDefinition(dir, { builtIn });
+      } catch (err) {
+        if (builtIn) throw err;
+        problems.push({ dir, message: err.message });
+        continue;
+      }
+      registry[definition.id] = definition;
+    }
+  }
+  return registry;
+}
+
+/**
+ * The registry as the renderer needs it to build the library list and
+ * config forms.
+ *
+ * @param {Object<string, object>} registry Output of loadLibraryRegistry()
+ * @returns {{ id: string, label: string, description: string, packages: string[], fields: object[], builtIn: boolean, dir: string }[]}
+ */
+function describeLibraries(registry) {
+  return Object.values(registry).map((definition) => ({
+    id: definition.id,
+    label: definition.label,
+    description: definition.description,
+    packages: Object.keys(definition.composer),
+    fields: definition.fields,
+    builtIn: definition.builtIn,
+    dir: definition.dir
+  }));
+}
+
+/**
+ * Copy a definition folder into a directory of installed libraries,
+ * replacing an installed library with the same id.
+ *
+ * @param {string} sourceDir Definition folder to install
+ * @param {string} targetRoot Directory of installed libraries
+ * @returns {Promise<object>} The installed definition
+ */
+async function installLibraryDefinition(sourceDir, targetRoot) {
+  const { id } = await readLibraryDefinition(sourceDir);
+  const target = path.join(targetRoot, id);
+  if (path.resolve(sourceDir) !== path.resolve(target)) {
+    await fs.rm(target, { recursive: true, force: true });
+    await fs.mkdir(targetRoot, { recursive: true });
+    await fs.cp(sourceDir, target, { recursive: true });
+  }
+  return readLibraryDefinition(target);
+}
+
+/**
+ * Problems with the libraries selected in a set of options: unknown ids
+ * and invalid config values, by form field (`libraryConfig.{id}.{key}`).
+ *
+ * @param {object} opts Plugin options
+ * @param {Object<string, object>} registry Output of loadLibraryRegistry()
+ * @returns {{ field: string, message: string }[]}
+ */
+function libraryFieldErrors(opts, registry) {
+  const config = isPlainObject(opts.libraryConfig) ? opts.libraryConfig : {};
+  return (Array.isArray(opts.libraries) ? opts.libraries : [])
+    .filter((id) => registry[id])
+    .flatMap((id) => validateConfigValues(registry[id].fields, config[id]).map(({ key, message }) => ({
+      field: `libraryConfig.${id}.${key}`,
+      message: `${registry[id].label}: ${message}`
+    })));
+}
+
+/**
+ * Check the selected libraries of a set of options.
+ *
+ * @param {object} opts Plugin options
+ * @param {Object<string, object>} registry Output of loadLibraryRegistry()
+ * @returns {string[]} Validation errors
+ */
+function validateLibraries(opts, registry) {
+  const errors = [];
+  if (opts.libraryConfig !== undefined && !isPlainObject(opts.libraryConfig)) {
+    errors.push("'libraryConfig' must map library ids to their settings.");
+  }
+  for (const id of Array.isArray(opts.libraries) ? opts.libraries : []) {
+    if (!registry[id]) {
+      errors.push(`Unknown library '${id}'.`);
+    }
+  }
+  errors.push(...libraryFieldErrors(opts, registry).map((error) => error.message));
+  return errors;
+}
+
+/**
+ * Template context for a library's stub: its config values with the
+ * defaults filled in.  Text is escaped for single-quoted PHP strings,
+ * numbers are numbers and checkboxes booleans.
+ *
+ * @param {object} definition Library definition
+ * @param {object} [values] Entered values, by field key
+ * @returns {{ config: object }}
+ */
+function buildLibraryContext(definition, values) {
+  const config = {};
+  definition.fields.forEach((field) => {
+    const value = values && values[field.key] !== undefined ? values[field.key] : field.default;
+    if (field.type === 'checkbox') {
+      config[field.key] = Boolean(value);
+    } else if (field.type === 'number') {
+      config[field.key] = value === '' || value === undefined || value === null ? '' : Number(value);
+    } else {
+      config[field.key] = escapePhpString(typeof value === 'string' ? value.trim() : value);
+    }
+  });
+  return { config };
+}
+
+/**
+ * Entries for the `require` block of composer.json, each formatted as
+ * `"package": "constraint"`.
+ *
+ * @param {object} definition Library definition
+ * @returns {string[]}
+ */
+function composerRequirements(definition) {
+  return Object.entries(definition.composer)
+    .map(([name, constraint]) => `${JSON.stringify(name)}: ${JSON.stringify(constraint)}`);
+}
+
+module.exports = {
+  BUILTIN_LIBRARY_DIR,
+  FIELD_TYPES,
+  readLibraryDefinition,
+  loadLibraryRegistry,
+  describeLibraries,
+  installLibraryDefinition,
+  libraryFieldErrors,
+  validateLibraries,
+  buildLibraryContext,
+  composerRequirements
+};
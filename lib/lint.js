@@ -0,0 +1,308 @@
+// Checks of a generated (or since edited) plugin folder: the main
+// plugin file's header and readme.txt against the WordPress.org plugin
+// directory rules, composer.json by parsing it, and every PHP file with
+// `php -l` when a php binary is on the PATH.  Problems are reported as
+// errors, which the plugin directory would reject or which break the
+// plugin, and warnings, which it would accept.
+
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { findMainPluginFile } = require('./release');
+
+// WordPress.org cuts the short description in readme.txt after this.
+const SHORT_DESCRIPTION_MAX = 150;
+
+// Only the first tags in readme.txt are used.
+const TAGS_MAX = 5;
+
+const VERSION_PATTERN = /^\d+(\.\d+)*([-+][0-9A-Za-z.-]+)?$/;
+const WP_VERSION_PATTERN = /^\d+\.\d+(\.\d+)?$/;
+
+// Licenses the plugin directory accepts: the GPL (v2 or later) and the
+// licenses compatible with it, written without spaces, dashes and
+// "version"/"license", e.g. "GPLv2 or later" -> "gplv2orlater".
+const GPL_COMPATIBLE_LICENSES = /^(gpl|gplv?[23](\.0)?(\+|orlater|only)?|lgplv?[23](\.[01])?(\+|orlater|only)?|mit|expat|bsd|bsd[23]clause|modifiedbsd|newbsd|freebsd|apachev?2(\.0)?|mplv?2(\.0)?|isc|zlib|x11|cc0(1\.0)?|publicdomain|unlicense|artisticv?2(\.0)?)$/;
+
+// Directories left out of the PHP syntax check.
+const SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules', 'vendor']);
+
+const normalizeLicense = (license) => license
+  .toLowerCase()
+  .replace(/gnu\s+lesser\s+general\s+public\s+license/g, 'lgpl')
+  .replace(/gnu\s+general\s+public\s+license/g, 'gpl')
+  .replace(/\b(version|license)\b/g, '')
+  .replace(/[\s_-]+/g, '');
+
+/**
+ * Whether WordPress.org accepts a license name as GPL compatible.
+ *
+ * @param {string} license e.g. 'GPLv2 or later', 'GPL-2.0-or-later', 'MIT'
+ * @returns {boolean}
+ */
+function isGplCompatible(license) {
+  return GPL_COMPATIBLE_LICENSES.test(normalizeLicense(license));
+}
+
+/**
+ * Read the header fields of a main plugin file, as WordPress does: the
+ * first `Name: value` of each field, with comment markers stripped.
+ *
+ * @param {string} contents File contents
+ * @returns {object} Field values by name, e.g. `{ 'Plugin Name': 'Demo' }`
+ */
+function parsePluginHeader(contents) {
+  const fields = {};
+  const names = ['Plugin Name', 'Plugin URI', 'Description', 'Version', 'Requires at least', 'Requires PHP', 'Author', 'Author URI', 'License', 'License URI', 'Text Domain', 'Domain Path', 'Update URI'];
+  names.forEach((name) => {
+    const match = new RegExp(`^[ \\t/*#@]*${name}:(.*)$`, 'mi').exec(contents.slice(0, 8192));
+    if (match) {
+      fields[name] = match[1].replace(/\s*(?:\*\/|\?>).*$/, '').trim();
+    }
+  });
+  return fields;
+}
+
+/**
+ * Parse readme.txt into its name, header fields, short description and
+ * section titles.
+ *
+ * @param {string} text
+ * @returns {{ name: string|null, fields: object, shortDescription: string, sections: string[] }}
+ *   `fields` has lowercase names, e.g. `'stable tag'`
+ */
+function parseReadme(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  let index = 0;
+  const skipBlank = () => {
+    while (index < lines.length && !lines[index].trim()) index += 1;
+  };
+  skipBlank();
+  const title = /^===\s*(.*?)\s*===\s*$/.exec(lines[index] || '');
+  if (title) index += 1;
+  skipBlank();
+  const fields = {};
+  let field;
+  while (index < lines.length && (field = /^([A-Za-z][A-Za-z ]*):\s*(.*)$/.exec(lines[index]))) {
+    fields[field[1].trim().toLowerCase()] = field[2].trim();
+    index += 1;
+  }
+  skipBlank();
+  const summary = [];
+  while (index < lines.length && lines[index].trim() && !/^==/.test(lines[index])) {
+    summary.push(lines[index].trim());
+    index += 1;
+  }
+  const sections = lines
+    .map((line) => /^==\s*([^=].*?)\s*==\s*$/.exec(line))
+    .filter(Boolean)
+    .map((match) => match[1]);
+  return { name: title ? title[1] : null, fields, shortDescription: summary.join(' '), sections };
+}
+
+function checkHeader(main, slug, report) {
+  const error = (message) => report('error', main.file, message);
+  const warning = (message) => report('warning', main.file, message);
+  const header = parsePluginHeader(main.contents);
+  if (!header['Plugin Name']) {
+    error('The Plugin Name header is empty.');
+  }
+  if (!header.Version) {
+    error('The Version header is missing.');
+  } else if (!VERSION_PATTERN.test(header.Version)) {
+    error(`Version '${header.Version}' is not a version number such as 1.0.0.`);
+  }
+  if (!header.Description) {
+    warning('The Description header is empty; it is shown in the plugins list.');
+  }
+  ['Requires at least', 'Requires PHP'].filter((name) => header[name]).forEach((name) => {
+    if (!WP_VERSION_PATTERN.test(header[name])) {
+      error(`${name} '${header[name]}' is not a version such as 6.0.`);
+    }
+  });
+  if (!header.License) {
+    error('The License header is missing.');
+  } else if (!isGplCompatible(header.License)) {
+    error(`License '${header.License}' is not GPL compatible, which WordPress.org requires.`);
+  }
+  if (header['Text Domain'] && header['Text Domain'] !== slug) {
+    warning(`The Text Domain '${header['Text Domain']}' should be the plugin slug '${slug}'.`);
+  }
+  return header;
+}
+
+function checkReadme(text, header, report) {
+  const error = (message) => report('error', 'readme.txt', message);
+  const warning = (message) => report('warning', 'readme.txt', message);
+  const readme = parseReadme(text);
+  const { fields } = readme;
+  if (readme.name === null) {
+    error("The first line is not the plugin name as '=== Plugin Name ==='.");
+  } else if (header['Plugin Name'] && readme.name !== header['Plugin Name']) {
+    warning(`The name '${readme.name}' differs from the Plugin Name header '${header['Plugin Name']}'.`);
+  }
+  if (!fields.contributors) {
+    warning('No Contributors are listed; use WordPress.org usernames.');
+  }
+  const tags = (fields.tags || '').split(',').map((tag) => tag.trim()).filter(Boolean);
+  if (tags.length > TAGS_MAX) {
+    warning(`${tags.length} tags are listed; only the first ${TAGS_MAX} are used.`);
+  }
+  if (!fields['tested up to']) {
+    error("'Tested up to' is missing.");
+  } else if (!WP_VERSION_PATTERN.test(fields['tested up to'])) {
+    error(`'Tested up to' '${fields['tested up to']}' is not a WordPress version such as 6.5.`);
+  }
+  if (!fields['stable tag']) {
+    error("'Stable tag' is missing.");
+  } else if (fields['stable tag'] === 'trunk') {
+    warning("'Stable tag: trunk' is discouraged; use the plugin version.");
+  } else if (header.Version && fields['stable tag'] !== header.Version) {
+    error(`'Stable tag' ${fields['stable tag']} does not match the plugin Version ${header.Version}.`);
+  }
+  [['requires at least', 'Requires at least'], ['requires php', 'Requires PHP']].forEach(([key, name]) => {
+    if (fields[key] && header[name] && fields[key] !== header[name]) {
+      warning(`'${name}' ${fields[key]} differs from the plugin header's ${header[name]}.`);
+    }
+  });
+  if (!fields.license && !header.License) {
+    error('No License is given.');
+  } else if (fields.license && !isGplCompatible(fields.license)) {
+    error(`License '${fields.license}' is not GPL compatible, which WordPress.org requires.`);
+  }
+  if (!readme.shortDescription) {
+    warning('The short description below the header fields is missing.');
+  } else if (readme.shortDescription.length > SHORT_DESCRIPTION_MAX) {
+    error(`The short description has ${readme.shortDescription.length} characters; WordPress.org cuts it after ${SHORT_DESCRIPTION_MAX}.`);
+  }
+  if (!readme.sections.some((section) => section.toLowerCase() === 'description')) {
+    warning('There is no == Description == section.');
+  }
+}
+
+function checkComposer(text, report) {
+  let composer;
+  try {
+    composer = JSON.parse(text);
+  } catch (err) {
+    report('error', 'composer.json', `Not valid JSON: ${err.message}`);
+    return;
+  }
+  if (!composer || typeof composer !== 'object' || Array.isArray(composer)) {
+    report('error', 'composer.json', 'The file must contain a JSON object.');
+    return;
+  }
+  if (composer.name !== undefined && !/^[a-z0-9]([_.-]?[a-z0-9]+)*\/[a-z0-9](([_.]|-{1,2})?[a-z0-9]+)*$/.test(composer.name)) {
+    report('error', 'composer.json', `The package name '${composer.name}' is not of the form vendor/package in lowercase.`);
+  }
+  ['require', 'require-dev', 'autoload'].forEach((key) => {
+    const value = composer[key];
+    if (value !== undefined && (!value || typeof value !== 'object' || Array.isArray(value))) {
+      report('error', 'composer.json', `'${key}' must be an object.`);
+    }
+  });
+}
+
+const run = (command, args) => new Promise((resolve) => {
+  execFile(command, args, { timeout: 30000 }, (error, stdout, stderr) => {
+    resolve({ error, output: `${stdout || ''}${stderr || ''}` });
+  });
+});
+
+/**
+ * The version of the php binary on the PATH, or null when there is none.
+ *
+ * @param {string} [php] Command to run
+ * @returns {Promise<string|null>}
+ */
+async function findPhp(php = 'php') {
+  const { error, output } = await run(php, ['-r', 'echo PHP_VERSION;']);
+  return error ? null : output.trim();
+}
+
+async function collectPhpFiles(pluginDir, prefix = '') {
+  const files = [];
+  const entries = await fs.readdir(path.join(pluginDir, prefix), { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory() && !SKIPPED_DIRECTORIES.has(entry.name)) {
+      files.push(...await collectPhpFiles(pluginDir, relative));
+    } else if (entry.isFile() && entry.name.endsWith('.php')) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+/**
+ * Check a plugin folder.  Missing files are reported, not thrown.
+ *
+ * @param {string} pluginDir Plugin directory
+ * @param {{ php?: string }} [options] `php`: the php command, 'php' by
+ *   default, or false to skip the syntax check
+ * @returns {Promise<{ issues: { severity: string, file: string, message: string }[], errors: number, warnings: number, php: { version: string|null, checked: number } }>}
+ *   `severity` is 'error' or 'warning'; `php.version` is null when the
+ *   PHP files were not checked
+ */
+async function lintPlugin(pluginDir, { php = 'php' } = {}) {
+  const issues = [];
+  const report = (severity, file, message) => issues.push({ severity, file, message });
+  const readText = async (name) => {
+    try {
+      return await fs.readFile(path.join(pluginDir, name), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  };
+
+  const main = await findMainPluginFile(pluginDir);
+  let header = {};
+  if (main) {
+    header = checkHeader(main, main.file.slice(0, -'.php'.length), report);
+  } else {
+    report('error', '', "No top-level PHP file has a 'Plugin Name' header.");
+  }
+
+  const readme = await readText('readme.txt');
+  if (readme === null) {
+    report('error', 'readme.txt', 'The plugin has no readme.txt, which WordPress.org requires.');
+  } else {
+    checkReadme(readme, header, report);
+  }
+
+  const composer = await readText('composer.json');
+  if (composer !== null) {
+    checkComposer(composer, report);
+  }
+
+  const phpVersion = php ? await findPhp(php) : null;
+  let checked = 0;
+  if (phpVersion) {
+    for (const file of await collectPhpFiles(pluginDir)) {
+      const { error, output } = await run(php, ['-l', path.join(pluginDir, ...file.split('/'))]);
+      checked += 1;
+      if (error) {
+        const message = output.split('\n').map((line) => line.trim()).find((line) => /error/i.test(line) && !/^Errors parsing/.test(line));
+        report('error', file, (message || output.trim() || error.message).replace(/^PHP\s+/, '').replace(` in ${path.join(pluginDir, ...file.split('/'))}`, ''));
+      }
+    }
+  }
+
+  return {
+    issues,
+    errors: issues.filter(({ severity }) => severity === 'error').length,
+    warnings: issues.filter(({ severity }) => severity === 'warning').length,
+    php: { version: phpVersion, checked }
+  };
+}
+
+module.exports = {
+  SHORT_DESCRIPTION_MAX,
+  isGplCompatible,
+  parsePluginHeader,
+  parseReadme,
+  findPhp,
+  lintPlugin
+};
@@ -0,0 +1,179 @@
+// Manifest loading for headless generation.  A manifest is a JSON or
+// YAML file holding the same fields the renderer form collects, either
+// for a single plugin or for a whole suite of plugins.
+
+const path = require('path');
+const fs = require('fs').promises;
+const yaml = require('js-yaml');
+const { AVAILABLE_SNIPPETS } = require('./generator');
+const { validateLibraries } = require('./libraries');
+const { validateContentTypes } = require('./content-types');
+const { validateBlocks } = require('./blocks');
+const { validateRestConfig } = require('./rest');
+const { validateSettingsConfig } = require('./settings');
+const { validateCliCommand } = require('./cli-command');
+const { validateTables } = require('./database');
+const { validateQuality } = require('./quality');
+const { validateAssets } = require('./assets');
+const { validateAdminUi } = require('./admin-ui');
+const { validateShortcodes } = require('./shortcodes');
+const { normalizePluginFields, validatePluginFields } = require('./validation');
+
+// Values the renderer form pre-fills.  Manifests may leave these out.
+const FORM_DEFAULTS = {
+  description: '',
+  version: '1.0.0',
+  requiresAtLeast: '6.0',
+  testedUpTo: '6.5',
+  requiresPhp: '7.4',
+  branch: 'main',
+  repo: '',
+  withComposer: false,
+  modernStructure: false,
+  vendor: '',
+  assetPipeline: false,
+  adminAssetScope: 'all',
+  publicAssetScope: 'all',
+  listTables: [],
+  adminNotices: false,
+  adminActions: [],
+  shortcodes: [],
+  libraries: [],
+  snippets: [],
+  postTypes: [],
+  taxonomies: [],
+  blocks: [],
+  tables: [],
+  deleteDataOnUninstall: false,
+  quality: []
+};
+
+/**
+ * Parse manifest text.  Files ending in .yml/.yaml are read as YAML,
+ * everything else as JSON.
+ *
+ * @param {string} text Raw file contents
+ * @param {string} filePath Path used to pick the format and for messages
+ * @returns {*} Parsed manifest data
+ */
+function parseManifest(text, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  try {
+    if (ext === '.yml' || ext === '.yaml') {
+      return yaml.load(text);
+    }
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Could not parse manifest '${filePath}': ${err.message}`);
+  }
+}
+
+/**
+ * Expand parsed manifest data into a list of plugin option objects.
+ * Three shapes are accepted:
+ *
+ *   - a single plugin object (`{ name, slug, ... }`)
+ *   - an array of plugin objects
+ *   - `{ defaults: {...}, plugins: [...] }`, where `defaults` is merged
+ *     underneath every entry of `plugins`
+ *
+ * @param {*} data Parsed manifest
+ * @returns {object[]} Plugin option objects
+ */
+function expandManifest(data) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (!data || typeof data !== 'object') {
+    throw new Error('Manifest must be an object or a list of plugins.');
+  }
+  if (Array.isArray(data.plugins)) {
+    const defaults = data.defaults && typeof data.defaults === 'object' ? data.defaults : {};
+    return data.plugins.map((entry) => ({ ...defaults, ...entry }));
+  }
+  return [data];
+}
+
+/**
+ * Read a manifest file and return the plugin option objects it
+ * describes, with the form defaults filled in and the plugin's text
+ * fields trimmed (see normalizePluginFields()).  A relative
+ * `outputDir`, `templateDir` or entry of `libraryDirs` is resolved
+ * against the manifest's own directory.
+ *
+ * @param {string} filePath Path to the manifest
+ * @returns {Promise<object[]>} Plugin option objects
+ */
+async function loadManifest(filePath) {
+  const text = await fs.readFile(filePath, 'utf8');
+  const baseDir = path.dirname(path.resolve(filePath));
+  return expandManifest(parseManifest(text, filePath)).map((entry) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return entry;
+    }
+    const opts = normalizePluginFields({ ...FORM_DEFAULTS, ...entry });
+    for (const key of ['outputDir', 'templateDir']) {
+      if (opts[key]) {
+        opts[key] = path.resolve(baseDir, opts[key]);
+      }
+    }
+    if (Array.isArray(opts.libraryDirs)) {
+      opts.libraryDirs = opts.libraryDirs.map((dir) => path.resolve(baseDir, String(dir)));
+    }
+    return opts;
+  });
+}
+
+/**
+ * Check a single plugin option object with the same rules the renderer
+ * form applies before submitting.  Returns a list of human readable
+ * problems; an empty list means the options are usable.  The plugin's
+ * own fields are checked by validatePluginFields() in lib/validation.js,
+ * which also reports which field each problem belongs to.
+ *
+ * @param {object} opts Plugin options
+ * @param {Object<string, object>} libraries The library registry the
+ *   options are generated with (see loadLibraryRegistry() in lib/libraries.js)
+ * @returns {string[]} Validation errors
+ */
+function validatePluginOptions(opts, libraries) {
+  if (!opts || typeof opts !== 'object' || Array.isArray(opts)) {
+    return ['Plugin entry must be an object.'];
+  }
+  const errors = validatePluginFields(opts).map((error) => error.message);
+  for (const key of ['libraries', 'libraryDirs', 'snippets', 'postTypes', 'taxonomies', 'blocks', 'tables', 'quality', 'listTables', 'adminActions', 'shortcodes']) {
+    if (opts[key] !== undefined && !Array.isArray(opts[key])) {
+      errors.push(`'${key}' must be a list.`);
+    }
+  }
+  errors.push(...validateLibraries(opts, libraries));
+  const snippets = Array.isArray(opts.snippets) ? opts.snippets : [];
+  for (const snippet of snippets) {
+    if (!AVAILABLE_SNIPPETS[snippet]) {
+      errors.push(`Unknown snippet '${snippet}'.`);
+    }
+  }
+  if (snippets.includes('settings')) {
+    errors.push(...validateSettingsConfig(opts.settingsConfig));
+  }
+  if (snippets.includes('rest')) {
+    errors.push(...validateRestConfig(opts.restConfig));
+  }
+  errors.push(...validateContentTypes(opts));
+  errors.push(...validateBlocks(opts));
+  errors.push(...validateCliCommand(opts));
+  errors.push(...validateTables(opts));
+  errors.push(...validateQuality(opts));
+  errors.push(...validateAssets(opts));
+  errors.push(...validateAdminUi(opts));
+  errors.push(...validateShortcodes(opts));
+  return errors;
+}
+
+module.exports = {
+  FORM_DEFAULTS,
+  parseManifest,
+  expandManifest,
+  loadManifest,
+  validatePluginOptions
+};
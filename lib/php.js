@@ -0,0 +1,64 @@
+// Helpers for turning JavaScript values into PHP source literals.  The
+// generator precomputes these so templates can insert them directly.
+
+/**
+ * Escape a value for use inside a single-quoted PHP string.
+ *
+ * @param {*} value Value to escape
+ * @returns {string} Escaped text without the surrounding quotes
+ */
+function escapePhpString(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * Quote a value as a single-quoted PHP string literal.
+ *
+ * @param {*} value Value to quote
+ * @returns {string} PHP string literal
+ */
+function phpString(value) {
+  return `'${escapePhpString(value)}'`;
+}
+
+/**
+ * @param {*} value Truthy or falsy value
+ * @returns {string} `true` or `false`
+ */
+function phpBool(value) {
+  return value ? 'true' : 'false';
+}
+
+/**
+ * Build a PHP `array( ... )` literal of strings on a single line.
+ *
+ * @param {string[]} values Values to quote
+ * @returns {string} PHP array literal
+ */
+function phpStringArray(values) {
+  return values.length ? `array( ${values.map(phpString).join(', ')} )` : 'array()';
+}
+
+/**
+ * Turn a slug or identifier into a readable label, e.g. `book_genre`
+ * becomes `Book Genre`.
+ *
+ * @param {string} value Slug
+ * @returns {string} Label
+ */
+function humanize(value) {
+  return String(value || '')
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join(' ');
+}
+
+module.exports = {
+  escapePhpString,
+  phpString,
+  phpBool,
+  phpStringArray,
+  humanize
+};
@@ -0,0 +1,228 @@
+// Translation template (.pot) extraction.  Scans the generated PHP and
+// JavaScript for gettext calls in the plugin's text domain, the same way
+// `wp i18n make-pot` does, so no PHP or WP-CLI is needed.  Plugin header
+// fields and block.json titles are included as well.
+
+// Gettext functions and the meaning of their arguments.  `number` marks
+// the count argument of the plural forms, which is not a string.
+const SIMPLE = ['text', 'domain'];
+const WITH_CONTEXT = ['text', 'context', 'domain'];
+const KEYWORDS = {
+  __: SIMPLE,
+  _e: SIMPLE,
+  esc_html__: SIMPLE,
+  esc_html_e: SIMPLE,
+  esc_attr__: SIMPLE,
+  esc_attr_e: SIMPLE,
+  _x: WITH_CONTEXT,
+  _ex: WITH_CONTEXT,
+  esc_html_x: WITH_CONTEXT,
+  esc_attr_x: WITH_CONTEXT,
+  _n: ['text', 'plural', 'number', 'domain'],
+  _nx: ['text', 'plural', 'number', 'context', 'domain'],
+  _n_noop: ['text', 'plural', 'domain'],
+  _nx_noop: ['text', 'plural', 'context', 'domain']
+};
+const CALL_PATTERN = new RegExp(`(?<![\\w$])(${Object.keys(KEYWORDS).join('|')})\\s*\\(`, 'g');
+
+// Plugin header fields translated by WordPress, as `wp i18n make-pot`
+// lists them.
+const HEADER_FIELDS = ['Plugin Name', 'Plugin URI', 'Description', 'Author', 'Author URI'];
+
+// block.json fields and the context WordPress translates them with.
+const BLOCK_FIELDS = { title: 'block title', description: 'block description' };
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Value of a string literal, or null when `raw` is anything else.
+ * Single-quoted PHP strings only know `\\` and `\'`.
+ */
+function literalValue(raw, isPhp) {
+  const match = /^(['"])((?:\\[\s\S]|(?!\1)[^\\])*)\1$/.exec(raw.trim());
+  if (!match) {
+    return null;
+  }
+  const [, quote, body] = match;
+  if (isPhp && quote === "'") {
+    return body.replace(/\\([\\'])/g, '$1');
+  }
+  // A variable in a double-quoted PHP string cannot be translated.
+  if (isPhp && /(^|[^\\])\$/.test(body)) {
+    return null;
+  }
+  return body.replace(/\\([\s\S])/g, (escape, char) => ESCAPES[char] || char);
+}
+
+/**
+ * Split the arguments of a call starting after its opening parenthesis.
+ * Strings and nested brackets are skipped over.
+ *
+ * @returns {string[]} Raw argument source
+ */
+function callArguments(source, start) {
+  const args = [];
+  let depth = 0;
+  let current = '';
+  for (let i = start; i < source.length; i += 1) {
+    const char = source[i];
+    if (char === '"' || char === "'" || char === '`') {
+      let end = i + 1;
+      while (end < source.length && source[end] !== char) {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      current += source.slice(i, end + 1);
+      i = end;
+    } else if ('([{'.includes(char)) {
+      depth += 1;
+      current += char;
+    } else if (')]}'.includes(char)) {
+      if (depth === 0) {
+        args.push(current);
+        return args;
+      }
+      depth -= 1;
+      current += char;
+    } else if (char === ',' && depth === 0) {
+      args.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  return args;
+}
+
+// A `translators:` comment on the line of the call or the line above.
+function translatorComment(source, index) {
+  const lineStart = source.lastIndexOf('\n', index - 1);
+  const previousLineStart = source.lastIndexOf('\n', lineStart - 1);
+  const before = source.slice(previousLineStart + 1, index);
+  const comments = [...before.matchAll(/\/\*\s*translators:\s*([\s\S]*?)\s*\*\/|\/\/\s*translators:\s*(.*)/gi)];
+  if (!comments.length) {
+    return '';
+  }
+  const last = comments[comments.length - 1];
+  return (last[1] || last[2]).trim();
+}
+
+/**
+ * Translatable plugin header fields of the main plugin file.
+ *
+ * @param {string} contents Main plugin file
+ * @returns {{ field: string, value: string }[]}
+ */
+function extractHeaders(contents) {
+  return HEADER_FIELDS
+    .map((field) => {
+      const match = new RegExp(`^[ \\t*#@]*${field}:[ \\t]*(.+)$`, 'mi').exec(contents);
+      return { field, value: match ? match[1].trim() : '' };
+    })
+    .filter(({ value }) => value);
+}
+
+/**
+ * Collect the translatable strings of a file set, starting with the
+ * header fields of the main plugin file.
+ *
+ * @param {{ path: string, contents: string }[]} files Generated files, the main plugin file first
+ * @param {string} textDomain Only calls with this domain are collected
+ * @returns {{ text: string, plural: string, context: string, comments: string[], references: string[] }[]}
+ *   Entries in order of first appearance
+ */
+function extractStrings(files, textDomain) {
+  const entries = new Map();
+  const add = ({ text, plural = '', context = '', comment = '' }, reference) => {
+    const key = `${context}\u0004${text}`;
+    if (!entries.has(key)) {
+      entries.set(key, { text, plural, context, comments: [], references: [] });
+    }
+    const entry = entries.get(key);
+    if (comment && !entry.comments.includes(comment)) entry.comments.push(comment);
+    if (!entry.references.includes(reference)) entry.references.push(reference);
+  };
+
+  const [mainFile] = files;
+  if (mainFile) {
+    extractHeaders(mainFile.contents).forEach(({ field, value }) => {
+      add({ text: value, comment: `${field} of the plugin` }, mainFile.path);
+    });
+  }
+
+  for (const file of files) {
+    const isPhp = file.path.endsWith('.php');
+    if (isPhp || file.path.endsWith('.js')) {
+      for (const match of file.contents.matchAll(CALL_PATTERN)) {
+        const roles = KEYWORDS[match[1]];
+        const args = callArguments(file.contents, match.index + match[0].length);
+        const values = {};
+        roles.forEach((role, index) => {
+          if (role !== 'number' && index < args.length) {
+            values[role] = literalValue(args[index], isPhp);
+          }
+        });
+        if (!values.text || values.domain !== textDomain || ('plural' in values && values.plural === null)) {
+          continue;
+        }
+        const line = file.contents.slice(0, match.index).split('\n').length;
+        add({
+          text: values.text,
+          plural: values.plural || '',
+          context: values.context || '',
+          comment: translatorComment(file.contents, match.index)
+        }, `${file.path}:${line}`);
+      }
+    }
+    if (file.path.endsWith('block.json')) {
+      const metadata = JSON.parse(file.contents);
+      Object.entries(BLOCK_FIELDS).forEach(([field, context]) => {
+        if (metadata[field]) {
+          add({ text: metadata[field], context }, file.path);
+        }
+      });
+    }
+  }
+  return [...entries.values()];
+}
+
+// Escape text for a double-quoted PO string.
+const escapePoString = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+  .replace(/\t/g, '\\t');
+
+// Text for a `#` comment line.
+const poComment = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Build the template context for `languages/{slug}.pot`.  Every string
+ * is escaped for a PO file; `name` and `author` for its header comments.
+ *
+ * @param {{ path: string, contents: string }[]} files Generated files, the main plugin file first
+ * @param {{ textDomain: string, name: string, version: string, bugsUrl: string, author?: string }} plugin
+ * @param {Date} [now] Creation date written to the header
+ * @returns {{ name: string, author: string, project: string, bugsUrl: string, creationDate: string, entries: object[] }}
+ */
+function buildPotContext(files, plugin, now = new Date()) {
+  const entries = extractStrings(files, plugin.textDomain).map((entry) => ({
+    comments: entry.comments.map(escapePoString),
+    references: entry.references.join(' '),
+    context: escapePoString(entry.context),
+    msgid: escapePoString(entry.text),
+    plural: escapePoString(entry.plural)
+  }));
+  return {
+    name: poComment(plugin.name),
+    author: poComment(plugin.author),
+    project: escapePoString(`${plugin.name} ${plugin.version}`),
+    bugsUrl: escapePoString(plugin.bugsUrl),
+    creationDate: `${now.toISOString().slice(0, 19)}+00:00`,
+    entries
+  };
+}
+
+module.exports = {
+  extractStrings,
+  buildPotContext
+};
@@ -0,0 +1,212 @@
+// User preferences and named profiles.  Preferences pre-fill the form
+// (author, URIs, contributors, vendor, default versions and libraries);
+// profiles are named sets of the reusable form values, such as "client
+// work" or "internal tools", that can be loaded back into the form and
+// shared as JSON.  Both live in one JSON file, which the main process
+// keeps in Electron's userData directory.
+
+const path = require('path');
+const fs = require('fs').promises;
+
+// Reusable form values and their types.  Values describing one plugin
+// (name, slug, description, version, URIs of the plugin itself and the
+// builder sections) are not part of a profile.
+const PROFILE_FIELDS = {
+  author: 'string',
+  authorUri: 'string',
+  pluginBaseUri: 'string',
+  contributors: 'string',
+  vendor: 'string',
+  requiresAtLeast: 'string',
+  testedUpTo: 'string',
+  requiresPhp: 'string',
+  branch: 'string',
+  repoHost: 'string',
+  githubUsername: 'string',
+  repoOwner: 'string',
+  repoApiUrl: 'string',
+  createGithubRepo: 'boolean',
+  repoPrivate: 'boolean',
+  repoRelease: 'boolean',
+  withComposer: 'boolean',
+  modernStructure: 'boolean',
+  assetPipeline: 'boolean',
+  adminAssetScope: 'string',
+  publicAssetScope: 'string',
+  libraries: 'list',
+  snippets: 'list',
+  quality: 'list'
+};
+
+// The profile fields kept as preferences, and their values before the
+// user saved any.
+const DEFAULT_PREFERENCES = {
+  author: '',
+  authorUri: '',
+  pluginBaseUri: '',
+  contributors: '',
+  vendor: '',
+  requiresAtLeast: '6.0',
+  testedUpTo: '6.5',
+  requiresPhp: '7.4',
+  libraries: []
+};
+
+const PROFILE_NAME_MAX = 64;
+
+/**
+ * Keep the known fields of `values` that have the right type; strings
+ * are trimmed.
+ *
+ * @param {object} values Form values
+ * @param {string[]} [keys] Fields to keep, by default every profile field
+ * @returns {object}
+ */
+function pickProfileValues(values, keys = Object.keys(PROFILE_FIELDS)) {
+  const picked = {};
+  keys.forEach((key) => {
+    const value = values ? values[key] : undefined;
+    switch (PROFILE_FIELDS[key]) {
+      case 'string':
+        if (typeof value === 'string') picked[key] = value.trim();
+        break;
+      case 'boolean':
+        if (typeof value === 'boolean') picked[key] = value;
+        break;
+      case 'list':
+        if (Array.isArray(value)) picked[key] = value.filter((item) => typeof item === 'string');
+        break;
+      default:
+        break;
+    }
+  });
+  return picked;
+}
+
+const checkProfileName = (name) => {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new Error('Please enter a profile name.');
+  }
+  if (trimmed.length > PROFILE_NAME_MAX) {
+    throw new Error(`Profile names may be at most ${PROFILE_NAME_MAX} characters long.`);
+  }
+  return trimmed;
+};
+
+/**
+ * Read the preferences file.  A missing file gives the defaults.
+ *
+ * @param {string} file Path of the preferences file
+ * @returns {Promise<{ preferences: object, profiles: object }>}
+ *   `profiles` maps profile names to their values
+ */
+async function loadPreferences(file) {
+  let stored = {};
+  try {
+    stored = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Could not read preferences from ${file}: ${err.message}`);
+    }
+  }
+  const profiles = {};
+  Object.entries(stored.profiles || {}).forEach(([name, values]) => {
+    profiles[name] = pickProfileValues(values);
+  });
+  return {
+    preferences: { ...DEFAULT_PREFERENCES, ...pickProfileValues(stored.preferences, Object.keys(DEFAULT_PREFERENCES)) },
+    profiles
+  };
+}
+
+async function writeStore(file, store) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(store, null, 2)}\n`, 'utf8');
+  return store;
+}
+
+/**
+ * Save the preference fields of `values` as the new preferences.
+ *
+ * @param {string} file Path of the preferences file
+ * @param {object} values Form values
+ * @returns {Promise<{ preferences: object, profiles: object }>} The saved store
+ */
+async function savePreferences(file, values) {
+  const store = await loadPreferences(file);
+  store.preferences = { ...DEFAULT_PREFERENCES, ...pickProfileValues(values, Object.keys(DEFAULT_PREFERENCES)) };
+  return writeStore(file, store);
+}
+
+/**
+ * Save `values` as the named profile, replacing one with the same name.
+ *
+ * @param {string} file Path of the preferences file
+ * @param {string} name Profile name
+ * @param {object} values Form values
+ * @returns {Promise<{ preferences: object, profiles: object }>} The saved store
+ */
+async function saveProfile(file, name, values) {
+  const store = await loadPreferences(file);
+  store.profiles[checkProfileName(name)] = pickProfileValues(values);
+  return writeStore(file, store);
+}
+
+/**
+ * Remove the named profile.
+ *
+ * @param {string} file Path of the preferences file
+ * @param {string} name Profile name
+ * @returns {Promise<{ preferences: object, profiles: object }>} The saved store
+ */
+async function deleteProfile(file, name) {
+  const store = await loadPreferences(file);
+  if (!store.profiles[name]) {
+    throw new Error(`There is no profile named '${name}'.`);
+  }
+  delete store.profiles[name];
+  return writeStore(file, store);
+}
+
+/**
+ * JSON export of one profile, for sharing with `parseProfile()`.
+ *
+ * @param {string} name Profile name
+ * @param {object} values Profile values
+ * @returns {string}
+ */
+function exportProfile(name, values) {
+  return `${JSON.stringify({ name, profile: pickProfileValues(values) }, null, 2)}\n`;
+}
+
+/**
+ * Read an exported profile.
+ *
+ * @param {string} text JSON written by exportProfile()
+ * @returns {{ name: string, values: object }}
+ */
+function parseProfile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The profile is not valid JSON: ${err.message}`);
+  }
+  if (!data || typeof data !== 'object' || !data.profile || typeof data.profile !== 'object') {
+    throw new Error('The file does not contain an exported profile.');
+  }
+  return { name: checkProfileName(data.name), values: pickProfileValues(data.profile) };
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  DEFAULT_PREFERENCES,
+  pickProfileValues,
+  loadPreferences,
+  savePreferences,
+  saveProfile,
+  deleteProfile,
+  exportProfile,
+  parseProfile
+};
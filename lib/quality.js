@@ -0,0 +1,93 @@
+// Testing and quality scaffold.  Validates the `quality` option (the
+// tools to set up: `phpunit`, `phpcs` and `ci`) and prepares the
+// template context for the PHPUnit setup, the PHPCS ruleset, the GitHub
+// Actions workflow and the Composer dev dependencies they need.
+
+const QUALITY_TOOLS = ['phpunit', 'phpcs', 'ci'];
+
+// PHP versions the CI matrix picks from: every one from `requiresPhp`
+// upwards.  PHPUnit 8.5 (PHP 7.2) is the oldest the WordPress test
+// suite runs on.
+const PHP_VERSIONS = ['7.2', '7.3', '7.4', '8.0', '8.1', '8.2', '8.3'];
+
+const COMPOSER_REQUIRE_DEV = {
+  phpunit: [
+    '"phpunit/phpunit": "^8.5 || ^9.6"',
+    '"yoast/phpunit-polyfills": "^2.0"'
+  ],
+  phpcs: [
+    '"dealerdirect/phpcodesniffer-composer-installer": "^1.0"',
+    '"phpcompatibility/phpcompatibility-wp": "^2.1"',
+    '"wp-coding-standards/wpcs": "^3.1"'
+  ]
+};
+const COMPOSER_SCRIPTS = {
+  phpunit: ['"test": "phpunit"'],
+  phpcs: ['"lint": "phpcs"', '"lint:fix": "phpcbf"']
+};
+
+const PHP_VERSION_PATTERN = /^(\d+)\.(\d+)/;
+
+const listOf = (value) => (Array.isArray(value) ? value : []);
+
+const compareVersions = (a, b) => {
+  const [, aMajor, aMinor] = PHP_VERSION_PATTERN.exec(a);
+  const [, bMajor, bMinor] = PHP_VERSION_PATTERN.exec(b);
+  return Number(aMajor) - Number(bMajor) || Number(aMinor) - Number(bMinor);
+};
+
+/**
+ * Check the quality tool selection.
+ *
+ * @param {object} opts Plugin options
+ * @returns {string[]} Validation errors
+ */
+function validateQuality(opts) {
+  const tools = listOf(opts.quality);
+  const errors = [];
+  tools.filter((tool) => !QUALITY_TOOLS.includes(tool)).forEach((tool) => {
+    errors.push(`Unknown quality tool '${tool}'.`);
+  });
+  if (tools.includes('ci') && !tools.includes('phpunit') && !tools.includes('phpcs')) {
+    errors.push('The CI workflow needs PHPUnit or PHPCS to run.');
+  }
+  const requiresPhp = String(opts.requiresPhp || '').trim();
+  if (tools.length && !PHP_VERSION_PATTERN.test(requiresPhp)) {
+    errors.push(`'Requires PHP' must be a version such as 7.4 to build the PHP version matrix.`);
+  }
+  return errors;
+}
+
+/**
+ * Build the template context for the quality scaffold.  Every tool is
+ * a flag, so templates can test them without checking `quality` first.
+ * GitHub expressions (`${{ ... }}`) collide with template tags, so the
+ * workflow gets the ones it needs ready-made.
+ *
+ * @param {object} opts Plugin options
+ * @returns {object} Quality context
+ */
+function buildQualityContext(opts) {
+  const tools = listOf(opts.quality).filter((tool) => QUALITY_TOOLS.includes(tool));
+  const match = PHP_VERSION_PATTERN.exec(String(opts.requiresPhp || '').trim());
+  const requiresPhp = match ? `${match[1]}.${match[2]}` : PHP_VERSIONS[0];
+  const newer = PHP_VERSIONS.filter((version) => compareVersions(version, requiresPhp) >= 0);
+  const phpVersions = newer.length ? newer : [requiresPhp];
+  return {
+    phpunit: tools.includes('phpunit'),
+    phpcs: tools.includes('phpcs'),
+    ci: tools.includes('ci'),
+    phpVersions,
+    phpVersionsYaml: phpVersions.map((version) => `'${version}'`).join(', '),
+    matrixPhp: '${{ matrix.php }}',
+    composerRequireDev: tools.flatMap((tool) => COMPOSER_REQUIRE_DEV[tool] || []),
+    composerScripts: tools.flatMap((tool) => COMPOSER_SCRIPTS[tool] || [])
+  };
+}
+
+module.exports = {
+  QUALITY_TOOLS,
+  PHP_VERSIONS,
+  validateQuality,
+  buildQualityContext
+};
@@ -0,0 +1,297 @@
+// Release packaging for generated plugins.  Bumps the version wherever
+// the generator stamped it, adds a changelog entry to readme.txt and
+// builds an installable `{slug}-{version}.zip` that leaves out the files
+// listed in the plugin's `.distignore`.  Works on the plugin directory
+// alone, so plugins generated earlier and since edited can be released.
+
+const path = require('path');
+const fs = require('fs').promises;
+const { createZip } = require('./zip');
+const { SEMVER_PATTERN } = require('./validation');
+
+const BUMP_TYPES = ['major', 'minor', 'patch'];
+
+// Used when the plugin has no .distignore of its own; the same list the
+// generator writes to new plugins.
+const DEFAULT_DISTIGNORE = [
+  '/.distignore',
+  '/.git',
+  '/.github',
+  '/.gitignore',
+  '/bin',
+  '/blocks',
+  '/node_modules',
+  '/tests',
+  '/composer.json',
+  '/composer.lock',
+  '/package.json',
+  '/package-lock.json',
+  '/phpcs.xml.dist',
+  '/phpunit.xml.dist',
+  '*.zip',
+  '.DS_Store'
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Next version after `version`, e.g. 1.2.3 -> 1.3.0 for 'minor'.  A
+ * pre-release is bumped to the release it leads up to by dropping its
+ * suffix, when that release is the kind asked for: 1.3.0-beta.1 becomes
+ * 1.3.0 for 'minor' or 'patch' and 2.0.0 for 'major'.
+ *
+ * @param {string} version Current version
+ * @param {string} bump 'major', 'minor' or 'patch'
+ * @returns {string} The bumped version
+ */
+function bumpVersion(version, bump) {
+  const match = SEMVER_PATTERN.exec(String(version).trim());
+  if (!match) {
+    throw new Error(`Version '${version}' is not a semantic version such as 1.2.3 and cannot be bumped.`);
+  }
+  const [major, minor, patch] = match.slice(1, 4).map(Number);
+  const preRelease = match[4] !== undefined;
+  switch (bump) {
+    case 'major':
+      return preRelease && minor === 0 && patch === 0 ? `${major}.0.0` : `${major + 1}.0.0`;
+    case 'minor':
+      return preRelease && patch === 0 ? `${major}.${minor}.0` : `${major}.${minor + 1}.0`;
+    case 'patch':
+      return preRelease ? `${major}.${minor}.${patch}` : `${major}.${minor}.${patch + 1}`;
+    default:
+      throw new Error(`Unknown version bump '${bump}'; use ${BUMP_TYPES.join(', ')}.`);
+  }
+}
+
+/**
+ * Find the main plugin file: the top-level PHP file with a `Plugin
+ * Name:` header, preferring the one named after the directory.
+ *
+ * @param {string} pluginDir Plugin directory
+ * @returns {Promise<{ file: string, contents: string }|null>} Null when
+ *   there is none
+ */
+async function findMainPluginFile(pluginDir) {
+  const names = (await fs.readdir(pluginDir)).filter((name) => name.endsWith('.php')).sort();
+  const preferred = `${path.basename(pluginDir)}.php`;
+  if (names.includes(preferred)) {
+    names.unshift(...names.splice(names.indexOf(preferred), 1));
+  }
+  for (const name of names) {
+    const contents = await fs.readFile(path.join(pluginDir, name), 'utf8');
+    if (/^[ \t*#@]*Plugin Name:/mi.test(contents)) {
+      return { file: name, contents };
+    }
+  }
+  return null;
+}
+
+/**
+ * The slug, main file and version of a plugin (see findMainPluginFile()).
+ *
+ * @param {string} pluginDir Plugin directory
+ * @returns {Promise<{ slug: string, file: string, version: string }>}
+ */
+async function readPluginInfo(pluginDir) {
+  const main = await findMainPluginFile(pluginDir);
+  if (!main) {
+    throw new Error(`No main plugin file with a 'Plugin Name' header found in ${pluginDir}.`);
+  }
+  const version = /^[ \t*#@]*Version:[ \t]*(\S+)/mi.exec(main.contents);
+  if (!version) {
+    throw new Error(`${main.file} has no Version header.`);
+  }
+  return { slug: main.file.slice(0, -'.php'.length), file: main.file, version: version[1] };
+}
+
+// Changelog text as readme.txt list items.
+const changelogItems = (changelog) => {
+  const lines = String(changelog || '').split('\n').map((line) => line.trim()).filter(Boolean);
+  return (lines.length ? lines : ['Maintenance release.'])
+    .map((line) => (line.startsWith('*') ? line : `* ${line}`));
+};
+
+/**
+ * Set a new version in the main plugin header, the readme.txt `Stable
+ * tag`, the core class's `$version`, package.json, update-info.json
+ * (version and release download URL), block.json files and the .pot
+ * header, and add a changelog entry for it to readme.txt.  Only
+ * occurrences of the current version are replaced.
+ *
+ * @param {string} pluginDir Plugin directory
+ * @param {{ bump?: string, version?: string, changelog?: string }} options
+ *   The new version, or how to bump the current one
+ * @returns {Promise<{ slug: string, previousVersion: string, version: string, changedFiles: string[] }>}
+ */
+async function bumpPluginVersion(pluginDir, options = {}) {
+  const { slug, file, version: previousVersion } = await readPluginInfo(pluginDir);
+  const version = options.version ? String(options.version).trim() : bumpVersion(previousVersion, options.bump);
+  if (!SEMVER_PATTERN.test(version)) {
+    throw new Error(`Version '${version}' is not a semantic version such as 1.2.3.`);
+  }
+  const current = escapeRegExp(previousVersion);
+
+  // Each file and the patterns around the version in it.
+  const targets = [
+    { file, patterns: [new RegExp(`(^[ \\t*#@]*Version:[ \\t]*)${current}(?=\\s)`, 'mi')] },
+    { file: 'readme.txt', patterns: [new RegExp(`(^Stable tag:[ \\t]*)${current}(?=\\s)`, 'mi')], changelog: true },
+    { file: path.join('includes', `class-${slug}.php`), patterns: [new RegExp(`(\\$version = ')${current}(?=')`)] },
+    { file: path.join('src', 'Plugin.php'), patterns: [new RegExp(`(\\$version = ')${current}(?=')`)] },
+    { file: 'package.json', patterns: [new RegExp(`^(\\s*"version": ")${current}(?=")`, 'm')] },
+    {
+      file: 'update-info.json',
+      patterns: [
+        new RegExp(`^(\\s*"version": ")${current}(?=")`, 'm'),
+        new RegExp(`(/releases/download/)${current}(?=/)`),
+        new RegExp(`(-)${current}(?=\\.zip")`)
+      ]
+    },
+    { file: path.join('languages', `${slug}.pot`), patterns: [new RegExp(`^("Project-Id-Version: .* )${current}(?=\\\\n")`, 'm')] }
+  ];
+  const blocksDir = path.join(pluginDir, 'blocks');
+  for (const entry of await fs.readdir(blocksDir, { withFileTypes: true }).catch(() => [])) {
+    if (entry.isDirectory()) {
+      targets.push({
+        file: path.join('blocks', entry.name, 'block.json'),
+        patterns: [new RegExp(`^(\\s*"version": ")${current}(?=")`, 'm')]
+      });
+    }
+  }
+
+  const changedFiles = [];
+  for (const target of targets) {
+    const filePath = path.join(pluginDir, target.file);
+    let contents;
+    try {
+      contents = await fs.readFile(filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+    let updated = target.patterns.reduce((text, pattern) => text.replace(pattern, `$1${version}`), contents);
+    if (target.changelog) {
+      const entry = `= ${version} =\n${changelogItems(options.changelog).join('\n')}\n`;
+      updated = /^== Changelog ==[ \t]*$/m.test(updated)
+        ? updated.replace(/^== Changelog ==[ \t]*\n+/m, (heading) => `${heading.trimEnd()}\n\n${entry}\n`)
+        : `${updated.trimEnd()}\n\n== Changelog ==\n\n${entry}`;
+    }
+    if (updated !== contents) {
+      await fs.writeFile(filePath, updated, 'utf8');
+      changedFiles.push(target.file.split(path.sep).join('/'));
+    }
+  }
+  if (!changedFiles.includes(file)) {
+    throw new Error(`Could not update the Version header in ${file}.`);
+  }
+  return { slug, previousVersion, version, changedFiles };
+}
+
+/**
+ * Turn `.distignore` patterns into a test for plugin-relative paths.
+ * Blank lines and `#` comments are skipped.  A pattern starting with `/`
+ * matches at the plugin root, any other pattern at any depth; `*` and
+ * `?` match within a single name.
+ *
+ * @param {string} source Contents of a .distignore file
+ * @returns {(relativePath: string) => boolean} True for excluded paths
+ */
+function parseDistignore(source) {
+  const patterns = source.split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => {
+      const anchored = line.startsWith('/');
+      const body = line.replace(/^\/+|\/+$/g, '')
+        .split('')
+        .map((char) => {
+          if (char === '*') return '[^/]*';
+          if (char === '?') return '[^/]';
+          return escapeRegExp(char);
+        })
+        .join('');
+      return new RegExp(`${anchored ? '^' : '(^|/)'}${body}(/|$)`);
+    });
+  return (relativePath) => patterns.some((pattern) => pattern.test(relativePath));
+}
+
+// Plugin-relative paths of every file that is not excluded.
+async function collectFiles(pluginDir, isExcluded, prefix = '') {
+  const files = [];
+  const entries = await fs.readdir(path.join(pluginDir, prefix), { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (isExcluded(relative)) continue;
+    if (entry.isDirectory()) {
+      files.push(...await collectFiles(pluginDir, isExcluded, relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+/**
+ * Build `{slug}-{version}.zip` from a plugin directory.  Files are stored
+ * under a `{slug}/` folder, as WordPress expects, and the ones matching
+ * the plugin's `.distignore` (or the default list) are left out.
+ *
+ * @param {string} pluginDir Plugin directory
+ * @param {{ outDir?: string }} [options] Where to write the zip; defaults
+ *   to the directory containing the plugin
+ * @returns {Promise<{ slug: string, version: string, zipPath: string, files: string[] }>}
+ */
+async function buildReleaseZip(pluginDir, options = {}) {
+  const { slug, version } = await readPluginInfo(pluginDir);
+  let distignore;
+  try {
+    distignore = await fs.readFile(path.join(pluginDir, '.distignore'), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    distignore = DEFAULT_DISTIGNORE.join('\n');
+  }
+  const files = await collectFiles(pluginDir, parseDistignore(distignore));
+  const entries = [];
+  for (const file of files) {
+    const filePath = path.join(pluginDir, ...file.split('/'));
+    const stats = await fs.stat(filePath);
+    entries.push({ name: `${slug}/${file}`, data: await fs.readFile(filePath), mtime: stats.mtime });
+  }
+  const outDir = path.resolve(options.outDir || path.dirname(path.resolve(pluginDir)));
+  await fs.mkdir(outDir, { recursive: true });
+  const zipPath = path.join(outDir, `${slug}-${version}.zip`);
+  await fs.writeFile(zipPath, createZip(entries));
+  return { slug, version, zipPath, files };
+}
+
+/**
+ * Release a plugin: bump its version (unless `bump` is empty) and build
+ * the distributable zip of the result.
+ *
+ * @param {string} pluginDir Plugin directory
+ * @param {{ bump?: string, changelog?: string, outDir?: string }} [options]
+ * @returns {Promise<{ slug: string, previousVersion: string, version: string, changedFiles: string[], zipPath: string, files: string[] }>}
+ */
+async function releasePlugin(pluginDir, options = {}) {
+  if (options.bump && !BUMP_TYPES.includes(options.bump)) {
+    throw new Error(`Unknown version bump '${options.bump}'; use ${BUMP_TYPES.join(', ')}.`);
+  }
+  const { version: previousVersion } = await readPluginInfo(pluginDir);
+  const bumped = options.bump
+    ? await bumpPluginVersion(pluginDir, options)
+    : { changedFiles: [] };
+  const zip = await buildReleaseZip(pluginDir, options);
+  return { ...zip, previousVersion, changedFiles: bumped.changedFiles };
+}
+
+module.exports = {
+  BUMP_TYPES,
+  DEFAULT_DISTIGNORE,
+  bumpVersion,
+  findMainPluginFile,
+  readPluginInfo,
+  bumpPluginVersion,
+  parseDistignore,
+  buildReleaseZip,
+  releasePlugin
+};
@@ -0,0 +1,201 @@
+// REST API route builder.  Validates the `restConfig` option of the
+// `rest` snippet and prepares the template context for its controller
+// class.  Route paths use `{name}` placeholders for path parameters,
+// e.g. `items/{id}`, which become named regex groups.
+
+const { escapePhpString, phpBool } = require('./php');
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const ARG_TYPES = ['string', 'integer', 'number', 'boolean', 'array', 'object'];
+
+// Path parameters only make sense for scalar types; each maps to the
+// pattern its placeholder is replaced with.
+const PATH_PARAM_PATTERNS = {
+  integer: '\\d+',
+  number: '[\\d.]+',
+  string: '[\\w-]+'
+};
+
+const NAMESPACE_PATTERN = /^[a-z0-9-]+$/;
+const VERSION_PATTERN = /^[a-z0-9.-]+$/;
+const SEGMENT_PATTERN = /^(?:[a-z0-9_-]+|\{[A-Za-z_][A-Za-z0-9_]*\})$/;
+const PARAM_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const listOf = (value) => (Array.isArray(value) ? value : []);
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const trimmed = (value) => String(value === undefined || value === null ? '' : value).trim();
+
+const splitPath = (value) => trimmed(value).split('/').filter(Boolean);
+const placeholdersOf = (segments) => segments
+  .filter((segment) => segment.startsWith('{'))
+  .map((segment) => segment.slice(1, -1));
+
+// Base for the PHP method names generated for a route, e.g.
+// `items/{id}` becomes `items_id`.
+const methodBaseFor = (segments) => segments
+  .map((segment) => segment.replace(/[{}]/g, '').replace(/-/g, '_'))
+  .join('_')
+  .toLowerCase();
+
+/**
+ * Check the REST snippet configuration.
+ *
+ * @param {object} [config] `restConfig` option
+ * @returns {string[]} Validation errors
+ */
+function validateRestConfig(config) {
+  const errors = [];
+  const restConfig = config || {};
+  const namespace = trimmed(restConfig.namespace);
+  if (namespace && !NAMESPACE_PATTERN.test(namespace)) {
+    errors.push(`REST namespace '${namespace}' may only contain lowercase letters, numbers and dashes.`);
+  }
+  const version = trimmed(restConfig.version);
+  if (version && !VERSION_PATTERN.test(version)) {
+    errors.push(`REST version '${version}' may only contain lowercase letters, numbers, dots and dashes.`);
+  }
+  const routes = listOf(restConfig.routes);
+  if (routes.length === 0) {
+    errors.push('Please add at least one route for the REST API snippet.');
+  }
+  const bases = new Map();
+  routes.forEach((route, index) => {
+    const label = `Route ${index + 1}`;
+    if (!isObject(route)) {
+      errors.push(`${label} must be an object.`);
+      return;
+    }
+    const segments = splitPath(route.path);
+    if (segments.length === 0) {
+      errors.push(`${label} needs a path.`);
+      return;
+    }
+    const badSegment = segments.find((segment) => !SEGMENT_PATTERN.test(segment));
+    if (badSegment) {
+      errors.push(`${label}: path segment '${badSegment}' must be lowercase letters, numbers, dashes and underscores, or a {parameter}.`);
+      return;
+    }
+    const base = methodBaseFor(segments);
+    if (bases.has(base)) {
+      errors.push(`${label}: '${trimmed(route.path)}' clashes with route ${bases.get(base) + 1}.`);
+    } else {
+      bases.set(base, index);
+    }
+
+    const methods = listOf(route.methods);
+    if (methods.length === 0) {
+      errors.push(`${label}: choose at least one HTTP method.`);
+    }
+    methods.filter((method) => !HTTP_METHODS.includes(method)).forEach((method) => {
+      errors.push(`${label}: unknown HTTP method '${method}'.`);
+    });
+
+    const placeholders = placeholdersOf(segments);
+    const typed = new Set();
+    listOf(route.params).forEach((param, paramIndex) => {
+      if (!isObject(param)) {
+        errors.push(`${label}: path parameter ${paramIndex + 1} must be an object.`);
+        return;
+      }
+      const name = trimmed(param.name);
+      if (!placeholders.includes(name)) {
+        errors.push(`${label}: path parameter ${paramIndex + 1} ('${name}') does not appear in the path.`);
+      }
+      if (param.type && !PATH_PARAM_PATTERNS[param.type]) {
+        errors.push(`${label}: path parameter '${name}' must be a string, integer or number.`);
+      }
+      typed.add(name);
+    });
+    placeholders.filter((name) => !typed.has(name)).forEach((name) => {
+      errors.push(`${label}: add a type for the path parameter '{${name}}'.`);
+    });
+
+    // Path parameters are arguments too, so route arguments may not reuse their names.
+    const names = new Set(placeholders);
+    listOf(route.args).forEach((arg, argIndex) => {
+      const argLabel = `${label}, argument ${argIndex + 1}`;
+      if (!isObject(arg)) {
+        errors.push(`${argLabel} must be an object.`);
+        return;
+      }
+      const name = trimmed(arg.name);
+      if (!name) {
+        errors.push(`${argLabel} needs a name.`);
+      } else if (!PARAM_PATTERN.test(name)) {
+        errors.push(`${argLabel}: '${name}' must be letters, numbers and underscores.`);
+      } else if (names.has(name)) {
+        errors.push(`${argLabel}: '${name}' is defined more than once.`);
+      }
+      names.add(name);
+      if (arg.type && !ARG_TYPES.includes(arg.type)) {
+        errors.push(`${argLabel}: unknown type '${arg.type}'.`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Build the template context for the REST controller.  Path parameters
+ * become required arguments ahead of the route's own arguments; texts
+ * are escaped for single-quoted PHP strings.
+ *
+ * @param {string} slug Plugin slug, the default namespace
+ * @param {object} [config] `restConfig` option
+ * @returns {{ namespace: string, routes: object[] }}
+ */
+function buildRestContext(slug, config) {
+  const restConfig = config || {};
+  const namespace = `${trimmed(restConfig.namespace) || slug}/${trimmed(restConfig.version) || 'v1'}`;
+  const routes = listOf(restConfig.routes)
+    .filter((route) => splitPath(route.path).length)
+    .map((route) => {
+      const segments = splitPath(route.path);
+      const types = Object.fromEntries(listOf(route.params).map((param) => [trimmed(param.name), param.type || 'string']));
+      const pattern = segments
+        .map((segment) => {
+          if (!segment.startsWith('{')) return segment;
+          const name = segment.slice(1, -1);
+          return `(?P<${name}>${PATH_PARAM_PATTERNS[types[name]] || PATH_PARAM_PATTERNS.string})`;
+        })
+        .join('/');
+      const base = methodBaseFor(segments);
+      const methods = listOf(route.methods).length ? route.methods : ['GET'];
+      const args = [
+        ...placeholdersOf(segments).map((name) => ({
+          name,
+          type: types[name] || 'string',
+          required: 'true',
+          description: escapePhpString(`The ${name} from the route.`)
+        })),
+        ...listOf(route.args)
+          .filter((arg) => trimmed(arg.name))
+          .map((arg) => ({
+            name: trimmed(arg.name),
+            type: arg.type || 'string',
+            required: phpBool(arg.required),
+            description: escapePhpString(trimmed(arg.description))
+          }))
+      ];
+      return {
+        route: `/${namespace}/${segments.join('/')}`,
+        pattern: `/${pattern}`,
+        capability: escapePhpString(trimmed(route.capability)),
+        permissionCallback: `${base}_permissions_check`,
+        argsMethod: `${base}_args`,
+        endpoints: methods.map((method) => ({
+          method,
+          callback: `${method.toLowerCase()}_${base}`
+        })),
+        args
+      };
+    });
+  return { namespace, routes };
+}
+
+module.exports = {
+  HTTP_METHODS,
+  ARG_TYPES,
+  validateRestConfig,
+  buildRestContext
+};
@@ -0,0 +1,289 @@
+// Settings snippet.  Validates `settingsConfig` (the admin page and the
+// sections and fields stored in one option array) and prepares the
+// template context for the Settings API code, per-field callbacks and
+// JSON/CSV import and export.
+
+const { escapePhpString, phpString } = require('./php');
+
+const PAGE_FIELD_LABELS = {
+  pageTitle: 'a settings page title',
+  menuSlug: 'a menu slug',
+  capability: 'a capability',
+  parentMenu: 'a parent menu slug',
+  format: 'an import/export format'
+};
+
+const FORMATS = ['json', 'csv'];
+const FIELD_TYPES = ['text', 'textarea', 'number', 'select', 'checkbox', 'color', 'url'];
+
+// Sanitization rules each field type accepts; the first one is the
+// default.  Each rule maps to the PHP expression that cleans `$value`.
+const SANITIZE_RULES = {
+  text: ['text', 'email', 'key', 'html'],
+  textarea: ['textarea', 'html'],
+  number: ['int', 'float'],
+  select: ['choice'],
+  checkbox: ['bool'],
+  color: ['color'],
+  url: ['url']
+};
+const SANITIZE_EXPRESSIONS = {
+  text: 'sanitize_text_field( $value )',
+  email: 'sanitize_email( $value )',
+  key: 'sanitize_key( $value )',
+  html: 'wp_kses_post( $value )',
+  textarea: 'sanitize_textarea_field( $value )',
+  int: 'intval( $value )',
+  float: 'floatval( $value )',
+  bool: 'empty( $value ) ? 0 : 1',
+  url: 'esc_url_raw( $value )'
+};
+
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const listOf = (value) => (Array.isArray(value) ? value : []);
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const trimmed = (value) => String(value === undefined || value === null ? '' : value).trim();
+const isBlank = (value) => trimmed(value) === '';
+
+/**
+ * Normalise select options.  Each option is either `{ value, label }`
+ * or a string, where `value:Label` gives a label different from the
+ * value.
+ *
+ * @param {Array} options Options as entered
+ * @returns {{ value: string, label: string }[]}
+ */
+function normalizeOptions(options) {
+  return listOf(options)
+    .map((option) => {
+      if (option && typeof option === 'object') {
+        const value = trimmed(option.value);
+        return { value, label: trimmed(option.label) || value };
+      }
+      const text = trimmed(option);
+      const separator = text.indexOf(':');
+      if (separator === -1) {
+        return { value: text, label: text };
+      }
+      const value = text.slice(0, separator).trim();
+      return { value, label: text.slice(separator + 1).trim() || value };
+    })
+    .filter((option) => option.value);
+}
+
+const isTruthyDefault = (value) => value === true || ['1', 'true', 'yes', 'on'].includes(trimmed(value).toLowerCase());
+
+/**
+ * Check a field's default against its type.
+ *
+ * @returns {string} Problem description, or an empty string
+ */
+function checkDefault(field, rule) {
+  const value = field.default;
+  if (isBlank(value)) return '';
+  if (field.type === 'number') {
+    const number = Number(value);
+    if (!Number.isFinite(number) || (rule === 'int' && !Number.isSafeInteger(number))) {
+      return rule === 'int' ? 'must be a whole number' : 'must be a number';
+    }
+  } else if (field.type === 'checkbox') {
+    if (typeof value !== 'boolean' && !['1', '0', 'true', 'false', 'yes', 'no', 'on', 'off'].includes(trimmed(value).toLowerCase())) {
+      return 'must be true or false';
+    }
+  } else if (field.type === 'color' && !COLOR_PATTERN.test(trimmed(value))) {
+    return 'must be a hex colour such as #336699';
+  } else if (field.type === 'select' && !normalizeOptions(field.options).some((option) => option.value === trimmed(value))) {
+    return 'must be one of the options';
+  }
+  return '';
+}
+
+/**
+ * Check the settings snippet configuration.
+ *
+ * @param {object} [config] `settingsConfig` option
+ * @returns {string[]} Validation errors
+ */
+function validateSettingsConfig(config) {
+  const settingsConfig = config || {};
+  const errors = [];
+  const missing = Object.keys(PAGE_FIELD_LABELS).filter((key) => isBlank(settingsConfig[key]));
+  if (missing.length) {
+    const readable = missing.map((key) => PAGE_FIELD_LABELS[key]);
+    errors.push(`Please provide ${readable.join(', ')} for the settings snippet.`);
+  }
+  const format = trimmed(settingsConfig.format).toLowerCase();
+  if (format && !FORMATS.includes(format)) {
+    errors.push(`Import/export format '${format}' must be JSON or CSV.`);
+  }
+  const optionName = trimmed(settingsConfig.optionName);
+  if (optionName && !ID_PATTERN.test(optionName)) {
+    errors.push(`Option name '${optionName}' must start with a letter and use only lowercase letters, numbers and underscores.`);
+  }
+
+  const sectionIds = new Set();
+  const fieldIds = new Set();
+  listOf(settingsConfig.sections).forEach((section, index) => {
+    const label = `Settings section ${index + 1}`;
+    if (!isObject(section)) {
+      errors.push(`${label} must be an object.`);
+      return;
+    }
+    const id = trimmed(section.id);
+    if (!id) {
+      errors.push(`${label} needs an id.`);
+    } else if (!ID_PATTERN.test(id)) {
+      errors.push(`${label}: '${id}' must start with a letter and use only lowercase letters, numbers and underscores.`);
+    } else if (sectionIds.has(id)) {
+      errors.push(`${label}: '${id}' is defined more than once.`);
+    }
+    sectionIds.add(id);
+    if (isBlank(section.title)) {
+      errors.push(`${label} needs a title.`);
+    }
+    listOf(section.fields).forEach((field, fieldIndex) => {
+      const fieldLabel = `${label}, field ${fieldIndex + 1}`;
+      if (!isObject(field)) {
+        errors.push(`${fieldLabel} must be an object.`);
+        return;
+      }
+      const fieldId = trimmed(field.id);
+      if (!fieldId) {
+        errors.push(`${fieldLabel} needs an id.`);
+      } else if (!ID_PATTERN.test(fieldId)) {
+        errors.push(`${fieldLabel}: '${fieldId}' must start with a letter and use only lowercase letters, numbers and underscores.`);
+      } else if (fieldIds.has(fieldId)) {
+        errors.push(`${fieldLabel}: '${fieldId}' is already used by another field.`);
+      }
+      fieldIds.add(fieldId);
+      if (isBlank(field.label)) {
+        errors.push(`${fieldLabel} needs a label.`);
+      }
+      const type = field.type || 'text';
+      if (!FIELD_TYPES.includes(type)) {
+        errors.push(`${fieldLabel}: unknown type '${type}'.`);
+        return;
+      }
+      const rule = trimmed(field.sanitize) || SANITIZE_RULES[type][0];
+      if (!SANITIZE_RULES[type].includes(rule)) {
+        errors.push(`${fieldLabel}: sanitization '${rule}' does not apply to ${type} fields (use ${SANITIZE_RULES[type].join(', ')}).`);
+      }
+      if (type === 'select' && normalizeOptions(field.options).length === 0) {
+        errors.push(`${fieldLabel}: select fields need at least one option.`);
+      }
+      const defaultError = checkDefault({ ...field, type }, rule);
+      if (defaultError) {
+        errors.push(`${fieldLabel}: default ${defaultError}.`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * PHP literal for a field's default value.
+ */
+function defaultLiteral(field, rule, options) {
+  const value = field.default;
+  if (field.type === 'number') {
+    if (isBlank(value)) return '0';
+    return String(Number(value));
+  }
+  if (field.type === 'checkbox') {
+    return isTruthyDefault(value) ? '1' : '0';
+  }
+  if (field.type === 'select' && isBlank(value)) {
+    return phpString(options.length ? options[0].value : '');
+  }
+  if (field.type === 'color' && isBlank(value)) {
+    return phpString('#000000');
+  }
+  return phpString(trimmed(value));
+}
+
+/**
+ * Build the template context for the settings snippet.  Texts are
+ * escaped for single-quoted PHP strings; `default` and `sanitize` are
+ * ready-made PHP expressions.
+ *
+ * @param {string} slug Plugin slug
+ * @param {object} opts Plugin options
+ * @returns {{ settings: object }}
+ */
+function buildSettingsContext(slug, opts) {
+  const settingsConfig = opts.settingsConfig || {};
+  const formatInput = (settingsConfig.format || 'json').toLowerCase();
+  const normalizedFormat = formatInput.replace(/[^a-z0-9]/g, '') || 'json';
+  const optionName = trimmed(settingsConfig.optionName) || `${slug.replace(/-/g, '_')}_settings`;
+
+  const sections = listOf(settingsConfig.sections)
+    .filter((section) => trimmed(section.id))
+    .map((section) => {
+      const sectionId = trimmed(section.id);
+      const fields = listOf(section.fields)
+        .filter((field) => trimmed(field.id))
+        .map((field) => {
+          const id = trimmed(field.id);
+          const type = FIELD_TYPES.includes(field.type) ? field.type : 'text';
+          const rule = SANITIZE_RULES[type].includes(trimmed(field.sanitize)) ? trimmed(field.sanitize) : SANITIZE_RULES[type][0];
+          const options = normalizeOptions(field.options);
+          const defaultValue = defaultLiteral({ ...field, type }, rule, options);
+          let sanitize = SANITIZE_EXPRESSIONS[rule];
+          if (rule === 'choice') {
+            const values = `array( ${options.map((option) => phpString(option.value)).join(', ')} )`;
+            sanitize = `in_array( (string) $value, ${values}, true ) ? (string) $value : ${defaultValue}`;
+          } else if (rule === 'color') {
+            sanitize = `sanitize_hex_color( $value ) ? sanitize_hex_color( $value ) : ${defaultValue}`;
+          }
+          const inputTypes = { text: 'text', number: 'number', color: 'color', url: 'url' };
+          return {
+            id,
+            section: sectionId,
+            label: escapePhpString(trimmed(field.label) || id),
+            description: escapePhpString(trimmed(field.description)),
+            htmlId: `${optionName}-${id}`,
+            htmlName: `${optionName}[${id}]`,
+            inputType: inputTypes[type] || '',
+            inputClass: type === 'number' ? 'small-text' : 'regular-text',
+            isNumber: type === 'number',
+            step: rule === 'float' ? 'any' : '1',
+            isTextarea: type === 'textarea',
+            isCheckbox: type === 'checkbox',
+            isSelect: type === 'select',
+            options: options.map((option) => ({ value: escapePhpString(option.value), label: escapePhpString(option.label) })),
+            default: defaultValue,
+            sanitize
+          };
+        });
+      return {
+        id: sectionId,
+        title: escapePhpString(trimmed(section.title) || sectionId),
+        description: escapePhpString(trimmed(section.description)),
+        fields
+      };
+    });
+
+  return {
+    settings: {
+      pageTitle: escapePhpString(settingsConfig.pageTitle || 'Plugin Settings'),
+      menuSlug: escapePhpString(settingsConfig.menuSlug || `${slug}-settings`),
+      capability: escapePhpString(settingsConfig.capability || 'manage_options'),
+      parentMenu: escapePhpString(settingsConfig.parentMenu || 'options-general.php'),
+      format: escapePhpString(normalizedFormat),
+      formatLabel: normalizedFormat.toUpperCase(),
+      csv: normalizedFormat === 'csv',
+      optionName,
+      sections,
+      fields: sections.flatMap((section) => section.fields)
+    }
+  };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  SANITIZE_RULES,
+  validateSettingsConfig,
+  buildSettingsContext
+};
@@ -0,0 +1,216 @@
+// Shortcodes.  Validates the `shortcodes` option and prepares the
+// template context for the public class's handlers and their templates
+// in public/partials/.  The core class registers the handlers through
+// the Loader.  A shortcode can also get a dynamic block wrapping it when
+// the plugin has blocks; the wrapper is added to the blocks and renders
+// whatever the shortcode renders.
+
+const { escapePhpString, phpString, phpBool, humanize } = require('./php');
+const { escapePhpComment } = require('./escape');
+
+const SHORTCODE_ATTRIBUTE_TYPES = ['string', 'integer', 'number', 'boolean', 'url'];
+
+const TAG_PATTERN = /^[a-z][a-z0-9_-]*$/;
+// Shortcode attribute names are lowercased by WordPress; wrapper blocks
+// use them as attribute names too.
+const ATTRIBUTE_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// How each attribute type is cleaned, given the PHP expression of the
+// raw value, and which block attribute type carries it.
+const SANITIZERS = {
+  string: (value) => `sanitize_text_field( ${value} )`,
+  integer: (value) => `intval( ${value} )`,
+  number: (value) => `floatval( ${value} )`,
+  boolean: (value) => `filter_var( ${value}, FILTER_VALIDATE_BOOLEAN )`,
+  url: (value) => `esc_url_raw( ${value} )`
+};
+const BLOCK_TYPES = { string: 'string', integer: 'integer', number: 'number', boolean: 'boolean', url: 'string' };
+
+const listOf = (value) => (Array.isArray(value) ? value : []);
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const trimmed = (value) => String(value === undefined || value === null ? '' : value).trim();
+const isBlank = (value) => trimmed(value) === '';
+// Tags may use dashes; method, file and block names are derived with
+// one or the other, so `book-list` and `book_list` would clash.
+const underscored = (tag) => tag.replace(/-/g, '_');
+const dashed = (tag) => tag.replace(/_/g, '-');
+
+/**
+ * Convert an attribute default to its declared type.  The form sends
+ * every default as text, manifests may use real values.
+ *
+ * @param {string} type Attribute type
+ * @param {*} value Default as entered
+ * @returns {{ value?: *, error?: string }} `value` is omitted when there is no default
+ */
+function parseAttributeDefault(type, value) {
+  if (isBlank(value)) {
+    return {};
+  }
+  if (type === 'integer' || type === 'number') {
+    const number = Number(trimmed(value));
+    if (!Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+      return { error: `must be ${type === 'integer' ? 'an integer' : 'a number'}` };
+    }
+    return { value: number };
+  }
+  if (type === 'boolean') {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { error: "must be 'true' or 'false'" };
+  }
+  if (type === 'url' && !/^https?:\/\/\S+$/.test(trimmed(value))) {
+    return { error: 'must be an http:// or https:// URL' };
+  }
+  return { value: String(value) };
+}
+
+/**
+ * Check the shortcode definitions.
+ *
+ * @param {object} opts Plugin options
+ * @returns {string[]} Validation errors
+ */
+function validateShortcodes(opts) {
+  const errors = [];
+  const seen = new Set();
+  const blockNames = new Set(listOf(opts.blocks).filter(isObject).map((block) => trimmed(block.name)));
+  listOf(opts.shortcodes).forEach((shortcode, index) => {
+    const label = `Shortcode ${index + 1}`;
+    if (!isObject(shortcode)) {
+      errors.push(`${label} must be an object.`);
+      return;
+    }
+    const tag = trimmed(shortcode.tag);
+    if (!tag) {
+      errors.push(`${label} needs a tag.`);
+    } else if (!TAG_PATTERN.test(tag)) {
+      errors.push(`${label}: '${tag}' must start with a letter and use only lowercase letters, numbers, dashes and underscores.`);
+    } else if (seen.has(underscored(tag))) {
+      errors.push(`${label}: '${tag}' is defined more than once (dashes and underscores count as the same).`);
+    }
+    seen.add(underscored(tag));
+    if (shortcode.block) {
+      if (blockNames.size === 0) {
+        errors.push(`${label}: a block wrapper needs the plugin to have blocks; add one or turn the wrapper off.`);
+      } else if (tag && blockNames.has(dashed(tag))) {
+        errors.push(`${label}: the block wrapper would be named '${dashed(tag)}', like an existing block.`);
+      }
+    }
+    const attributeNames = new Set();
+    listOf(shortcode.attributes).forEach((attribute, attrIndex) => {
+      const attrLabel = `${label}, attribute ${attrIndex + 1}`;
+      if (!isObject(attribute)) {
+        errors.push(`${attrLabel} must be an object.`);
+        return;
+      }
+      const name = trimmed(attribute.name);
+      if (!name) {
+        errors.push(`${attrLabel} needs a name.`);
+      } else if (!ATTRIBUTE_PATTERN.test(name)) {
+        errors.push(`${attrLabel}: '${name}' must start with a letter and use only lowercase letters, numbers and underscores.`);
+      } else if (attributeNames.has(name)) {
+        errors.push(`${attrLabel}: '${name}' is defined more than once.`);
+      }
+      attributeNames.add(name);
+      const type = attribute.type || 'string';
+      if (!SHORTCODE_ATTRIBUTE_TYPES.includes(type)) {
+        errors.push(`${attrLabel}: unknown type '${type}'.`);
+      } else {
+        const { error } = parseAttributeDefault(type, attribute.default);
+        if (error) {
+          errors.push(`${attrLabel}: default ${error}.`);
+        }
+      }
+    });
+  });
+  return errors;
+}
+
+// Shortcodes with a tag, and their attributes with a name.
+const definedShortcodes = (opts) => listOf(opts.shortcodes)
+  .filter((shortcode) => trimmed(shortcode.tag))
+  .map((shortcode) => ({
+    ...shortcode,
+    tag: trimmed(shortcode.tag),
+    attributes: listOf(shortcode.attributes)
+      .filter((attribute) => trimmed(attribute.name))
+      .map((attribute) => ({ ...attribute, name: trimmed(attribute.name), type: attribute.type || 'string' }))
+  }));
+
+/**
+ * Build the template context for every shortcode.  `title` is escaped
+ * for single-quoted PHP strings, `description` for docblocks, and each
+ * attribute's `default` and `sanitize` are ready-made PHP: the default
+ * literal and the expression cleaning `$atts['name']`.
+ *
+ * @param {object} opts Plugin options
+ * @returns {object[]} Shortcode contexts
+ */
+function buildShortcodesContext(opts) {
+  return definedShortcodes(opts).map((shortcode) => {
+    const attributes = shortcode.attributes.map((attribute) => {
+      const { value } = parseAttributeDefault(attribute.type, attribute.default);
+      let literal;
+      if (attribute.type === 'boolean') {
+        literal = phpBool(value);
+      } else if (attribute.type === 'integer' || attribute.type === 'number') {
+        literal = String(value === undefined ? 0 : value);
+      } else {
+        literal = phpString(value === undefined ? '' : value);
+      }
+      return {
+        name: attribute.name,
+        type: attribute.type,
+        default: literal,
+        sanitize: SANITIZERS[attribute.type](`$atts['${attribute.name}']`)
+      };
+    });
+    return {
+      tag: shortcode.tag,
+      title: escapePhpString(trimmed(shortcode.title) || humanize(shortcode.tag)),
+      description: escapePhpComment(shortcode.description),
+      enclosing: Boolean(shortcode.enclosing),
+      method: `render_${underscored(shortcode.tag)}_shortcode`,
+      template: `shortcode-${dashed(shortcode.tag)}.php`,
+      className: `shortcode-${dashed(shortcode.tag)}`,
+      attributes,
+      attributeList: attributes.map((attribute) => `${attribute.name} (${attribute.type})`).join(', '),
+      block: Boolean(shortcode.block)
+    };
+  });
+}
+
+/**
+ * The block wrappers of the shortcodes that ask for one, as `blocks`
+ * entries: dynamic blocks named after the tag, with the shortcode's
+ * attributes and a `shortcode` entry naming what they render.
+ *
+ * @param {object} opts Plugin options
+ * @returns {object[]} Block definitions
+ */
+function shortcodeBlocks(opts) {
+  return definedShortcodes(opts)
+    .filter((shortcode) => shortcode.block)
+    .map((shortcode) => ({
+      name: dashed(shortcode.tag),
+      title: trimmed(shortcode.title) || humanize(shortcode.tag),
+      description: trimmed(shortcode.description),
+      category: 'widgets',
+      icon: 'shortcode',
+      dynamic: true,
+      attributes: shortcode.attributes.map((attribute) => ({
+        name: attribute.name,
+        type: BLOCK_TYPES[attribute.type],
+        default: attribute.default
+      })),
+      shortcode: { tag: shortcode.tag, enclosing: Boolean(shortcode.enclosing) }
+    }));
+}
+
+module.exports = {
+  SHORTCODE_ATTRIBUTE_TYPES,
+  validateShortcodes,
+  buildShortcodesContext,
+  shortcodeBlocks
+};
@@ -0,0 +1,309 @@
+// Template packs.  Every generated file is rendered from a template in
+// the built-in `templates/` directory, and any of them can be replaced
+// by a file with the same relative name in a user-chosen template
+// directory.  See templates/README.md for the syntax and the context
+// each template receives.
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const BUILTIN_TEMPLATE_DIR = path.join(__dirname, '..', 'templates');
+const TEMPLATE_EXTENSION = '.tpl';
+
+const TAG_PATTERN = /\{\{\s*([#/>!]?)\s*([\s\S]*?)\s*\}\}/g;
+const BLOCK_TAGS = new Set(['#', '/', '>', '!']);
+
+/**
+ * Split template source into text and tag tokens.  Block tags
+ * (`{{#if}}`, `{{/each}}`, `{{else}}`, partials and comments) that sit
+ * alone on a line swallow that whole line, so templates can be laid
+ * out readably without leaving blank lines in the output.
+ *
+ * @param {string} source Template source
+ * @returns {object[]} Tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const [raw, sigil, body] = match;
+    let start = match.index;
+    let end = TAG_PATTERN.lastIndex;
+    const isBlock = BLOCK_TAGS.has(sigil) || (sigil === '' && body === 'else');
+    let indent = '';
+    if (isBlock) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+      const before = source.slice(lineStart, start);
+      const after = source.slice(end, lineEnd);
+      if (lineStart >= lastIndex && !before.trim() && !after.trim()) {
+        indent = before;
+        start = lineStart;
+        end = lineEnd;
+        TAG_PATTERN.lastIndex = end;
+      }
+    }
+    if (start > lastIndex) {
+      tokens.push({ type: 'text', value: source.slice(lastIndex, start) });
+    }
+    tokens.push({ type: 'tag', sigil, body, raw, indent, index: match.index });
+    lastIndex = end;
+  }
+  if (lastIndex < source.length) {
+    tokens.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return tokens;
+}
+
+/**
+ * Build a syntax tree from template tokens.
+ *
+ * @param {object[]} tokens Output of tokenize()
+ * @param {string} name Template name for error messages
+ * @returns {object[]} Nodes
+ */
+function parse(tokens, name) {
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  for (const token of tokens) {
+    if (token.type === 'text') {
+      current().children.push(token);
+      continue;
+    }
+    const { sigil, body } = token;
+    if (sigil === '!') {
+      continue;
+    }
+    if (sigil === '>') {
+      current().children.push({ type: 'partial', name: body, indent: token.indent });
+    } else if (sigil === '#') {
+      const [helper, ...rest] = body.split(/\s+/);
+      if (!['if', 'unless', 'each'].includes(helper) || rest.length !== 1) {
+        throw new Error(`Template '${name}': unsupported block '{{#${body}}}'.`);
+      }
+      const node = { type: helper, path: rest[0], children: [], inverse: null };
+      current().children.push(node);
+      stack.push(node);
+    } else if (sigil === '' && body === 'else') {
+      const node = current();
+      if (node === root || node.inverse) {
+        throw new Error(`Template '${name}': unexpected '{{else}}'.`);
+      }
+      node.inverse = [];
+      node.main = node.children;
+      node.children = node.inverse;
+    } else if (sigil === '/') {
+      const node = current();
+      if (node === root || node.type !== body) {
+        throw new Error(`Template '${name}': unexpected '{{/${body}}}'.`);
+      }
+      if (node.inverse) {
+        node.children = node.main;
+        delete node.main;
+      }
+      stack.pop();
+    } else if (sigil === '') {
+      current().children.push({ type: 'var', path: body });
+    } else {
+      throw new Error(`Template '${name}': unsupported tag '${token.raw}'.`);
+    }
+  }
+  if (stack.length > 1) {
+    throw new Error(`Template '${name}': '{{#${current().type} ${current().path}}}' is never closed.`);
+  }
+  return root.children;
+}
+
+/**
+ * Resolve a dotted variable path against a scope chain.  The innermost
+ * scope that defines the first segment wins, so fields of the current
+ * `{{#each}}` item shadow the outer context.
+ *
+ * @returns {{ found: boolean, value: * }}
+ */
+function lookup(scopes, varPath) {
+  if (varPath === 'this') {
+    return { found: true, value: scopes[scopes.length - 1].item };
+  }
+  const [head, ...rest] = varPath.split('.');
+  for (let i = scopes.length - 1; i >= 0; i -= 1) {
+    const scope = scopes[i];
+    let value;
+    if (head === 'this') {
+      value = scope.item;
+    } else if (head.startsWith('@')) {
+      if (!(head.slice(1) in scope.meta)) continue;
+      value = scope.meta[head.slice(1)];
+    } else if (scope.item !== null && typeof scope.item === 'object' && head in scope.item) {
+      value = scope.item[head];
+    } else {
+      continue;
+    }
+    for (const key of rest) {
+      if (value === null || value === undefined || !(key in Object(value))) {
+        return { found: false };
+      }
+      value = value[key];
+    }
+    return { found: value !== undefined, value };
+  }
+  return { found: false };
+}
+
+/**
+ * Render a template with the given context.  Referencing a variable
+ * that is not defined in the context is an error; every undefined
+ * name in the template is reported at once.
+ *
+ * @param {string} name Template name (used in messages and for partials)
+ * @param {Map<string, { source: string }>} templates Loaded template set
+ * @param {object} context Template context
+ * @returns {string} Rendered output
+ */
+function renderTemplate(name, templates, context) {
+  const missing = new Set();
+  const cache = new Map();
+  const describeMissing = (varPath, partialStack) => (partialStack.length
+    ? `${varPath} (in ${partialStack[partialStack.length - 1]})`
+    : varPath);
+
+  const getNodes = (templateName) => {
+    if (!cache.has(templateName)) {
+      const template = templates.get(templateName);
+      if (!template) {
+        throw new Error(`Template '${templateName}' does not exist.`);
+      }
+      cache.set(templateName, parse(tokenize(template.source), templateName));
+    }
+    return cache.get(templateName);
+  };
+
+  const renderNodes = (nodes, scopes, partialStack) => {
+    let out = '';
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        out += node.value;
+      } else if (node.type === 'var') {
+        const { found, value } = lookup(scopes, node.path);
+        if (!found) {
+          missing.add(describeMissing(node.path, partialStack));
+        } else if (value !== null) {
+          out += String(value);
+        }
+      } else if (node.type === 'partial') {
+        const partialName = `partials/${node.name}`;
+        if (partialStack.includes(partialName)) {
+          throw new Error(`Template '${name}': partial '${node.name}' includes itself.`);
+        }
+        const rendered = renderNodes(getNodes(partialName), scopes, [...partialStack, partialName]);
+        out += node.indent
+          ? rendered.replace(/^(?=.)/gm, node.indent)
+          : rendered;
+      } else {
+        const { found, value } = lookup(scopes, node.path);
+        if (!found) {
+          missing.add(describeMissing(node.path, partialStack));
+          continue;
+        }
+        if (node.type === 'each') {
+          const items = Array.isArray(value) ? value : [];
+          if (items.length === 0 && node.inverse) {
+            out += renderNodes(node.inverse, scopes, partialStack);
+          }
+          items.forEach((item, index) => {
+            const meta = { index, first: index === 0, last: index === items.length - 1 };
+            out += renderNodes(node.children, [...scopes, { item, meta }], partialStack);
+          });
+        } else {
+          const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+          const show = node.type === 'if' ? truthy : !truthy;
+          if (show) {
+            out += renderNodes(node.children, scopes, partialStack);
+          } else if (node.inverse) {
+            out += renderNodes(node.inverse, scopes, partialStack);
+          }
+        }
+      }
+    }
+    return out;
+  };
+
+  const output = renderNodes(getNodes(name), [{ item: context, meta: {} }], []);
+  if (missing.size) {
+    const origin = templates.get(name).origin;
+    const names = [...missing].join(', ');
+    throw new Error(`Template '${name}' (${origin}) uses undefined variable${missing.size > 1 ? 's' : ''}: ${names}.`);
+  }
+  return output;
+}
+
+/**
+ * Recursively list template files below a directory.
+ *
+ * @param {string} dir Directory to scan
+ * @returns {Promise<string[]>} Template names relative to `dir`, using `/`
+ */
+async function listTemplates(dir, prefix = '') {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const names = [];
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      names.push(...await listTemplates(path.join(dir, entry.name), relative));
+    } else if (entry.name.endsWith(TEMPLATE_EXTENSION)) {
+      names.push(relative.slice(0, -TEMPLATE_EXTENSION.length));
+    }
+  }
+  return names;
+}
+
+/**
+ * Load the built-in template pack and any `extraTemplates` (the stub
+ * templates of library definitions), then overlay the templates found in
+ * `templateDir`.  Only templates known by then can be overridden, plus
+ * any partials under `partials/`; other files in the directory are
+ * ignored.
+ *
+ * @param {string} [templateDir] Optional user template directory
+ * @param {{ name: string, file: string, origin: string }[]} [extraTemplates]
+ *   Templates stored outside the built-in pack
+ * @returns {Promise<Map<string, { source: string, origin: string }>>}
+ */
+async function loadTemplates(templateDir, extraTemplates = []) {
+  const templates = new Map();
+  for (const name of await listTemplates(BUILTIN_TEMPLATE_DIR)) {
+    const file = path.join(BUILTIN_TEMPLATE_DIR, ...name.split('/')) + TEMPLATE_EXTENSION;
+    templates.set(name, { source: await fs.readFile(file, 'utf8'), origin: 'built-in' });
+  }
+  for (const { name, file, origin } of extraTemplates) {
+    templates.set(name, { source: await fs.readFile(file, 'utf8'), origin });
+  }
+  if (templateDir) {
+    let overrides;
+    try {
+      overrides = await listTemplates(templateDir);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new Error(`Template directory '${templateDir}' does not exist.`);
+      }
+      throw err;
+    }
+    for (const name of overrides) {
+      if (templates.has(name) || name.startsWith('partials/')) {
+        const file = path.join(templateDir, ...name.split('/')) + TEMPLATE_EXTENSION;
+        templates.set(name, { source: await fs.readFile(file, 'utf8'), origin: file });
+      }
+    }
+  }
+  return templates;
+}
+
+module.exports = {
+  BUILTIN_TEMPLATE_DIR,
+  loadTemplates,
+  renderTemplate
+};
@@ -0,0 +1,247 @@
+// Validation of the plugin's own fields: name, slug, versions, URIs,
+// contributors, branch and GitHub details, and of library config
+// values.  Problems are reported per field as `{ field, message }`,
+// where `field` is the option name and the id of the form input, so the
+// renderer can show each message next to its input.  This file has no
+// dependencies and is shared: the main process and the CLI require() it,
+// and index.html loads it with a <script> tag, which exposes it as
+// `window.pluginValidation`.
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.pluginValidation = api;
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+  // Plugin versions, which lib/release.js bumps as well: major, minor,
+  // patch and the pre-release, e.g. 1.0.0-beta.1.
+  const SEMVER_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+  // WordPress and PHP versions as the plugin headers use them, e.g. 6.5
+  // or 7.4.33.
+  const RELEASE_PATTERN = /^\d+\.\d+(?:\.\d+)?$/;
+  // GitHub usernames: up to 39 letters, digits and single hyphens, not
+  // starting or ending with a hyphen.
+  const GITHUB_USERNAME_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38}$/;
+  // GitLab and Gitea user and group names: letters, digits, `.`, `_` and
+  // `-`, starting and ending with a letter or digit.  GitLab subgroups
+  // are written as paths, e.g. agency/clients.
+  const ACCOUNT_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?$/;
+  const GROUP_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?(?:\/[A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?)*$/;
+  // Repository hosts and their names (see lib/git-hosts.js).
+  const REPO_HOSTS = { github: 'GitHub', gitlab: 'GitLab', gitea: 'Gitea' };
+  // GitHub topics: lowercase letters, digits and hyphens, at most 50
+  // characters, starting with a letter or digit; up to 20 per repository.
+  const TOPIC_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+  const MAX_TOPICS = 20;
+  // WordPress.org usernames.
+  const CONTRIBUTOR_PATTERN = /^[A-Za-z0-9._@-]+$/;
+  // Branch names, a conservative subset of what `git check-ref-format`
+  // allows.
+  const BRANCH_PATTERN = /^(?!\/|.*(?:\/\/|\.\.|\/\.|\.lock$|\/$|\.$))[A-Za-z0-9._\/-]+$/;
+
+  const URI_FIELDS = {
+    pluginUri: 'Plugin URI',
+    authorUri: 'Author URI',
+    pluginBaseUri: 'Plugin base URI',
+    repo: 'Repository URL',
+    repoApiUrl: 'API URL'
+  };
+
+  const RELEASE_FIELDS = {
+    requiresAtLeast: 'Requires WP',
+    testedUpTo: 'Tested up to',
+    requiresPhp: 'Requires PHP'
+  };
+
+  // The plugin's own text fields, which are used trimmed.
+  const TEXT_FIELDS = [
+    'name', 'slug', 'description', 'version', 'requiresAtLeast', 'testedUpTo', 'requiresPhp',
+    'author', 'authorUri', 'pluginUri', 'pluginBaseUri', 'vendor', 'repo', 'branch',
+    'repoHost', 'repoApiUrl', 'githubUsername', 'repoOwner'
+  ];
+
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  // The slug the generator derives from a name (see slugify() in
+  // lib/generator.js).
+  const slugFromName = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+  const compareVersions = (a, b) => {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i += 1) {
+      const diff = (left[i] || 0) - (right[i] || 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  };
+
+  const isHttpUrl = (value) => {
+    try {
+      const url = new URL(value);
+      return (url.protocol === 'http:' || url.protocol === 'https:') && Boolean(url.hostname);
+    } catch (err) {
+      return false;
+    }
+  };
+
+  /**
+   * Trim the plugin's own text fields.  Options are normalized once, and
+   * the same object is then validated and generated from, so the
+   * generator never sees a value that was not checked.
+   *
+   * @param {object} opts Plugin options
+   * @returns {object} A copy with the text fields trimmed
+   */
+  function normalizePluginFields(opts) {
+    const normalized = { ...opts };
+    TEXT_FIELDS.forEach((field) => {
+      if (typeof normalized[field] === 'string') {
+        normalized[field] = normalized[field].trim();
+      }
+    });
+    return normalized;
+  }
+
+  /**
+   * Check the plugin fields of a set of options.  Blank optional fields
+   * are fine; the builder sections are checked by their own validators.
+   *
+   * @param {object} opts Plugin options
+   * @returns {{ field: string, message: string }[]} Problems, by field
+   */
+  function validatePluginFields(opts) {
+    const errors = [];
+    const add = (field, message) => errors.push({ field, message });
+
+    const name = text(opts.name);
+    if (!name) {
+      add('name', 'Please enter a plugin name.');
+    } else if (/[\r\n]/.test(opts.name.trim())) {
+      add('name', 'The plugin name must fit on one line.');
+    }
+
+    const slug = text(opts.slug);
+    if (slug && !SLUG_PATTERN.test(slug)) {
+      add('slug', 'The slug may only contain lowercase letters, digits and single hyphens, e.g. my-plugin.');
+    } else if (!slug && name && !slugFromName(name)) {
+      add('slug', 'The plugin name has no letters or digits to build a slug from; please enter a slug.');
+    }
+
+    const version = text(opts.version);
+    if (version && !SEMVER_PATTERN.test(version)) {
+      add('version', `Version '${version}' is not a semantic version such as 1.0.0.`);
+    }
+
+    Object.entries(RELEASE_FIELDS).forEach(([field, label]) => {
+      const value = text(opts[field]);
+      if (value && !RELEASE_PATTERN.test(value)) {
+        add(field, `${label} must be a version such as ${field === 'requiresPhp' ? '7.4' : '6.5'}.`);
+      }
+    });
+    const requiresAtLeast = text(opts.requiresAtLeast);
+    const testedUpTo = text(opts.testedUpTo);
+    if (RELEASE_PATTERN.test(requiresAtLeast) && RELEASE_PATTERN.test(testedUpTo)
+      && compareVersions(testedUpTo, requiresAtLeast) < 0) {
+      add('testedUpTo', `Tested up to (${testedUpTo}) must not be older than Requires WP (${requiresAtLeast}).`);
+    }
+
+    Object.entries(URI_FIELDS).forEach(([field, label]) => {
+      const value = text(opts[field]);
+      if (value && !isHttpUrl(value)) {
+        add(field, `${label} must be an http:// or https:// URL.`);
+      }
+    });
+
+    const contributors = Array.isArray(opts.contributors)
+      ? opts.contributors.map((item) => String(item).trim())
+      : text(opts.contributors).split(',').map((item) => item.trim());
+    const invalidContributors = contributors.filter((item) => item && !CONTRIBUTOR_PATTERN.test(item));
+    if (invalidContributors.length) {
+      add('contributors', `Not a WordPress.org username: ${invalidContributors.join(', ')}.`);
+    }
+
+    const branch = text(opts.branch);
+    if (branch && !BRANCH_PATTERN.test(branch)) {
+      add('branch', `'${branch}' is not a valid branch name.`);
+    }
+
+    // The user and organization are named by the rules of their host;
+    // `githubUsername` keeps its name for existing manifests and profiles.
+    const repoHost = text(opts.repoHost) || 'github';
+    if (!REPO_HOSTS[repoHost]) {
+      add('repoHost', `Unknown repository host '${repoHost}'; use ${Object.keys(REPO_HOSTS).join(', ')}.`);
+    }
+    const hostLabel = REPO_HOSTS[repoHost] || REPO_HOSTS.github;
+
+    const githubUsername = text(opts.githubUsername);
+    const userPattern = repoHost === 'github' ? GITHUB_USERNAME_PATTERN : ACCOUNT_PATTERN;
+    if (githubUsername && !userPattern.test(githubUsername)) {
+      add('githubUsername', `'${githubUsername}' is not a valid ${hostLabel} username.`);
+    }
+
+    const repoOwner = text(opts.repoOwner);
+    const ownerPattern = { github: GITHUB_USERNAME_PATTERN, gitlab: GROUP_PATTERN }[repoHost] || ACCOUNT_PATTERN;
+    if (repoOwner && !ownerPattern.test(repoOwner)) {
+      add('repoOwner', `'${repoOwner}' is not a valid ${repoHost === 'gitlab' ? 'GitLab group' : `${hostLabel} organization`} name.`);
+    }
+
+    const topics = (Array.isArray(opts.repoTopics)
+      ? opts.repoTopics.map((item) => String(item))
+      : text(opts.repoTopics).split(','))
+      .map((item) => item.trim().toLowerCase())
+      .filter(Boolean);
+    const invalidTopics = topics.filter((item) => !TOPIC_PATTERN.test(item));
+    if (invalidTopics.length) {
+      add('repoTopics', `Topics use lowercase letters, digits and hyphens (at most 50 characters): ${invalidTopics.join(', ')}.`);
+    } else if (new Set(topics).size > MAX_TOPICS) {
+      add('repoTopics', `A repository can have at most ${MAX_TOPICS} topics.`);
+    }
+    return errors;
+  }
+
+  /**
+   * Check the values entered for a set of config fields, as a library
+   * definition declares them (see lib/libraries.js).  Missing values
+   * fall back to the field's default.
+   *
+   * @param {{ key: string, label: string, type: string, required?: boolean, options?: { value: string }[], default?: * }[]} fields
+   * @param {object} [values] Entered values, by field key
+   * @returns {{ key: string, message: string }[]} Problems, by field key
+   */
+  function validateConfigValues(fields, values) {
+    const errors = [];
+    (fields || []).forEach((field) => {
+      const value = values && values[field.key] !== undefined ? values[field.key] : field.default;
+      const blank = value === undefined || value === null || (typeof value === 'string' && !value.trim());
+      if (field.type === 'checkbox') {
+        if (value !== undefined && typeof value !== 'boolean') {
+          errors.push({ key: field.key, message: `${field.label} must be true or false.` });
+        }
+      } else if (blank) {
+        if (field.required) {
+          errors.push({ key: field.key, message: `${field.label} is required.` });
+        }
+      } else if (field.type === 'number') {
+        if (!Number.isFinite(Number(value)) || (typeof value === 'string' && !/^-?\d+(\.\d+)?$/.test(value.trim()))) {
+          errors.push({ key: field.key, message: `${field.label} must be a number.` });
+        }
+      } else if (typeof value !== 'string') {
+        errors.push({ key: field.key, message: `${field.label} must be text.` });
+      } else if (field.type === 'select' && !(field.options || []).some((option) => option.value === value)) {
+        errors.push({ key: field.key, message: `${field.label} must be one of: ${(field.options || []).map((option) => option.value).join(', ')}.` });
+      }
+    });
+    return errors;
+  }
+
+  return {
+    SEMVER_PATTERN,
+    normalizePluginFields,
+    validatePluginFields,
+    validateConfigValues
+  };
+});
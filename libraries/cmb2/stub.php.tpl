@@ -0,0 +1,20 @@
+<?php
+{{> namespace}}
+/**
+ * Stub file for integrating the CMB2 metabox library.
+ *
+ * Install the cmb2/cmb2 package via Composer, then add fields to the
+ * metabox below using the CMB2 API.
+ */
+class {{className}} {
+    public function register_metaboxes() {
+        $cmb = new_cmb2_box(
+            array(
+                'id'           => '{{functionPrefix}}_metabox',
+                'title'        => __( '{{config.title}}', '{{textDomain}}' ),
+                'object_types' => array( '{{config.postType}}' ),
+            )
+        );
+        // Add fields with $cmb->add_field( array( ... ) ).
+    }
+}
@@ -0,0 +1,16 @@
+<?php
+{{> namespace}}
+/**
+ * Stub file for CronPlus integration.
+ *
+ * Use this class to schedule and run cron events. The CronPlus package
+ * simplifies adding and removing cron jobs.
+ */
+class {{className}} {
+    public function activate() {
+        // Schedule events.
+    }
+    public function deactivate() {
+        // Clear scheduled events.
+    }
+}
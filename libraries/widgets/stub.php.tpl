@@ -0,0 +1,13 @@
+<?php
+{{> namespace}}
+/**
+ * Stub file for Widgets Helper integration.
+ *
+ * This class demonstrates how to register a custom widget using
+ * the Widgets Helper library.
+ */
+class {{className}} {
+    public function register() {
+        // Register widgets here.
+    }
+}
@@ -1,57 +1,77 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
-const { execFile } = require('child_process');
-
-// Define optional libraries and snippets supported by the generator.
-// Each entry specifies a Composer dependency and a stub file generator.
-const AVAILABLE_LIBRARIES = {
-  cmb2: {
-    composer: '"cmb2/cmb2": "^2.10"',
-    stubFile: (slug) => {
-      const capSlug = slug.split('-').map(p => p.charAt(0).toUpperCase() + p.slice(1)).join('');
-      return `<?php\n/**\n * Stub file for integrating the CMB2 metabox library.\n *\n * This class is a placeholder. Install the cmb2/cmb2 package via Composer\n * and then build your metaboxes using the CMB2 API.\n */\nclass ${capSlug}_CMB2 {\n    public function register_metaboxes() {\n        // Define your metaboxes here using CMB2 functions.\n    }\n}\n`;
-    },
-  },
-  cron: {
-    composer: '"wpbp/cronplus": "^1.0"',
-    stubFile: (slug) => {
-      const capSlug = slug.split('-').map(p => p.charAt(0).toUpperCase() + p.slice(1)).join('');
-      return `<?php\n/**\n * Stub file for CronPlus integration.\n *\n * Use this class to schedule and run cron events. The CronPlus package\n * simplifies adding and removing cron jobs.\n */\nclass ${capSlug}_Cron {\n    public function activate() {\n        // Schedule events.\n    }\n    public function deactivate() {\n        // Clear scheduled events.\n    }\n}\n`;
-    },
-  },
-  widgets: {
-    composer: '"wpbp/widgets-helper": "^1.0"',
-    stubFile: (slug) => {
-      const capSlug = slug.split('-').map(p => p.charAt(0).toUpperCase() + p.slice(1)).join('');
-      return `<?php\n/**\n * Stub file for Widgets Helper integration.\n *\n * This class demonstrates how to register a custom widget using\n * the Widgets Helper library.\n */\nclass ${capSlug}_Widgets {\n    public function register() {\n        // Register widgets here.\n    }\n}\n`;
-    },
-  },
-};
+const { buildPluginFiles, generatePlugin, slugify } = require('./lib/generator');
+const { runGenerationJob } = require('./lib/generation-job');
+const { releasePlugin } = require('./lib/release');
+const { getGitHost, repositoryUrl } = require('./lib/git-hosts');
+const { validatePluginOptions } = require('./lib/manifest');
+const { normalizePluginFields, validatePluginFields } = require('./lib/validation');
+const { lintPlugin } = require('./lib/lint');
+const {
+  loadLibraryRegistry,
+  describeLibraries,
+  installLibraryDefinition,
+  libraryFieldErrors
+} = require('./lib/libraries');
+const { inspectPlugin, planComponentChanges, applyComponentChanges } = require('./lib/existing-plugin');
+const {
+  loadPreferences,
+  savePreferences,
+  saveProfile,
+  deleteProfile,
+  exportProfile,
+  parseProfile
+} = require('./lib/preferences');
+const {
+  loadAccounts,
+  saveAccount,
+  findAccountToken,
+  recheckAccount,
+  removeAccount
+} = require('./lib/accounts');
+
+// Preferences and profiles are kept in the userData directory, e.g.
+// ~/.config/electron-plugin-generator/preferences.json on Linux.
+const preferencesFile = () => path.join(app.getPath('userData'), 'preferences.json');
+
+// Library definition folders installed by the user, read after the
+// built-in ones (see lib/libraries.js).
+const librariesDir = () => path.join(app.getPath('userData'), 'libraries');
+
+// Host accounts with their encrypted access tokens (see lib/accounts.js).
+const accountsFile = () => path.join(app.getPath('userData'), 'accounts.json');
 
-// Define optional snippets that can be included. These add ready‑made
-// classes or functions for common tasks. Snippets do not add
-// external dependencies.
-const AVAILABLE_SNIPPETS = {
-  settings: {
-    stubFile: (slug, settingsConfig = {}) => {
-      const capSlug = slug.split('-').map(p => p.charAt(0).toUpperCase() + p.slice(1)).join('');
-      const escapePhpString = (value) => {
-        if (!value) return '';
-        return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
-      };
-      const resolvedPageTitle = escapePhpString(settingsConfig.pageTitle || 'Plugin Settings');
-      const resolvedMenuSlug = escapePhpString(settingsConfig.menuSlug || `${slug}-settings`);
-      const resolvedCapability = escapePhpString(settingsConfig.capability || 'manage_options');
-      const resolvedParentMenu = escapePhpString(settingsConfig.parentMenu || 'options-general.php');
-      const formatInput = (settingsConfig.format || 'json').toLowerCase();
-      const normalizedFormat = formatInput.replace(/[^a-z0-9]/g, '') || 'json';
-      const resolvedFormat = escapePhpString(normalizedFormat);
-      const formatLabel = normalizedFormat.toUpperCase();
-      return `<?php\n/**\n * Import/Export settings snippet.\n *\n * This class registers an admin page for exporting and importing plugin options.\n * Customize the render, export, and import methods to fit your data.\n */\nclass ${capSlug}_Settings {\n    protected $page_title = '${resolvedPageTitle}';\n    protected $menu_slug = '${resolvedMenuSlug}';\n    protected $capability = '${resolvedCapability}';\n    protected $parent_menu = '${resolvedParentMenu}';\n    protected $format = '${resolvedFormat}';\n\n    public function register() {\n        add_action( 'admin_menu', array( $this, 'add_admin_menus' ) );\n    }\n\n    public function add_admin_menus() {\n        add_submenu_page(\n            $this->parent_menu,\n            $this->page_title,\n            $this->page_title,\n            $this->capability,\n            $this->menu_slug,\n            array( $this, 'render_settings_page' )\n        );\n    }\n\n    public function render_settings_page() {\n        // Render your admin form for exporting or importing settings.\n    }\n\n    public function export_settings() {\n        // Output settings as ${formatLabel} and trigger download.\n    }\n\n    public function import_settings() {\n        // Handle the uploaded ${formatLabel} file and persist settings.\n    }\n}\n`;
-    },
-  },
-};
+/**
+ * Helper: encrypt a token with the operating system's keychain.  Tokens
+ * are never written in plain text, so saving fails where no keychain is
+ * available, e.g. on Linux without a secret service.
+ *
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function encryptToken(text) {
+  if (!safeStorage.isEncryptionAvailable()) {
+    throw new Error('Tokens cannot be stored securely on this system because no keychain or secret service is available. Set the token environment variable instead.');
+  }
+  return safeStorage.encryptString(text);
+}
+
+const decryptToken = (data) => safeStorage.decryptString(data);
+
+/**
+ * Helper: the access token for publishing to the host and API URL of
+ * `opts`: the stored account's, otherwise the host's environment
+ * variable (e.g. GITHUB_TOKEN).
+ *
+ * @param {object} opts Plugin options: `repoHost`, `repoApiUrl`
+ * @returns {Promise<string|undefined>}
+ */
+async function resolveHostToken(opts) {
+  const host = getGitHost(opts.repoHost);
+  const stored = await findAccountToken(accountsFile(), host.id, opts.repoApiUrl, decryptToken);
+  return stored || process.env[host.tokenVariable];
+}
 
 /**
  * Helper: Create the main application window.  This function is called
@@ -107,420 +127,358 @@ ipcMain.handle('select-directory', async () => {
   return result.filePaths[0];
 });
 
+/**
+ * Helper: validate options from the renderer with the same rules as the
+ * CLI.  Returns null when they are usable, otherwise the failure result
+ * for the IPC call: every problem in `error`, and the ones belonging to
+ * a form field in `fieldErrors` (`{ field, message }`), so the renderer
+ * can show them next to their inputs.
+ *
+ * @param {object} opts Plugin options
+ * @returns {Promise<{ ok: false, error: string, fieldErrors: object[] }|null>}
+ */
+async function checkPluginOptions(opts) {
+  const libraries = await loadLibraryRegistry(opts.libraryDirs);
+  const errors = validatePluginOptions(opts, libraries);
+  if (errors.length === 0) {
+    return null;
+  }
+  return {
+    ok: false,
+    error: errors.join(' '),
+    fieldErrors: [...validatePluginFields(opts), ...libraryFieldErrors(opts, libraries)]
+  };
+}
+
+// The running generation job, so it can be canceled.  One at a time.
+let generation = null;
+
 /**
  * IPC handler: generate a WordPress plugin skeleton.  Receives an
  * options object from the renderer containing all of the plugin
  * parameters (name, slug, description, author, etc.).  Returns a
- * status object indicating success or failure.  All file system
- * operations are performed asynchronously.
+ * status object indicating success or failure; invalid options fail
+ * with `fieldErrors` (see checkPluginOptions()).  Generation and
+ * publishing run as a job (see lib/generation-job.js) that sends its
+ * step list as 'generation-progress' events and rolls back on failure;
+ * both results carry the final `steps`, and a canceled job `canceled`.
  */
-ipcMain.handle('generate-plugin', async (event, opts) => {
+ipcMain.handle('generate-plugin', async (event, formOpts) => {
+  if (generation) {
+    return { ok: false, error: 'A plugin is already being generated.' };
+  }
+  generation = new AbortController();
   try {
-    const slug = opts.slug && opts.slug.trim() !== '' ? opts.slug : slugify(opts.name);
+    const opts = { ...normalizePluginFields(formOpts), libraryDirs: [librariesDir()] };
+    const invalid = await checkPluginOptions(opts);
+    if (invalid) {
+      return invalid;
+    }
+    const slug = opts.slug || slugify(opts.name);
 
-    // If we're going to create a GitHub repo and have a username,
+    // If we're going to create a repository and know its owner,
     // pre-populate the repo URL so generated files can reference it.
-    if (opts.createGithubRepo && opts.githubUsername && !opts.repo) {
-      opts.repo = `https://github.com/${opts.githubUsername}/${slug}`;
+    const repoOwner = opts.repoOwner || opts.githubUsername;
+    if (opts.createGithubRepo && repoOwner && !opts.repo) {
+      opts.repo = repositoryUrl(opts, repoOwner, slug);
     }
-
-    const pluginPath = await generatePlugin(opts);
-
-    let repoUrl;
-    if (opts.createGithubRepo) {
-      repoUrl = await createGithubRepoAndPush({
-        slug,
-        pluginDir: pluginPath,
-        options: opts
-      });
+    // Check for the token before anything is written.
+    const host = getGitHost(opts.repoHost);
+    const token = opts.createGithubRepo ? await resolveHostToken(opts) : undefined;
+    if (opts.createGithubRepo && !token) {
+      throw new Error(`No ${host.label} account is saved for ${opts.repoApiUrl || host.defaultApiUrl} and the ${host.tokenVariable} environment variable is not set; cannot create ${host.label} repository. Add a token under Accounts.`);
     }
 
-    return { ok: true, pluginPath, repoUrl };
+    const { pluginPath, repoUrl, releaseUrl, lint, steps } = await runGenerationJob(opts, {
+      token,
+      signal: generation.signal,
+      onProgress: (progress) => {
+        if (!event.sender.isDestroyed()) {
+          event.sender.send('generation-progress', progress);
+        }
+      }
+    });
+    return { ok: true, pluginPath, repoUrl, releaseUrl, lint, steps };
   } catch (err) {
-    return { ok: false, error: err.message || String(err) };
+    return { ok: false, error: err.message || String(err), canceled: Boolean(err.canceled), steps: err.steps };
+  } finally {
+    generation = null;
   }
 });
 
 /**
- * Convert an arbitrary name into a slug suitable for WordPress plugin
- * directories and file names.  The function lowercases the string,
- * replaces runs of non‑alphanumeric characters with single dashes,
- * and trims leading/trailing dashes.
- *
- * @param {string} name Human readable plugin name
- * @returns {string} Slugified name
+ * IPC handler: cancel the running generation.  The job stops before its
+ * next step (a running git command is stopped right away) and rolls back.
  */
-function slugify(name) {
-  return name
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^\-+|\-+$/g, '');
-}
+ipcMain.handle('cancel-generation', async () => {
+  if (!generation) {
+    return { ok: false, error: 'No plugin is being generated.' };
+  }
+  generation.abort();
+  return { ok: true };
+});
 
 /**
- * Create a directory if it doesn't already exist.  The `recursive`
- * option ensures all intermediate directories are created.
- *
- * @param {string} dirPath Directory path
+ * IPC handler: build the plugin file set in memory and return it for
+ * preview without writing anything.  Uses the same code path as
+ * generatePlugin(), so the preview matches the generated output.
  */
-async function ensureDir(dirPath) {
-  await fs.mkdir(dirPath, { recursive: true });
-}
+ipcMain.handle('preview-plugin', async (event, formOpts) => {
+  try {
+    const opts = { ...normalizePluginFields(formOpts), libraryDirs: [librariesDir()] };
+    const invalid = await checkPluginOptions(opts);
+    if (invalid) {
+      return invalid;
+    }
+    const { slug, pluginDir, directories, files } = await buildPluginFiles(opts);
+    return { ok: true, slug, pluginPath: pluginDir, directories, files };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
+  }
+});
 
 /**
- * Write text content to a file, creating parent directories as
- * necessary.  The file is always encoded as UTF‑8.
- *
- * @param {string} filePath Full file system path
- * @param {string} contents String content to write
+ * IPC handler: release an existing plugin directory.  Bumps the version
+ * (when `bump` is set), adds the changelog entry and builds the zip; see
+ * releasePlugin() in lib/release.js, which the CLI uses as well.
  */
-async function writeFile(filePath, contents) {
-  await ensureDir(path.dirname(filePath));
-  await fs.writeFile(filePath, contents, 'utf8');
-}
+ipcMain.handle('release-plugin', async (event, { pluginDir, ...options }) => {
+  try {
+    const result = await releasePlugin(pluginDir, options);
+    return { ok: true, ...result };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
+  }
+});
 
 /**
- * Generate and write all plugin files based on user options.  This
- * mirrors the structure of the Python script provided earlier.  It
- * constructs a namespaced class structure, writes the main plugin
- * entry file with proper headers and optional update checker code,
- * generates stub classes for activation, deactivation, admin and
- * public functionality, creates a minimal readme, and optionally a
- * composer.json.  CSS/JS stubs are also created.
- *
- * @param {object} opts Options from the renderer form
+ * IPC handler: check a plugin folder against the WordPress.org rules
+ * for the header and readme.txt, parse its composer.json and run
+ * `php -l` on its PHP files when php is installed (see lib/lint.js).
  */
-async function generatePlugin(opts) {
-  const slug = opts.slug && opts.slug.trim() !== '' ? opts.slug : slugify(opts.name);
-  const outputDir = opts.outputDir || process.cwd();
-  const pluginDir = path.join(outputDir, slug);
-
-  // Apply defaults for ownership-related fields.
-  const defaultAuthor = 'George Nicolaou';
-  const defaultAuthorUri = 'https://www.georgenicolaou.me';
-  const pluginBaseUri = 'https://www.georgenicolaou.me/plugins/';
-  const normalizedAuthor = opts.author && opts.author.trim() ? opts.author : defaultAuthor;
-  const normalizedAuthorUri = opts.authorUri && opts.authorUri.trim() ? opts.authorUri : defaultAuthorUri;
-  const normalizedPluginUri =
-    opts.pluginUri && opts.pluginUri.trim()
-      ? opts.pluginUri
-      : `${pluginBaseUri}${slug}/`;
-  const normalizedOpts = {
-    ...opts,
-    author: normalizedAuthor,
-    authorUri: normalizedAuthorUri,
-    pluginUri: normalizedPluginUri
-  };
-
-  // Prevent accidentally clobbering an existing non‑empty directory
+ipcMain.handle('lint-plugin', async (event, pluginDir) => {
   try {
-    const existing = await fs.readdir(pluginDir);
-    if (existing.length > 0) {
-      throw new Error(`Directory '${pluginDir}' already exists and is not empty.`);
-    }
+    return { ok: true, ...(await lintPlugin(pluginDir)) };
   } catch (err) {
-    // If directory doesn't exist, that's fine; otherwise rethrow
-    if (err.code !== 'ENOENT') throw err;
+    return { ok: false, error: err.message || String(err) };
   }
+});
 
-  // Create base directories
-  await ensureDir(pluginDir);
-  const subdirs = [
-    'includes',
-    'admin',
-    path.join('admin', 'css'),
-    path.join('admin', 'js'),
-    'public',
-    path.join('public', 'css'),
-    path.join('public', 'js'),
-    'languages'
-  ];
-  for (const sub of subdirs) {
-    await ensureDir(path.join(pluginDir, sub));
+/**
+ * IPC handlers: preferences and named profiles (see lib/preferences.js).
+ * Each returns the whole store, `{ ok, preferences, profiles }`, so the
+ * renderer can refresh its profile list.
+ */
+ipcMain.handle('load-preferences', async () => {
+  try {
+    return { ok: true, ...(await loadPreferences(preferencesFile())) };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
   }
+});
 
-  // Build namespace and class names
-  const namespace = slug.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
-  const loaderClass = `${namespace}_Loader`;
-  const pluginClass = `${namespace}`;
-  const adminClass = `${namespace}_Admin`;
-  const publicClass = `${namespace}_Public`;
-  const activatorClass = `${namespace}_Activator`;
-  const deactivatorClass = `${namespace}_Deactivator`;
-
-  // Generate file contents
-  const mainPhp = generateMainPluginFile({
-    opts: normalizedOpts,
-    slug,
-    namespace,
-    pluginClass,
-    loaderClass,
-    adminClass,
-    publicClass,
-    activatorClass,
-    deactivatorClass
-  });
-  const activatorPhp = generateActivationClass(activatorClass);
-  const deactivatorPhp = generateDeactivationClass(deactivatorClass);
-  const coreClassPhp = generateCoreClass(pluginClass, loaderClass, adminClass, publicClass, namespace, slug, normalizedOpts);
-  const loaderPhp = generateLoaderClass(loaderClass);
-  const adminPhp = generateAdminClass(adminClass, slug);
-  const publicPhp = generatePublicClass(publicClass, slug);
-  const readmeTxt = generateReadme(normalizedOpts, slug);
-  const composerJson = normalizedOpts.withComposer ? generateComposerJson(normalizedOpts, slug, namespace) : null;
-
-  // Write files
-  await writeFile(path.join(pluginDir, `${slug}.php`), mainPhp);
-  await writeFile(path.join(pluginDir, 'includes', `class-${slug}-activator.php`), activatorPhp);
-  await writeFile(path.join(pluginDir, 'includes', `class-${slug}-deactivator.php`), deactivatorPhp);
-  await writeFile(path.join(pluginDir, 'includes', `class-${slug}.php`), coreClassPhp);
-  await writeFile(path.join(pluginDir, 'includes', `class-${slug}-loader.php`), loaderPhp);
-  await writeFile(path.join(pluginDir, 'admin', `class-${slug}-admin.php`), adminPhp);
-  await writeFile(path.join(pluginDir, 'public', `class-${slug}-public.php`), publicPhp);
-  await writeFile(path.join(pluginDir, 'readme.txt'), readmeTxt);
-  if (composerJson) {
-    await writeFile(path.join(pluginDir, 'composer.json'), composerJson);
+ipcMain.handle('save-preferences', async (event, values) => {
+  try {
+    return { ok: true, ...(await savePreferences(preferencesFile(), values)) };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
   }
+});
 
-  // Stub CSS/JS files
-  await writeFile(path.join(pluginDir, 'admin', 'css', `${slug}-admin.css`), '');
-  await writeFile(path.join(pluginDir, 'admin', 'js', `${slug}-admin.js`), '');
-  await writeFile(path.join(pluginDir, 'public', 'css', `${slug}-public.css`), '');
-  await writeFile(path.join(pluginDir, 'public', 'js', `${slug}-public.js`), '');
-
-  // Generate library stubs
-  if (Array.isArray(opts.libraries)) {
-    for (const lib of opts.libraries) {
-      const info = AVAILABLE_LIBRARIES[lib];
-      if (info) {
-        const stubContent = info.stubFile(slug);
-        const fileName = `class-${slug}-${lib}.php`;
-        await writeFile(path.join(pluginDir, 'includes', fileName), stubContent);
-      }
-    }
-  }
-  // Generate snippet stubs
-  if (Array.isArray(opts.snippets)) {
-    for (const snippet of opts.snippets) {
-      const info = AVAILABLE_SNIPPETS[snippet];
-      if (info) {
-        const stubContent = info.stubFile(slug, snippet === 'settings' ? (opts.settingsConfig || {}) : undefined);
-        const fileName = `class-${slug}-${snippet}.php`;
-        await writeFile(path.join(pluginDir, 'includes', fileName), stubContent);
-      }
-    }
+ipcMain.handle('save-profile', async (event, name, values) => {
+  try {
+    return { ok: true, ...(await saveProfile(preferencesFile(), name, values)) };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
   }
+});
 
-  return pluginDir;
-}
+ipcMain.handle('delete-profile', async (event, name) => {
+  try {
+    return { ok: true, ...(await deleteProfile(preferencesFile(), name)) };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
+  }
+});
 
 /**
- * Helper: run a git command in the given working directory.
- *
- * @param {string} cwd Working directory
- * @param {string[]} args Git arguments
+ * IPC handler: write a profile to a JSON file chosen in a save dialog.
  */
-function runGit(cwd, args) {
-  return new Promise((resolve, reject) => {
-    execFile('git', args, { cwd }, (error, stdout, stderr) => {
-      if (error) {
-        const details = (stderr || stdout || error.message || '').toString();
-        reject(new Error(`git ${args.join(' ')} failed: ${details}`));
-      } else {
-        resolve({ stdout: stdout.toString(), stderr: stderr.toString() });
-      }
+ipcMain.handle('export-profile', async (event, name) => {
+  try {
+    const { profiles } = await loadPreferences(preferencesFile());
+    if (!profiles[name]) {
+      throw new Error(`There is no profile named '${name}'.`);
+    }
+    const result = await dialog.showSaveDialog({
+      defaultPath: `${slugify(name) || 'profile'}.json`,
+      filters: [{ name: 'JSON', extensions: ['json'] }]
     });
-  });
-}
+    if (result.canceled || !result.filePath) {
+      return { ok: false, canceled: true };
+    }
+    await fs.writeFile(result.filePath, exportProfile(name, profiles[name]), 'utf8');
+    return { ok: true, filePath: result.filePath };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
+  }
+});
 
 /**
- * Create a GitHub repository for the generated plugin, initialize a local
- * git repository in the plugin directory, and push the initial commit.
- *
- * Requires a personal access token in the GITHUB_TOKEN environment variable.
- *
- * @param {object} params
- * @param {string} params.slug Plugin slug / repository name
- * @param {string} params.pluginDir Absolute path to the generated plugin directory
- * @param {object} params.options Original options object
+ * IPC handler: save a profile from an exported JSON file chosen in an
+ * open dialog.  A profile with the same name is replaced.
  */
-async function createGithubRepoAndPush({ slug, pluginDir, options }) {
-  const token = process.env.GITHUB_TOKEN;
-  if (!token) {
-    throw new Error('GITHUB_TOKEN environment variable is not set; cannot create GitHub repository.');
-  }
-
-  const githubApiHeaders = {
-    'Authorization': `Bearer ${token}`,
-    'Accept': 'application/vnd.github+json',
-    'User-Agent': 'electron-plugin-generator'
-  };
-
-  // Determine the GitHub username: prefer the value from the UI, otherwise
-  // query the /user endpoint using the token.
-  let githubUsername = (options.githubUsername || '').trim();
-  if (!githubUsername) {
-    const userRes = await fetch('https://api.github.com/user', {
-      method: 'GET',
-      headers: githubApiHeaders
+ipcMain.handle('import-profile', async () => {
+  try {
+    const result = await dialog.showOpenDialog({
+      properties: ['openFile'],
+      filters: [{ name: 'JSON', extensions: ['json'] }]
     });
-    if (!userRes.ok) {
-      throw new Error(`Failed to resolve GitHub username (status ${userRes.status}).`);
+    if (result.canceled || result.filePaths.length === 0) {
+      return { ok: false, canceled: true };
     }
-    const userJson = await userRes.json();
-    githubUsername = userJson.login;
+    const { name, values } = parseProfile(await fs.readFile(result.filePaths[0], 'utf8'));
+    return { ok: true, name, ...(await saveProfile(preferencesFile(), name, values)) };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
   }
+});
 
-  // Create the repository via GitHub API.
-  const repoPayload = {
-    name: slug,
-    description: options.description || '',
-    homepage: options.pluginUri || undefined,
-    private: false
-  };
-
-  const repoRes = await fetch('https://api.github.com/user/repos', {
-    method: 'POST',
-    headers: githubApiHeaders,
-    body: JSON.stringify(repoPayload)
-  });
-
-  if (!repoRes.ok) {
-    const bodyText = await repoRes.text();
-    throw new Error(`Failed to create GitHub repository (status ${repoRes.status}): ${bodyText}`);
+/**
+ * IPC handlers: host accounts (see lib/accounts.js).  Each returns the
+ * accounts without their tokens, `{ ok, accounts }`, so the renderer can
+ * refresh its list.  Saving and checking ask the host's user endpoint
+ * about the token first.
+ */
+ipcMain.handle('list-accounts', async () => {
+  try {
+    return {
+      ok: true,
+      accounts: await loadAccounts(accountsFile()),
+      encryptionAvailable: safeStorage.isEncryptionAvailable()
+    };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
   }
+});
 
-  const repoJson = await repoRes.json();
-  const remoteUrl = repoJson.clone_url || `https://github.com/${githubUsername}/${slug}.git`;
+ipcMain.handle('save-account', async (event, account) => {
+  try {
+    return { ok: true, accounts: await saveAccount(accountsFile(), account, encryptToken) };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
+  }
+});
 
-  // Initialize local git repository and push to GitHub.
-  await runGit(pluginDir, ['init']);
-  await runGit(pluginDir, ['add', '.']);
-  await runGit(pluginDir, ['commit', '-m', 'Initial commit']);
+ipcMain.handle('check-account', async (event, host, apiUrl) => {
   try {
-    await runGit(pluginDir, ['branch', '-M', 'main']);
-  } catch {
-    // Ignore branch rename errors; the branch may already be 'main'.
+    return { ok: true, accounts: await recheckAccount(accountsFile(), host, apiUrl, decryptToken) };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
   }
-  await runGit(pluginDir, ['remote', 'add', 'origin', remoteUrl]);
-  await runGit(pluginDir, ['push', '-u', 'origin', 'main']);
+});
 
-  return repoJson.html_url || `https://github.com/${githubUsername}/${slug}`;
-}
+ipcMain.handle('remove-account', async (event, host, apiUrl) => {
+  try {
+    return { ok: true, accounts: await removeAccount(accountsFile(), host, apiUrl) };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
+  }
+});
 
 /**
- * Build the contents of the main plugin PHP file.  Includes the plugin
- * header, optional update checker code, and bootstrap code to run
- * the plugin.  The update checker integration is based on the
- * plugin‑update‑checker documentation【123553315052989†L423-L449】 and WordPress header
- * requirements【766672706132004†L74-L119】.
+ * IPC handler: the built-in and installed libraries, for the library
+ * list and config forms (see describeLibraries() in lib/libraries.js),
+ * and the invalid installed folders that were skipped.
  */
-function generateMainPluginFile({ opts, slug, namespace, pluginClass, loaderClass, adminClass, publicClass, activatorClass, deactivatorClass }) {
-  const repoUrl = opts.repo || '';
-  let updateCode = '';
-  if (repoUrl) {
-    // Build the use statement explicitly to avoid Node interpreting \v sequences
-    const useLine = 'use YahnisElsts\\PluginUpdateChecker\\' + 'v5\\PucFactory;';
-    updateCode = `\n            // Include the plugin-update-checker library. If installed via Composer the
-            // autoloader will make this class available automatically.
-            if ( file_exists( __DIR__ . '/plugin-update-checker/plugin-update-checker.php' ) ) {
-                require_once __DIR__ . '/plugin-update-checker/plugin-update-checker.php';
-            }
-
-            ${useLine}
-
-            // Initialize the update checker to point at your public GitHub repo.
-            $update_checker = PucFactory::buildUpdateChecker(
-                '${repoUrl}',
-                __FILE__,
-                '${slug}'
-            );
-
-            // Set the branch that contains the stable release. For most repos this is 'main' or 'master'.
-            $update_checker->setBranch('${opts.branch}');
-
-            // Optionally set the authentication token if your repository is private.
-            // $update_checker->setAuthentication( 'your-access-token' );\n`;
+ipcMain.handle('list-libraries', async () => {
+  try {
+    const invalid = [];
+    const libraries = describeLibraries(await loadLibraryRegistry([librariesDir()], invalid));
+    return { ok: true, libraries, invalid, librariesDir: librariesDir() };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
   }
-  // Compose plugin header comment.  Use the update URI to avoid
-  // WordPress.org overwriting custom plugins【766672706132004†L108-L113】.
-  const pluginUri = opts.pluginUri || repoUrl;
-  const updateUri = repoUrl || opts.pluginUri || '';
-  const header = `/*\n * Plugin Name:       ${opts.name}\n * Plugin URI:        ${pluginUri}\n * Description:       ${opts.description}\n * Version:           ${opts.version}\n * Requires at least: ${opts.requiresAtLeast}\n * Requires PHP:      ${opts.requiresPhp}\n * Author:            ${opts.author}\n * Author URI:        ${opts.authorUri}\n * License:           GPL v2 or later\n * License URI:       https://www.gnu.org/licenses/gpl-2.0.html\n * Text Domain:       ${slug}\n * Domain Path:       /languages\n * Update URI:        ${updateUri}\n */\n`;
-  const body = `defined( 'ABSPATH' ) || exit; // Exit if accessed directly.\n\nfunction activate_${slug}() {\n    ${namespace}::activate();\n}\n\nfunction deactivate_${slug}() {\n    ${namespace}::deactivate();\n}\n\nregister_activation_hook( __FILE__, 'activate_${slug}' );\nregister_deactivation_hook( __FILE__, 'deactivate_${slug}' );\n\nfunction run_${slug}() {\n    $plugin = new ${namespace}();\n    $plugin->run();\n}\n\nrun_${slug}();\n`;
-  return header + '\n' + updateCode + '\n' + body;
-}
-
-function generateActivationClass(activatorClass) {
-  return `<?php\n/**\n * Fired during plugin activation.\n *\n * @since    1.0.0\n */\nclass ${activatorClass} {\n    public static function activate() {\n        // Activation logic here (create options, database tables, etc.)\n    }\n}\n`;
-}
-
-function generateDeactivationClass(deactivatorClass) {
-  return `<?php\n/**\n * Fired during plugin deactivation.\n *\n * @since    1.0.0\n */\nclass ${deactivatorClass} {\n    public static function deactivate() {\n        // Cleanup logic here (delete options, cron jobs, etc.)\n    }\n}\n`;
-}
-
-function generateLoaderClass(loaderClass) {
-  return `<?php\n/**\n * Define the core functionality of the plugin.\n *\n * @since    1.0.0\n */\nclass ${loaderClass} {\n    protected $actions = array();\n    protected $filters = array();\n    public function add_action( $hook, $component, $callback, $priority = 10, $accepted_args = 1 ) {\n        $this->actions[] = array( $hook, $component, $callback, $priority, $accepted_args );\n    }\n    public function add_filter( $hook, $component, $callback, $priority = 10, $accepted_args = 1 ) {\n        $this->filters[] = array( $hook, $component, $callback, $priority, $accepted_args );\n    }\n    public function run() {\n        foreach ( $this->filters as $hook ) {\n            add_filter( $hook[0], array( $hook[1], $hook[2] ), $hook[3], $hook[4] );\n        }\n        foreach ( $this->actions as $hook ) {\n            add_action( $hook[0], array( $hook[1], $hook[2] ), $hook[3], $hook[4] );\n        }\n    }\n}\n`;
-}
+});
 
-function generateCoreClass(pluginClass, loaderClass, adminClass, publicClass, namespace, slug, opts) {
-  // Build require_once lines for optional libraries and snippets
-  let extraRequires = '';
-  if (Array.isArray(opts.libraries)) {
-    for (const lib of opts.libraries) {
-      extraRequires += `        require_once plugin_dir_path( __FILE__ ) . 'class-${slug}-${lib}.php';\n`;
-    }
-  }
-  if (Array.isArray(opts.snippets)) {
-    for (const snip of opts.snippets) {
-      extraRequires += `        require_once plugin_dir_path( __FILE__ ) . 'class-${slug}-${snip}.php';\n`;
+/**
+ * IPC handler: install a library definition folder chosen by the user
+ * into the userData libraries directory and return the updated list.
+ */
+ipcMain.handle('install-library', async () => {
+  try {
+    const result = await dialog.showOpenDialog({ properties: ['openDirectory'] });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { ok: false, canceled: true };
     }
+    const installed = await installLibraryDefinition(result.filePaths[0], librariesDir());
+    const invalid = [];
+    const libraries = describeLibraries(await loadLibraryRegistry([librariesDir()], invalid));
+    return { ok: true, installed: installed.id, libraries, invalid, librariesDir: librariesDir() };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
   }
-  return `<?php\n/**\n * The core class that defines internationalization, admin and public hooks.\n *\n * @since      1.0.0\n * @author     ${opts.author}\n */\nclass ${pluginClass} {\n    protected $plugin_name = '${slug}';\n    protected $version = '${opts.version}';\n    protected $loader;\n    public function __construct() {\n        $this->load_dependencies();\n        $this->set_locale();\n        $this->define_admin_hooks();\n        $this->define_public_hooks();\n    }\n    private function load_dependencies() {\n        require_once plugin_dir_path( __FILE__ ) . 'class-${slug}-loader.php';\n        require_once plugin_dir_path( __FILE__ ) . 'class-${slug}-activator.php';\n        require_once plugin_dir_path( __FILE__ ) . 'class-${slug}-deactivator.php';\n        require_once plugin_dir_path( __DIR__ ) . 'admin/class-${slug}-admin.php';\n        require_once plugin_dir_path( __DIR__ ) . 'public/class-${slug}-public.php';\n${extraRequires}        $this->loader = new ${loaderClass}();\n    }\n    private function set_locale() {\n        load_plugin_textdomain( '${slug}', false, dirname( plugin_basename( __FILE__ ) ) . '/languages/' );\n    }\n    private function define_admin_hooks() {\n        $plugin_admin = new ${adminClass}( $this->plugin_name, $this->version );\n        $this->loader->add_action( 'admin_enqueue_scripts', $plugin_admin, 'enqueue_styles' );\n        $this->loader->add_action( 'admin_enqueue_scripts', $plugin_admin, 'enqueue_scripts' );\n    }\n    private function define_public_hooks() {\n        $plugin_public = new ${publicClass}( $this->plugin_name, $this->version );\n        $this->loader->add_action( 'wp_enqueue_scripts', $plugin_public, 'enqueue_styles' );\n        $this->loader->add_action( 'wp_enqueue_scripts', $plugin_public, 'enqueue_scripts' );\n    }\n    public function run() {\n        $this->loader->run();\n    }\n}\n`;
-}
-
-function generateAdminClass(adminClass, slug) {
-  return `<?php\n/**\n * Define the admin area functionality of the plugin.\n *\n * @since      1.0.0\n */\nclass ${adminClass} {\n    protected $plugin_name;\n    protected $version;\n    public function __construct( $plugin_name, $version ) {\n        $this->plugin_name = $plugin_name;\n        $this->version     = $version;\n    }\n    public function enqueue_styles() {\n        wp_enqueue_style( $this->plugin_name, plugin_dir_url( __FILE__ ) . 'css/${slug}-admin.css', array(), $this->version, 'all' );\n    }\n    public function enqueue_scripts() {\n        wp_enqueue_script( $this->plugin_name, plugin_dir_url( __FILE__ ) . 'js/${slug}-admin.js', array( 'jquery' ), $this->version, false );\n    }\n}\n`;
-}
+});
 
-function generatePublicClass(publicClass, slug) {
-  return `<?php\n/**\n * Define the public-facing functionality of the plugin.\n *\n * @since      1.0.0\n */\nclass ${publicClass} {\n    protected $plugin_name;\n    protected $version;\n    public function __construct( $plugin_name, $version ) {\n        $this->plugin_name = $plugin_name;\n        $this->version     = $version;\n    }\n    public function enqueue_styles() {\n        wp_enqueue_style( $this->plugin_name, plugin_dir_url( __FILE__ ) . 'css/${slug}-public.css', array(), $this->version, 'all' );\n    }\n    public function enqueue_scripts() {\n        wp_enqueue_script( $this->plugin_name, plugin_dir_url( __FILE__ ) . 'js/${slug}-public.js', array( 'jquery' ), $this->version, false );\n    }\n}\n`;
-}
+/**
+ * IPC handler: read an existing plugin directory for the "Open existing
+ * plugin" mode: its slug, structure and installed components.
+ */
+ipcMain.handle('inspect-plugin', async (event, pluginDir) => {
+  try {
+    return { ok: true, ...(await inspectPlugin(pluginDir, { libraryDirs: [librariesDir()] })) };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
+  }
+});
 
-function generateReadme(opts, slug) {
-  // The readme follows WordPress.org readme.txt guidelines and includes
-  // minimal fields needed by the plugin update checker to extract
-  // changelog and version info【123553315052989†L446-L499】.
-  return `=== ${opts.name} ===\n\nContributors: orionaselite\nTags: custom\nRequires at least: ${opts.requiresAtLeast}\nTested up to: ${opts.testedUpTo}\nRequires PHP: ${opts.requiresPhp}\nStable tag: ${opts.version}\nLicense: GPLv2 or later\nLicense URI: https://www.gnu.org/licenses/gpl-2.0.html\nUpdate URI: ${opts.repo || opts.pluginUri || ''}\n\n${opts.description}\n\n== Changelog ==\n\n= ${opts.version} =\n* Initial release.\n`;
-}
+// The last plan from 'plan-plugin-changes', which 'apply-plugin-changes'
+// writes.
+let plannedChanges = null;
 
-function generateComposerJson(opts, slug, namespace) {
-  // Build the "require" section lines. Include the update checker when a repo is set
-  // and any selected libraries.
-  const requireEntries = [];
-  if (opts.repo) {
-    requireEntries.push(`\"yahnis-elsts/plugin-update-checker\": \"^5.6\"`);
+/**
+ * IPC handler: work out the new files and edits that add libraries and
+ * snippets to an existing plugin.  Nothing is written; the renderer shows
+ * the diffs and sends the approved files back to 'apply-plugin-changes'.
+ */
+ipcMain.handle('plan-plugin-changes', async (event, { pluginDir, ...request }) => {
+  try {
+    const plan = await planComponentChanges(pluginDir, { ...request, libraryDirs: [librariesDir()] });
+    plannedChanges = plan;
+    return { ok: true, ...plan };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
   }
-  if (Array.isArray(opts.libraries)) {
-    for (const lib of opts.libraries) {
-      const info = AVAILABLE_LIBRARIES[lib];
-      if (info && info.composer) {
-        requireEntries.push(info.composer);
-      }
+});
+
+/**
+ * IPC handler: write approved changes from 'plan-plugin-changes'.  Only
+ * files of the last plan are written, with the contents it planned;
+ * the renderer just names which of them were approved.
+ */
+ipcMain.handle('apply-plugin-changes', async (event, { pluginDir, files }) => {
+  try {
+    if (!plannedChanges || plannedChanges.pluginDir !== pluginDir) {
+      throw new Error('These changes were not planned for this plugin; review them again.');
     }
+    const planned = new Map(plannedChanges.files.map((file) => [file.path, file]));
+    const approved = (files || []).map((file) => {
+      if (!planned.has(file.path)) {
+        throw new Error(`${file.path} is not part of the planned changes.`);
+      }
+      return planned.get(file.path);
+    });
+    const written = await applyComponentChanges(pluginDir, approved);
+    plannedChanges = null;
+    return { ok: true, written };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
   }
-  // Compose the require lines separated by commas and newlines
-  let requireString = '';
-  if (requireEntries.length > 0) {
-    requireString = '\n        ' + requireEntries.join(',\n        ') + '\n    ';
-  }
-  return `{\n    \"name\": \"custom/${slug}\",\n    \"description\": \"${opts.description}\",\n    \"type\": \"wordpress-plugin\",\n    \"authors\": [\n        {\n            \"name\": \"${opts.author}\",\n            \"homepage\": \"${opts.authorUri}\"\n        }\n    ],\n    \"require\": {${requireString}},\n    \"autoload\": {\n        \"psr-4\": {\n            \"${namespace}\\\\\": \"includes/\"\n        }\n    }\n}\n`;
-}
+});
 
-// Export the generatePlugin function for testing from node scripts.  This
-// has no effect on the Electron runtime because Electron uses the
-// functions via IPC.  It simply makes it easier to require this
-// module in automated tests or Node CLI sessions.
+// Re-export the generatePlugin function for Node scripts.  The
+// generator itself lives in lib/generator.js so it can be used without
+// Electron (see cli.js); this keeps the historical entry point working.
 module.exports = {
   generatePlugin
 };
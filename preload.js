@@ -13,9 +13,158 @@ contextBridge.exposeInMainWorld('electronAPI', {
   selectDirectory: () => ipcRenderer.invoke('select-directory'),
   /**
    * Request plugin generation with the specified options.  Returns
-   * an object containing `{ ok: boolean, error?: string }`.
+   * an object containing `{ ok: boolean, error?: string }`.  Invalid
+   * options also return `fieldErrors`, a list of `{ field, message }`
+   * where `field` is the id of the form input.
    *
    * @param {object} opts Plugin generation options
    */
-  generatePlugin: (opts) => ipcRenderer.invoke('generate-plugin', opts)
+  generatePlugin: (opts) => ipcRenderer.invoke('generate-plugin', opts),
+  /**
+   * Cancel the running generation, which then rolls back and resolves
+   * with `{ ok: false, canceled: true, error, steps }`.
+   */
+  cancelGeneration: () => ipcRenderer.invoke('cancel-generation'),
+  /**
+   * Listen to the progress of generations.  The callback receives the
+   * job's steps, a list of `{ label, status, error?, rollback? }` where
+   * `status` is 'running', 'done', 'failed' or 'canceled'.  Returns a
+   * function that stops listening.
+   *
+   * @param {(steps: object[]) => void} callback
+   */
+  onGenerationProgress: (callback) => {
+    const listener = (event, steps) => callback(steps);
+    ipcRenderer.on('generation-progress', listener);
+    return () => ipcRenderer.removeListener('generation-progress', listener);
+  },
+  /**
+   * Build the plugin files in memory without writing them.  Returns
+   * `{ ok, slug, pluginPath, directories, files }` where `files` is a
+   * list of `{ path, contents }` relative to the plugin directory.
+   * Invalid options fail as in generatePlugin().
+   *
+   * @param {object} opts Plugin generation options
+   */
+  previewPlugin: (opts) => ipcRenderer.invoke('preview-plugin', opts),
+  /**
+   * Release an existing plugin: bump its version, add a changelog entry
+   * and build `{slug}-{version}.zip`.  Returns `{ ok, slug, version,
+   * previousVersion, changedFiles, zipPath, files }` or `{ ok, error }`.
+   *
+   * @param {{ pluginDir: string, bump?: string, changelog?: string, outDir?: string }} options
+   */
+  releasePlugin: (options) => ipcRenderer.invoke('release-plugin', options),
+  /**
+   * Check a plugin folder: the header and readme.txt against the
+   * WordPress.org rules, composer.json, and PHP syntax when php is
+   * installed.  Returns `{ ok, issues, errors, warnings, php }`, where
+   * each issue is `{ severity, file, message }` and `php` is `{ version,
+   * checked }`, or `{ ok, error }`.  Generation returns the same report
+   * as `lint`.
+   *
+   * @param {string} pluginDir Plugin directory
+   */
+  lintPlugin: (pluginDir) => ipcRenderer.invoke('lint-plugin', pluginDir),
+  /**
+   * Read an existing generated plugin.  Returns `{ ok, slug, modern,
+   * options, libraries, snippets }` or `{ ok, error }`.
+   *
+   * @param {string} pluginDir Plugin directory
+   */
+  inspectPlugin: (pluginDir) => ipcRenderer.invoke('inspect-plugin', pluginDir),
+  /**
+   * Work out the changes that add libraries and snippets to an existing
+   * plugin without writing them.  Returns `{ ok, added, files }` where
+   * each file has `path`, `before` (null when new), `after` and `diff`.
+   *
+   * @param {{ pluginDir: string, libraries: string[], snippets: string[], settingsConfig?: object, restConfig?: object, templateDir?: string }} request
+   */
+  planPluginChanges: (request) => ipcRenderer.invoke('plan-plugin-changes', request),
+  /**
+   * Write the approved files returned by the last planPluginChanges();
+   * other paths are refused.  Returns `{ ok, written }` or `{ ok, error }`.
+   *
+   * @param {{ pluginDir: string, files: object[] }} changes
+   */
+  applyPluginChanges: (changes) => ipcRenderer.invoke('apply-plugin-changes', changes),
+  /**
+   * List the built-in and installed libraries.  Returns `{ ok,
+   * libraries, invalid, librariesDir }`; each library has `id`, `label`,
+   * `description`, `packages`, `fields` (its config form), `builtIn` and
+   * `dir`.  `invalid` lists the installed folders that were skipped, each
+   * `{ dir, message }`.
+   */
+  listLibraries: () => ipcRenderer.invoke('list-libraries'),
+  /**
+   * Install a library definition folder chosen by the user.  Returns the
+   * updated list with the `installed` id, or `{ ok: false, canceled: true }`.
+   */
+  installLibrary: () => ipcRenderer.invoke('install-library'),
+  /**
+   * Read the saved preferences and profiles.  This and the other
+   * preference calls return `{ ok, preferences, profiles }`, where
+   * `profiles` maps names to form values, or `{ ok, error }`.
+   */
+  loadPreferences: () => ipcRenderer.invoke('load-preferences'),
+  /**
+   * Save the preference fields of the given form values.
+   *
+   * @param {object} values Form values
+   */
+  savePreferences: (values) => ipcRenderer.invoke('save-preferences', values),
+  /**
+   * Save form values as a named profile, replacing one with that name.
+   *
+   * @param {string} name Profile name
+   * @param {object} values Form values
+   */
+  saveProfile: (name, values) => ipcRenderer.invoke('save-profile', name, values),
+  /**
+   * Delete a named profile.
+   *
+   * @param {string} name Profile name
+   */
+  deleteProfile: (name) => ipcRenderer.invoke('delete-profile', name),
+  /**
+   * Export a profile to a JSON file chosen by the user.  Returns
+   * `{ ok, filePath }`, `{ ok: false, canceled: true }` or `{ ok, error }`.
+   *
+   * @param {string} name Profile name
+   */
+  exportProfile: (name) => ipcRenderer.invoke('export-profile', name),
+  /**
+   * Import a profile from a JSON file chosen by the user.  Returns the
+   * store with the imported profile's `name`, or `{ ok: false, canceled: true }`.
+   */
+  importProfile: () => ipcRenderer.invoke('import-profile'),
+  /**
+   * List the saved host accounts.  This and the other account calls
+   * return `{ ok, accounts }`, where each account has `host`, `label`,
+   * `apiUrl`, `username`, `scopes` (null when the host does not report
+   * them) and `checkedAt`, but never its token; or `{ ok, error }`.
+   * Listing also returns `encryptionAvailable`.
+   */
+  listAccounts: () => ipcRenderer.invoke('list-accounts'),
+  /**
+   * Check an access token with the host and store it encrypted,
+   * replacing the account for the same host and API URL.
+   *
+   * @param {{ host: string, apiUrl?: string, token: string }} account
+   */
+  saveAccount: (account) => ipcRenderer.invoke('save-account', account),
+  /**
+   * Check a stored token again, updating its username and scopes.
+   *
+   * @param {string} host Host id
+   * @param {string} apiUrl API URL of the account
+   */
+  checkAccount: (host, apiUrl) => ipcRenderer.invoke('check-account', host, apiUrl),
+  /**
+   * Remove an account and its token.
+   *
+   * @param {string} host Host id
+   * @param {string} apiUrl API URL of the account
+   */
+  removeAccount: (host, apiUrl) => ipcRenderer.invoke('remove-account', host, apiUrl)
 });
\ No newline at end of file
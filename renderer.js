@@ -5,9 +5,17 @@ document.addEventListener('DOMContentLoaded', () => {
   const form = document.getElementById('pluginForm');
   const selectDirButton = document.getElementById('selectDirButton');
   const outputDirInput = document.getElementById('outputDir');
+  const templateDirInput = document.getElementById('templateDir');
   const statusArea = document.getElementById('statusArea');
+  const previewButton = document.getElementById('previewButton');
+  const previewPanel = document.getElementById('previewPanel');
+  const previewSummary = document.getElementById('previewSummary');
+  const previewTree = document.getElementById('previewTree');
+  const previewFileName = document.getElementById('previewFileName');
+  const previewCode = document.getElementById('previewCode');
   const snippetSettingsCheckbox = document.getElementById('snippet-settings');
   const settingsStatus = document.getElementById('settingsStatus');
+  const settingsOptionNameInput = document.getElementById('settingsOptionName');
   const settingsFields = {
     pageTitle: document.getElementById('settingsPageTitle'),
     menuSlug: document.getElementById('settingsMenuSlug'),
@@ -26,15 +34,19 @@ document.addEventListener('DOMContentLoaded', () => {
     statusArea.className = classes.join(' ');
   };
 
-  const setSettingsStatus = (message = '', variant = '') => {
-    if (!settingsStatus) return;
-    settingsStatus.textContent = message;
-    settingsStatus.hidden = !message;
+  const setInlineStatus = (element, message = '', variant = '') => {
+    if (!element) return;
+    element.textContent = message;
+    element.hidden = !message;
     const classes = ['status-message', 'status-inline'];
     if (message && variant) {
       classes.push(`status-${variant}`);
     }
-    settingsStatus.className = classes.join(' ');
+    element.className = classes.join(' ');
+  };
+
+  const setSettingsStatus = (message = '', variant = '') => {
+    setInlineStatus(settingsStatus, message, variant);
   };
 
   const getSettingsValues = () => ({
@@ -45,6 +57,85 @@ document.addEventListener('DOMContentLoaded', () => {
     format: settingsFields.format.value.trim()
   });
 
+  // Sanitization rules per field type; the first is the default.
+  // Mirrors SANITIZE_RULES in lib/settings.js.
+  const SETTINGS_SANITIZE_RULES = {
+    text: ['text', 'email', 'key', 'html'],
+    textarea: ['textarea', 'html'],
+    number: ['int', 'float'],
+    select: ['choice'],
+    checkbox: ['bool'],
+    color: ['color'],
+    url: ['url']
+  };
+
+  // Mirrors the field checks of validateSettingsConfig() in lib/settings.js.
+  const validateSettingsFields = (optionName, sections) => {
+    const idPattern = /^[a-z][a-z0-9_]*$/;
+    const idRule = 'must start with a letter and use only lowercase letters, numbers and underscores.';
+    const errors = [];
+    if (optionName && !idPattern.test(optionName)) {
+      errors.push(`Option name '${optionName}' ${idRule}`);
+    }
+    const sectionIds = new Set();
+    const fieldIds = new Set();
+    sections.forEach((section, index) => {
+      const label = `Settings section ${index + 1}`;
+      if (!section.id) {
+        errors.push(`${label} needs an id.`);
+      } else if (!idPattern.test(section.id)) {
+        errors.push(`${label}: '${section.id}' ${idRule}`);
+      } else if (sectionIds.has(section.id)) {
+        errors.push(`${label}: '${section.id}' is defined more than once.`);
+      }
+      sectionIds.add(section.id);
+      if (!section.title) {
+        errors.push(`${label} needs a title.`);
+      }
+      section.fields.forEach((field, fieldIndex) => {
+        const fieldLabel = `${label}, field ${fieldIndex + 1}`;
+        if (!field.id) {
+          errors.push(`${fieldLabel} needs an id.`);
+        } else if (!idPattern.test(field.id)) {
+          errors.push(`${fieldLabel}: '${field.id}' ${idRule}`);
+        } else if (fieldIds.has(field.id)) {
+          errors.push(`${fieldLabel}: '${field.id}' is already used by another field.`);
+        }
+        fieldIds.add(field.id);
+        if (!field.label) {
+          errors.push(`${fieldLabel} needs a label.`);
+        }
+        const rules = SETTINGS_SANITIZE_RULES[field.type];
+        const rule = field.sanitize || rules[0];
+        if (!rules.includes(rule)) {
+          errors.push(`${fieldLabel}: sanitization '${rule}' does not apply to ${field.type} fields (use ${rules.join(', ')}).`);
+        }
+        const optionValues = field.options.map((option) => option.split(':')[0].trim()).filter(Boolean);
+        if (field.type === 'select' && optionValues.length === 0) {
+          errors.push(`${fieldLabel}: select fields need at least one option.`);
+        }
+        const value = field.default;
+        let defaultError = '';
+        if (value && field.type === 'number') {
+          const number = Number(value);
+          if (!Number.isFinite(number) || (rule === 'int' && !Number.isSafeInteger(number))) {
+            defaultError = rule === 'int' ? 'must be a whole number' : 'must be a number';
+          }
+        } else if (value && field.type === 'checkbox' && !['1', '0', 'true', 'false', 'yes', 'no', 'on', 'off'].includes(value.toLowerCase())) {
+          defaultError = 'must be true or false';
+        } else if (value && field.type === 'color' && !/^#[0-9a-fA-F]{6}$/.test(value)) {
+          defaultError = 'must be a hex colour such as #336699';
+        } else if (value && field.type === 'select' && !optionValues.includes(value)) {
+          defaultError = 'must be one of the options';
+        }
+        if (defaultError) {
+          errors.push(`${fieldLabel}: default ${defaultError}.`);
+        }
+      });
+    });
+    return errors;
+  };
+
   const validateSettingsSection = ({ showSuccess = false } = {}) => {
     if (!snippetSettingsCheckbox.checked) {
       setSettingsStatus();
@@ -64,12 +155,23 @@ document.addEventListener('DOMContentLoaded', () => {
       setSettingsStatus(`Please provide ${readable.join(', ')} for the settings snippet.`, 'error');
       return { valid: false, config: null };
     }
+    const optionName = settingsOptionNameInput.value.trim();
+    const sections = settingsSectionsRepeater.getValue();
+    const fieldErrors = validateSettingsFields(optionName, sections);
+    if (fieldErrors.length) {
+      setSettingsStatus(fieldErrors.join(' '), 'error');
+      return { valid: false, config: null };
+    }
     const config = {};
     Object.entries(rawValues).forEach(([key, value]) => {
       if (value) {
         config[key] = value;
       }
     });
+    if (optionName) {
+      config.optionName = optionName;
+    }
+    config.sections = sections;
     if (showSuccess) {
       setSettingsStatus('Settings snippet is configured with these values.', 'success');
     } else {
@@ -96,6 +198,851 @@ document.addEventListener('DOMContentLoaded', () => {
     const eventName = field.tagName === 'SELECT' ? 'change' : 'input';
     field.addEventListener(eventName, handleSettingsFieldChange);
   });
+  settingsOptionNameInput.addEventListener('input', handleSettingsFieldChange);
+
+  const settingsSectionsRepeater = window.createRepeater(document.getElementById('settingsSectionsRepeater'), {
+    itemLabel: 'Section',
+    onChange: handleSettingsFieldChange,
+    fields: [
+      { key: 'id', label: 'Id*', type: 'text', placeholder: 'general' },
+      { key: 'title', label: 'Title*', type: 'text', placeholder: 'General' },
+      { key: 'description', label: 'Description', type: 'text', wide: true },
+      {
+        key: 'fields',
+        label: 'Fields',
+        type: 'repeater',
+        repeater: {
+          itemLabel: 'Field',
+          fields: [
+            { key: 'id', label: 'Id*', type: 'text', placeholder: 'api_key' },
+            { key: 'label', label: 'Label*', type: 'text', placeholder: 'API key' },
+            {
+              key: 'type',
+              label: 'Type',
+              type: 'select',
+              options: [['text', 'Text'], ['textarea', 'Textarea'], ['number', 'Number'], ['select', 'Select'], ['checkbox', 'Checkbox'], ['color', 'Color'], ['url', 'URL']]
+            },
+            {
+              key: 'sanitize',
+              label: 'Sanitization',
+              type: 'select',
+              options: [
+                ['', 'Default for the type'],
+                ['text', 'Text (sanitize_text_field)'],
+                ['email', 'Email (sanitize_email)'],
+                ['key', 'Key (sanitize_key)'],
+                ['html', 'HTML (wp_kses_post)'],
+                ['textarea', 'Textarea (sanitize_textarea_field)'],
+                ['int', 'Integer'],
+                ['float', 'Decimal number']
+              ]
+            },
+            { key: 'default', label: 'Default', type: 'text' },
+            { key: 'options', label: 'Options', type: 'list', placeholder: 'light:Light, dark:Dark', help: 'Select fields only. Use value:Label for a different label.' },
+            { key: 'description', label: 'Description', type: 'text', wide: true }
+          ]
+        }
+      }
+    ]
+  });
+
+  // Post types and taxonomies builder.
+  const contentTypesStatus = document.getElementById('contentTypesStatus');
+  const POST_TYPE_SUPPORTS = [
+    ['title', 'Title'],
+    ['editor', 'Editor'],
+    ['author', 'Author'],
+    ['thumbnail', 'Featured image'],
+    ['excerpt', 'Excerpt'],
+    ['comments', 'Comments'],
+    ['revisions', 'Revisions'],
+    ['custom-fields', 'Custom fields'],
+    ['page-attributes', 'Page attributes']
+  ];
+  const handleContentTypesChange = () => {
+    if (!contentTypesStatus.hidden) {
+      validateContentTypes();
+    }
+  };
+  const postTypesRepeater = window.createRepeater(document.getElementById('postTypesRepeater'), {
+    itemLabel: 'Post type',
+    onChange: handleContentTypesChange,
+    fields: [
+      { key: 'slug', label: 'Slug*', type: 'text', placeholder: 'book' },
+      { key: 'singular', label: 'Singular label', type: 'text', placeholder: 'Book' },
+      { key: 'plural', label: 'Plural label', type: 'text', placeholder: 'Books' },
+      { key: 'rewriteSlug', label: 'Rewrite slug', type: 'text', placeholder: 'Defaults to the slug' },
+      { key: 'menuIcon', label: 'Menu icon', type: 'text', placeholder: 'dashicons-admin-post' },
+      { key: 'supports', label: 'Supports', type: 'multi', options: POST_TYPE_SUPPORTS, default: ['title', 'editor', 'thumbnail'], wide: true },
+      { key: 'public', label: 'Public', type: 'checkbox', default: true },
+      { key: 'hasArchive', label: 'Has archive', type: 'checkbox', default: true },
+      { key: 'hierarchical', label: 'Hierarchical', type: 'checkbox' },
+      { key: 'showInRest', label: 'Show in REST (block editor)', type: 'checkbox', default: true },
+      { key: 'rewrite', label: 'Pretty permalinks (rewrite)', type: 'checkbox', default: true }
+    ]
+  });
+  const taxonomiesRepeater = window.createRepeater(document.getElementById('taxonomiesRepeater'), {
+    itemLabel: 'Taxonomy',
+    onChange: handleContentTypesChange,
+    fields: [
+      { key: 'slug', label: 'Slug*', type: 'text', placeholder: 'genre' },
+      { key: 'singular', label: 'Singular label', type: 'text', placeholder: 'Genre' },
+      { key: 'plural', label: 'Plural label', type: 'text', placeholder: 'Genres' },
+      { key: 'postTypes', label: 'Attach to post types*', type: 'list', placeholder: 'book, post', help: 'Comma-separated post type slugs.' },
+      { key: 'rewriteSlug', label: 'Rewrite slug', type: 'text', placeholder: 'Defaults to the slug' },
+      { key: 'hierarchical', label: 'Hierarchical (like categories)', type: 'checkbox' },
+      { key: 'showInRest', label: 'Show in REST (block editor)', type: 'checkbox', default: true },
+      { key: 'rewrite', label: 'Pretty permalinks (rewrite)', type: 'checkbox', default: true }
+    ]
+  });
+
+  // Mirrors validateContentTypes() in lib/content-types.js.
+  const validateContentTypes = () => {
+    const postTypes = postTypesRepeater.getValue();
+    const taxonomies = taxonomiesRepeater.getValue();
+    const errors = [];
+    const seen = new Set();
+    const checkSlug = (slug, label, max) => {
+      if (!slug) {
+        errors.push(`${label} needs a slug.`);
+      } else if (!/^[a-z0-9_-]+$/.test(slug) || slug.length > max) {
+        errors.push(`${label}: '${slug}' must be at most ${max} lowercase letters, numbers, dashes or underscores.`);
+      } else if (seen.has(slug)) {
+        errors.push(`${label}: '${slug}' is used more than once.`);
+      }
+      seen.add(slug);
+    };
+    postTypes.forEach((postType, index) => checkSlug(postType.slug, `Post type ${index + 1}`, 20));
+    taxonomies.forEach((taxonomy, index) => {
+      checkSlug(taxonomy.slug, `Taxonomy ${index + 1}`, 32);
+      if (taxonomy.postTypes.length === 0) {
+        errors.push(`Taxonomy ${index + 1}: choose at least one post type to attach it to.`);
+      }
+    });
+    setInlineStatus(contentTypesStatus, errors.join(' '), errors.length ? 'error' : '');
+    return { valid: errors.length === 0, postTypes, taxonomies };
+  };
+
+  // REST API routes builder.
+  const snippetRestCheckbox = document.getElementById('snippet-rest');
+  const restStatus = document.getElementById('restStatus');
+  const restNamespaceInput = document.getElementById('restNamespace');
+  const restVersionInput = document.getElementById('restVersion');
+  const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+  const REST_ARG_TYPES = ['string', 'integer', 'number', 'boolean', 'array', 'object'];
+  const handleRestChange = () => {
+    if (!restStatus.hidden) {
+      validateRestSection();
+    }
+  };
+  const restRoutesRepeater = window.createRepeater(document.getElementById('restRoutesRepeater'), {
+    itemLabel: 'Route',
+    onChange: handleRestChange,
+    fields: [
+      { key: 'path', label: 'Path*', type: 'text', placeholder: 'items/{id}' },
+      { key: 'capability', label: 'Capability', type: 'text', placeholder: 'Public when empty', help: 'Checked with current_user_can() in the permission callback.' },
+      { key: 'methods', label: 'HTTP methods*', type: 'multi', options: HTTP_METHODS.map((method) => [method, method]), default: ['GET'], wide: true },
+      {
+        key: 'params',
+        label: 'Path parameters',
+        type: 'repeater',
+        repeater: {
+          itemLabel: 'Parameter',
+          fields: [
+            { key: 'name', label: 'Name*', type: 'text', placeholder: 'id' },
+            { key: 'type', label: 'Type', type: 'select', options: [['integer', 'integer'], ['string', 'string'], ['number', 'number']] }
+          ]
+        }
+      },
+      {
+        key: 'args',
+        label: 'Arguments',
+        type: 'repeater',
+        repeater: {
+          itemLabel: 'Argument',
+          fields: [
+            { key: 'name', label: 'Name*', type: 'text', placeholder: 'per_page' },
+            { key: 'type', label: 'Type', type: 'select', options: REST_ARG_TYPES.map((type) => [type, type]) },
+            { key: 'description', label: 'Description', type: 'text' },
+            { key: 'required', label: 'Required', type: 'checkbox' }
+          ]
+        }
+      }
+    ]
+  });
+  [restNamespaceInput, restVersionInput].forEach((input) => input.addEventListener('input', handleRestChange));
+  snippetRestCheckbox.addEventListener('change', () => {
+    if (!snippetRestCheckbox.checked) {
+      setInlineStatus(restStatus);
+    }
+  });
+
+  // Mirrors validateRestConfig() in lib/rest.js.
+  const validateRestSection = () => {
+    if (!snippetRestCheckbox.checked) {
+      setInlineStatus(restStatus);
+      return { valid: true, config: null };
+    }
+    const config = {
+      namespace: restNamespaceInput.value.trim(),
+      version: restVersionInput.value.trim(),
+      routes: restRoutesRepeater.getValue()
+    };
+    const errors = [];
+    if (config.namespace && !/^[a-z0-9-]+$/.test(config.namespace)) {
+      errors.push(`REST namespace '${config.namespace}' may only contain lowercase letters, numbers and dashes.`);
+    }
+    if (config.version && !/^[a-z0-9.-]+$/.test(config.version)) {
+      errors.push(`REST version '${config.version}' may only contain lowercase letters, numbers, dots and dashes.`);
+    }
+    if (config.routes.length === 0) {
+      errors.push('Please add at least one route for the REST API snippet.');
+    }
+    const bases = new Map();
+    config.routes.forEach((route, index) => {
+      const label = `Route ${index + 1}`;
+      const segments = route.path.split('/').filter(Boolean);
+      if (segments.length === 0) {
+        errors.push(`${label} needs a path.`);
+        return;
+      }
+      const badSegment = segments.find((segment) => !/^(?:[a-z0-9_-]+|\{[A-Za-z_][A-Za-z0-9_]*\})$/.test(segment));
+      if (badSegment) {
+        errors.push(`${label}: path segment '${badSegment}' must be lowercase letters, numbers, dashes and underscores, or a {parameter}.`);
+        return;
+      }
+      const base = segments.map((segment) => segment.replace(/[{}]/g, '').replace(/-/g, '_')).join('_').toLowerCase();
+      if (bases.has(base)) {
+        errors.push(`${label}: '${route.path}' clashes with route ${bases.get(base) + 1}.`);
+      } else {
+        bases.set(base, index);
+      }
+      if (route.methods.length === 0) {
+        errors.push(`${label}: choose at least one HTTP method.`);
+      }
+      const placeholders = segments.filter((segment) => segment.startsWith('{')).map((segment) => segment.slice(1, -1));
+      const typed = new Set();
+      route.params.forEach((param, paramIndex) => {
+        if (!placeholders.includes(param.name)) {
+          errors.push(`${label}: path parameter ${paramIndex + 1} ('${param.name}') does not appear in the path.`);
+        }
+        typed.add(param.name);
+      });
+      placeholders.filter((name) => !typed.has(name)).forEach((name) => {
+        errors.push(`${label}: add a type for the path parameter '{${name}}'.`);
+      });
+      const names = new Set(placeholders);
+      route.args.forEach((arg, argIndex) => {
+        const argLabel = `${label}, argument ${argIndex + 1}`;
+        if (!arg.name) {
+          errors.push(`${argLabel} needs a name.`);
+        } else if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(arg.name)) {
+          errors.push(`${argLabel}: '${arg.name}' must be letters, numbers and underscores.`);
+        } else if (names.has(arg.name)) {
+          errors.push(`${argLabel}: '${arg.name}' is defined more than once.`);
+        }
+        names.add(arg.name);
+      });
+    });
+    setInlineStatus(restStatus, errors.join(' '), errors.length ? 'error' : '');
+    return { valid: errors.length === 0, config };
+  };
+
+  // Blocks builder.
+  const blocksStatus = document.getElementById('blocksStatus');
+  const BLOCK_CATEGORIES = [
+    ['widgets', 'Widgets'],
+    ['text', 'Text'],
+    ['media', 'Media'],
+    ['design', 'Design'],
+    ['theme', 'Theme'],
+    ['embed', 'Embed']
+  ];
+  const ATTRIBUTE_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+  const blocksRepeater = window.createRepeater(document.getElementById('blocksRepeater'), {
+    itemLabel: 'Block',
+    onChange: () => {
+      if (!blocksStatus.hidden) {
+        validateBlocks();
+      }
+    },
+    fields: [
+      { key: 'name', label: 'Name*', type: 'text', placeholder: 'notice', help: 'Registered as plugin-slug/name.' },
+      { key: 'title', label: 'Title*', type: 'text', placeholder: 'Notice' },
+      { key: 'category', label: 'Category', type: 'select', options: BLOCK_CATEGORIES },
+      { key: 'icon', label: 'Icon', type: 'text', placeholder: 'smiley', help: 'A Dashicon name without the dashicons- prefix.' },
+      { key: 'description', label: 'Description', type: 'text', wide: true },
+      { key: 'dynamic', label: 'Dynamic (rendered in PHP by render.php)', type: 'checkbox' },
+      {
+        key: 'attributes',
+        label: 'Attributes',
+        type: 'repeater',
+        repeater: {
+          itemLabel: 'Attribute',
+          fields: [
+            { key: 'name', label: 'Name*', type: 'text', placeholder: 'message' },
+            { key: 'type', label: 'Type', type: 'select', options: ATTRIBUTE_TYPES.map((type) => [type, type]) },
+            { key: 'default', label: 'Default', type: 'text', help: 'JSON for arrays and objects.' }
+          ]
+        }
+      }
+    ]
+  });
+
+  // Mirrors validateBlocks() in lib/blocks.js.
+  const validateBlocks = () => {
+    const blocks = blocksRepeater.getValue();
+    const errors = [];
+    const seen = new Set();
+    const checkDefault = (type, value) => {
+      if (!value) return '';
+      if (type === 'number' || type === 'integer') {
+        const number = Number(value);
+        if (!Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+          return `must be ${type === 'integer' ? 'an integer' : 'a number'}`;
+        }
+      } else if (type === 'boolean' && value !== 'true' && value !== 'false') {
+        return "must be 'true' or 'false'";
+      } else if (type === 'array' || type === 'object') {
+        let parsed;
+        try {
+          parsed = JSON.parse(value);
+        } catch (err) {
+          return `must be a JSON ${type}`;
+        }
+        const matches = type === 'array'
+          ? Array.isArray(parsed)
+          : parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+        if (!matches) return `must be a JSON ${type}`;
+      }
+      return '';
+    };
+    blocks.forEach((block, index) => {
+      const label = `Block ${index + 1}`;
+      if (!block.name) {
+        errors.push(`${label} needs a name.`);
+      } else if (!/^[a-z][a-z0-9-]*$/.test(block.name)) {
+        errors.push(`${label}: '${block.name}' must start with a letter and use only lowercase letters, numbers and dashes.`);
+      } else if (seen.has(block.name)) {
+        errors.push(`${label}: '${block.name}' is defined more than once.`);
+      }
+      seen.add(block.name);
+      if (!block.title) {
+        errors.push(`${label} needs a title.`);
+      }
+      if (block.icon && !/^[a-z0-9-]+$/.test(block.icon)) {
+        errors.push(`${label}: icon must be a Dashicon name such as 'smiley'.`);
+      }
+      const attributeNames = new Set();
+      block.attributes.forEach((attribute, attrIndex) => {
+        const attrLabel = `${label}, attribute ${attrIndex + 1}`;
+        if (!attribute.name) {
+          errors.push(`${attrLabel} needs a name.`);
+        } else if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(attribute.name)) {
+          errors.push(`${attrLabel}: '${attribute.name}' must be a valid JavaScript identifier.`);
+        } else if (attributeNames.has(attribute.name)) {
+          errors.push(`${attrLabel}: '${attribute.name}' is defined more than once.`);
+        }
+        attributeNames.add(attribute.name);
+        const defaultError = checkDefault(attribute.type, attribute.default);
+        if (defaultError) {
+          errors.push(`${attrLabel}: default ${defaultError}.`);
+        }
+      });
+    });
+    setInlineStatus(blocksStatus, errors.join(' '), errors.length ? 'error' : '');
+    return { valid: errors.length === 0, blocks };
+  };
+
+  // Shortcode builder.
+  const shortcodesStatus = document.getElementById('shortcodesStatus');
+  const SHORTCODE_ATTRIBUTE_TYPES = ['string', 'integer', 'number', 'boolean', 'url'];
+  const shortcodesRepeater = window.createRepeater(document.getElementById('shortcodesRepeater'), {
+    itemLabel: 'Shortcode',
+    onChange: () => {
+      if (!shortcodesStatus.hidden) {
+        validateShortcodes();
+      }
+    },
+    fields: [
+      { key: 'tag', label: 'Tag*', type: 'text', placeholder: 'book_list', help: 'Used as [tag] in posts.' },
+      { key: 'title', label: 'Title', type: 'text', placeholder: 'Book list' },
+      { key: 'description', label: 'Description', type: 'text', wide: true },
+      { key: 'enclosing', label: 'Encloses content ([tag]…[/tag])', type: 'checkbox' },
+      { key: 'block', label: 'Add a block wrapping it (needs at least one block above)', type: 'checkbox' },
+      {
+        key: 'attributes',
+        label: 'Attributes',
+        type: 'repeater',
+        repeater: {
+          itemLabel: 'Attribute',
+          fields: [
+            { key: 'name', label: 'Name*', type: 'text', placeholder: 'count' },
+            { key: 'type', label: 'Type', type: 'select', options: SHORTCODE_ATTRIBUTE_TYPES.map((type) => [type, type]) },
+            { key: 'default', label: 'Default', type: 'text' }
+          ]
+        }
+      }
+    ]
+  });
+
+  // Mirrors validateShortcodes() in lib/shortcodes.js.
+  const validateShortcodes = () => {
+    const shortcodes = shortcodesRepeater.getValue();
+    const blockNames = new Set(blocksRepeater.getValue().map((block) => block.name).filter(Boolean));
+    const errors = [];
+    const seen = new Set();
+    const checkDefault = (type, value) => {
+      if (!value) return '';
+      if (type === 'number' || type === 'integer') {
+        const number = Number(value);
+        if (!Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+          return `must be ${type === 'integer' ? 'an integer' : 'a number'}`;
+        }
+      } else if (type === 'boolean' && value !== 'true' && value !== 'false') {
+        return "must be 'true' or 'false'";
+      } else if (type === 'url' && !/^https?:\/\/\S+$/.test(value)) {
+        return 'must be an http:// or https:// URL';
+      }
+      return '';
+    };
+    shortcodes.forEach((shortcode, index) => {
+      const label = `Shortcode ${index + 1}`;
+      const key = shortcode.tag.replace(/-/g, '_');
+      if (!shortcode.tag) {
+        errors.push(`${label} needs a tag.`);
+      } else if (!/^[a-z][a-z0-9_-]*$/.test(shortcode.tag)) {
+        errors.push(`${label}: '${shortcode.tag}' must start with a letter and use only lowercase letters, numbers, dashes and underscores.`);
+      } else if (seen.has(key)) {
+        errors.push(`${label}: '${shortcode.tag}' is defined more than once (dashes and underscores count as the same).`);
+      }
+      seen.add(key);
+      if (shortcode.block) {
+        const blockName = shortcode.tag.replace(/_/g, '-');
+        if (blockNames.size === 0) {
+          errors.push(`${label}: a block wrapper needs the plugin to have blocks; add one or turn the wrapper off.`);
+        } else if (shortcode.tag && blockNames.has(blockName)) {
+          errors.push(`${label}: the block wrapper would be named '${blockName}', like an existing block.`);
+        }
+      }
+      const attributeNames = new Set();
+      shortcode.attributes.forEach((attribute, attrIndex) => {
+        const attrLabel = `${label}, attribute ${attrIndex + 1}`;
+        if (!attribute.name) {
+          errors.push(`${attrLabel} needs a name.`);
+        } else if (!/^[a-z][a-z0-9_]*$/.test(attribute.name)) {
+          errors.push(`${attrLabel}: '${attribute.name}' must start with a letter and use only lowercase letters, numbers and underscores.`);
+        } else if (attributeNames.has(attribute.name)) {
+          errors.push(`${attrLabel}: '${attribute.name}' is defined more than once.`);
+        }
+        attributeNames.add(attribute.name);
+        const defaultError = checkDefault(attribute.type, attribute.default);
+        if (defaultError) {
+          errors.push(`${attrLabel}: default ${defaultError}.`);
+        }
+      });
+    });
+    setInlineStatus(shortcodesStatus, errors.join(' '), errors.length ? 'error' : '');
+    return { valid: errors.length === 0, shortcodes };
+  };
+
+  // WP-CLI command builder.
+  const cliEnabledCheckbox = document.getElementById('cliEnabled');
+  const cliStatus = document.getElementById('cliStatus');
+  const cliNameInput = document.getElementById('cliName');
+  const cliDescriptionInput = document.getElementById('cliDescription');
+  const handleCliChange = () => {
+    if (!cliStatus.hidden) {
+      validateCliSection();
+    }
+  };
+  const cliSubcommandsRepeater = window.createRepeater(document.getElementById('cliSubcommandsRepeater'), {
+    itemLabel: 'Subcommand',
+    onChange: handleCliChange,
+    fields: [
+      { key: 'name', label: 'Name*', type: 'text', placeholder: 'sync' },
+      { key: 'description', label: 'Description', type: 'text', placeholder: 'Sync items from the remote API.' },
+      {
+        key: 'args',
+        label: 'Arguments',
+        type: 'repeater',
+        repeater: {
+          itemLabel: 'Argument',
+          fields: [
+            { key: 'name', label: 'Name*', type: 'text', placeholder: 'format' },
+            {
+              key: 'kind',
+              label: 'Kind',
+              type: 'select',
+              options: [['positional', 'Positional <arg>'], ['assoc', 'Associative --arg=<value>'], ['flag', 'Flag --arg']]
+            },
+            { key: 'description', label: 'Description', type: 'text' },
+            { key: 'default', label: 'Default', type: 'text', help: 'Associative arguments only.' },
+            { key: 'optional', label: 'Optional', type: 'checkbox' }
+          ]
+        }
+      }
+    ]
+  });
+  [cliNameInput, cliDescriptionInput].forEach((input) => input.addEventListener('input', handleCliChange));
+  cliEnabledCheckbox.addEventListener('change', () => {
+    if (!cliEnabledCheckbox.checked) {
+      setInlineStatus(cliStatus);
+    }
+  });
+
+  // Mirrors validateCliCommand() in lib/cli-command.js.
+  const validateCliSection = () => {
+    if (!cliEnabledCheckbox.checked) {
+      setInlineStatus(cliStatus);
+      return { valid: true, command: null };
+    }
+    const command = {
+      name: cliNameInput.value.trim(),
+      description: cliDescriptionInput.value.trim(),
+      subcommands: cliSubcommandsRepeater.getValue()
+    };
+    const namePattern = /^[a-z][a-z0-9-]*$/;
+    const nameRule = 'must start with a letter and use only lowercase letters, numbers and dashes.';
+    const errors = [];
+    if (command.name && !namePattern.test(command.name)) {
+      errors.push(`WP-CLI command '${command.name}' ${nameRule}`);
+    }
+    if (command.subcommands.length === 0) {
+      errors.push('Please add at least one subcommand to the WP-CLI command.');
+    }
+    const seen = new Set();
+    command.subcommands.forEach((subcommand, index) => {
+      const label = `Subcommand ${index + 1}`;
+      if (!subcommand.name) {
+        errors.push(`${label} needs a name.`);
+      } else if (!namePattern.test(subcommand.name)) {
+        errors.push(`${label}: '${subcommand.name}' ${nameRule}`);
+      } else if (seen.has(subcommand.name.replace(/-/g, '_'))) {
+        errors.push(`${label}: '${subcommand.name}' is defined more than once.`);
+      }
+      seen.add(subcommand.name.replace(/-/g, '_'));
+      const variables = new Set(['args', 'assoc_args']);
+      let optionalPositional = false;
+      subcommand.args.forEach((arg, argIndex) => {
+        const argLabel = `${label}, argument ${argIndex + 1}`;
+        if (!arg.name) {
+          errors.push(`${argLabel} needs a name.`);
+        } else if (!namePattern.test(arg.name)) {
+          errors.push(`${argLabel}: '${arg.name}' ${nameRule}`);
+        } else if (variables.has(arg.name.replace(/-/g, '_'))) {
+          errors.push(`${argLabel}: '${arg.name}' is already used.`);
+        }
+        variables.add(arg.name.replace(/-/g, '_'));
+        if (arg.kind === 'positional') {
+          if (arg.optional) {
+            optionalPositional = true;
+          } else if (optionalPositional) {
+            errors.push(`${argLabel}: required positional arguments must come before optional ones.`);
+          }
+        }
+        if (arg.default && arg.kind !== 'assoc') {
+          errors.push(`${argLabel}: only assoc arguments can have a default.`);
+        }
+      });
+    });
+    setInlineStatus(cliStatus, errors.join(' '), errors.length ? 'error' : '');
+    return { valid: errors.length === 0, command };
+  };
+
+  // Database table designer.
+  const tablesStatus = document.getElementById('tablesStatus');
+  const schemaVersionInput = document.getElementById('schemaVersion');
+  const handleTablesChange = () => {
+    if (!tablesStatus.hidden) {
+      validateTables();
+    }
+  };
+  // Mirrors COLUMN_TYPES in lib/database.js.
+  const COLUMN_TYPES = {
+    bigint: { numeric: true, integer: true },
+    int: { numeric: true, integer: true },
+    smallint: { numeric: true, integer: true },
+    tinyint: { numeric: true, integer: true },
+    decimal: { numeric: true, length: 'optional', lengthPattern: /^\d+(,\d+)?$/ },
+    float: { numeric: true },
+    double: { numeric: true },
+    varchar: { length: 'optional', lengthPattern: /^\d+$/ },
+    char: { length: 'required', lengthPattern: /^\d+$/ },
+    text: { noDefault: true },
+    mediumtext: { noDefault: true },
+    longtext: { noDefault: true },
+    datetime: {},
+    date: {},
+    time: {},
+    timestamp: {}
+  };
+  const tablesRepeater = window.createRepeater(document.getElementById('tablesRepeater'), {
+    itemLabel: 'Table',
+    onChange: handleTablesChange,
+    fields: [
+      { key: 'name', label: 'Name*', type: 'text', placeholder: 'event_log', help: 'Created as {$wpdb->prefix}name.' },
+      { key: 'primaryKey', label: 'Primary key', type: 'list', placeholder: 'id', help: 'Defaults to the auto-increment column.' },
+      {
+        key: 'columns',
+        label: 'Columns',
+        type: 'repeater',
+        repeater: {
+          itemLabel: 'Column',
+          fields: [
+            { key: 'name', label: 'Name*', type: 'text', placeholder: 'id' },
+            { key: 'type', label: 'Type', type: 'select', options: Object.keys(COLUMN_TYPES).map((type) => [type, type]) },
+            { key: 'length', label: 'Length', type: 'text', placeholder: '255', help: 'varchar, char and decimal (e.g. 10,2).' },
+            { key: 'default', label: 'Default', type: 'text', help: 'CURRENT_TIMESTAMP works for datetime columns.' },
+            { key: 'unsigned', label: 'Unsigned', type: 'checkbox' },
+            { key: 'nullable', label: 'Nullable', type: 'checkbox' },
+            { key: 'autoIncrement', label: 'Auto-increment', type: 'checkbox' }
+          ]
+        }
+      },
+      {
+        key: 'indexes',
+        label: 'Indexes',
+        type: 'repeater',
+        repeater: {
+          itemLabel: 'Index',
+          fields: [
+            { key: 'name', label: 'Name*', type: 'text', placeholder: 'user_id' },
+            { key: 'columns', label: 'Columns*', type: 'list', placeholder: 'user_id, created_at' },
+            { key: 'unique', label: 'Unique', type: 'checkbox' }
+          ]
+        }
+      }
+    ]
+  });
+  schemaVersionInput.addEventListener('input', handleTablesChange);
+
+  // Mirrors validateTables() in lib/database.js.
+  const validateTables = () => {
+    const tables = tablesRepeater.getValue();
+    const schemaVersion = schemaVersionInput.value.trim();
+    const namePattern = /^[a-z][a-z0-9_]*$/;
+    const nameRule = 'must start with a letter and use only lowercase letters, numbers and underscores.';
+    const errors = [];
+    if (schemaVersion && !/^[0-9A-Za-z.-]+$/.test(schemaVersion)) {
+      errors.push(`Schema version '${schemaVersion}' may only contain letters, numbers, dots and dashes.`);
+    }
+    const seen = new Set();
+    tables.forEach((table, index) => {
+      const label = `Table ${index + 1}`;
+      if (!table.name) {
+        errors.push(`${label} needs a name.`);
+      } else if (!namePattern.test(table.name) || table.name.length > 48) {
+        errors.push(`${label}: '${table.name}' must start with a letter and use at most 48 lowercase letters, numbers and underscores.`);
+      } else if (seen.has(table.name)) {
+        errors.push(`${label}: '${table.name}' is defined more than once.`);
+      }
+      seen.add(table.name);
+      if (table.columns.length === 0) {
+        errors.push(`${label} needs at least one column.`);
+      }
+      const columnTypes = new Map();
+      let autoIncrementColumn = '';
+      table.columns.forEach((column, columnIndex) => {
+        const columnLabel = `${label}, column ${columnIndex + 1}`;
+        if (!column.name) {
+          errors.push(`${columnLabel} needs a name.`);
+        } else if (!namePattern.test(column.name)) {
+          errors.push(`${columnLabel}: '${column.name}' ${nameRule}`);
+        } else if (columnTypes.has(column.name)) {
+          errors.push(`${columnLabel}: '${column.name}' is defined more than once.`);
+        }
+        columnTypes.set(column.name, column.type);
+        const info = COLUMN_TYPES[column.type];
+        if (info.length === 'required' && !column.length) {
+          errors.push(`${columnLabel}: ${column.type} columns need a length.`);
+        } else if (column.length && !info.length) {
+          errors.push(`${columnLabel}: ${column.type} columns do not take a length.`);
+        } else if (column.length && !info.lengthPattern.test(column.length)) {
+          errors.push(`${columnLabel}: length '${column.length}' must be a number${column.type === 'decimal' ? ' or precision,scale such as 10,2' : ''}.`);
+        }
+        if (column.unsigned && !info.numeric) {
+          errors.push(`${columnLabel}: only numeric columns can be unsigned.`);
+        }
+        if (column.autoIncrement) {
+          if (!info.integer) {
+            errors.push(`${columnLabel}: only integer columns can auto-increment.`);
+          }
+          if (autoIncrementColumn) {
+            errors.push(`${columnLabel}: a table can only have one auto-increment column.`);
+          }
+          autoIncrementColumn = column.name;
+        }
+        if (column.default) {
+          if (info.noDefault) {
+            errors.push(`${columnLabel}: ${column.type} columns cannot have a default.`);
+          } else if (info.numeric && !Number.isFinite(Number(column.default))) {
+            errors.push(`${columnLabel}: default must be a number.`);
+          } else if (column.autoIncrement) {
+            errors.push(`${columnLabel}: auto-increment columns cannot have a default.`);
+          }
+        }
+      });
+      const primaryKey = table.primaryKey.length ? table.primaryKey : (autoIncrementColumn ? [autoIncrementColumn] : []);
+      if (table.columns.length && primaryKey.length === 0) {
+        errors.push(`${label} needs a primary key; dbDelta() relies on it to update the table.`);
+      }
+      primaryKey.filter((column) => !columnTypes.has(column)).forEach((column) => {
+        errors.push(`${label}: primary key column '${column}' is not defined.`);
+      });
+      if (autoIncrementColumn && !primaryKey.includes(autoIncrementColumn)) {
+        errors.push(`${label}: the auto-increment column '${autoIncrementColumn}' must be part of the primary key.`);
+      }
+      const indexNames = new Set();
+      table.indexes.forEach((tableIndex, indexIndex) => {
+        const indexLabel = `${label}, index ${indexIndex + 1}`;
+        if (!tableIndex.name) {
+          errors.push(`${indexLabel} needs a name.`);
+        } else if (!namePattern.test(tableIndex.name)) {
+          errors.push(`${indexLabel}: '${tableIndex.name}' ${nameRule}`);
+        } else if (indexNames.has(tableIndex.name)) {
+          errors.push(`${indexLabel}: '${tableIndex.name}' is defined more than once.`);
+        }
+        indexNames.add(tableIndex.name);
+        if (tableIndex.columns.length === 0) {
+          errors.push(`${indexLabel} needs at least one column.`);
+        }
+        tableIndex.columns.forEach((column) => {
+          if (!columnTypes.has(column)) {
+            errors.push(`${indexLabel}: column '${column}' is not defined.`);
+          } else if (COLUMN_TYPES[columnTypes.get(column)].noDefault) {
+            errors.push(`${indexLabel}: '${column}' is a ${columnTypes.get(column)} column; index a varchar column instead.`);
+          }
+        });
+      });
+    });
+    setInlineStatus(tablesStatus, errors.join(' '), errors.length ? 'error' : '');
+    return { valid: errors.length === 0, tables, schemaVersion };
+  };
+
+  // Admin screens: list tables, notices and request handlers.
+  const adminUiStatus = document.getElementById('adminUiStatus');
+  const adminNoticesCheckbox = document.getElementById('adminNotices');
+  const handleAdminUiChange = () => {
+    if (!adminUiStatus.hidden) {
+      validateAdminUi();
+    }
+  };
+  const listTablesRepeater = window.createRepeater(document.getElementById('listTablesRepeater'), {
+    itemLabel: 'List table',
+    onChange: handleAdminUiChange,
+    fields: [
+      { key: 'name', label: 'Name*', type: 'text', placeholder: 'orders', help: 'The page slug is plugin-slug-name.' },
+      { key: 'title', label: 'Title', type: 'text', placeholder: 'Orders' },
+      { key: 'parentMenu', label: 'Parent menu', type: 'text', placeholder: 'tools.php', help: 'Leave empty for a top-level menu.' },
+      { key: 'capability', label: 'Capability', type: 'text', placeholder: 'manage_options' },
+      { key: 'perPage', label: 'Items per page', type: 'number', placeholder: '20' },
+      {
+        key: 'columns',
+        label: 'Columns',
+        type: 'repeater',
+        repeater: {
+          itemLabel: 'Column',
+          fields: [
+            { key: 'name', label: 'Name*', type: 'text', placeholder: 'title' },
+            { key: 'label', label: 'Label', type: 'text', placeholder: 'Title' },
+            { key: 'sortable', label: 'Sortable', type: 'checkbox' }
+          ]
+        }
+      },
+      {
+        key: 'bulkActions',
+        label: 'Bulk actions',
+        type: 'repeater',
+        repeater: {
+          itemLabel: 'Bulk action',
+          fields: [
+            { key: 'name', label: 'Name*', type: 'text', placeholder: 'delete' },
+            { key: 'label', label: 'Label', type: 'text', placeholder: 'Delete' },
+            { key: 'confirm', label: 'Ask for confirmation', type: 'checkbox' }
+          ]
+        }
+      }
+    ]
+  });
+  const adminActionsRepeater = window.createRepeater(document.getElementById('adminActionsRepeater'), {
+    itemLabel: 'Handler',
+    onChange: handleAdminUiChange,
+    fields: [
+      { key: 'name', label: 'Name*', type: 'text', placeholder: 'sync_items', help: 'The action is plugin_prefix_name.' },
+      { key: 'type', label: 'Type', type: 'select', options: [['ajax', 'AJAX (admin-ajax.php)'], ['post', 'Form (admin-post.php)']] },
+      { key: 'capability', label: 'Capability', type: 'text', placeholder: 'manage_options' },
+      { key: 'description', label: 'Description', type: 'text', wide: true }
+    ]
+  });
+  adminNoticesCheckbox.addEventListener('change', handleAdminUiChange);
+
+  // Mirrors validateAdminUi() in lib/admin-ui.js.
+  const validateAdminUi = () => {
+    const listTables = listTablesRepeater.getValue();
+    const adminNotices = adminNoticesCheckbox.checked;
+    const adminActions = adminActionsRepeater.getValue();
+    const namePattern = /^[a-z][a-z0-9_]*$/;
+    const nameRule = 'must start with a letter and use only lowercase letters, numbers and underscores.';
+    const errors = [];
+    const tableNames = new Set();
+    listTables.forEach((table, index) => {
+      const label = `List table ${index + 1}`;
+      if (!table.name) {
+        errors.push(`${label} needs a name.`);
+      } else if (!namePattern.test(table.name)) {
+        errors.push(`${label}: '${table.name}' ${nameRule}`);
+      } else if (tableNames.has(table.name)) {
+        errors.push(`${label}: '${table.name}' is defined more than once.`);
+      }
+      tableNames.add(table.name);
+      const perPage = table.perPage ? Number(table.perPage) : 20;
+      if (!Number.isInteger(perPage) || perPage < 1) {
+        errors.push(`${label}: items per page must be a whole number of at least 1.`);
+      }
+      if (table.columns.length === 0) {
+        errors.push(`${label} needs at least one column.`);
+      }
+      const columnNames = new Set(['cb']);
+      table.columns.forEach((column, columnIndex) => {
+        const columnLabel = `${label}, column ${columnIndex + 1}`;
+        if (!column.name) {
+          errors.push(`${columnLabel} needs a name.`);
+        } else if (!namePattern.test(column.name)) {
+          errors.push(`${columnLabel}: '${column.name}' ${nameRule}`);
+        } else if (columnNames.has(column.name)) {
+          errors.push(`${columnLabel}: '${column.name}' is ${column.name === 'cb' ? 'reserved for the checkboxes' : 'defined more than once'}.`);
+        }
+        columnNames.add(column.name);
+      });
+      const actionNames = new Set();
+      table.bulkActions.forEach((action, actionIndex) => {
+        const actionLabel = `${label}, bulk action ${actionIndex + 1}`;
+        if (!action.name) {
+          errors.push(`${actionLabel} needs a name.`);
+        } else if (!/^[a-z][a-z0-9_-]*$/.test(action.name)) {
+          errors.push(`${actionLabel}: '${action.name}' must start with a letter and use only lowercase letters, numbers, dashes and underscores.`);
+        } else if (actionNames.has(action.name)) {
+          errors.push(`${actionLabel}: '${action.name}' is defined more than once.`);
+        }
+        actionNames.add(action.name);
+      });
+    });
+    const handlerNames = new Set(adminNotices ? ['dismiss_notice'] : []);
+    adminActions.forEach((action, index) => {
+      const label = `Handler ${index + 1}`;
+      if (!action.name) {
+        errors.push(`${label} needs a name.`);
+      } else if (!namePattern.test(action.name)) {
+        errors.push(`${label}: '${action.name}' ${nameRule}`);
+      } else if (handlerNames.has(action.name)) {
+        errors.push(`${label}: '${action.name}' is ${action.name === 'dismiss_notice' ? 'used by the notices helper' : 'defined more than once'}.`);
+      }
+      handlerNames.add(action.name);
+    });
+    setInlineStatus(adminUiStatus, errors.join(' '), errors.length ? 'error' : '');
+    return { valid: errors.length === 0, listTables, adminNotices, adminActions };
+  };
 
   selectDirButton.addEventListener('click', async () => {
     const selected = await window.electronAPI.selectDirectory();
@@ -104,9 +1051,224 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  form.addEventListener('submit', async (event) => {
-    event.preventDefault();
-    setStatus();
+  document.getElementById('selectTemplateDirButton').addEventListener('click', async () => {
+    const selected = await window.electronAPI.selectDirectory();
+    if (selected) {
+      templateDirInput.value = selected;
+    }
+  });
+
+  document.getElementById('clearTemplateDirButton').addEventListener('click', () => {
+    templateDirInput.value = '';
+  });
+
+  const qualityStatus = document.getElementById('qualityStatus');
+
+  // Mirrors validateQuality() in lib/quality.js.
+  const validateQuality = (data) => {
+    const errors = [];
+    if (data.quality.includes('ci') && !data.quality.includes('phpunit') && !data.quality.includes('phpcs')) {
+      errors.push('The CI workflow needs PHPUnit or PHPCS to run.');
+    }
+    if (data.quality.length && !/^\d+\.\d+/.test(data.requiresPhp)) {
+      errors.push("'Requires PHP' must be a version such as 7.4 to build the PHP version matrix.");
+    }
+    setInlineStatus(qualityStatus, errors.join(' '), errors.length ? 'error' : '');
+    return errors.length === 0;
+  };
+
+  // The repository host decides the example URLs next to the repository
+  // fields.
+  const repoHostSelect = document.getElementById('repoHost');
+  const showRepoHostHints = () => {
+    const option = repoHostSelect.selectedOptions[0];
+    if (!option) return;
+    const { apiUrl, example } = option.dataset;
+    const webUrl = new URL(apiUrl).origin.replace('//api.', '//');
+    document.getElementById('repo').placeholder = `e.g. ${webUrl}/your-user/my-plugin`;
+    document.getElementById('repoApiUrl').placeholder = apiUrl;
+    document.getElementById('repoApiUrlHelp').replaceChildren(
+      'Change for a self-hosted server, e.g. ',
+      Object.assign(document.createElement('code'), { textContent: example }),
+      '.'
+    );
+  };
+  repoHostSelect.addEventListener('change', showRepoHostHints);
+
+  // Field errors are shown below their input, which is marked invalid
+  // until it is edited.
+  const clearFieldError = (input) => {
+    input.removeAttribute('aria-invalid');
+    const message = document.getElementById(`${input.id}-error`);
+    if (message) {
+      message.remove();
+      input.removeAttribute('aria-describedby');
+    }
+  };
+
+  const showFieldErrors = (fieldErrors) => {
+    form.querySelectorAll('[aria-invalid="true"]').forEach(clearFieldError);
+    const messages = new Map();
+    fieldErrors.forEach(({ field, message }) => {
+      messages.set(field, [...(messages.get(field) || []), message]);
+    });
+    messages.forEach((lines, field) => {
+      const input = document.getElementById(field);
+      if (!input) return;
+      const message = document.createElement('p');
+      message.id = `${field}-error`;
+      message.className = 'field-error';
+      message.textContent = lines.join(' ');
+      input.setAttribute('aria-invalid', 'true');
+      input.setAttribute('aria-describedby', message.id);
+      input.insertAdjacentElement('afterend', message);
+    });
+    const first = form.querySelector('[aria-invalid="true"]');
+    if (first) {
+      first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  };
+
+  form.addEventListener('input', (event) => {
+    if (event.target.getAttribute('aria-invalid') === 'true') {
+      clearFieldError(event.target);
+    }
+  });
+
+  // Optional libraries come from the registry in the main process
+  // (lib/libraries.js): the built-in definitions and the ones installed
+  // in the app's libraries folder.  A library with config fields gets a
+  // small form that is shown while it is selected; its inputs use the
+  // ids `libraryConfig.<library>.<key>` the field errors refer to.
+  const libraryList = document.getElementById('libraryList');
+  const libraryConfig = document.getElementById('libraryConfig');
+  const librariesStatus = document.getElementById('librariesStatus');
+  let libraryDefinitions = [];
+
+  const libraryFieldId = (libraryId, key) => `libraryConfig.${libraryId}.${key}`;
+
+  const renderLibraryField = (library, field) => {
+    const id = libraryFieldId(library.id, field.key);
+    const wrapper = document.createElement(field.type === 'checkbox' ? 'label' : 'div');
+    let input;
+    if (field.type === 'checkbox') {
+      wrapper.className = 'checkbox-field';
+      wrapper.htmlFor = id;
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = Boolean(field.default);
+      const text = document.createElement('span');
+      text.textContent = field.label;
+      input.id = id;
+      wrapper.append(input, text);
+    } else {
+      wrapper.className = 'form-field';
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.textContent = field.required ? `${field.label} *` : field.label;
+      if (field.type === 'select') {
+        input = document.createElement('select');
+        input.append(...field.options.map((option) => new Option(option.label, option.value)));
+      } else if (field.type === 'textarea') {
+        input = document.createElement('textarea');
+        input.rows = 3;
+      } else {
+        input = document.createElement('input');
+        input.type = field.type === 'number' ? 'number' : 'text';
+      }
+      input.id = id;
+      input.value = field.default === undefined || field.default === null ? '' : String(field.default);
+      wrapper.append(label, input);
+    }
+    if (field.description) {
+      const help = document.createElement('p');
+      help.className = 'helper-text';
+      help.textContent = field.description;
+      wrapper.append(help);
+    }
+    return wrapper;
+  };
+
+  const renderLibraries = (libraries) => {
+    const checked = new Set(libraryDefinitions
+      .filter(({ id }) => document.getElementById(`lib-${id}`).checked)
+      .map(({ id }) => id));
+    libraryDefinitions = libraries;
+    libraryList.replaceChildren(...libraries.map((library) => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-field';
+      label.htmlFor = `lib-${library.id}`;
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = `lib-${library.id}`;
+      checkbox.checked = checked.has(library.id);
+      const text = document.createElement('span');
+      text.textContent = library.description ? `${library.label} — ${library.description}` : library.label;
+      label.append(checkbox, text);
+      return label;
+    }));
+    libraryConfig.replaceChildren(...libraries.filter((library) => library.fields.length).map((library) => {
+      const panel = document.createElement('div');
+      panel.id = `libraryConfig-${library.id}`;
+      panel.className = 'input-grid auto-fit';
+      panel.hidden = !checked.has(library.id);
+      panel.append(...library.fields.map((field) => renderLibraryField(library, field)));
+      document.getElementById(`lib-${library.id}`).addEventListener('change', (event) => {
+        panel.hidden = !event.target.checked;
+      });
+      return panel;
+    }));
+  };
+
+  // The config values entered for a library, by field key.
+  const libraryConfigValues = (library) => {
+    const values = {};
+    library.fields.forEach((field) => {
+      const input = document.getElementById(libraryFieldId(library.id, field.key));
+      values[field.key] = field.type === 'checkbox' ? input.checked : input.value.trim();
+    });
+    return values;
+  };
+
+  // Collect the config of the selected libraries, checked with the
+  // rules the main process applies (lib/validation.js).
+  const collectLibraryConfig = (libraryIds) => {
+    const config = {};
+    const fieldErrors = [];
+    libraryDefinitions.filter(({ id, fields }) => libraryIds.includes(id) && fields.length).forEach((library) => {
+      config[library.id] = libraryConfigValues(library);
+      window.pluginValidation.validateConfigValues(library.fields, config[library.id]).forEach(({ key, message }) => {
+        fieldErrors.push({ field: libraryFieldId(library.id, key), message: `${library.label}: ${message}` });
+      });
+    });
+    return { config, fieldErrors };
+  };
+
+  // What is wrong with the installed library folders that were skipped.
+  const invalidLibrariesMessage = (invalid) => (invalid && invalid.length
+    ? `Skipped ${invalid.length === 1 ? 'an invalid library folder' : `${invalid.length} invalid library folders`}: ${invalid.map(({ message }) => message).join(' ')}`
+    : '');
+
+  document.getElementById('installLibraryButton').addEventListener('click', async () => {
+    const result = await window.electronAPI.installLibrary();
+    if (!result.ok) {
+      if (!result.canceled) {
+        setInlineStatus(librariesStatus, 'Error: ' + result.error, 'error');
+      }
+      return;
+    }
+    renderLibraries(result.libraries || []);
+    const installed = libraryDefinitions.find(({ id }) => id === result.installed);
+    const skipped = invalidLibrariesMessage(result.invalid);
+    setInlineStatus(librariesStatus, `Installed '${installed ? installed.label : result.installed}' in ${result.librariesDir}.${skipped ? ` ${skipped}` : ''}`, skipped ? 'error' : 'success');
+  });
+
+  /**
+   * Read the form into a plugin options object and run the same
+   * checks as before submitting.  Returns `{ data }` on success or
+   * `{ error }` with a message for the status area.
+   */
+  const collectFormData = () => {
     const data = {
       name: document.getElementById('name').value.trim(),
       slug: document.getElementById('slug').value.trim(),
@@ -114,54 +1276,773 @@ document.addEventListener('DOMContentLoaded', () => {
       version: document.getElementById('version').value.trim(),
       author: document.getElementById('author').value.trim(),
       authorUri: document.getElementById('authorUri').value.trim(),
+      pluginBaseUri: document.getElementById('pluginBaseUri').value.trim(),
       pluginUri: document.getElementById('pluginUri').value.trim(),
+      contributors: document.getElementById('contributors').value.trim(),
       requiresAtLeast: document.getElementById('requiresAtLeast').value.trim(),
       testedUpTo: document.getElementById('testedUpTo').value.trim(),
       requiresPhp: document.getElementById('requiresPhp').value.trim(),
       repo: document.getElementById('repo').value.trim(),
       branch: document.getElementById('branch').value.trim() || 'main',
+      repoHost: repoHostSelect.value,
       createGithubRepo: document.getElementById('createGithubRepo').checked,
       githubUsername: document.getElementById('githubUsername').value.trim(),
+      repoOwner: document.getElementById('repoOwner').value.trim(),
+      repoTopics: document.getElementById('repoTopics').value.trim(),
+      repoApiUrl: document.getElementById('repoApiUrl').value.trim(),
+      repoPrivate: document.getElementById('repoPrivate').checked,
+      repoRelease: document.getElementById('repoRelease').checked,
       withComposer: document.getElementById('withComposer').checked,
-      outputDir: outputDirInput.value.trim()
+      modernStructure: document.getElementById('modernStructure').checked,
+      vendor: document.getElementById('vendor').value.trim(),
+      assetPipeline: document.getElementById('assetPipeline').checked,
+      adminAssetScope: document.getElementById('adminAssetScope').value,
+      publicAssetScope: document.getElementById('publicAssetScope').value,
+      deleteDataOnUninstall: document.getElementById('deleteDataOnUninstall').checked,
+      outputDir: outputDirInput.value.trim(),
+      templateDir: templateDirInput.value.trim()
       ,libraries: []
       ,snippets: []
+      ,quality: []
     };
 
     // Gather selected libraries
-    if (document.getElementById('lib-cmb2').checked) data.libraries.push('cmb2');
-    if (document.getElementById('lib-cron').checked) data.libraries.push('cron');
-    if (document.getElementById('lib-widgets').checked) data.libraries.push('widgets');
+    libraryDefinitions.forEach(({ id }) => {
+      if (document.getElementById(`lib-${id}`).checked) data.libraries.push(id);
+    });
     // Gather selected snippets
     const settingsSnippetEnabled = snippetSettingsCheckbox.checked;
     if (settingsSnippetEnabled) data.snippets.push('settings');
+    if (snippetRestCheckbox.checked) data.snippets.push('rest');
+    // Gather selected quality tools
+    ['phpunit', 'phpcs', 'ci'].forEach((tool) => {
+      if (document.getElementById(`quality-${tool}`).checked) data.quality.push(tool);
+    });
 
-    // Basic validation: ensure required fields are present
-    if (!data.name) {
-      setStatus('Please enter a plugin name.', 'error');
-      return;
+    // The plugin's own fields and the library config, checked with the
+    // rules the main process applies as well (lib/validation.js).
+    const libraries = collectLibraryConfig(data.libraries);
+    data.libraryConfig = libraries.config;
+    const fieldErrors = [...window.pluginValidation.validatePluginFields(data), ...libraries.fieldErrors];
+    showFieldErrors(fieldErrors);
+    if (fieldErrors.length) {
+      return { error: 'Please fix the highlighted fields.' };
     }
     if (settingsSnippetEnabled) {
       const settingsValidation = validateSettingsSection({ showSuccess: true });
       if (!settingsValidation.valid) {
-        setStatus('Please complete the required settings fields.', 'error');
-        return;
+        return { error: 'Please complete the required settings fields.' };
       }
       if (settingsValidation.config) {
         data.settingsConfig = settingsValidation.config;
       }
     }
+    const rest = validateRestSection();
+    if (!rest.valid) {
+      return { error: 'Please fix the REST API routes.' };
+    }
+    if (rest.config) {
+      data.restConfig = rest.config;
+    }
+    const contentTypes = validateContentTypes();
+    if (!contentTypes.valid) {
+      return { error: 'Please fix the post type and taxonomy definitions.' };
+    }
+    data.postTypes = contentTypes.postTypes;
+    data.taxonomies = contentTypes.taxonomies;
+    const blocks = validateBlocks();
+    if (!blocks.valid) {
+      return { error: 'Please fix the block definitions.' };
+    }
+    data.blocks = blocks.blocks;
+    const shortcodes = validateShortcodes();
+    if (!shortcodes.valid) {
+      return { error: 'Please fix the shortcode definitions.' };
+    }
+    data.shortcodes = shortcodes.shortcodes;
+    const cli = validateCliSection();
+    if (!cli.valid) {
+      return { error: 'Please fix the WP-CLI command definition.' };
+    }
+    if (cli.command) {
+      data.cliCommand = cli.command;
+    }
+    const tables = validateTables();
+    if (!tables.valid) {
+      return { error: 'Please fix the database table definitions.' };
+    }
+    data.tables = tables.tables;
+    if (tables.schemaVersion) {
+      data.schemaVersion = tables.schemaVersion;
+    }
+    const adminUi = validateAdminUi();
+    if (!adminUi.valid) {
+      return { error: 'Please fix the admin screen definitions.' };
+    }
+    data.listTables = adminUi.listTables;
+    data.adminNotices = adminUi.adminNotices;
+    data.adminActions = adminUi.adminActions;
+    if (!validateQuality(data)) {
+      return { error: 'Please fix the quality options.' };
+    }
+    return { data };
+  };
+
+  /**
+   * Turn a flat list of file and directory paths into a nested tree of
+   * `{ name, path, children }` nodes (files have no `children`).
+   */
+  const buildFileTree = (directories, files) => {
+    const root = { name: '', path: '', children: new Map() };
+    const ensureDirNode = (dirPath) => {
+      let node = root;
+      dirPath.split('/').forEach((part, index, parts) => {
+        if (!node.children.has(part)) {
+          node.children.set(part, {
+            name: part,
+            path: parts.slice(0, index + 1).join('/'),
+            children: new Map()
+          });
+        }
+        node = node.children.get(part);
+      });
+      return node;
+    };
+    directories.forEach(ensureDirNode);
+    files.forEach((file) => {
+      const parts = file.path.split('/');
+      const name = parts.pop();
+      const parent = parts.length ? ensureDirNode(parts.join('/')) : root;
+      parent.children.set(name, { name, path: file.path });
+    });
+    return root;
+  };
+
+  const sortTreeNodes = (nodes) => [...nodes].sort((a, b) => {
+    const aIsDir = Boolean(a.children);
+    const bIsDir = Boolean(b.children);
+    if (aIsDir !== bIsDir) return aIsDir ? -1 : 1;
+    return a.name.localeCompare(b.name);
+  });
+
+  const showPreviewFile = (file) => {
+    const { languageForPath, highlightSource } = window.syntaxHighlight;
+    previewFileName.textContent = file.path;
+    previewCode.innerHTML = file.contents
+      ? highlightSource(file.contents, languageForPath(file.path))
+      : '';
+    previewCode.classList.toggle('is-empty', !file.contents);
+    previewTree.querySelectorAll('.file-tree__file').forEach((button) => {
+      button.classList.toggle('is-active', button.dataset.path === file.path);
+    });
+  };
+
+  const renderPreview = ({ slug, pluginPath, directories, files }) => {
+    const filesByPath = new Map(files.map((file) => [file.path, file]));
+    const renderNodes = (nodes) => {
+      const list = document.createElement('ul');
+      list.className = 'file-tree__list';
+      sortTreeNodes(nodes).forEach((node) => {
+        const item = document.createElement('li');
+        if (node.children) {
+          const details = document.createElement('details');
+          details.open = true;
+          const summary = document.createElement('summary');
+          summary.className = 'file-tree__dir';
+          summary.textContent = `${node.name}/`;
+          details.append(summary, renderNodes(node.children.values()));
+          item.append(details);
+        } else {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.className = 'file-tree__file';
+          button.dataset.path = node.path;
+          button.textContent = node.name;
+          button.addEventListener('click', () => showPreviewFile(filesByPath.get(node.path)));
+          item.append(button);
+        }
+        list.append(item);
+      });
+      return list;
+    };
+
+    const tree = buildFileTree(directories, files);
+    previewTree.replaceChildren(renderNodes(tree.children.values()));
+    previewSummary.textContent = `${files.length} files for ${slug}, to be written to ${pluginPath}`;
+    previewPanel.hidden = false;
+    const mainFile = filesByPath.get(`${slug}.php`) || files[0];
+    if (mainFile) {
+      showPreviewFile(mainFile);
+    }
+  };
+
+  previewButton.addEventListener('click', async () => {
+    setStatus();
+    const { data, error } = collectFormData();
+    if (error) {
+      setStatus(error, 'error');
+      return;
+    }
+    const result = await window.electronAPI.previewPlugin(data);
+    if (result.ok) {
+      renderPreview(result);
+      previewPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } else {
+      showFieldErrors(result.fieldErrors || []);
+      setStatus('Error: ' + result.error, 'error');
+    }
+  });
+
+  // The steps of a running generation, as the main process reports
+  // them.  Undo steps of a rollback are marked as such.
+  const generateButton = document.getElementById('generateButton');
+  const cancelGenerateButton = document.getElementById('cancelGenerateButton');
+  const generationSteps = document.getElementById('generationSteps');
+  const STEP_STATUS_TEXT = { running: 'in progress', done: 'done', failed: 'failed', canceled: 'canceled' };
+  const renderGenerationSteps = (steps) => {
+    generationSteps.replaceChildren(...steps.map(({ label, status, error, rollback }) => {
+      const item = document.createElement('li');
+      item.className = `generation-step generation-step--${status}${rollback ? ' generation-step--rollback' : ''}`;
+      item.textContent = `${rollback ? 'Rollback: ' : ''}${label} (${STEP_STATUS_TEXT[status] || status})${error ? `: ${error}` : ''}`;
+      return item;
+    }));
+    generationSteps.hidden = steps.length === 0;
+  };
+  window.electronAPI.onGenerationProgress(renderGenerationSteps);
+
+  // Reports of lintPlugin() (lib/lint.js), for generated plugins and the
+  // Validate panel.
+  const countOf = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+  const renderLintReport = (container, report) => {
+    container.hidden = !report;
+    if (!report) {
+      container.replaceChildren();
+      return;
+    }
+    const phpNote = report.php.version
+      ? `PHP syntax checked in ${countOf(report.php.checked, 'file')} with PHP ${report.php.version}.`
+      : 'PHP syntax not checked: no php found on the PATH.';
+    const summary = document.createElement('p');
+    summary.textContent = report.issues.length
+      ? `The checks found ${countOf(report.errors, 'error')} and ${countOf(report.warnings, 'warning')}. ${phpNote}`
+      : `All checks passed. ${phpNote}`;
+    const list = document.createElement('ul');
+    report.issues.forEach(({ severity, file, message }) => {
+      const item = document.createElement('li');
+      item.className = `lint-issue--${severity}`;
+      item.textContent = `${severity === 'error' ? 'Error' : 'Warning'}: ${file ? `${file}: ` : ''}${message}`;
+      list.append(item);
+    });
+    container.replaceChildren(summary, ...(report.issues.length ? [list] : []));
+  };
+  const generationReport = document.getElementById('generationReport');
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    setStatus();
+    const { data, error } = collectFormData();
+    if (error) {
+      setStatus(error, 'error');
+      return;
+    }
 
     setStatus('Generating plugin...', 'neutral');
+    renderGenerationSteps([]);
+    renderLintReport(generationReport, null);
+    generateButton.disabled = true;
+    cancelGenerateButton.hidden = false;
+    cancelGenerateButton.disabled = false;
     const result = await window.electronAPI.generatePlugin(data);
+    generateButton.disabled = false;
+    cancelGenerateButton.hidden = true;
+    if (result.steps) {
+      renderGenerationSteps(result.steps);
+    }
     if (result.ok) {
       const fallbackPath = data.outputDir
         ? `${data.outputDir}/${data.slug || data.name}`
         : (data.slug || data.name);
       const location = result.pluginPath || fallbackPath;
-      setStatus(`Plugin generated successfully in ${location}`, 'success');
+      const published = [
+        result.repoUrl ? ` and published to ${result.repoUrl}` : '',
+        result.releaseUrl ? `; release: ${result.releaseUrl}` : ''
+      ].join('');
+      setStatus(`Plugin generated successfully in ${location}${published}`, 'success');
+      renderLintReport(generationReport, result.lint);
+    } else if (result.canceled) {
+      setStatus(result.error, 'neutral');
     } else {
+      showFieldErrors(result.fieldErrors || []);
       setStatus('Error: ' + result.error, 'error');
     }
   });
+
+  cancelGenerateButton.addEventListener('click', async () => {
+    cancelGenerateButton.disabled = true;
+    setStatus('Canceling; finished steps are being undone...', 'neutral');
+    const result = await window.electronAPI.cancelGeneration();
+    if (!result.ok) {
+      setStatus('Error: ' + result.error, 'error');
+    }
+  });
+
+  // Profiles and preferences.  Mirrors PROFILE_FIELDS in
+  // lib/preferences.js: text fields and checkboxes by id, and the
+  // libraries, snippets and quality tools from their checkbox groups.
+  const PROFILE_TEXT_FIELDS = ['author', 'authorUri', 'pluginBaseUri', 'contributors', 'vendor', 'requiresAtLeast', 'testedUpTo', 'requiresPhp', 'branch', 'repoHost', 'githubUsername', 'repoOwner', 'repoApiUrl', 'adminAssetScope', 'publicAssetScope'];
+  const PROFILE_CHECKBOXES = ['createGithubRepo', 'repoPrivate', 'repoRelease', 'withComposer', 'modernStructure', 'assetPipeline'];
+  const PROFILE_LISTS = {
+    libraries: { prefix: 'lib', get ids() { return libraryDefinitions.map(({ id }) => id); } },
+    snippets: { prefix: 'snippet', ids: ['settings', 'rest'] },
+    quality: { prefix: 'quality', ids: ['phpunit', 'phpcs', 'ci'] }
+  };
+  const profileSelect = document.getElementById('profileSelect');
+  const profileNameInput = document.getElementById('profileName');
+  const profilesStatus = document.getElementById('profilesStatus');
+  let profiles = {};
+
+  const readProfileValues = () => {
+    const values = {};
+    PROFILE_TEXT_FIELDS.forEach((id) => {
+      values[id] = document.getElementById(id).value.trim();
+    });
+    PROFILE_CHECKBOXES.forEach((id) => {
+      values[id] = document.getElementById(id).checked;
+    });
+    Object.entries(PROFILE_LISTS).forEach(([key, { prefix, ids }]) => {
+      values[key] = ids.filter((id) => document.getElementById(`${prefix}-${id}`).checked);
+    });
+    return values;
+  };
+
+  // Fill the form with the values a profile or the preferences have;
+  // fields they leave out keep their current value.
+  const applyProfileValues = (values) => {
+    PROFILE_TEXT_FIELDS.filter((id) => typeof values[id] === 'string').forEach((id) => {
+      const input = document.getElementById(id);
+      if (input.value !== values[id]) {
+        input.value = values[id];
+        input.dispatchEvent(new Event('change'));
+      }
+    });
+    PROFILE_CHECKBOXES.filter((id) => typeof values[id] === 'boolean').forEach((id) => {
+      document.getElementById(id).checked = values[id];
+    });
+    Object.entries(PROFILE_LISTS).filter(([key]) => Array.isArray(values[key])).forEach(([key, { prefix, ids }]) => {
+      ids.forEach((id) => {
+        const checkbox = document.getElementById(`${prefix}-${id}`);
+        if (!checkbox.disabled && checkbox.checked !== values[key].includes(id)) {
+          checkbox.checked = values[key].includes(id);
+          checkbox.dispatchEvent(new Event('change'));
+        }
+      });
+    });
+  };
+
+  const renderProfiles = (selected = profileSelect.value) => {
+    const names = Object.keys(profiles).sort((a, b) => a.localeCompare(b));
+    const placeholder = new Option(names.length ? 'Choose a profile' : 'No saved profiles', '');
+    profileSelect.replaceChildren(placeholder, ...names.map((name) => new Option(name, name)));
+    profileSelect.value = names.includes(selected) ? selected : '';
+  };
+
+  // Store results carry the saved profiles; keep the list in sync.
+  const handleProfilesResult = (result, message, selected) => {
+    if (!result.ok) {
+      if (!result.canceled) {
+        setInlineStatus(profilesStatus, 'Error: ' + result.error, 'error');
+      }
+      return false;
+    }
+    profiles = result.profiles || {};
+    renderProfiles(selected);
+    setInlineStatus(profilesStatus, message, 'success');
+    return true;
+  };
+
+  profileSelect.addEventListener('change', () => {
+    profileNameInput.value = profileSelect.value;
+  });
+
+  document.getElementById('loadProfileButton').addEventListener('click', () => {
+    const name = profileSelect.value;
+    if (!profiles[name]) {
+      setInlineStatus(profilesStatus, 'Please choose a profile to load.', 'error');
+      return;
+    }
+    applyProfileValues(profiles[name]);
+    setInlineStatus(profilesStatus, `Loaded profile '${name}'.`, 'success');
+  });
+
+  document.getElementById('saveProfileButton').addEventListener('click', async () => {
+    const name = profileNameInput.value.trim();
+    if (!name) {
+      setInlineStatus(profilesStatus, 'Please enter a profile name.', 'error');
+      return;
+    }
+    const result = await window.electronAPI.saveProfile(name, readProfileValues());
+    handleProfilesResult(result, `Saved profile '${name}'.`, name);
+  });
+
+  document.getElementById('deleteProfileButton').addEventListener('click', async () => {
+    const name = profileSelect.value;
+    if (!profiles[name]) {
+      setInlineStatus(profilesStatus, 'Please choose a profile to delete.', 'error');
+      return;
+    }
+    const result = await window.electronAPI.deleteProfile(name);
+    handleProfilesResult(result, `Deleted profile '${name}'.`, '');
+  });
+
+  document.getElementById('exportProfileButton').addEventListener('click', async () => {
+    const name = profileSelect.value;
+    if (!profiles[name]) {
+      setInlineStatus(profilesStatus, 'Please choose a profile to export.', 'error');
+      return;
+    }
+    const result = await window.electronAPI.exportProfile(name);
+    if (result.ok) {
+      setInlineStatus(profilesStatus, `Exported profile '${name}' to ${result.filePath}.`, 'success');
+    } else if (!result.canceled) {
+      setInlineStatus(profilesStatus, 'Error: ' + result.error, 'error');
+    }
+  });
+
+  document.getElementById('importProfileButton').addEventListener('click', async () => {
+    const result = await window.electronAPI.importProfile();
+    if (handleProfilesResult(result, `Imported profile '${result.name}'.`, result.name)) {
+      profileNameInput.value = result.name;
+    }
+  });
+
+  document.getElementById('savePreferencesButton').addEventListener('click', async () => {
+    const result = await window.electronAPI.savePreferences(readProfileValues());
+    handleProfilesResult(result, 'Saved the preferences; they pre-fill the form from now on.');
+  });
+
+  // The preferences may select libraries, so they are applied once the
+  // library list is there.
+  window.electronAPI.listLibraries().then((result) => {
+    if (result.ok) {
+      renderLibraries(result.libraries || []);
+      setInlineStatus(librariesStatus, invalidLibrariesMessage(result.invalid), 'error');
+    } else {
+      setInlineStatus(librariesStatus, 'Error: ' + result.error, 'error');
+    }
+    return window.electronAPI.loadPreferences();
+  }).then((result) => {
+    if (!result.ok) {
+      setInlineStatus(profilesStatus, 'Error: ' + result.error, 'error');
+      return;
+    }
+    applyProfileValues(result.preferences || {});
+    profiles = result.profiles || {};
+    renderProfiles();
+  });
+
+  // Accounts: tokens are checked and stored by the main process; the
+  // list shows who each one belongs to and what it may do.
+  const accountHostSelect = document.getElementById('accountHost');
+  const accountApiUrlInput = document.getElementById('accountApiUrl');
+  const accountTokenInput = document.getElementById('accountToken');
+  const accountList = document.getElementById('accountList');
+  const accountsStatus = document.getElementById('accountsStatus');
+
+  accountHostSelect.addEventListener('change', () => {
+    accountApiUrlInput.placeholder = accountHostSelect.selectedOptions[0].dataset.apiUrl;
+  });
+
+  const describeScopes = (scopes) => {
+    if (!Array.isArray(scopes)) return 'scopes not reported by the host';
+    return scopes.length ? `scopes: ${scopes.join(', ')}` : 'no scopes';
+  };
+
+  const renderAccounts = (accounts) => {
+    accountList.replaceChildren(...accounts.map((account) => {
+      const item = document.createElement('div');
+      item.className = 'repeater-item';
+      const header = document.createElement('div');
+      header.className = 'repeater-item__header';
+      const title = document.createElement('p');
+      title.className = 'repeater-item__title';
+      title.textContent = `${account.label}: ${account.username}`;
+      const buttons = document.createElement('div');
+      [['Check', checkAccount], ['Remove', removeAccount]].forEach(([label, action]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-link';
+        button.textContent = label;
+        button.addEventListener('click', () => action(account));
+        buttons.append(button);
+      });
+      header.append(title, buttons);
+      const details = document.createElement('p');
+      details.className = 'helper-text';
+      const checked = account.checkedAt ? `; checked ${new Date(account.checkedAt).toLocaleString()}` : '';
+      details.textContent = `${account.apiUrl}; ${describeScopes(account.scopes)}${checked}`;
+      item.append(header, details);
+      return item;
+    }));
+  };
+
+  const handleAccountsResult = (result, message) => {
+    if (!result.ok) {
+      setInlineStatus(accountsStatus, 'Error: ' + result.error, 'error');
+      return false;
+    }
+    renderAccounts(result.accounts || []);
+    setInlineStatus(accountsStatus, message, 'success');
+    return true;
+  };
+
+  const checkAccount = async (account) => {
+    setInlineStatus(accountsStatus, `Checking the ${account.label} token…`, 'neutral');
+    const result = await window.electronAPI.checkAccount(account.host, account.apiUrl);
+    const updated = (result.accounts || []).find(({ host, apiUrl }) => host === account.host && apiUrl === account.apiUrl);
+    handleAccountsResult(result, updated ? `The ${account.label} token works for ${updated.username}.` : '');
+  };
+
+  const removeAccount = async (account) => {
+    const result = await window.electronAPI.removeAccount(account.host, account.apiUrl);
+    handleAccountsResult(result, `Removed the ${account.label} account ${account.username}.`);
+  };
+
+  document.getElementById('saveAccountButton').addEventListener('click', async () => {
+    const token = accountTokenInput.value.trim();
+    if (!token) {
+      setInlineStatus(accountsStatus, 'Please enter an access token.', 'error');
+      return;
+    }
+    const host = accountHostSelect.value;
+    const label = accountHostSelect.selectedOptions[0].textContent;
+    setInlineStatus(accountsStatus, `Checking the token with ${label}…`, 'neutral');
+    const result = await window.electronAPI.saveAccount({ host, apiUrl: accountApiUrlInput.value.trim(), token });
+    if (handleAccountsResult(result, `Saved the ${label} token.`)) {
+      accountTokenInput.value = '';
+    }
+  });
+
+  window.electronAPI.listAccounts().then((result) => {
+    if (!result.ok) {
+      setInlineStatus(accountsStatus, 'Error: ' + result.error, 'error');
+      return;
+    }
+    renderAccounts(result.accounts || []);
+    if (result.encryptionAvailable === false) {
+      setInlineStatus(accountsStatus, 'No system keychain is available, so tokens cannot be saved; use the environment variables instead.', 'neutral');
+    }
+  });
+
+  // "Open existing plugin" mode: add libraries and snippets to a plugin
+  // generated earlier.  Components it already has are ticked and locked.
+  const existingPluginDirInput = document.getElementById('existingPluginDir');
+  const existingPluginInfo = document.getElementById('existingPluginInfo');
+  const existingChanges = document.getElementById('existingChanges');
+  const existingStatus = document.getElementById('existingStatus');
+  const applyChangesButton = document.getElementById('applyChangesButton');
+  const closeExistingButton = document.getElementById('closeExistingButton');
+  const componentCheckboxes = () => [
+    ...libraryDefinitions.map(({ id }) => ({ id, kind: 'libraries', checkbox: document.getElementById(`lib-${id}`) })),
+    ...['settings', 'rest'].map((id) => ({ id, kind: 'snippets', checkbox: document.getElementById(`snippet-${id}`) }))
+  ];
+  let existingPlan = null;
+
+  const resetExistingChanges = () => {
+    existingPlan = null;
+    existingChanges.replaceChildren();
+    applyChangesButton.hidden = true;
+  };
+
+  const closeExistingPlugin = () => {
+    componentCheckboxes().forEach(({ checkbox }) => {
+      if (checkbox.disabled) {
+        checkbox.disabled = false;
+        checkbox.checked = false;
+      }
+    });
+    existingPluginDirInput.value = '';
+    existingPluginInfo.hidden = true;
+    closeExistingButton.hidden = true;
+    resetExistingChanges();
+    setInlineStatus(existingStatus);
+  };
+
+  const renderDiff = (file) => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'diff-file';
+    const name = document.createElement('p');
+    name.className = 'preview-file__name';
+    name.textContent = file.before === null ? `${file.path} (new file)` : file.path;
+    const pre = document.createElement('pre');
+    pre.className = 'preview-file__code';
+    const code = document.createElement('code');
+    file.diff.replace(/\n$/, '').split('\n').forEach((line) => {
+      const span = document.createElement('span');
+      if (line.startsWith('@@')) span.className = 'diff-line--hunk';
+      else if (line.startsWith('+') && !line.startsWith('+++')) span.className = 'diff-line--added';
+      else if (line.startsWith('-') && !line.startsWith('---')) span.className = 'diff-line--removed';
+      span.textContent = `${line}\n`;
+      code.append(span);
+    });
+    pre.append(code);
+    wrapper.append(name, pre);
+    return wrapper;
+  };
+
+  // Show an inspected plugin and lock the components it has.
+  const showExistingPlugin = (pluginDir, plugin) => {
+    existingPluginDirInput.value = pluginDir;
+    componentCheckboxes().forEach(({ id, kind, checkbox }) => {
+      if (plugin[kind].includes(id)) {
+        checkbox.checked = true;
+        checkbox.disabled = true;
+      }
+    });
+    const installed = [...plugin.libraries, ...plugin.snippets];
+    document.getElementById('existingSummary').textContent =
+      `${plugin.options.name} ${plugin.options.version} (${plugin.slug}), ${plugin.modern ? 'modern' : 'classic'} structure. `
+      + `Installed: ${installed.length ? installed.join(', ') : 'no libraries or snippets'}.`;
+    existingPluginInfo.hidden = false;
+    closeExistingButton.hidden = false;
+  };
+
+  document.getElementById('openExistingButton').addEventListener('click', async () => {
+    const selected = await window.electronAPI.selectDirectory();
+    if (!selected) {
+      return;
+    }
+    const result = await window.electronAPI.inspectPlugin(selected);
+    if (!result.ok) {
+      setInlineStatus(existingStatus, 'Error: ' + result.error, 'error');
+      return;
+    }
+    closeExistingPlugin();
+    showExistingPlugin(selected, result);
+  });
+
+  closeExistingButton.addEventListener('click', closeExistingPlugin);
+
+  document.getElementById('reviewChangesButton').addEventListener('click', async () => {
+    resetExistingChanges();
+    const request = {
+      pluginDir: existingPluginDirInput.value,
+      libraries: [],
+      snippets: [],
+      templateDir: templateDirInput.value.trim()
+    };
+    componentCheckboxes().forEach(({ id, kind, checkbox }) => {
+      if (checkbox.checked && !checkbox.disabled) request[kind].push(id);
+    });
+    const libraries = collectLibraryConfig(request.libraries);
+    showFieldErrors(libraries.fieldErrors);
+    if (libraries.fieldErrors.length) {
+      setInlineStatus(existingStatus, 'Please fix the highlighted library settings.', 'error');
+      return;
+    }
+    request.libraryConfig = libraries.config;
+    if (request.snippets.includes('settings')) {
+      const settingsValidation = validateSettingsSection({ showSuccess: true });
+      if (!settingsValidation.valid) {
+        setInlineStatus(existingStatus, 'Please complete the required settings fields.', 'error');
+        return;
+      }
+      request.settingsConfig = settingsValidation.config;
+    }
+    if (request.snippets.includes('rest')) {
+      const rest = validateRestSection();
+      if (!rest.valid) {
+        setInlineStatus(existingStatus, 'Please fix the REST API routes.', 'error');
+        return;
+      }
+      request.restConfig = rest.config;
+    }
+    const result = await window.electronAPI.planPluginChanges(request);
+    if (!result.ok) {
+      setInlineStatus(existingStatus, 'Error: ' + result.error, 'error');
+      return;
+    }
+    existingPlan = { pluginDir: request.pluginDir, files: result.files };
+    existingChanges.replaceChildren(...result.files.map(renderDiff));
+    applyChangesButton.hidden = false;
+    setInlineStatus(existingStatus, `Adding ${result.added.join(', ')} changes ${result.files.length} files. Review the changes below, then apply them.`, 'neutral');
+  });
+
+  applyChangesButton.addEventListener('click', async () => {
+    if (!existingPlan) {
+      return;
+    }
+    const result = await window.electronAPI.applyPluginChanges(existingPlan);
+    if (!result.ok) {
+      setInlineStatus(existingStatus, 'Error: ' + result.error, 'error');
+      return;
+    }
+    const pluginDir = existingPlan.pluginDir;
+    resetExistingChanges();
+    // Re-read the plugin so the new components are locked as installed.
+    const inspected = await window.electronAPI.inspectPlugin(pluginDir);
+    if (inspected.ok) {
+      showExistingPlugin(pluginDir, inspected);
+    }
+    setInlineStatus(existingStatus, `Wrote ${result.written.length} files in ${pluginDir}.`, 'success');
+  });
+
+  const releasePluginDirInput = document.getElementById('releasePluginDir');
+  const releaseStatus = document.getElementById('releaseStatus');
+
+  document.getElementById('selectReleaseDirButton').addEventListener('click', async () => {
+    const selected = await window.electronAPI.selectDirectory();
+    if (selected) {
+      releasePluginDirInput.value = selected;
+    }
+  });
+
+  document.getElementById('releaseButton').addEventListener('click', async () => {
+    const pluginDir = releasePluginDirInput.value.trim();
+    if (!pluginDir) {
+      setInlineStatus(releaseStatus, 'Please choose the plugin directory to release.', 'error');
+      return;
+    }
+    setInlineStatus(releaseStatus, 'Building release...', 'neutral');
+    const result = await window.electronAPI.releasePlugin({
+      pluginDir,
+      bump: document.getElementById('releaseBump').value,
+      changelog: document.getElementById('releaseChangelog').value
+    });
+    if (result.ok) {
+      const bumped = result.version !== result.previousVersion
+        ? `Bumped ${result.previousVersion} to ${result.version}. `
+        : '';
+      setInlineStatus(releaseStatus, `${bumped}Packaged ${result.files.length} files into ${result.zipPath}`, 'success');
+    } else {
+      setInlineStatus(releaseStatus, 'Error: ' + result.error, 'error');
+    }
+  });
+
+  const validatePluginDirInput = document.getElementById('validatePluginDir');
+  const validateStatus = document.getElementById('validateStatus');
+  const validateReport = document.getElementById('validateReport');
+
+  document.getElementById('selectValidateDirButton').addEventListener('click', async () => {
+    const selected = await window.electronAPI.selectDirectory();
+    if (selected) {
+      validatePluginDirInput.value = selected;
+    }
+  });
+
+  document.getElementById('validateButton').addEventListener('click', async () => {
+    const pluginDir = validatePluginDirInput.value.trim();
+    renderLintReport(validateReport, null);
+    if (!pluginDir) {
+      setInlineStatus(validateStatus, 'Please choose the plugin directory to validate.', 'error');
+      return;
+    }
+    setInlineStatus(validateStatus, 'Validating...', 'neutral');
+    const result = await window.electronAPI.lintPlugin(pluginDir);
+    if (result.ok) {
+      setInlineStatus(validateStatus);
+      renderLintReport(validateReport, result);
+    } else {
+      setInlineStatus(validateStatus, 'Error: ' + result.error, 'error');
+    }
+  });
 });
@@ -0,0 +1,213 @@
+// Repeater widget.  Renders an editable list of items, each described
+// by the same set of fields, with add/remove buttons.  Used by the
+// builder sections of the form (post types, taxonomies, ...).  Field
+// types:
+//
+//   text, number, textarea  plain inputs (values are trimmed strings)
+//   checkbox                boolean
+//   select                  one of `options`
+//   multi                   several of `options`, as an array
+//   list                    comma-separated text, as an array
+//   repeater                a nested repeater, configured by `repeater`
+//
+// `options` is a list of `[value, label]` pairs.
+
+(function () {
+  let uid = 0;
+
+  const createField = (field, onChange) => {
+    uid += 1;
+    const id = `repeater-${field.key}-${uid}`;
+
+    if (field.type === 'checkbox') {
+      const label = document.createElement('label');
+      label.className = 'checkbox-field';
+      label.htmlFor = id;
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.id = id;
+      input.checked = Boolean(field.default);
+      input.addEventListener('change', onChange);
+      const text = document.createElement('span');
+      text.textContent = field.label;
+      label.append(input, text);
+      return {
+        element: label,
+        get: () => input.checked,
+        set: (value) => { input.checked = Boolean(value); }
+      };
+    }
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'form-field';
+    // Groups of controls get a caption instead of a <label>.
+    const isGroup = field.type === 'multi' || field.type === 'repeater';
+    const label = document.createElement(isGroup ? 'p' : 'label');
+    if (isGroup) {
+      label.className = 'repeater-field-label';
+    } else {
+      label.htmlFor = id;
+    }
+    label.textContent = field.label;
+    wrapper.append(label);
+
+    let control;
+    if (field.type === 'multi') {
+      const group = document.createElement('div');
+      group.className = 'checkbox-inline-list';
+      const boxes = field.options.map(([value, text]) => {
+        const option = document.createElement('label');
+        option.className = 'checkbox-field';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = value;
+        input.checked = (field.default || []).includes(value);
+        input.addEventListener('change', onChange);
+        const span = document.createElement('span');
+        span.textContent = text;
+        option.append(input, span);
+        group.append(option);
+        return input;
+      });
+      wrapper.append(group);
+      control = {
+        get: () => boxes.filter((box) => box.checked).map((box) => box.value),
+        set: (values) => {
+          const selected = Array.isArray(values) ? values : [];
+          boxes.forEach((box) => { box.checked = selected.includes(box.value); });
+        }
+      };
+    } else if (field.type === 'repeater') {
+      const nested = document.createElement('div');
+      wrapper.append(nested);
+      const repeater = window.createRepeater(nested, { ...field.repeater, onChange });
+      control = { get: () => repeater.getValue(), set: (values) => repeater.setValue(values) };
+    } else {
+      let input;
+      if (field.type === 'select') {
+        input = document.createElement('select');
+        field.options.forEach(([value, text]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = text;
+          input.append(option);
+        });
+      } else if (field.type === 'textarea') {
+        input = document.createElement('textarea');
+      } else {
+        input = document.createElement('input');
+        input.type = 'text';
+        if (field.type === 'number') input.inputMode = 'numeric';
+      }
+      input.id = id;
+      if (field.placeholder) input.placeholder = field.placeholder;
+      if (field.default !== undefined) {
+        input.value = Array.isArray(field.default) ? field.default.join(', ') : field.default;
+      }
+      input.addEventListener(field.type === 'select' ? 'change' : 'input', onChange);
+      wrapper.append(input);
+      if (field.type === 'list') {
+        control = {
+          get: () => input.value.split(',').map((part) => part.trim()).filter(Boolean),
+          set: (values) => { input.value = Array.isArray(values) ? values.join(', ') : ''; }
+        };
+      } else {
+        control = {
+          get: () => input.value.trim(),
+          set: (value) => { input.value = value === undefined || value === null ? '' : String(value); }
+        };
+      }
+    }
+    if (field.help) {
+      const help = document.createElement('p');
+      help.className = 'helper-text';
+      help.textContent = field.help;
+      wrapper.append(help);
+    }
+    return { element: wrapper, ...control };
+  };
+
+  /**
+   * Render a repeater into `container`.
+   *
+   * @param {HTMLElement} container Element to render into
+   * @param {object} config `{ fields, itemLabel, addLabel, onChange }`
+   * @returns {{ getValue: () => object[], setValue: (items: object[]) => void }}
+   */
+  window.createRepeater = (container, config) => {
+    const onChange = config.onChange || (() => {});
+    const rows = [];
+    const list = document.createElement('div');
+    list.className = 'repeater-list';
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'btn btn-secondary btn-small';
+    addButton.textContent = config.addLabel || `Add ${config.itemLabel.toLowerCase()}`;
+    container.classList.add('repeater');
+    container.replaceChildren(list, addButton);
+
+    const renumber = () => {
+      rows.forEach((row, index) => {
+        row.title.textContent = `${config.itemLabel} ${index + 1}`;
+      });
+    };
+
+    const addRow = (values) => {
+      const element = document.createElement('div');
+      element.className = 'repeater-item';
+      const header = document.createElement('div');
+      header.className = 'repeater-item__header';
+      const title = document.createElement('p');
+      title.className = 'repeater-item__title';
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-link';
+      remove.textContent = 'Remove';
+      header.append(title, remove);
+
+      const grid = document.createElement('div');
+      grid.className = 'input-grid auto-fit';
+      const controls = config.fields.map((field) => {
+        const control = createField(field, onChange);
+        if (field.type === 'repeater' || field.type === 'textarea' || field.wide) {
+          control.element.classList.add('repeater-wide');
+        }
+        grid.append(control.element);
+        return { field, control };
+      });
+      element.append(header, grid);
+      list.append(element);
+
+      const row = { element, title, controls };
+      rows.push(row);
+      remove.addEventListener('click', () => {
+        rows.splice(rows.indexOf(row), 1);
+        element.remove();
+        renumber();
+        onChange();
+      });
+      if (values) {
+        controls.forEach(({ field, control }) => {
+          if (values[field.key] !== undefined) control.set(values[field.key]);
+        });
+      }
+      renumber();
+      return row;
+    };
+
+    addButton.addEventListener('click', () => {
+      addRow();
+      onChange();
+    });
+
+    return {
+      getValue: () => rows.map((row) => Object.fromEntries(
+        row.controls.map(({ field, control }) => [field.key, control.get()])
+      )),
+      setValue: (items) => {
+        rows.splice(0).forEach((row) => row.element.remove());
+        (Array.isArray(items) ? items : []).forEach((item) => addRow(item));
+      }
+    };
+  };
+})();
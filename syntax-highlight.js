@@ -0,0 +1,133 @@
+// Minimal syntax highlighter for the file preview.  Turns source text
+// into HTML with `tok-*` spans for the handful of languages the
+// generator produces (PHP, JavaScript, JSON, CSS and readme.txt).  It
+// is a tokenizer, not a parser, which is plenty for generated code.
+
+(function () {
+  const KEYWORDS = {
+    php: [
+      'abstract', 'array', 'as', 'break', 'case', 'catch', 'class', 'const', 'continue',
+      'declare', 'default', 'defined', 'do', 'echo', 'else', 'elseif', 'empty', 'exit',
+      'extends', 'false', 'final', 'finally', 'fn', 'for', 'foreach', 'function', 'global',
+      'if', 'implements', 'instanceof', 'interface', 'isset', 'namespace', 'new', 'null',
+      'private', 'protected', 'public', 'require', 'require_once', 'include', 'include_once',
+      'return', 'self', 'static', 'switch', 'throw', 'trait', 'true', 'try', 'unset', 'use',
+      'while'
+    ],
+    js: [
+      'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default',
+      'delete', 'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'from',
+      'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'null', 'of', 'return',
+      'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined', 'var',
+      'void', 'while', 'yield'
+    ],
+    json: ['true', 'false', 'null'],
+    css: ['important']
+  };
+
+  // Ordered token rules per language.  The first alternative that
+  // matches at a position wins.
+  const RULES = {
+    php: [
+      ['comment', /\/\*[\s\S]*?\*\/|\/\/[^\n]*|#[^\n]*/],
+      ['string', /'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"/],
+      ['variable', /\$[A-Za-z_]\w*/],
+      ['number', /\b\d+(?:\.\d+)?\b/],
+      ['word', /[A-Za-z_]\w*/]
+    ],
+    js: [
+      ['comment', /\/\*[\s\S]*?\*\/|\/\/[^\n]*/],
+      ['string', /'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|`(?:\\.|[^`\\])*`/],
+      ['number', /\b\d+(?:\.\d+)?\b/],
+      ['word', /[A-Za-z_$][\w$]*/]
+    ],
+    json: [
+      ['property', /"(?:\\.|[^"\\])*"(?=\s*:)/],
+      ['string', /"(?:\\.|[^"\\])*"/],
+      ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+      ['word', /[A-Za-z_]\w*/]
+    ],
+    css: [
+      ['comment', /\/\*[\s\S]*?\*\//],
+      ['string', /'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"/],
+      ['property', /[a-z-]+(?=\s*:)/],
+      ['number', /-?\b\d+(?:\.\d+)?(?:px|em|rem|%)?/],
+      ['word', /[A-Za-z_][\w-]*/]
+    ],
+    readme: [
+      ['heading', /^=+ .*? =+$/m],
+      ['property', /^[A-Z][A-Za-z ]+:(?= )/m]
+    ]
+  };
+
+  const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  const compiled = {};
+  const getMatcher = (language) => {
+    if (!compiled[language]) {
+      const rules = RULES[language];
+      const source = rules.map(([, regex]) => `(${regex.source})`).join('|');
+      compiled[language] = {
+        regex: new RegExp(source, 'gm'),
+        names: rules.map(([name]) => name),
+        keywords: new Set(KEYWORDS[language] || [])
+      };
+    }
+    return compiled[language];
+  };
+
+  /**
+   * Pick a highlighter language from a file path.
+   *
+   * @param {string} filePath File path (any separator)
+   * @returns {string} Language key, or 'text' for plain output
+   */
+  const languageForPath = (filePath) => {
+    const lower = filePath.toLowerCase();
+    if (lower.endsWith('.php')) return 'php';
+    if (/\.(?:js|jsx|mjs|cjs)$/.test(lower)) return 'js';
+    if (lower.endsWith('.json')) return 'json';
+    if (/\.(?:css|scss)$/.test(lower)) return 'css';
+    if (/(^|\/)readme\.txt$/.test(lower)) return 'readme';
+    return 'text';
+  };
+
+  /**
+   * Highlight source code and return safe HTML.
+   *
+   * @param {string} code Source text
+   * @param {string} language Language key from languageForPath()
+   * @returns {string} HTML markup
+   */
+  const highlightSource = (code, language) => {
+    if (!RULES[language]) {
+      return escapeHtml(code);
+    }
+    const { regex, names, keywords } = getMatcher(language);
+    let html = '';
+    let lastIndex = 0;
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(code)) !== null) {
+      if (match[0] === '') {
+        regex.lastIndex += 1;
+        continue;
+      }
+      html += escapeHtml(code.slice(lastIndex, match.index));
+      const groupIndex = match.slice(1).findIndex((group) => group !== undefined);
+      let type = names[groupIndex];
+      if (type === 'word') {
+        type = keywords.has(match[0].toLowerCase()) ? 'keyword' : null;
+      }
+      const text = escapeHtml(match[0]);
+      html += type ? `<span class="tok-${type}">${text}</span>` : text;
+      lastIndex = regex.lastIndex;
+    }
+    return html + escapeHtml(code.slice(lastIndex));
+  };
+
+  window.syntaxHighlight = { languageForPath, highlightSource };
+})();
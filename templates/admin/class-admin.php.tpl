@@ -0,0 +1,262 @@
+<?php
+{{> namespace}}
+/**
+ * Define the admin area functionality of the plugin.
+ *
+ * @since      1.0.0
+ */
+class {{classes.admin}} {
+    protected $plugin_name;
+    protected $version;
+{{#if assets.pipeline}}
+    protected $build_path;
+    protected $build_url;
+{{else}}
+    protected $assets_url;
+{{/if}}
+{{#if adminUi.listTables}}
+    protected $list_tables = array();
+{{/if}}
+    public function __construct( $plugin_name, $version ) {
+        $this->plugin_name = $plugin_name;
+        $this->version     = $version;
+{{#if assets.pipeline}}
+        $this->build_path  = plugin_dir_path( __DIR__ ) . 'build/';
+        $this->build_url   = plugin_dir_url( __DIR__ ) . 'build/';
+{{else}}
+{{#if modern}}
+        $this->assets_url  = plugin_dir_url( __DIR__ ) . 'admin/';
+{{else}}
+        $this->assets_url  = plugin_dir_url( __FILE__ );
+{{/if}}
+{{/if}}
+    }
+{{#if assets.pipeline}}
+{{#if assets.admin.pluginOnly}}
+    public function enqueue_styles( $hook_suffix ) {
+        if ( ! $this->is_plugin_screen( $hook_suffix ) ) {
+            return;
+        }
+{{else}}
+    public function enqueue_styles() {
+{{/if}}
+        $asset = $this->get_asset();
+        if ( $asset && file_exists( $this->build_path . 'admin.css' ) ) {
+            wp_enqueue_style( $this->plugin_name, $this->build_url . 'admin.css', array(), $asset['version'], 'all' );
+        }
+    }
+{{#if assets.admin.pluginOnly}}
+    public function enqueue_scripts( $hook_suffix ) {
+        if ( ! $this->is_plugin_screen( $hook_suffix ) ) {
+            return;
+        }
+{{else}}
+    public function enqueue_scripts() {
+{{/if}}
+        $asset = $this->get_asset();
+        if ( ! $asset ) {
+            return;
+        }
+        wp_enqueue_script( $this->plugin_name, $this->build_url . 'admin.js', $asset['dependencies'], $asset['version'], true );
+        wp_set_script_translations( $this->plugin_name, '{{textDomain}}', plugin_dir_path( __DIR__ ) . 'languages' );
+{{#if adminUi.scriptActions}}
+        $this->localize_script();
+{{/if}}
+    }
+    /**
+     * The dependencies and version of build/admin.js, from the manifest
+     * `npm run build` writes next to it.
+     *
+     * @return array|null Null until the assets are built.
+     */
+    private function get_asset() {
+        $asset_file = $this->build_path . 'admin.asset.php';
+        return file_exists( $asset_file ) ? require $asset_file : null;
+    }
+{{else}}
+{{#if assets.admin.pluginOnly}}
+    public function enqueue_styles( $hook_suffix ) {
+        if ( ! $this->is_plugin_screen( $hook_suffix ) ) {
+            return;
+        }
+{{else}}
+    public function enqueue_styles() {
+{{/if}}
+        wp_enqueue_style( $this->plugin_name, $this->assets_url . 'css/{{slug}}-admin.css', array(), $this->version, 'all' );
+    }
+{{#if assets.admin.pluginOnly}}
+    public function enqueue_scripts( $hook_suffix ) {
+        if ( ! $this->is_plugin_screen( $hook_suffix ) ) {
+            return;
+        }
+{{else}}
+    public function enqueue_scripts() {
+{{/if}}
+        wp_enqueue_script( $this->plugin_name, $this->assets_url . 'js/{{slug}}-admin.js', array( 'jquery', 'wp-i18n' ), $this->version, false );
+        wp_set_script_translations( $this->plugin_name, '{{textDomain}}', plugin_dir_path( __DIR__ ) . 'languages' );
+{{#if adminUi.scriptActions}}
+        $this->localize_script();
+{{/if}}
+    }
+{{/if}}
+{{#if adminUi.scriptActions}}
+    /**
+     * Pass the admin-ajax URL and the AJAX handlers' actions and nonces to
+     * the admin script as `{{adminUi.jsObject}}`.
+     */
+    protected function localize_script() {
+        wp_localize_script(
+            $this->plugin_name,
+            '{{adminUi.jsObject}}',
+            array(
+                'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+                'ajax'    => array(
+{{#each adminUi.scriptActions}}
+                    '{{name}}' => array(
+                        'action' => '{{action}}',
+                        'nonce'  => wp_create_nonce( '{{action}}' ),
+                    ),
+{{/each}}
+                ),
+            )
+        );
+    }
+{{/if}}
+{{#if adminUi.listTables}}
+    /**
+     * Add the list table screens to the admin menu. Each screen's list
+     * table is created, and its bulk actions handled, when the screen
+     * loads.
+     */
+    public function add_menu_pages() {
+{{#each adminUi.listTables}}
+{{#if parentMenu}}
+        $hook = add_submenu_page(
+            '{{parentMenu}}',
+{{else}}
+        $hook = add_menu_page(
+{{/if}}
+            __( '{{title}}', '{{textDomain}}' ),
+            __( '{{title}}', '{{textDomain}}' ),
+            '{{capability}}',
+            '{{pageSlug}}',
+{{#if parentMenu}}
+            array( $this, 'render_{{name}}_page' )
+{{else}}
+            array( $this, 'render_{{name}}_page' ),
+            'dashicons-list-view'
+{{/if}}
+        );
+        add_action( 'load-' . $hook, array( $this, 'load_{{name}}_page' ) );
+{{/each}}
+    }
+{{#each adminUi.listTables}}
+    public function load_{{name}}_page() {
+        $this->list_tables['{{name}}'] = new {{fqcn}}();
+{{#if bulkActions}}
+        $this->list_tables['{{name}}']->process_bulk_action();
+{{/if}}
+    }
+    public function render_{{name}}_page() {
+        $list_table = $this->list_tables['{{name}}'];
+        $list_table->prepare_items();
+        ?>
+        <div class="wrap">
+            <h1><?php echo esc_html( get_admin_page_title() ); ?></h1>
+            <form method="get" class="{{slug}}-list-table"{{#if confirmActions}} data-confirm="{{confirmActions}}"{{/if}}>
+                <input type="hidden" name="page" value="{{pageSlug}}" />
+                <?php $list_table->display(); ?>
+            </form>
+        </div>
+        <?php
+    }
+{{/each}}
+{{/if}}
+{{#if adminUi.notices}}
+    /**
+     * Show the notices queued with {{adminUi.notices.fqcn}}::add().
+     */
+    public function display_notices() {
+{{#if assets.admin.pluginOnly}}
+        // Dismissals are sent by the admin script, which is only loaded
+        // on the plugin's own screens.
+        if ( ! $this->is_plugin_screen( $GLOBALS['hook_suffix'] ) ) {
+            return;
+        }
+{{/if}}
+        {{adminUi.notices.fqcn}}::display();
+    }
+    /**
+     * Handle the '{{adminUi.notices.dismissAction}}' AJAX request: remember that the current
+     * user dismissed a notice.
+     */
+    public function dismiss_notice() {
+        check_ajax_referer( '{{adminUi.notices.dismissAction}}' );
+        $id = isset( $_POST['notice'] ) ? sanitize_key( wp_unslash( $_POST['notice'] ) ) : '';
+        if ( '' === $id ) {
+            wp_send_json_error( null, 400 );
+        }
+        {{adminUi.notices.fqcn}}::dismiss( $id );
+        wp_send_json_success();
+    }
+{{/if}}
+{{#each adminUi.actions}}
+{{#if ajax}}
+    /**
+     * Handle the '{{action}}' AJAX request.{{#if description}} {{description}}{{/if}}
+     *
+     * The admin script sends it with {{adminUi.jsObject}}.sendAjax( '{{name}}', data ).
+     */
+    public function {{method}}() {
+        check_ajax_referer( '{{action}}' );
+        if ( ! current_user_can( '{{capability}}' ) ) {
+            wp_send_json_error( array( 'message' => __( 'You are not allowed to do this.', '{{textDomain}}' ) ), 403 );
+        }
+        // Read the request from $_POST with wp_unslash(), sanitize it and do the work.
+        wp_send_json_success( array( 'message' => __( 'Done.', '{{textDomain}}' ) ) );
+    }
+{{else}}
+    /**
+     * Handle the '{{action}}' form, posted to admin-post.php.{{#if description}} {{description}}{{/if}}
+     *
+     *     <form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+     *         <input type="hidden" name="action" value="{{action}}" />
+     *         <?php wp_nonce_field( '{{action}}' ); ?>
+     *     </form>
+     */
+    public function {{method}}() {
+        check_admin_referer( '{{action}}' );
+        if ( ! current_user_can( '{{capability}}' ) ) {
+            wp_die( esc_html__( 'You are not allowed to do this.', '{{textDomain}}' ), '', array( 'response' => 403 ) );
+        }
+        // Read the form from $_POST with wp_unslash(), sanitize it and do the work.
+        wp_safe_redirect( wp_get_referer() ? wp_get_referer() : admin_url() );
+        exit;
+    }
+{{/if}}
+{{/each}}
+{{#if assets.admin.pluginOnly}}
+    /**
+     * Whether an admin screen is one of the plugin's own: its menu pages
+     * and the screens of its post types and taxonomies.  Use the
+     * '{{functionPrefix}}_is_plugin_screen' filter to add others.
+     *
+     * @param string $hook_suffix The current admin page.
+     * @return bool
+     */
+    public function is_plugin_screen( $hook_suffix ) {
+        $screen    = get_current_screen();
+        $is_plugin = false;
+{{#if assets.admin.pages}}
+        $is_plugin = $is_plugin || ( isset( $GLOBALS['plugin_page'] ) && in_array( $GLOBALS['plugin_page'], {{assets.admin.pages}}, true ) );
+{{/if}}
+{{#if assets.admin.postTypes}}
+        $is_plugin = $is_plugin || ( $screen && in_array( $screen->post_type, {{assets.admin.postTypes}}, true ) );
+{{/if}}
+{{#if assets.admin.taxonomies}}
+        $is_plugin = $is_plugin || ( $screen && in_array( $screen->taxonomy, {{assets.admin.taxonomies}}, true ) );
+{{/if}}
+        return (bool) apply_filters( '{{functionPrefix}}_is_plugin_screen', $is_plugin, $hook_suffix, $screen );
+    }
+{{/if}}
+}
@@ -0,0 +1,12 @@
+/* global wp */
+// Admin scripts. Translate strings with the __() function of wp.i18n and
+// the '{{textDomain}}' text domain.
+{{#if adminUi.script}}
+( function () {
+{{#if adminUi.confirmBulkActions}}
+	const { __, sprintf } = wp.i18n;
+
+{{/if}}
+	{{> admin-ui-script}}
+} )();
+{{/if}}
@@ -0,0 +1,13 @@
+/**
+ * Admin scripts, built into build/admin.js by `npm run build`.  The
+ * WordPress packages imported here, e.g. __() from @wordpress/i18n with
+ * the '{{textDomain}}' text domain, are loaded as its dependencies.
+ */
+{{#if adminUi.confirmBulkActions}}
+import { __, sprintf } from '@wordpress/i18n';
+{{/if}}
+import './index.scss';
+{{#if adminUi.script}}
+
+{{> admin-ui-script}}
+{{/if}}
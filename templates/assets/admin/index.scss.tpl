@@ -0,0 +1 @@
+// Admin styles, built into build/admin.css.
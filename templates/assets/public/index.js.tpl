@@ -0,0 +1,6 @@
+/**
+ * Public scripts, built into build/public.js by `npm run build`.  The
+ * WordPress packages imported here, e.g. __() from @wordpress/i18n with
+ * the '{{textDomain}}' text domain, are loaded as its dependencies.
+ */
+import './index.scss';
@@ -0,0 +1 @@
+// Public styles, built into build/public.css.
@@ -0,0 +1,19 @@
+{
+	"$schema": "https://schemas.wp.org/trunk/block.json",
+	"apiVersion": 3,
+	"name": "{{block.fullName}}",
+	"version": {{json.version}},
+	"title": "{{block.titleJson}}",
+	"category": "{{block.category}}",
+	"icon": "{{block.icon}}",
+	"description": "{{block.descriptionJson}}",
+	"attributes": {{block.attributesJson}},
+	"supports": {
+		"html": false
+	},
+	"textdomain": "{{textDomain}}",
+{{#if block.dynamic}}
+	"render": "file:./render.php",
+{{/if}}
+	"editorScript": "file:./index.js"
+}
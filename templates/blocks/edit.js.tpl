@@ -0,0 +1,31 @@
+/**
+ * Editor view of the {{block.fullName}} block.
+ */
+import { __ } from '@wordpress/i18n';
+{{#if block.controls}}
+import { InspectorControls, useBlockProps } from '@wordpress/block-editor';
+import { {{block.componentImports}} } from '@wordpress/components';
+
+export default function Edit( { attributes, setAttributes } ) {
+	const blockProps = useBlockProps();
+
+	return (
+		<>
+			{{> block-controls}}
+			<p { ...blockProps }>
+				{ __( '{{block.title}}', '{{textDomain}}' ) }
+			</p>
+		</>
+	);
+}
+{{else}}
+import { useBlockProps } from '@wordpress/block-editor';
+
+export default function Edit() {
+	return (
+		<p { ...useBlockProps() }>
+			{ __( '{{block.title}}', '{{textDomain}}' ) }
+		</p>
+	);
+}
+{{/if}}
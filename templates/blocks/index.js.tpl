@@ -0,0 +1,30 @@
+/**
+ * Registers the {{block.fullName}} block in the editor.  Settings
+ * such as the title and attributes live in block.json.
+ */
+import { registerBlockType } from '@wordpress/blocks';
+{{#if block.innerBlocks}}
+import { InnerBlocks } from '@wordpress/block-editor';
+{{/if}}
+
+import Edit from './edit';
+{{#unless block.dynamic}}
+import save from './save';
+{{/unless}}
+import metadata from './block.json';
+
+registerBlockType( metadata.name, {
+	edit: Edit,
+{{#if block.innerBlocks}}
+	// Rendered on the server by render.php; only the inner blocks are
+	// saved, and passed to it as $content.
+	save: () => <InnerBlocks.Content />,
+{{else}}
+{{#if block.dynamic}}
+	// Rendered on the server by render.php.
+	save: () => null,
+{{else}}
+	save,
+{{/if}}
+{{/if}}
+} );
@@ -0,0 +1,12 @@
+<?php
+/**
+ * Server-side rendering of the {{block.fullName}} block.
+ *
+ * @var array    $attributes Block attributes.
+ * @var string   $content    Block default content.
+ * @var WP_Block $block      Block instance.
+ */
+?>
+<p <?php echo get_block_wrapper_attributes(); ?>>
+	<?php esc_html_e( '{{block.title}}', '{{textDomain}}' ); ?>
+</p>
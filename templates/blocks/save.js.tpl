@@ -0,0 +1,14 @@
+/**
+ * Markup saved into post content for the {{block.fullName}} block.
+ * Saved markup is not translated: changing it later would invalidate
+ * existing blocks.
+ */
+import { useBlockProps } from '@wordpress/block-editor';
+
+export default function save() {
+	return (
+		<p { ...useBlockProps.save() }>
+			{ '{{block.title}}' }
+		</p>
+	);
+}
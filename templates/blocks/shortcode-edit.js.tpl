@@ -0,0 +1,41 @@
+/**
+ * Editor view of the {{block.fullName}} block, which wraps the
+ * [{{block.shortcode.tag}}] shortcode.
+ */
+{{#if block.controls}}
+import { __ } from '@wordpress/i18n';
+import { {{#if block.innerBlocks}}InnerBlocks, {{/if}}InspectorControls, useBlockProps } from '@wordpress/block-editor';
+import { {{block.componentImports}} } from '@wordpress/components';
+{{else}}
+import { {{#if block.innerBlocks}}InnerBlocks, {{/if}}useBlockProps } from '@wordpress/block-editor';
+{{/if}}
+{{#unless block.innerBlocks}}
+import ServerSideRender from '@wordpress/server-side-render';
+{{/unless}}
+
+{{#if block.controls}}
+export default function Edit( { attributes, setAttributes } ) {
+{{else}}
+{{#if block.innerBlocks}}
+export default function Edit() {
+{{else}}
+export default function Edit( { attributes } ) {
+{{/if}}
+{{/if}}
+	const blockProps = useBlockProps();
+
+	return (
+		<>
+{{#if block.controls}}
+			{{> block-controls}}
+{{/if}}
+			<div { ...blockProps }>
+{{#if block.innerBlocks}}
+				<InnerBlocks />
+{{else}}
+				<ServerSideRender block="{{block.fullName}}" attributes={ attributes } />
+{{/if}}
+			</div>
+		</>
+	);
+}
@@ -0,0 +1,24 @@
+<?php
+/**
+ * Server-side rendering of the {{block.fullName}} block: the output of
+ * the [{{block.shortcode.tag}}] shortcode, given the block's attributes.
+ *
+ * @var array    $attributes Block attributes.
+{{#if block.innerBlocks}}
+ * @var string   $content    The inner blocks, enclosed by the shortcode.
+{{else}}
+ * @var string   $content    Block default content.
+{{/if}}
+ * @var WP_Block $block      Block instance.
+ */
+
+// The registered handler, so the block follows a shortcode replaced
+// with remove_shortcode() and add_shortcode().
+$handler = isset( $GLOBALS['shortcode_tags']['{{block.shortcode.tag}}'] ) ? $GLOBALS['shortcode_tags']['{{block.shortcode.tag}}'] : null;
+if ( ! is_callable( $handler ) ) {
+	return;
+}
+?>
+<div <?php echo get_block_wrapper_attributes(); ?>>
+	<?php echo call_user_func( $handler, $attributes, {{#if block.innerBlocks}}$content{{else}}null{{/if}}, '{{block.shortcode.tag}}' ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped by the shortcode template. ?>
+</div>
@@ -0,0 +1,61 @@
+<?php
+{{> namespace}}
+{{#if fileNamespace}}
+use WP_CLI;
+
+{{/if}}
+// Registered as `wp {{cliCommand.name}}` from the main plugin file when
+// WP-CLI is running. Each public method is a subcommand; WP-CLI reads the
+// synopsis under `## OPTIONS` to parse and validate its arguments, and
+// shows these docblocks as the command's help.
+
+/**
+ * {{cliCommand.description}}
+ */
+class {{className}} {
+{{#each cliCommand.subcommands}}
+{{#unless @first}}
+
+{{/unless}}
+    /**
+     * {{description}}
+{{#if args}}
+     *
+     * ## OPTIONS
+{{#each args}}
+     *
+     * {{token}}
+     * : {{description}}
+{{#if defaultValue}}
+     * ---
+     * default: {{defaultValue}}
+     * ---
+{{/if}}
+{{/each}}
+{{/if}}
+     *
+     * ## EXAMPLES
+     *
+     *     {{example}}
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function {{method}}( $args, $assoc_args ) {
+{{#each args}}
+        {{assignment}}
+{{/each}}
+{{#if args}}
+
+{{/if}}
+        // Do the work here and return a WP_Error to report a failure.
+        $result = true;
+
+        if ( is_wp_error( $result ) ) {
+            WP_CLI::error( $result );
+        }
+
+        WP_CLI::success( __( '{{successMessage}}', '{{textDomain}}' ) );
+    }
+{{/each}}
+}
@@ -0,0 +1,53 @@
+<?php
+{{> namespace}}
+/**
+ * Register the plugin's custom post types and taxonomies.
+ *
+ * The core class hooks register() to `init` through the Loader. The
+ * Activator also calls it so rewrite rules can be flushed on activation.
+ *
+ * @since      1.0.0
+ */
+class {{className}} {
+    public function register() {
+        $this->register_post_types();
+        $this->register_taxonomies();
+    }
+
+    public function register_post_types() {
+{{#each postTypes}}
+        register_post_type(
+            '{{slug}}',
+            array(
+                'labels' => array(
+{{#each labels}}
+                    '{{key}}' => __( '{{text}}', '{{textDomain}}' ),
+{{/each}}
+                ),
+{{#each args}}
+                '{{key}}' => {{value}},
+{{/each}}
+            )
+        );
+{{/each}}
+    }
+
+    public function register_taxonomies() {
+{{#each taxonomies}}
+        register_taxonomy(
+            '{{slug}}',
+            {{objectTypes}},
+            array(
+                'labels' => array(
+{{#each labels}}
+                    '{{key}}' => __( '{{text}}', '{{textDomain}}' ),
+{{/each}}
+                ),
+{{#each args}}
+                '{{key}}' => {{value}},
+{{/each}}
+            )
+        );
+{{/each}}
+    }
+}
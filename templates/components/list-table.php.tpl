@@ -0,0 +1,136 @@
+<?php
+{{> namespace}}
+if ( ! class_exists( 'WP_List_Table' ) ) {
+    require_once ABSPATH . 'wp-admin/includes/class-wp-list-table.php';
+}
+
+/**
+ * The {{table.titleComment}} list table.
+ *
+ * Shown on the {{table.pageSlug}} admin page, which the admin class adds
+ * to the menu. Rows come from get_items(); fill it in with the plugin's
+ * query. Bulk actions are handled by process_bulk_action() before the
+ * page is shown.
+ *
+ * @since      1.0.0
+ */
+class {{className}} extends \WP_List_Table {
+    public function __construct() {
+        parent::__construct(
+            array(
+                'singular' => '{{table.singular}}',
+                'plural'   => '{{table.plural}}',
+                'ajax'     => false,
+            )
+        );
+    }
+
+    public function get_columns() {
+        return array(
+{{#if table.bulkActions}}
+            'cb' => '<input type="checkbox" />',
+{{/if}}
+{{#each table.columns}}
+            '{{name}}' => __( '{{label}}', '{{textDomain}}' ),
+{{/each}}
+        );
+    }
+
+    public function get_sortable_columns() {
+{{#if table.sortable}}
+        return array(
+{{#each table.sortable}}
+            '{{name}}' => array( '{{name}}', false ),
+{{/each}}
+        );
+{{else}}
+        return array();
+{{/if}}
+    }
+{{#if table.bulkActions}}
+
+    public function get_bulk_actions() {
+        return array(
+{{#each table.bulkActions}}
+            '{{name}}' => __( '{{label}}', '{{textDomain}}' ),
+{{/each}}
+        );
+    }
+
+    /**
+     * Run the chosen bulk action on the checked rows, then go back to the
+     * list without the action in the URL.
+     */
+    public function process_bulk_action() {
+        $action = $this->current_action();
+        if ( ! $action || ! array_key_exists( $action, $this->get_bulk_actions() ) ) {
+            return;
+        }
+        check_admin_referer( 'bulk-' . $this->_args['plural'] );
+        if ( ! current_user_can( '{{table.capability}}' ) ) {
+            wp_die( esc_html__( 'You are not allowed to do this.', '{{textDomain}}' ), '', array( 'response' => 403 ) );
+        }
+        $ids = isset( $_REQUEST['{{table.singular}}'] ) ? array_map( 'absint', (array) wp_unslash( $_REQUEST['{{table.singular}}'] ) ) : array();
+
+        switch ( $action ) {
+{{#each table.bulkActions}}
+            case '{{name}}':
+                // Apply '{{name}}' to the rows in $ids.
+                break;
+{{/each}}
+        }
+
+        wp_safe_redirect( remove_query_arg( array( 'action', 'action2', '{{table.singular}}', '_wpnonce', '_wp_http_referer' ) ) );
+        exit;
+    }
+
+    public function column_cb( $item ) {
+        return sprintf( '<input type="checkbox" name="{{table.singular}}[]" value="%d" />', absint( $item['id'] ) );
+    }
+{{/if}}
+
+    public function column_default( $item, $column_name ) {
+        return isset( $item[ $column_name ] ) ? esc_html( $item[ $column_name ] ) : '';
+    }
+
+    public function prepare_items() {
+        $per_page = {{table.perPage}};
+        $sortable = $this->get_sortable_columns();
+        $orderby  = isset( $_GET['orderby'] ) ? sanitize_key( wp_unslash( $_GET['orderby'] ) ) : '';
+        $order    = isset( $_GET['order'] ) && 'desc' === strtolower( sanitize_key( wp_unslash( $_GET['order'] ) ) ) ? 'desc' : 'asc';
+
+        $this->_column_headers = array( $this->get_columns(), array(), $sortable, $this->get_primary_column_name() );
+
+        $result      = $this->get_items(
+            array(
+                'per_page' => $per_page,
+                'paged'    => $this->get_pagenum(),
+                'orderby'  => isset( $sortable[ $orderby ] ) ? $orderby : '{{table.defaultOrderby}}',
+                'order'    => $order,
+            )
+        );
+        $this->items = $result['items'];
+        $this->set_pagination_args(
+            array(
+                'total_items' => $result['total'],
+                'per_page'    => $per_page,
+                'total_pages' => (int) ceil( $result['total'] / $per_page ),
+            )
+        );
+    }
+
+    /**
+     * One page of rows, each an array keyed by column name and by 'id',
+     * the value of the row's checkbox.
+     *
+     * @param array $args `per_page`, `paged` (from 1), `orderby` (a sortable
+     *                    column or '') and `order` ('asc' or 'desc').
+     * @return array `items`, the rows, and `total`, the number of rows on all pages.
+     */
+    protected function get_items( $args ) {
+        return array(
+            'items' => array(),
+            'total' => 0,
+        );
+    }
+}
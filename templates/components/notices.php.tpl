@@ -0,0 +1,94 @@
+<?php
+{{> namespace}}
+/**
+ * Admin notices that each user can dismiss for good.
+ *
+ * Add a notice before `admin_notices`, e.g. on `admin_init`, with a
+ * translated message:
+ *
+ *     {{className}}::add( 'welcome', $message, 'success' );
+ *
+ * The admin class shows the queued notices and saves dismissals, which
+ * the admin script sends when a notice's dismiss button is clicked.
+ * Dismissed notice ids are kept in the `{{adminUi.notices.metaKey}}`
+ * user meta.
+ *
+ * @since      1.0.0
+ */
+class {{className}} {
+    const META_KEY = '{{adminUi.notices.metaKey}}';
+
+    protected static $notices = array();
+
+    /**
+     * Queue a notice for the current request.
+     *
+     * @param string $id          Notice id; dismissals are remembered by id.
+     * @param string $message     Message, may contain links and inline markup.
+     * @param string $type        'info', 'success', 'warning' or 'error'.
+     * @param bool   $dismissible Whether users can dismiss it for good.
+     */
+    public static function add( $id, $message, $type = 'info', $dismissible = true ) {
+        self::$notices[ sanitize_key( $id ) ] = array(
+            'message'     => $message,
+            'type'        => in_array( $type, array( 'info', 'success', 'warning', 'error' ), true ) ? $type : 'info',
+            'dismissible' => $dismissible,
+        );
+    }
+
+    /**
+     * Print the queued notices the current user has not dismissed.
+     */
+    public static function display() {
+        foreach ( self::$notices as $id => $notice ) {
+            if ( $notice['dismissible'] && self::is_dismissed( $id ) ) {
+                continue;
+            }
+            printf(
+                '<div class="notice notice-%1$s%2$s {{slug}}-notice" data-notice-id="%3$s"><p>%4$s</p></div>',
+                esc_attr( $notice['type'] ),
+                $notice['dismissible'] ? ' is-dismissible' : '',
+                esc_attr( $id ),
+                wp_kses_post( $notice['message'] )
+            );
+        }
+    }
+
+    /**
+     * @param string $id      Notice id.
+     * @param int    $user_id User; the current one by default.
+     * @return bool
+     */
+    public static function is_dismissed( $id, $user_id = 0 ) {
+        return in_array( sanitize_key( $id ), self::get_dismissed( $user_id ), true );
+    }
+
+    /**
+     * Stop showing a notice to a user.
+     *
+     * @param string $id      Notice id.
+     * @param int    $user_id User; the current one by default.
+     */
+    public static function dismiss( $id, $user_id = 0 ) {
+        $user_id     = $user_id ? $user_id : get_current_user_id();
+        $dismissed   = self::get_dismissed( $user_id );
+        $dismissed[] = sanitize_key( $id );
+        update_user_meta( $user_id, self::META_KEY, array_values( array_unique( $dismissed ) ) );
+    }
+
+    /**
+     * Show a dismissed notice to a user again.
+     *
+     * @param string $id      Notice id.
+     * @param int    $user_id User; the current one by default.
+     */
+    public static function restore( $id, $user_id = 0 ) {
+        $user_id = $user_id ? $user_id : get_current_user_id();
+        update_user_meta( $user_id, self::META_KEY, array_values( array_diff( self::get_dismissed( $user_id ), array( sanitize_key( $id ) ) ) ) );
+    }
+
+    protected static function get_dismissed( $user_id ) {
+        $dismissed = get_user_meta( $user_id ? $user_id : get_current_user_id(), self::META_KEY, true );
+        return is_array( $dismissed ) ? $dismissed : array();
+    }
+}
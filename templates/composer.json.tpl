@@ -0,0 +1,54 @@
+{
+    "name": "{{composerName}}",
+    "description": {{json.description}},
+    "type": "wordpress-plugin",
+{{#if opts.author}}
+    "authors": [
+        {
+{{#if opts.authorUri}}
+            "name": {{json.author}},
+            "homepage": {{json.authorUri}}
+{{else}}
+            "name": {{json.author}}
+{{/if}}
+        }
+    ],
+{{/if}}
+    "require": {
+{{#each composerRequire}}
+        {{this}}{{#unless @last}},{{/unless}}
+{{/each}}
+    },
+{{#if quality.composerRequireDev}}
+    "require-dev": {
+{{#each quality.composerRequireDev}}
+        {{this}}{{#unless @last}},{{/unless}}
+{{/each}}
+    },
+    "scripts": {
+{{#each quality.composerScripts}}
+        {{this}}{{#unless @last}},{{/unless}}
+{{/each}}
+    },
+{{/if}}
+{{#if quality.phpcs}}
+    "config": {
+        "allow-plugins": {
+            "dealerdirect/phpcodesniffer-composer-installer": true
+        }
+    },
+{{/if}}
+    "autoload": {
+{{#if modern}}
+        "psr-4": {
+            "{{composerAutoloadPrefix}}": "src/"
+        }
+{{else}}
+        "classmap": [
+            "includes/",
+            "admin/",
+            "public/"
+        ]
+{{/if}}
+    }
+}
@@ -0,0 +1,24 @@
+# Files left out of the release zip, one pattern per line.  A pattern
+# starting with / only matches at the plugin root; * matches any part
+# of a name.  Directories are left out with everything in them.
+/.distignore
+/.git
+/.github
+/.gitignore
+/bin
+/blocks
+/node_modules
+/tests
+{{#if assets.pipeline}}
+/src/admin
+/src/public
+/webpack.config.js
+{{/if}}
+/composer.json
+/composer.lock
+/package.json
+/package-lock.json
+/phpcs.xml.dist
+/phpunit.xml.dist
+*.zip
+.DS_Store
@@ -0,0 +1,67 @@
+<?php
+{{> namespace}}
+/**
+ * Fired during plugin activation.
+ *
+ * @since    1.0.0
+ */
+class {{classes.activator}} {
+{{#if database}}
+    /**
+     * Version of the table schema below.  Bump it whenever the tables
+     * change so existing sites are upgraded by maybe_upgrade().
+     */
+    const DB_VERSION = {{database.version}};
+
+{{/if}}
+    public static function activate() {
+{{#if contentTypes}}
+        // Register the custom post types and taxonomies so their rewrite
+        // rules are known, then rebuild the rules.
+        $content_types = new {{contentTypes.fqcn}}();
+        $content_types->register();
+        flush_rewrite_rules();
+
+{{/if}}
+{{#if database}}
+        self::install_tables();
+{{else}}
+        // Activation logic here (create options, database tables, etc.)
+{{/if}}
+    }
+{{#if database}}
+
+    /**
+     * Create the plugin's tables, or bring them in line with the schema
+     * above, and store the schema version.
+     */
+    public static function install_tables() {
+        global $wpdb;
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $charset_collate = $wpdb->get_charset_collate();
+        $sql             = array();
+{{#each database.tables}}
+
+        $sql[] = "CREATE TABLE {$wpdb->prefix}{{name}} (
+{{#each lines}}
+  {{this}}
+{{/each}}
+) $charset_collate;";
+{{/each}}
+
+        dbDelta( $sql );
+        update_option( '{{database.versionOption}}', self::DB_VERSION );
+    }
+
+    /**
+     * Upgrade the tables when the stored schema version is out of date,
+     * e.g. after the plugin was updated without being reactivated.
+     */
+    public static function maybe_upgrade() {
+        if ( get_option( '{{database.versionOption}}' ) !== self::DB_VERSION ) {
+            self::install_tables();
+        }
+    }
+{{/if}}
+}
@@ -0,0 +1,24 @@
+<?php
+{{> namespace}}
+/**
+ * Fired during plugin deactivation.
+ *
+ * @since    1.0.0
+ */
+class {{classes.deactivator}} {
+    public static function deactivate() {
+{{#if contentTypes}}
+        // Remove the custom post types and taxonomies, then rebuild the
+        // rewrite rules without them.
+{{#each contentTypes.postTypes}}
+        unregister_post_type( '{{slug}}' );
+{{/each}}
+{{#each contentTypes.taxonomies}}
+        unregister_taxonomy( '{{slug}}' );
+{{/each}}
+        flush_rewrite_rules();
+
+{{/if}}
+        // Cleanup logic here (delete options, cron jobs, etc.)
+    }
+}
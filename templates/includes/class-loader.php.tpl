@@ -0,0 +1,38 @@
+<?php
+{{> namespace}}
+/**
+ * Define the core functionality of the plugin.
+ *
+ * @since    1.0.0
+ */
+class {{classes.loader}} {
+    protected $actions = array();
+    protected $filters = array();
+{{#if shortcodes}}
+    protected $shortcodes = array();
+{{/if}}
+    public function add_action( $hook, $component, $callback, $priority = 10, $accepted_args = 1 ) {
+        $this->actions[] = array( $hook, $component, $callback, $priority, $accepted_args );
+    }
+    public function add_filter( $hook, $component, $callback, $priority = 10, $accepted_args = 1 ) {
+        $this->filters[] = array( $hook, $component, $callback, $priority, $accepted_args );
+    }
+{{#if shortcodes}}
+    public function add_shortcode( $tag, $component, $callback ) {
+        $this->shortcodes[] = array( $tag, $component, $callback );
+    }
+{{/if}}
+    public function run() {
+        foreach ( $this->filters as $hook ) {
+            add_filter( $hook[0], array( $hook[1], $hook[2] ), $hook[3], $hook[4] );
+        }
+        foreach ( $this->actions as $hook ) {
+            add_action( $hook[0], array( $hook[1], $hook[2] ), $hook[3], $hook[4] );
+        }
+{{#if shortcodes}}
+        foreach ( $this->shortcodes as $shortcode ) {
+            add_shortcode( $shortcode[0], array( $shortcode[1], $shortcode[2] ) );
+        }
+{{/if}}
+    }
+}
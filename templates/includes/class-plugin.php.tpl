@@ -0,0 +1,110 @@
+<?php
+{{> namespace}}
+/**
+ * The core class that defines internationalization, admin and public hooks.
+ *
+ * @since      1.0.0
+{{#if header.author}}
+ * @author     {{header.author}}
+{{/if}}
+ */
+class {{classes.plugin}} {
+    protected $plugin_name = '{{slug}}';
+    protected $version = '{{php.version}}';
+    protected $loader;
+    public function __construct() {
+        $this->load_dependencies();
+        $this->set_locale();
+        $this->define_admin_hooks();
+        $this->define_public_hooks();
+        $this->define_component_hooks();
+{{#if blocks}}
+        $this->define_block_hooks();
+{{/if}}
+{{#if database}}
+        $this->define_upgrade_hooks();
+{{/if}}
+    }
+    private function load_dependencies() {
+{{#unless modern}}
+        require_once plugin_dir_path( __FILE__ ) . 'class-{{slug}}-loader.php';
+        require_once plugin_dir_path( __FILE__ ) . 'class-{{slug}}-activator.php';
+        require_once plugin_dir_path( __FILE__ ) . 'class-{{slug}}-deactivator.php';
+        require_once plugin_dir_path( __DIR__ ) . 'admin/class-{{slug}}-admin.php';
+        require_once plugin_dir_path( __DIR__ ) . 'public/class-{{slug}}-public.php';
+{{#each extraRequires}}
+        require_once plugin_dir_path( __DIR__ ) . '{{this}}';
+{{/each}}
+{{/unless}}
+        $this->loader = new {{classes.loader}}();
+    }
+    private function set_locale() {
+        $this->loader->add_action( 'init', $this, 'load_plugin_textdomain' );
+    }
+    /**
+     * Load the plugin's translations from languages/.
+     */
+    public function load_plugin_textdomain() {
+        load_plugin_textdomain( '{{textDomain}}', false, dirname( dirname( plugin_basename( __FILE__ ) ) ) . '/languages/' );
+    }
+    private function define_admin_hooks() {
+        $plugin_admin = new {{classes.admin}}( $this->plugin_name, $this->version );
+        $this->loader->add_action( 'admin_enqueue_scripts', $plugin_admin, 'enqueue_styles' );
+        $this->loader->add_action( 'admin_enqueue_scripts', $plugin_admin, 'enqueue_scripts' );
+{{#if adminUi.listTables}}
+        $this->loader->add_action( 'admin_menu', $plugin_admin, 'add_menu_pages' );
+{{/if}}
+{{#if adminUi.notices}}
+        $this->loader->add_action( 'admin_notices', $plugin_admin, 'display_notices' );
+        $this->loader->add_action( 'wp_ajax_{{adminUi.notices.dismissAction}}', $plugin_admin, 'dismiss_notice' );
+{{/if}}
+{{#each adminUi.actions}}
+        $this->loader->add_action( '{{hook}}', $plugin_admin, '{{method}}' );
+{{/each}}
+    }
+    private function define_public_hooks() {
+        $plugin_public = new {{classes.public}}( $this->plugin_name, $this->version );
+        $this->loader->add_action( 'wp_enqueue_scripts', $plugin_public, 'enqueue_styles' );
+        $this->loader->add_action( 'wp_enqueue_scripts', $plugin_public, 'enqueue_scripts' );
+{{#each shortcodes}}
+        $this->loader->add_shortcode( '{{tag}}', $plugin_public, '{{method}}' );
+{{/each}}
+    }
+    private function define_component_hooks() {
+{{#each hookedComponents}}
+        ${{varName}} = new {{fqcn}}();
+{{#each hooks}}
+        $this->loader->add_{{type}}( '{{hook}}', ${{varName}}, '{{callback}}' );
+{{/each}}
+{{/each}}
+    }
+{{#if blocks}}
+    private function define_block_hooks() {
+        $this->loader->add_action( 'init', $this, 'register_blocks' );
+    }
+    /**
+     * Register the blocks built into build/ by `npm run build`.
+     */
+    public function register_blocks() {
+        $block_types = array(
+{{#each blocks}}
+            register_block_type( plugin_dir_path( __DIR__ ) . 'build/{{name}}' ),
+{{/each}}
+        );
+        // Load the editor scripts' translations from languages/.
+        foreach ( array_filter( $block_types ) as $block_type ) {
+            foreach ( $block_type->editor_script_handles as $handle ) {
+                wp_set_script_translations( $handle, '{{textDomain}}', plugin_dir_path( __DIR__ ) . 'languages' );
+            }
+        }
+    }
+{{/if}}
+{{#if database}}
+    private function define_upgrade_hooks() {
+        $this->loader->add_action( 'plugins_loaded', {{classes.activator}}::class, 'maybe_upgrade' );
+    }
+{{/if}}
+    public function run() {
+        $this->loader->run();
+    }
+}
@@ -0,0 +1,34 @@
+{{#if pot.author}}
+# Copyright (C) {{pot.author}}
+{{/if}}
+# This file is distributed under the same license as the {{pot.name}} plugin.
+msgid ""
+msgstr ""
+"Project-Id-Version: {{pot.project}}\n"
+"Report-Msgid-Bugs-To: {{pot.bugsUrl}}\n"
+"Last-Translator: FULL NAME <EMAIL@ADDRESS>\n"
+"Language-Team: LANGUAGE <LL@li.org>\n"
+"MIME-Version: 1.0\n"
+"Content-Type: text/plain; charset=UTF-8\n"
+"Content-Transfer-Encoding: 8bit\n"
+"POT-Creation-Date: {{pot.creationDate}}\n"
+"PO-Revision-Date: YEAR-MO-DA HO:MI+ZONE\n"
+"X-Domain: {{textDomain}}\n"
+{{#each pot.entries}}
+
+{{#each comments}}
+#. {{this}}
+{{/each}}
+#: {{references}}
+{{#if context}}
+msgctxt "{{context}}"
+{{/if}}
+msgid "{{msgid}}"
+{{#if plural}}
+msgid_plural "{{plural}}"
+msgstr[0] ""
+msgstr[1] ""
+{{else}}
+msgstr ""
+{{/if}}
+{{/each}}
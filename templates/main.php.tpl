@@ -0,0 +1,134 @@
+<?php
+/*
+ * Plugin Name:       {{header.name}}
+{{#if header.pluginUri}}
+ * Plugin URI:        {{header.pluginUri}}
+{{/if}}
+{{#if header.description}}
+ * Description:       {{header.description}}
+{{/if}}
+ * Version:           {{opts.version}}
+ * Requires at least: {{opts.requiresAtLeast}}
+ * Requires PHP:      {{opts.requiresPhp}}
+{{#if header.author}}
+ * Author:            {{header.author}}
+{{/if}}
+{{#if header.authorUri}}
+ * Author URI:        {{header.authorUri}}
+{{/if}}
+ * License:           GPL v2 or later
+ * License URI:       https://www.gnu.org/licenses/gpl-2.0.html
+ * Text Domain:       {{textDomain}}
+ * Domain Path:       /languages
+{{#if header.updateUri}}
+ * Update URI:        {{header.updateUri}}
+{{/if}}
+ */
+
+defined( 'ABSPATH' ) || exit; // Exit if accessed directly.
+
+// Load Composer dependencies when they have been installed.
+if ( file_exists( __DIR__ . '/vendor/autoload.php' ) ) {
+    require_once __DIR__ . '/vendor/autoload.php';
+{{#if modern}}
+} else {
+    // Composer is not available: fall back to a minimal PSR-4 autoloader for src/.
+    spl_autoload_register(
+        function ( $class ) {
+            $prefix = '{{phpNamespace}}\\';
+            if ( strpos( $class, $prefix ) !== 0 ) {
+                return;
+            }
+            $file = __DIR__ . '/src/' . str_replace( '\\', '/', substr( $class, strlen( $prefix ) ) ) . '.php';
+            if ( file_exists( $file ) ) {
+                require_once $file;
+            }
+        }
+    );
+{{/if}}
+}
+{{#if repoUrl}}
+
+// Include the plugin-update-checker library. If installed via Composer the
+// autoloader will already have made it available.
+if ( file_exists( __DIR__ . '/plugin-update-checker/plugin-update-checker.php' ) ) {
+    require_once __DIR__ . '/plugin-update-checker/plugin-update-checker.php';
+}
+
+if ( class_exists( '\YahnisElsts\PluginUpdateChecker\v5\PucFactory' ) ) {
+{{#if updateChecker.serviceHost}}
+    // The update checker only recognizes {{updateChecker.label}} by its public site; tell it
+    // that this server runs {{updateChecker.label}} as well.
+    add_filter(
+        'puc_get_vcs_service',
+        function ( $service, $host ) {
+            return '{{updateChecker.serviceHost}}' === $host ? '{{updateChecker.service}}' : $service;
+        },
+        10,
+        2
+    );
+
+{{/if}}
+{{#if updateChecker.vcs}}
+    // Initialize the update checker to point at your {{updateChecker.label}} repository.
+{{else}}
+    // The update checker cannot read {{updateChecker.label}} repositories directly, so it reads
+    // update-info.json from the repository instead. Releasing a new version updates that file.
+{{/if}}
+    $update_checker = \YahnisElsts\PluginUpdateChecker\v5\PucFactory::buildUpdateChecker(
+        '{{updateChecker.url}}',
+        __FILE__,
+        '{{slug}}'
+    );
+{{#if updateChecker.vcs}}
+
+    // Set the branch that contains the stable release. For most repos this is 'main' or 'master'.
+    $update_checker->setBranch( '{{php.branch}}' );
+{{#if updateChecker.releaseMethod}}
+
+    // Install the zip attached to each release instead of the source archive.
+    $update_checker->getVcsApi()->{{updateChecker.releaseMethod}}();
+{{/if}}
+
+    // Optionally set the authentication token if your repository is private.
+    // $update_checker->setAuthentication( 'your-access-token' );
+{{/if}}
+}
+{{/if}}
+{{#unless modern}}
+
+require_once plugin_dir_path( __FILE__ ) . 'includes/class-{{slug}}.php';
+{{/unless}}
+
+function activate_{{functionPrefix}}() {
+{{#unless modern}}
+    require_once plugin_dir_path( __FILE__ ) . 'includes/class-{{slug}}-activator.php';
+{{/unless}}
+    {{fqcn.activator}}::activate();
+}
+
+function deactivate_{{functionPrefix}}() {
+{{#unless modern}}
+    require_once plugin_dir_path( __FILE__ ) . 'includes/class-{{slug}}-deactivator.php';
+{{/unless}}
+    {{fqcn.deactivator}}::deactivate();
+}
+
+register_activation_hook( __FILE__, 'activate_{{functionPrefix}}' );
+register_deactivation_hook( __FILE__, 'deactivate_{{functionPrefix}}' );
+{{#if cliCommand}}
+
+if ( defined( 'WP_CLI' ) && WP_CLI ) {
+{{#unless modern}}
+    require_once plugin_dir_path( __FILE__ ) . '{{cliCommand.path}}';
+{{/unless}}
+    WP_CLI::add_command( '{{cliCommand.name}}', {{cliCommand.fqcn}}::class );
+}
+{{/if}}
+
+function run_{{functionPrefix}}() {
+    $plugin = new {{fqcn.plugin}}();
+    $plugin->run();
+}
+
+run_{{functionPrefix}}();
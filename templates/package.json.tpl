@@ -0,0 +1,17 @@
+{
+  "name": "{{slug}}",
+  "version": {{json.version}},
+  "private": true,
+  "scripts": {
+{{#if blocks}}
+    "build": "wp-scripts build --webpack-src-dir=blocks",
+    "start": "wp-scripts start --webpack-src-dir=blocks"
+{{else}}
+    "build": "wp-scripts build",
+    "start": "wp-scripts start"
+{{/if}}
+  },
+  "devDependencies": {
+    "@wordpress/scripts": "^30.0.0"
+  }
+}
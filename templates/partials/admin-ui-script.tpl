@@ -0,0 +1,51 @@
+{{#if adminUi.scriptActions}}
+const settings = window.{{adminUi.jsObject}};
+
+/**
+ * Send a request to one of the plugin's AJAX handlers.
+ *
+ * @param {string} name Handler name, a key of {{adminUi.jsObject}}.ajax.
+ * @param {Object} data Fields to send with it.
+ * @return {Promise<Object>} The handler's JSON response.
+ */
+settings.sendAjax = ( name, data = {} ) => {
+	const body = new FormData();
+	body.append( 'action', settings.ajax[ name ].action );
+	body.append( '_ajax_nonce', settings.ajax[ name ].nonce );
+	Object.keys( data ).forEach( ( key ) => body.append( key, data[ key ] ) );
+	return fetch( settings.ajaxUrl, { method: 'POST', credentials: 'same-origin', body } ).then( ( response ) => response.json() );
+};
+{{/if}}
+{{#if adminUi.notices}}
+
+// WordPress only hides a dismissed notice; remember the dismissal so the
+// notice stays hidden for this user.
+document.addEventListener( 'click', ( event ) => {
+	const notice = event.target.closest( '.{{slug}}-notice' );
+	if ( notice && event.target.closest( '.notice-dismiss' ) ) {
+		settings.sendAjax( 'dismiss_notice', { notice: notice.dataset.noticeId } );
+	}
+} );
+{{/if}}
+{{#if adminUi.confirmBulkActions}}
+{{#if adminUi.scriptActions}}
+
+{{/if}}
+// Ask before running the list tables' bulk actions that need confirming.
+document.addEventListener( 'submit', ( event ) => {
+	const form = event.target;
+	if ( ! form.matches( 'form.{{slug}}-list-table[data-confirm]' ) ) {
+		return;
+	}
+	const bottom = event.submitter && 'doaction2' === event.submitter.id;
+	const select = form.querySelector( bottom ? 'select[name="action2"]' : 'select[name="action"]' );
+	if ( ! select || ! form.dataset.confirm.split( ' ' ).includes( select.value ) ) {
+		return;
+	}
+	const label = select.options[ select.selectedIndex ].text;
+	// translators: %s: bulk action name.
+	if ( ! window.confirm( sprintf( __( 'Apply "%s" to the selected items?', '{{textDomain}}' ), label ) ) ) {
+		event.preventDefault();
+	}
+} );
+{{/if}}
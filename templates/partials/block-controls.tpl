@@ -0,0 +1,22 @@
+<InspectorControls>
+	<PanelBody title={ __( 'Settings', '{{textDomain}}' ) }>
+{{#each block.controls}}
+{{#if toggle}}
+		<ToggleControl
+			label={ __( '{{label}}', '{{textDomain}}' ) }
+			checked={ !! attributes.{{name}} }
+			onChange={ ( value ) => setAttributes( { {{name}}: value } ) }
+		/>
+{{else}}
+		<TextControl
+			label={ __( '{{label}}', '{{textDomain}}' ) }
+{{#if numeric}}
+			type="number"
+{{/if}}
+			value={ attributes.{{name}} ?? '' }
+			onChange={ ( value ) => setAttributes( { {{name}}: {{parse}} } ) }
+		/>
+{{/if}}
+{{/each}}
+	</PanelBody>
+</InspectorControls>
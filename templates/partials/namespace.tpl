@@ -0,0 +1,4 @@
+{{#if fileNamespace}}
+namespace {{fileNamespace}};
+
+{{/if}}
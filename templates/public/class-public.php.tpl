@@ -0,0 +1,187 @@
+<?php
+{{> namespace}}
+/**
+ * Define the public-facing functionality of the plugin.
+ *
+ * @since      1.0.0
+ */
+class {{classes.public}} {
+    protected $plugin_name;
+    protected $version;
+{{#if assets.pipeline}}
+    protected $build_path;
+    protected $build_url;
+{{else}}
+    protected $assets_url;
+{{/if}}
+    public function __construct( $plugin_name, $version ) {
+        $this->plugin_name = $plugin_name;
+        $this->version     = $version;
+{{#if assets.pipeline}}
+        $this->build_path  = plugin_dir_path( __DIR__ ) . 'build/';
+        $this->build_url   = plugin_dir_url( __DIR__ ) . 'build/';
+{{else}}
+{{#if modern}}
+        $this->assets_url  = plugin_dir_url( __DIR__ ) . 'public/';
+{{else}}
+        $this->assets_url  = plugin_dir_url( __FILE__ );
+{{/if}}
+{{/if}}
+    }
+{{#if assets.pipeline}}
+    public function enqueue_styles() {
+{{#if assets.public.pluginOnly}}
+        if ( ! $this->is_plugin_page() ) {
+            return;
+        }
+{{/if}}
+        $asset = $this->get_asset();
+        if ( $asset && file_exists( $this->build_path . 'public.css' ) ) {
+            wp_enqueue_style( $this->plugin_name, $this->build_url . 'public.css', array(), $asset['version'], 'all' );
+        }
+    }
+    public function enqueue_scripts() {
+{{#if assets.public.pluginOnly}}
+        if ( ! $this->is_plugin_page() ) {
+            return;
+        }
+{{/if}}
+        $asset = $this->get_asset();
+        if ( ! $asset ) {
+            return;
+        }
+        wp_enqueue_script( $this->plugin_name, $this->build_url . 'public.js', $asset['dependencies'], $asset['version'], true );
+        wp_set_script_translations( $this->plugin_name, '{{textDomain}}', plugin_dir_path( __DIR__ ) . 'languages' );
+    }
+    /**
+     * The dependencies and version of build/public.js, from the manifest
+     * `npm run build` writes next to it.
+     *
+     * @return array|null Null until the assets are built.
+     */
+    private function get_asset() {
+        $asset_file = $this->build_path . 'public.asset.php';
+        return file_exists( $asset_file ) ? require $asset_file : null;
+    }
+{{else}}
+    public function enqueue_styles() {
+{{#if assets.public.pluginOnly}}
+        if ( ! $this->is_plugin_page() ) {
+            return;
+        }
+{{/if}}
+        wp_enqueue_style( $this->plugin_name, $this->assets_url . 'css/{{slug}}-public.css', array(), $this->version, 'all' );
+    }
+    public function enqueue_scripts() {
+{{#if assets.public.pluginOnly}}
+        if ( ! $this->is_plugin_page() ) {
+            return;
+        }
+{{/if}}
+        wp_enqueue_script( $this->plugin_name, $this->assets_url . 'js/{{slug}}-public.js', array( 'jquery', 'wp-i18n' ), $this->version, false );
+        wp_set_script_translations( $this->plugin_name, '{{textDomain}}', plugin_dir_path( __DIR__ ) . 'languages' );
+    }
+{{/if}}
+{{#each shortcodes}}
+    /**
+     * Render the [{{tag}}] shortcode.{{#if description}} {{description}}{{/if}}
+     *
+     * @param array|string $atts    Attributes; an empty string when there are none.
+     * @param string|null  $content {{#if enclosing}}Enclosed content{{else}}Unused; the shortcode does not enclose content{{/if}}.
+     * @param string       $tag     Shortcode tag.
+     * @return string
+     */
+    public function {{method}}( $atts, $content = null, $tag = '' ) {
+{{#if attributes}}
+        $atts = shortcode_atts(
+            array(
+{{#each attributes}}
+                '{{name}}' => {{default}},
+{{/each}}
+            ),
+            $atts,
+            $tag
+        );
+{{#each attributes}}
+        $atts['{{name}}'] = {{sanitize}};
+{{/each}}
+{{else}}
+        $atts = shortcode_atts( array(), $atts, $tag );
+{{/if}}
+{{#if enclosing}}
+        $content = do_shortcode( (string) $content );
+{{else}}
+        $content = '';
+{{/if}}
+
+        return $this->render_template( '{{template}}', '{{tag}}', $atts, $content );
+    }
+{{/each}}
+{{#if shortcodes}}
+    /**
+     * Render a shortcode template from public/partials/.  A theme can
+     * override it with a copy in a `{{slug}}` folder, and the
+     * '{{functionPrefix}}_shortcode_template' filter can point elsewhere.
+     *
+     * @param string $name    Template file name.
+     * @param string $tag     Shortcode tag.
+     * @param array  $atts    Sanitized attributes.
+     * @param string $content Enclosed content.
+     * @return string The template's output.
+     */
+    protected function render_template( $name, $tag, $atts, $content ) {
+        $template = locate_template( '{{slug}}/' . $name );
+        if ( ! $template ) {
+{{#if modern}}
+            $template = plugin_dir_path( __DIR__ ) . 'public/partials/' . $name;
+{{else}}
+            $template = plugin_dir_path( __FILE__ ) . 'partials/' . $name;
+{{/if}}
+        }
+        $template = apply_filters( '{{functionPrefix}}_shortcode_template', $template, $tag, $atts );
+
+        ob_start();
+        include $template;
+        return ob_get_clean();
+    }
+{{/if}}
+{{#if assets.public.pluginOnly}}
+    /**
+     * Whether the current page is one of the plugin's own: the posts and
+     * archives of its post types and taxonomies and the posts using its
+{{#if assets.public.shortcodes}}
+     * blocks or shortcodes.  Use the '{{functionPrefix}}_is_plugin_page'
+     * filter to add others.
+{{else}}
+     * blocks.  Use the '{{functionPrefix}}_is_plugin_page' filter to add
+     * others.
+{{/if}}
+     *
+     * @return bool
+     */
+    public function is_plugin_page() {
+        $is_plugin = false;
+{{#if assets.public.postTypes}}
+        $is_plugin = $is_plugin || is_singular( {{assets.public.postTypes}} ) || is_post_type_archive( {{assets.public.postTypes}} );
+{{/if}}
+{{#if assets.public.taxonomies}}
+        $is_plugin = $is_plugin || is_tax( {{assets.public.taxonomies}} );
+{{/if}}
+{{#if assets.public.blocks}}
+        if ( ! $is_plugin && is_singular() ) {
+            foreach ( {{assets.public.blocks}} as $block_name ) {
+                $is_plugin = $is_plugin || has_block( $block_name );
+            }
+        }
+{{/if}}
+{{#if assets.public.shortcodes}}
+        if ( ! $is_plugin && is_singular() ) {
+            foreach ( {{assets.public.shortcodes}} as $tag ) {
+                $is_plugin = $is_plugin || has_shortcode( get_post_field( 'post_content' ), $tag );
+            }
+        }
+{{/if}}
+        return (bool) apply_filters( '{{functionPrefix}}_is_plugin_page', $is_plugin );
+    }
+{{/if}}
+}
@@ -0,0 +1,3 @@
+/* global wp */
+// Public scripts. Translate strings with the __() function of wp.i18n and
+// the '{{textDomain}}' text domain.
@@ -0,0 +1,26 @@
+<?php
+/**
+ * Output of the [{{shortcode.tag}}] shortcode.
+ *
+ * Copy this file to `{{slug}}/{{shortcode.template}}` in a theme to
+ * override it.
+ *
+{{#if shortcode.attributes}}
+ * @var array  $atts    Sanitized attributes: {{shortcode.attributeList}}.
+{{else}}
+ * @var array  $atts    Attributes; the shortcode has none.
+{{/if}}
+{{#if shortcode.enclosing}}
+ * @var string $content Enclosed content, its shortcodes already run.
+{{else}}
+ * @var string $content Empty; the shortcode does not enclose content.
+{{/if}}
+ */
+?>
+<div class="{{slug}}-{{shortcode.className}}">
+{{#if shortcode.enclosing}}
+	<?php echo wp_kses_post( $content ); ?>
+{{else}}
+	<?php esc_html_e( '{{shortcode.title}}', '{{textDomain}}' ); ?>
+{{/if}}
+</div>
@@ -0,0 +1,35 @@
+<?php
+/**
+ * PHPUnit bootstrap: loads the WordPress test suite and the plugin.
+ *
+ * Install the test suite first:
+ *
+ *     bash bin/install-wp-tests.sh wordpress_test root '' localhost latest
+ */
+
+$_tests_dir = getenv( 'WP_TESTS_DIR' );
+if ( ! $_tests_dir ) {
+    $_tests_dir = rtrim( sys_get_temp_dir(), '/\\' ) . '/wordpress-tests-lib';
+}
+
+// The test suite loads the PHPUnit Polyfills from Composer's vendor/.
+if ( ! defined( 'WP_TESTS_PHPUNIT_POLYFILLS_PATH' ) ) {
+    define( 'WP_TESTS_PHPUNIT_POLYFILLS_PATH', dirname( __DIR__ ) . '/vendor/yoast/phpunit-polyfills' );
+}
+
+if ( ! file_exists( "{$_tests_dir}/includes/functions.php" ) ) {
+    echo "Could not find {$_tests_dir}/includes/functions.php. Run bin/install-wp-tests.sh first." . PHP_EOL; // phpcs:ignore WordPress.Security.EscapeOutput
+    exit( 1 );
+}
+
+require_once "{$_tests_dir}/includes/functions.php";
+
+// Load the plugin before WordPress finishes booting, as if it were active.
+tests_add_filter(
+    'muplugins_loaded',
+    function () {
+        require dirname( __DIR__ ) . '/{{slug}}.php';
+    }
+);
+
+require "{$_tests_dir}/includes/bootstrap.php";
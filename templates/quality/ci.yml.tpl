@@ -0,0 +1,52 @@
+name: CI
+
+on:
+  push:
+    branches: [ '{{opts.branch}}' ]
+  pull_request:
+
+jobs:
+  test:
+    name: PHP {{quality.matrixPhp}}
+    runs-on: ubuntu-latest
+    strategy:
+      fail-fast: false
+      matrix:
+        # Every supported PHP version from 'Requires PHP' upwards.
+        php: [ {{quality.phpVersionsYaml}} ]
+{{#if quality.phpunit}}
+    services:
+      mysql:
+        image: mariadb:10.11
+        env:
+          MARIADB_ROOT_PASSWORD: root
+        ports:
+          - 3306:3306
+        options: --health-cmd="mysqladmin ping -proot" --health-interval=10s --health-timeout=5s --health-retries=5
+{{/if}}
+    steps:
+      - uses: actions/checkout@v4
+
+      - uses: shivammathur/setup-php@v2
+        with:
+          php-version: {{quality.matrixPhp}}
+          extensions: mysqli
+          tools: composer
+          coverage: none
+
+      # There is no lock file: resolve the dependencies for each PHP version.
+      - name: Install Composer dependencies
+        run: composer update --no-interaction --no-progress
+{{#if quality.phpcs}}
+
+      - name: Check coding standards
+        run: composer run lint
+{{/if}}
+{{#if quality.phpunit}}
+
+      - name: Install the WordPress test suite
+        run: bash bin/install-wp-tests.sh wordpress_test root root 127.0.0.1:3306 latest
+
+      - name: Run PHPUnit
+        run: composer run test
+{{/if}}
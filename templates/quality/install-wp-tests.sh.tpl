@@ -0,0 +1,74 @@
+#!/usr/bin/env bash
+# Install WordPress and the WordPress PHPUnit test suite.
+#
+# Usage: bash bin/install-wp-tests.sh <db-name> <db-user> <db-pass> [db-host] [wp-version]
+#
+# The database is created if it does not exist. WP_TESTS_DIR and
+# WP_CORE_DIR choose where the test suite and WordPress are installed.
+
+set -euo pipefail
+
+if [ $# -lt 3 ]; then
+	echo "usage: $0 <db-name> <db-user> <db-pass> [db-host] [wp-version]"
+	exit 1
+fi
+
+DB_NAME=$1
+DB_USER=$2
+DB_PASS=$3
+DB_HOST=${4-localhost}
+WP_VERSION=${5-latest}
+
+TMPDIR=${TMPDIR-/tmp}
+TMPDIR=${TMPDIR%/}
+WP_TESTS_DIR=${WP_TESTS_DIR-$TMPDIR/wordpress-tests-lib}
+WP_CORE_DIR=${WP_CORE_DIR-$TMPDIR/wordpress}
+
+if [ "$WP_VERSION" = "latest" ]; then
+	WP_VERSION=$(curl -fsSL https://api.wordpress.org/core/version-check/1.7/ | grep -o '"version":"[^"]*' | head -n 1 | cut -d '"' -f 4)
+fi
+
+install_wp() {
+	if [ -d "$WP_CORE_DIR/wp-includes" ]; then
+		return
+	fi
+	mkdir -p "$WP_CORE_DIR"
+	curl -fsSL "https://wordpress.org/wordpress-$WP_VERSION.tar.gz" | tar -xz --strip-components=1 -C "$WP_CORE_DIR"
+}
+
+install_test_suite() {
+	if [ -d "$WP_TESTS_DIR/includes" ]; then
+		return
+	fi
+	local archive="$TMPDIR/wordpress-develop-$WP_VERSION.tar.gz"
+	curl -fsSL -o "$archive" "https://github.com/WordPress/wordpress-develop/archive/refs/tags/$WP_VERSION.tar.gz"
+	mkdir -p "$WP_TESTS_DIR"
+	tar -xzf "$archive" -C "$WP_TESTS_DIR" --strip-components=3 --wildcards '*/tests/phpunit/includes' '*/tests/phpunit/data'
+	tar -xzf "$archive" -C "$WP_TESTS_DIR" --strip-components=1 --wildcards '*/wp-tests-config-sample.php'
+	rm "$archive"
+
+	local config="$WP_TESTS_DIR/wp-tests-config.php"
+	mv "$WP_TESTS_DIR/wp-tests-config-sample.php" "$config"
+	sed -i "s:dirname( __FILE__ ) . '/src/':'$WP_CORE_DIR/':" "$config"
+	sed -i "s:__DIR__ . '/src/':'$WP_CORE_DIR/':" "$config"
+	sed -i "s/youremptytestdbnamehere/$DB_NAME/" "$config"
+	sed -i "s/yourusernamehere/$DB_USER/" "$config"
+	sed -i "s/yourpasswordhere/$DB_PASS/" "$config"
+	sed -i "s|localhost|$DB_HOST|" "$config"
+}
+
+install_db() {
+	local host=${DB_HOST%%:*}
+	local port=3306
+	if [ "$host" != "$DB_HOST" ]; then
+		port=${DB_HOST##*:}
+	fi
+	if mysql --user="$DB_USER" --password="$DB_PASS" --host="$host" --port="$port" --protocol=tcp -e "USE $DB_NAME" 2> /dev/null; then
+		return
+	fi
+	mysqladmin create "$DB_NAME" --user="$DB_USER" --password="$DB_PASS" --host="$host" --port="$port" --protocol=tcp
+}
+
+install_wp
+install_test_suite
+install_db
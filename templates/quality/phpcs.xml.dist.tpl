@@ -0,0 +1,61 @@
+<?xml version="1.0"?>
+<ruleset name="{{slug}}">
+	<description>Coding standards for the {{slug}} plugin.</description>
+
+	<file>.</file>
+	<exclude-pattern>/build/*</exclude-pattern>
+	<exclude-pattern>/node_modules/*</exclude-pattern>
+	<exclude-pattern>/plugin-update-checker/*</exclude-pattern>
+	<exclude-pattern>/vendor/*</exclude-pattern>
+
+	<arg value="sp"/>
+	<arg name="extensions" value="php"/>
+	<arg name="colors"/>
+	<arg name="parallel" value="8"/>
+	<config name="ignore_warnings_on_exit" value="1"/>
+
+	<!-- The oldest PHP and WordPress versions the plugin supports. -->
+	<config name="testVersion" value="{{opts.requiresPhp}}-"/>
+	<config name="minimum_wp_version" value="{{opts.requiresAtLeast}}"/>
+
+	<rule ref="PHPCompatibilityWP"/>
+
+	<rule ref="WordPress-Extra">
+		<!-- The generated code is indented with four spaces. -->
+		<exclude name="Generic.WhiteSpace.DisallowSpaceIndent"/>
+{{#if modern}}
+		<!-- PSR-4 class files are named after their class. -->
+		<exclude name="WordPress.Files.FileName"/>
+{{/if}}
+	</rule>
+	<rule ref="Generic.WhiteSpace.ScopeIndent">
+		<properties>
+			<property name="tabIndent" value="false"/>
+		</properties>
+	</rule>
+
+	<rule ref="WordPress.WP.I18n">
+		<properties>
+			<property name="text_domain" type="array">
+				<element value="{{textDomain}}"/>
+			</property>
+		</properties>
+	</rule>
+
+	<rule ref="WordPress.NamingConventions.PrefixAllGlobals">
+		<properties>
+			<property name="prefixes" type="array">
+				<element value="{{functionPrefix}}"/>
+{{#if modern}}
+				<element value="{{phpNamespace}}"/>
+{{else}}
+				<element value="{{namespace}}"/>
+{{/if}}
+			</property>
+		</properties>
+		<!-- The main file keeps the activate_/deactivate_/run_ function names. -->
+		<exclude-pattern>/{{slug}}.php</exclude-pattern>
+		<exclude-pattern>/tests/*</exclude-pattern>
+		<exclude-pattern>/uninstall.php</exclude-pattern>
+	</rule>
+</ruleset>
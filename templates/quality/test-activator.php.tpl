@@ -0,0 +1,42 @@
+<?php
+/**
+ * Tests for the plugin's activation routine.
+ */
+
+class Test_{{namespace}}_Activator extends WP_UnitTestCase {
+    public function test_activate() {
+        {{fqcn.activator}}::activate();
+{{#if database}}
+
+        global $wpdb;
+        $this->assertSame( {{fqcn.activator}}::DB_VERSION, get_option( '{{database.versionOption}}' ) );
+{{#each database.tables}}
+        $this->assertNotEmpty( $wpdb->get_results( "DESCRIBE {$wpdb->prefix}{{name}}" ) );
+{{/each}}
+{{/if}}
+{{#if contentTypes}}
+
+{{#each contentTypes.postTypes}}
+        $this->assertTrue( post_type_exists( '{{slug}}' ) );
+{{/each}}
+{{#each contentTypes.taxonomies}}
+        $this->assertTrue( taxonomy_exists( '{{slug}}' ) );
+{{/each}}
+{{/if}}
+{{#unless database}}
+{{#unless contentTypes}}
+
+        // activate() has nothing to check yet; it must at least run cleanly.
+        $this->addToAssertionCount( 1 );
+{{/unless}}
+{{/unless}}
+    }
+{{#if database}}
+
+    public function test_maybe_upgrade_installs_an_outdated_schema() {
+        update_option( '{{database.versionOption}}', '0' );
+        {{fqcn.activator}}::maybe_upgrade();
+        $this->assertSame( {{fqcn.activator}}::DB_VERSION, get_option( '{{database.versionOption}}' ) );
+    }
+{{/if}}
+}
@@ -0,0 +1,23 @@
+<?php
+/**
+ * Tests for the core plugin class.
+ */
+
+class Test_{{namespace}}_Plugin extends WP_UnitTestCase {
+    public function test_translations_are_loaded_on_init() {
+        $plugin = new {{fqcn.plugin}}();
+        $plugin->run();
+        $this->assertSame( 10, has_action( 'init', array( $plugin, 'load_plugin_textdomain' ) ) );
+    }
+{{#if contentTypes}}
+
+    public function test_content_types_are_registered() {
+{{#each contentTypes.postTypes}}
+        $this->assertTrue( post_type_exists( '{{slug}}' ) );
+{{/each}}
+{{#each contentTypes.taxonomies}}
+        $this->assertTrue( taxonomy_exists( '{{slug}}' ) );
+{{/each}}
+    }
+{{/if}}
+}
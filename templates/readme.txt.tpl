@@ -0,0 +1,47 @@
+=== {{readme.name}} ===
+
+{{#if contributors}}
+Contributors: {{contributors}}
+{{/if}}
+Tags: custom
+Requires at least: {{opts.requiresAtLeast}}
+Tested up to: {{opts.testedUpTo}}
+Requires PHP: {{opts.requiresPhp}}
+Stable tag: {{opts.version}}
+License: GPLv2 or later
+License URI: https://www.gnu.org/licenses/gpl-2.0.html
+{{#if updateUri}}
+Update URI: {{updateUri}}
+{{/if}}
+
+{{readme.shortDescription}}
+
+== Description ==
+
+{{readme.description}}
+{{#if assets.pipeline}}
+
+== Development ==
+
+The admin and public scripts and styles are written in `src/`{{#if blocks}} and the blocks in `blocks/`{{/if}}. They must be built before use:
+
+    npm install
+    npm run build
+
+Until `build/admin.js` and `build/public.js` exist, the plugin enqueues none of its scripts or styles{{#if adminUi.scriptActions}}, so the admin script never receives the AJAX URL and nonces{{/if}}.
+{{else}}
+{{#if blocks}}
+
+== Development ==
+
+The blocks are written in `blocks/` and must be built before use:
+
+    npm install
+    npm run build
+{{/if}}
+{{/if}}
+
+== Changelog ==
+
+= {{opts.version}} =
+* Initial release.
@@ -0,0 +1,109 @@
+<?php
+{{> namespace}}
+/**
+ * REST API controller.
+ *
+ * Registers the plugin's routes under /wp-json/{{rest.namespace}}/.
+ * The core class hooks register_routes() to `rest_api_init` through the
+ * Loader. Every argument is checked against the schema it is registered
+ * with by validate_arg() and sanitize_arg(); add custom rules there.
+ */
+class {{className}} {
+    const ROUTE_NAMESPACE = '{{rest.namespace}}';
+
+    public function register_routes() {
+{{#each rest.routes}}
+        register_rest_route(
+            self::ROUTE_NAMESPACE,
+            '{{pattern}}',
+            array(
+{{#each endpoints}}
+                array(
+                    'methods'             => '{{method}}',
+                    'callback'            => array( $this, '{{callback}}' ),
+                    'permission_callback' => array( $this, '{{permissionCallback}}' ),
+                    'args'                => $this->{{argsMethod}}(),
+                ),
+{{/each}}
+            )
+        );
+{{/each}}
+    }
+
+    /**
+     * Validate an argument against its schema.
+     *
+     * @param mixed           $value   Value sent by the client.
+     * @param WP_REST_Request $request Current request.
+     * @param string          $param   Argument name.
+     * @return true|WP_Error
+     */
+    public function validate_arg( $value, $request, $param ) {
+        $attributes = $request->get_attributes();
+        return rest_validate_value_from_schema( $value, $attributes['args'][ $param ], $param );
+    }
+
+    /**
+     * Sanitize an argument according to its schema.
+     *
+     * @param mixed           $value   Validated value.
+     * @param WP_REST_Request $request Current request.
+     * @param string          $param   Argument name.
+     * @return mixed
+     */
+    public function sanitize_arg( $value, $request, $param ) {
+        $attributes = $request->get_attributes();
+        return rest_sanitize_value_from_schema( $value, $attributes['args'][ $param ], $param );
+    }
+{{#each rest.routes}}
+
+    /**
+     * Arguments accepted by {{route}}.
+     *
+     * @return array
+     */
+    private function {{argsMethod}}() {
+        return array(
+{{#each args}}
+            '{{name}}' => array(
+{{#if description}}
+                'description'       => __( '{{description}}', '{{textDomain}}' ),
+{{/if}}
+                'type'              => '{{type}}',
+                'required'          => {{required}},
+                'validate_callback' => array( $this, 'validate_arg' ),
+                'sanitize_callback' => array( $this, 'sanitize_arg' ),
+            ),
+{{/each}}
+        );
+    }
+
+    /**
+     * Check whether the current user may call {{route}}.
+     *
+     * @param WP_REST_Request $request Current request.
+     * @return bool
+     */
+    public function {{permissionCallback}}( $request ) {
+{{#if capability}}
+        return current_user_can( '{{capability}}' );
+{{else}}
+        // Public route: anyone may call it.
+        return true;
+{{/if}}
+    }
+{{#each endpoints}}
+
+    /**
+     * Handle {{method}} {{route}}.
+     *
+     * @param WP_REST_Request $request Current request.
+     * @return WP_REST_Response|WP_Error
+     */
+    public function {{callback}}( $request ) {
+        // Build the response from $request->get_params().
+        return rest_ensure_response( array() );
+    }
+{{/each}}
+{{/each}}
+}
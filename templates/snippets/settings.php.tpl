@@ -0,0 +1,296 @@
+<?php
+{{> namespace}}
+/**
+ * Settings page with import/export.
+ *
+ * Registers the plugin's settings with the Settings API and adds an admin
+ * page to edit, export and import them. All fields are stored in the
+ * `{{settings.optionName}}` option as one array. The core class hooks
+ * add_admin_menus() to `admin_menu`, and register_settings() and
+ * handle_import_export() to `admin_init` through the Loader.
+ */
+class {{className}} {
+    protected $menu_slug = '{{settings.menuSlug}}';
+    protected $capability = '{{settings.capability}}';
+    protected $parent_menu = '{{settings.parentMenu}}';
+    protected $format = '{{settings.format}}';
+    protected $option_name = '{{settings.optionName}}';
+
+    public function add_admin_menus() {
+        add_submenu_page(
+            $this->parent_menu,
+            $this->get_page_title(),
+            $this->get_page_title(),
+            $this->capability,
+            $this->menu_slug,
+            array( $this, 'render_settings_page' )
+        );
+    }
+
+    public function get_page_title() {
+        return __( '{{settings.pageTitle}}', '{{textDomain}}' );
+    }
+
+    /**
+     * Default value of every field, keyed by field id.
+     *
+     * @return array
+     */
+    public function get_defaults() {
+        return array(
+{{#each settings.fields}}
+            '{{id}}' => {{default}},
+{{/each}}
+        );
+    }
+
+    /**
+     * Saved settings merged over the defaults.
+     *
+     * @return array
+     */
+    public function get_settings() {
+        return wp_parse_args( get_option( $this->option_name, array() ), $this->get_defaults() );
+    }
+
+    public function get_capability() {
+        return $this->capability;
+    }
+
+    public function register_settings() {
+        register_setting(
+            $this->menu_slug,
+            $this->option_name,
+            array(
+                'type'              => 'array',
+                'sanitize_callback' => array( $this, 'sanitize_settings' ),
+                'default'           => $this->get_defaults(),
+            )
+        );
+        // options.php checks `manage_options` unless told otherwise.
+        add_filter( 'option_page_capability_' . $this->menu_slug, array( $this, 'get_capability' ) );
+{{#each settings.sections}}
+
+        add_settings_section(
+            '{{id}}',
+            __( '{{title}}', '{{textDomain}}' ),
+            array( $this, 'render_{{id}}_section' ),
+            $this->menu_slug
+        );
+{{#each fields}}
+        add_settings_field(
+            '{{id}}',
+            __( '{{label}}', '{{textDomain}}' ),
+            array( $this, 'render_{{id}}_field' ),
+            $this->menu_slug,
+            '{{section}}',
+            array( 'label_for' => '{{htmlId}}' )
+        );
+{{/each}}
+{{/each}}
+    }
+
+    /**
+     * Clean a submitted settings array. Only known fields are kept;
+     * unchecked checkboxes are missing from the request and are saved
+     * as 0.
+     *
+     * @param mixed $input Submitted values.
+     * @return array
+     */
+    public function sanitize_settings( $input ) {
+        $input = is_array( $input ) ? $input : array();
+        return array(
+{{#each settings.fields}}
+            '{{id}}' => $this->sanitize_{{id}}_field( isset( $input['{{id}}'] ) ? $input['{{id}}'] : '' ),
+{{/each}}
+        );
+    }
+{{#each settings.sections}}
+
+    public function render_{{id}}_section() {
+{{#if description}}
+        echo '<p>' . esc_html__( '{{description}}', '{{textDomain}}' ) . '</p>';
+{{/if}}
+    }
+{{#each fields}}
+
+    public function render_{{id}}_field() {
+        $settings = $this->get_settings();
+        $value    = $settings['{{id}}'];
+{{#if inputType}}
+        printf(
+            '<input type="{{inputType}}" id="{{htmlId}}" name="{{htmlName}}" value="%s" class="{{inputClass}}"{{#if isNumber}} step="{{step}}"{{/if}} />',
+            esc_attr( $value )
+        );
+{{/if}}
+{{#if isTextarea}}
+        printf(
+            '<textarea id="{{htmlId}}" name="{{htmlName}}" rows="5" class="large-text">%s</textarea>',
+            esc_textarea( $value )
+        );
+{{/if}}
+{{#if isCheckbox}}
+        printf(
+            '<input type="checkbox" id="{{htmlId}}" name="{{htmlName}}" value="1" %s />',
+            checked( $value, 1, false )
+        );
+{{/if}}
+{{#if isSelect}}
+        $options = array(
+{{#each options}}
+            '{{value}}' => __( '{{label}}', '{{textDomain}}' ),
+{{/each}}
+        );
+        echo '<select id="{{htmlId}}" name="{{htmlName}}">';
+        foreach ( $options as $option => $label ) {
+            printf(
+                '<option value="%s" %s>%s</option>',
+                esc_attr( $option ),
+                selected( $value, $option, false ),
+                esc_html( $label )
+            );
+        }
+        echo '</select>';
+{{/if}}
+{{#if description}}
+        echo '<p class="description">' . esc_html__( '{{description}}', '{{textDomain}}' ) . '</p>';
+{{/if}}
+    }
+
+    public function sanitize_{{id}}_field( $value ) {
+        return {{sanitize}};
+    }
+{{/each}}
+{{/each}}
+
+    public function render_settings_page() {
+        if ( ! current_user_can( $this->capability ) ) {
+            return;
+        }
+        ?>
+        <div class="wrap">
+            <h1><?php echo esc_html( $this->get_page_title() ); ?></h1>
+            <?php
+            // Pages under Settings already print their notices.
+            if ( 'options-general.php' !== $this->parent_menu ) {
+                settings_errors();
+            }
+            ?>
+            <form action="options.php" method="post">
+                <?php
+                settings_fields( $this->menu_slug );
+                do_settings_sections( $this->menu_slug );
+                submit_button();
+                ?>
+            </form>
+
+            <h2><?php esc_html_e( 'Export settings', '{{textDomain}}' ); ?></h2>
+            <form method="post">
+                <?php wp_nonce_field( $this->menu_slug . '-import-export' ); ?>
+                <input type="hidden" name="{{settings.optionName}}_action" value="export" />
+                <?php submit_button( __( 'Download {{settings.formatLabel}}', '{{textDomain}}' ), 'secondary', 'submit', false ); ?>
+            </form>
+
+            <h2><?php esc_html_e( 'Import settings', '{{textDomain}}' ); ?></h2>
+            <form method="post" enctype="multipart/form-data">
+                <?php wp_nonce_field( $this->menu_slug . '-import-export' ); ?>
+                <input type="hidden" name="{{settings.optionName}}_action" value="import" />
+                <input type="file" name="{{settings.optionName}}_file" accept=".{{settings.format}}" />
+                <?php submit_button( __( 'Import {{settings.formatLabel}}', '{{textDomain}}' ), 'secondary', 'submit', false ); ?>
+            </form>
+        </div>
+        <?php
+    }
+
+    /**
+     * Run the export or import requested by the forms on the settings page.
+     */
+    public function handle_import_export() {
+        if ( empty( $_POST['{{settings.optionName}}_action'] ) ) {
+            return;
+        }
+        if ( ! current_user_can( $this->capability ) ) {
+            wp_die( esc_html__( 'You are not allowed to manage these settings.', '{{textDomain}}' ) );
+        }
+        check_admin_referer( $this->menu_slug . '-import-export' );
+
+        $action = sanitize_key( wp_unslash( $_POST['{{settings.optionName}}_action'] ) );
+        if ( 'export' === $action ) {
+            $this->export_settings();
+        } elseif ( 'import' === $action ) {
+            $this->import_settings();
+        }
+    }
+
+    /**
+     * Send the current settings as a {{settings.formatLabel}} download.
+     */
+    public function export_settings() {
+        $settings = $this->get_settings();
+        nocache_headers();
+{{#if settings.csv}}
+        header( 'Content-Type: text/csv; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename=' . $this->menu_slug . '.csv' );
+        $output = fopen( 'php://output', 'w' );
+        fputcsv( $output, array( 'setting', 'value' ) );
+        foreach ( $settings as $key => $value ) {
+            fputcsv( $output, array( $key, $value ) );
+        }
+        fclose( $output );
+{{else}}
+        header( 'Content-Type: application/json; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename=' . $this->menu_slug . '.json' );
+        echo wp_json_encode( $settings, JSON_PRETTY_PRINT );
+{{/if}}
+        exit;
+    }
+
+    /**
+     * Import settings from an uploaded {{settings.formatLabel}} file. Unknown
+     * keys are ignored and fields missing from the file keep their current
+     * value; everything else goes through the field sanitizers.
+     */
+    public function import_settings() {
+        $file = isset( $_FILES['{{settings.optionName}}_file']['tmp_name'] ) ? $_FILES['{{settings.optionName}}_file']['tmp_name'] : '';
+        $data = is_uploaded_file( $file ) ? $this->read_import_file( $file ) : null;
+        if ( ! is_array( $data ) ) {
+            add_settings_error( $this->option_name, 'import_failed', __( 'Please choose a valid {{settings.formatLabel}} settings file.', '{{textDomain}}' ), 'error' );
+            return;
+        }
+
+        $data = array_intersect_key( $data, $this->get_defaults() );
+        update_option( $this->option_name, $this->sanitize_settings( array_merge( $this->get_settings(), $data ) ) );
+        add_settings_error( $this->option_name, 'imported', __( 'Settings imported.', '{{textDomain}}' ), 'success' );
+    }
+
+    /**
+     * Read an exported settings file.
+     *
+     * @param string $file Path to the uploaded file.
+     * @return array|null Settings keyed by field id, or null if the file is invalid.
+     */
+    private function read_import_file( $file ) {
+{{#if settings.csv}}
+        $handle = fopen( $file, 'r' );
+        if ( ! $handle ) {
+            return null;
+        }
+        $data   = null;
+        $header = fgetcsv( $handle );
+        if ( array( 'setting', 'value' ) === $header ) {
+            $data = array();
+            while ( ( $row = fgetcsv( $handle ) ) !== false ) {
+                if ( 2 === count( $row ) ) {
+                    $data[ $row[0] ] = $row[1];
+                }
+            }
+        }
+        fclose( $handle );
+        return $data;
+{{else}}
+        $data = json_decode( (string) file_get_contents( $file ), true );
+        return is_array( $data ) ? $data : null;
+{{/if}}
+    }
+}
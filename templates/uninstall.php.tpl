@@ -0,0 +1,27 @@
+<?php
+/**
+ * Fired when the plugin is deleted from the Plugins screen.  Removes the
+{{#if uninstall.userMeta}}
+ * plugin's database tables, options and user meta.
+{{else}}
+ * plugin's database tables and options.
+{{/if}}
+ *
+ * @since    1.0.0
+ */
+
+defined( 'WP_UNINSTALL_PLUGIN' ) || exit;
+{{#if uninstall.tables}}
+
+global $wpdb;
+{{#each uninstall.tables}}
+$wpdb->query( "DROP TABLE IF EXISTS {$wpdb->prefix}{{this}}" ); // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+{{/each}}
+{{/if}}
+
+{{#each uninstall.options}}
+delete_option( '{{this}}' );
+{{/each}}
+{{#each uninstall.userMeta}}
+delete_metadata( 'user', 0, '{{this}}', '', true );
+{{/each}}
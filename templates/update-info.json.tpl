@@ -0,0 +1,13 @@
+{
+  "name": {{updateChecker.info.name}},
+  "slug": {{updateChecker.info.slug}},
+  "version": {{updateChecker.info.version}},
+  "download_url": {{updateChecker.info.downloadUrl}},
+  "homepage": {{updateChecker.info.homepage}},
+  "requires": {{updateChecker.info.requires}},
+  "tested": {{updateChecker.info.tested}},
+  "requires_php": {{updateChecker.info.requiresPhp}},
+  "sections": {
+    "description": {{updateChecker.info.description}}
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * Adds the admin and public assets in src/ to the @wordpress/scripts
+ * build.  Each is built into build/ with a .asset.php manifest listing
+ * its dependencies and version, which the plugin enqueues it with.
+ */
+const defaultConfig = require( '@wordpress/scripts/config/webpack.config' );
+
+module.exports = {
+	...defaultConfig,
+	entry: {
+{{#if blocks}}
+		...defaultConfig.entry(),
+{{/if}}
+		admin: './src/admin/index.js',
+		public: './src/public/index.js',
+	},
+};
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { escapePhpString, escapePhpComment, escapeReadmeText, jsonValue } = require('../lib/escape');
+
+test('escapePhpString escapes quotes and backslashes', () => {
+  assert.equal(escapePhpString("it's \\ ok"), "it\\'s \\\\ ok");
+});
+
+test('escapePhpComment keeps the text on one line and never closes the comment', () => {
+  assert.equal(escapePhpComment('  Fast\n\tand */ safe '), 'Fast and * / safe');
+  assert.equal(escapePhpComment('**/'), '** /');
+  assert.equal(escapePhpComment(null), '');
+});
+
+test('escapeReadmeText keeps the text on one line and out of headings', () => {
+  assert.equal(escapeReadmeText('== Demo\nplugin =='), 'Demo plugin ==');
+  assert.equal(escapeReadmeText('# Title'), 'Title');
+});
+
+test('jsonValue writes undefined as null', () => {
+  assert.equal(jsonValue(undefined), 'null');
+  assert.equal(jsonValue('a "b"'), '"a \\"b\\""');
+});
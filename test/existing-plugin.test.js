@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const { FORM_DEFAULTS } = require('../lib/manifest');
+const { generatePlugin } = require('../lib/generator');
+const { planComponentChanges, applyComponentChanges } = require('../lib/existing-plugin');
+
+async function withPlugin(fn) {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugin-generator-'));
+  try {
+    await fn(await generatePlugin({ ...FORM_DEFAULTS, name: 'Demo', outputDir }));
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+}
+
+test('planComponentChanges plans a new library and applyComponentChanges writes it', async () => {
+  await withPlugin(async (pluginDir) => {
+    const plan = await planComponentChanges(pluginDir, { libraries: ['cron'] });
+    assert.deepEqual(plan.added, ['cron']);
+    const paths = plan.files.map((file) => file.path);
+    assert.ok(paths.includes('includes/class-demo-cron.php'));
+    assert.ok(paths.includes('includes/class-demo.php'));
+
+    assert.deepEqual(await applyComponentChanges(pluginDir, plan.files), paths);
+    const core = await fs.readFile(path.join(pluginDir, 'includes', 'class-demo.php'), 'utf8');
+    assert.match(core, /class-demo-cron\.php/);
+
+    await assert.rejects(planComponentChanges(pluginDir, { libraries: ['cron'] }), /Nothing to add/);
+  });
+});
+
+test('applyComponentChanges refuses files that changed since the plan', async () => {
+  await withPlugin(async (pluginDir) => {
+    const plan = await planComponentChanges(pluginDir, { libraries: ['cron'] });
+    await fs.appendFile(path.join(pluginDir, 'includes', 'class-demo.php'), '// edited\n');
+    await assert.rejects(applyComponentChanges(pluginDir, plan.files), /changed after the changes were reviewed/);
+    await assert.rejects(fs.access(path.join(pluginDir, 'includes', 'class-demo-cron.php')));
+  });
+});
+
+test('applyComponentChanges refuses paths outside the plugin', async () => {
+  await withPlugin(async (pluginDir) => {
+    for (const filePath of ['../outside.php', '/etc/outside.php', '.', 'includes/../../outside.php']) {
+      await assert.rejects(
+        applyComponentChanges(pluginDir, [{ path: filePath, before: null, after: '<?php\n' }]),
+        /is not a file inside the plugin directory/
+      );
+    }
+    await assert.rejects(fs.access(path.join(path.dirname(pluginDir), 'outside.php')));
+  });
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+
+const { FORM_DEFAULTS } = require('../lib/manifest');
+const { buildPluginFiles } = require('../lib/generator');
+
+test('buildPluginFiles builds a minimal plugin', async () => {
+  const outputDir = path.join(os.tmpdir(), 'plugin-generator-test');
+  const fileSet = await buildPluginFiles({ ...FORM_DEFAULTS, name: '  Demo Plugin ', outputDir });
+  assert.equal(fileSet.slug, 'demo-plugin');
+  assert.equal(fileSet.pluginDir, path.join(outputDir, 'demo-plugin'));
+  assert.deepEqual(fileSet.components, []);
+
+  const paths = fileSet.files.map((file) => file.path);
+  for (const expected of ['demo-plugin.php', 'includes/class-demo-plugin.php', 'readme.txt', 'languages/demo-plugin.pot']) {
+    assert.ok(paths.includes(expected), `missing ${expected}`);
+  }
+  assert.ok(paths.every((file) => !path.isAbsolute(file) && !file.split('/').includes('..')));
+
+  const main = fileSet.files.find((file) => file.path === 'demo-plugin.php').contents;
+  assert.match(main, /^ \* Plugin Name:\s+Demo Plugin$/m);
+  assert.match(main, /^ \* Text Domain:\s+demo-plugin$/m);
+});
+
+test('buildPluginFiles keeps free text from closing the plugin header', async () => {
+  const fileSet = await buildPluginFiles({ ...FORM_DEFAULTS, name: 'Demo', description: 'Ends */ here', outputDir: os.tmpdir() });
+  const main = fileSet.files.find((file) => file.path === 'demo.php').contents;
+  assert.match(main, /^ \* Description:\s+Ends \* \/ here$/m);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { bumpVersion } = require('../lib/release');
+
+test('bumpVersion bumps releases', () => {
+  assert.equal(bumpVersion('1.2.3', 'patch'), '1.2.4');
+  assert.equal(bumpVersion('1.2.3', 'minor'), '1.3.0');
+  assert.equal(bumpVersion('1.2.3', 'major'), '2.0.0');
+});
+
+test('bumpVersion releases a pre-release of the same version', () => {
+  assert.equal(bumpVersion('1.2.3-beta.1', 'patch'), '1.2.3');
+  assert.equal(bumpVersion('1.3.0-rc.1', 'minor'), '1.3.0');
+  assert.equal(bumpVersion('2.0.0-alpha', 'major'), '2.0.0');
+});
+
+test('bumpVersion bumps past a pre-release of a smaller change', () => {
+  assert.equal(bumpVersion('1.2.3-beta.1', 'minor'), '1.3.0');
+  assert.equal(bumpVersion('1.3.0-rc.1', 'major'), '2.0.0');
+});
+
+test('bumpVersion refuses versions that are not semantic versions', () => {
+  assert.throws(() => bumpVersion('1.2', 'patch'), /not a semantic version/);
+  assert.throws(() => bumpVersion('v1.2.3', 'patch'), /not a semantic version/);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizePluginFields, validatePluginFields } = require('../lib/validation');
+const { FORM_DEFAULTS, validatePluginOptions } = require('../lib/manifest');
+
+const fieldsOf = (errors) => errors.map((error) => error.field);
+
+test('normalizePluginFields trims the text fields and leaves the rest alone', () => {
+  const opts = normalizePluginFields({ name: '  Demo ', slug: ' demo ', version: ' 1.0.0 ', libraries: [' cron '] });
+  assert.deepEqual(opts, { name: 'Demo', slug: 'demo', version: '1.0.0', libraries: [' cron '] });
+});
+
+test('validatePluginFields accepts the form defaults once normalized', () => {
+  const opts = normalizePluginFields({ ...FORM_DEFAULTS, name: ' Demo ', version: ' 1.2.3 ' });
+  assert.deepEqual(validatePluginFields(opts), []);
+});
+
+test('validatePluginFields reports the slug and version', () => {
+  const errors = validatePluginFields({ ...FORM_DEFAULTS, name: 'Demo', slug: 'Bad Slug', version: '1.0' });
+  assert.deepEqual(fieldsOf(errors), ['slug', 'version']);
+});
+
+test('validatePluginOptions reports entries that are not objects', () => {
+  const cases = {
+    postTypes: 'Post type 1 must be an object.',
+    taxonomies: 'Taxonomy 1 must be an object.',
+    blocks: 'Block 1 must be an object.',
+    tables: 'Table 1 must be an object.',
+    listTables: 'List table 1 must be an object.',
+    adminActions: 'Handler 1 must be an object.',
+    shortcodes: 'Shortcode 1 must be an object.'
+  };
+  for (const [key, message] of Object.entries(cases)) {
+    const errors = validatePluginOptions({ ...FORM_DEFAULTS, name: 'Demo', [key]: [null] });
+    assert.ok(errors.includes(message), `${key}: ${errors.join(' ')}`);
+  }
+});
+
+test('validatePluginOptions reports settings sections and fields that are not objects', () => {
+  const settingsConfig = {
+    pageTitle: 'Demo',
+    menuSlug: 'demo',
+    capability: 'manage_options',
+    parentMenu: 'options-general.php',
+    format: 'json',
+    sections: [null, { id: 'main', title: 'Main', fields: [null] }]
+  };
+  const errors = validatePluginOptions({ ...FORM_DEFAULTS, name: 'Demo', snippets: ['settings'], settingsConfig });
+  assert.deepEqual(errors, ['Settings section 1 must be an object.', 'Settings section 2, field 1 must be an object.']);
+});